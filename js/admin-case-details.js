@@ -99,6 +99,8 @@ class AdminCaseDetailsManager {
                         <div style="background: #f9fafb; padding: 20px; border-radius: 8px;">
                             <div style="margin-bottom: 12px;"><strong>Complainant:</strong> ${caseData.user?.full_name || caseData.user_email || 'Unknown'}</div>
                             <div style="margin-bottom: 12px;"><strong>Email:</strong> ${caseData.user_email || 'Not provided'}</div>
+                            <div style="margin-bottom: 12px;"><strong>Respondent:</strong> ${this.escapeHtml(caseData.respondent_name || 'Not provided')}${caseData.respondent_email ? ` (${this.escapeHtml(caseData.respondent_email)})` : ''}</div>
+                            <div style="margin-bottom: 12px;"><strong>Respondent Status:</strong> ${caseData.respondent_id ? 'Joined' : (caseData.respondent_invited_at ? 'Invited' : 'Not invited')}</div>
                             <div style="margin-bottom: 12px;"><strong>Dispute Type:</strong> ${this.formatDisputeType(caseData.case_type || caseData.type)}</div>
                             <div style="margin-bottom: 12px;"><strong>Amount:</strong> ${caseData.amount_involved ? '$' + caseData.amount_involved : 'Not specified'}</div>
                             <div style="margin-bottom: 12px;"><strong>Priority:</strong> ${this.formatPriority(caseData.urgency_level)}</div>
@@ -107,18 +109,31 @@ class AdminCaseDetailsManager {
                     </div>
 
                     <div>
-                        <h3 style="color: var(--deep-blue); margin-bottom: 16px;">Evidence Files (${evidenceFiles.length})</h3>
+                        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 16px;">
+                            <h3 style="color: var(--deep-blue);">Evidence Files (${evidenceFiles.length})</h3>
+                            <button id="downloadBundleBtn" onclick="window.adminCaseDetailsManager.downloadBundle()" class="btn-secondary" style="font-size: 12px; padding: 6px 12px;">
+                                Download Evidence Bundle
+                            </button>
+                        </div>
                         <div style="background: #f9fafb; padding: 20px; border-radius: 8px; max-height: 300px; overflow-y: auto;">
                             ${evidenceFiles.length > 0 ? evidenceFiles.map(file => `
-                                <div style="display: flex; justify-content: space-between; align-items: center; padding: 8px 0; border-bottom: 1px solid #e5e7eb;">
-                                    <div>
-                                        <div style="font-weight: 500;">${file.file_name || file.fileName}</div>
-                                        <div style="font-size: 12px; color: var(--medium-gray);">Uploaded: ${new Date(file.created_at || file.uploadedAt).toLocaleDateString()}</div>
+                                <div style="padding: 8px 0; border-bottom: 1px solid #e5e7eb;">
+                                    <div style="display: flex; justify-content: space-between; align-items: center;">
+                                        ${file.thumbnail_path ? `
+                                            <img data-thumbnail-file="${file.id}" alt="Preview of ${file.file_name}" title="Open ${file.file_name}"
+                                                 onclick="window.adminCaseDetailsManager.viewEvidence('${file.id}', '${file.file_name}')"
+                                                 style="width: 64px; height: 64px; object-fit: cover; border-radius: 4px; background: #e5e7eb; margin-right: 12px; cursor: pointer;">
+                                        ` : ''}
+                                        <div style="flex: 1;">
+                                            <div style="font-weight: 500;">${file.file_name || file.fileName}${file.version > 1 ? ` <span style="font-size: 11px; color: var(--medium-gray);">v${file.version}</span>` : ''}</div>
+                                            <div style="font-size: 12px; color: var(--medium-gray);">Uploaded: ${new Date(file.created_at || file.uploadedAt).toLocaleDateString()}</div>
+                                        </div>
+                                        <button onclick="window.adminCaseDetailsManager.viewEvidence('${file.id}', '${file.file_name}')" 
+                                                style="background: var(--teal); color: white; border: none; padding: 4px 12px; border-radius: 4px; cursor: pointer; font-size: 12px;">
+                                            View
+                                        </button>
                                     </div>
-                                    <button onclick="window.adminCaseDetailsManager.viewEvidence('${file.id}', '${file.file_name}')" 
-                                            style="background: var(--teal); color: white; border: none; padding: 4px 12px; border-radius: 4px; cursor: pointer; font-size: 12px;">
-                                        View
-                                    </button>
+                                    ${this.renderPreviousVersions(file)}
                                 </div>
                             `).join('') : '<p style="color: var(--medium-gray); text-align: center;">No evidence files uploaded</p>'}
                         </div>
@@ -132,6 +147,23 @@ class AdminCaseDetailsManager {
                     </div>
                 </div>
 
+                ${this.renderAnalysis(caseData)}
+
+                <div id="outcomePrediction"></div>
+
+                ${caseData.respondent_response ? `
+                    <div style="margin-bottom: 32px;">
+                        <h3 style="color: var(--deep-blue); margin-bottom: 16px;">Respondent's Response</h3>
+                        <div style="background: #f9fafb; padding: 20px; border-radius: 8px; line-height: 1.6;">
+                            <div style="margin-bottom: 12px;"><strong>Answer:</strong> ${this.formatResponseType(caseData.respondent_response)}
+                                <span style="color: var(--medium-gray); font-size: 14px;">(${new Date(caseData.respondent_responded_at).toLocaleDateString()})</span>
+                            </div>
+                            ${caseData.counter_claim_amount ? `<div style="margin-bottom: 12px;"><strong>Counter-claim:</strong> $${caseData.counter_claim_amount}</div>` : ''}
+                            ${caseData.respondent_statement ? `<div>${this.escapeHtml(caseData.respondent_statement)}</div>` : ''}
+                        </div>
+                    </div>
+                ` : ''}
+
                 ${caseData.preferred_resolution ? `
                     <div style="margin-bottom: 32px;">
                         <h3 style="color: var(--deep-blue); margin-bottom: 16px;">Preferred Resolution</h3>
@@ -141,21 +173,14 @@ class AdminCaseDetailsManager {
                     </div>
                 ` : ''}
 
+                ${this.renderBlindBidding(caseData)}
+
+                <div id="settlementAgreement"></div>
+
                 <div style="margin-bottom: 32px;">
                     <h3 style="color: var(--deep-blue); margin-bottom: 16px;">Case Actions</h3>
                     <div style="display: flex; gap: 12px; flex-wrap: wrap;">
-                        <button onclick="window.adminCaseDetailsManager.updateCaseStatus('In Review')" 
-                                class="btn-primary" style="background: #f59e0b;">
-                            Mark as In Review
-                        </button>
-                        <button onclick="window.adminCaseDetailsManager.updateCaseStatus('Resolved')" 
-                                class="btn-primary" style="background: #10b981;">
-                            Mark as Resolved
-                        </button>
-                        <button onclick="window.adminCaseDetailsManager.updateCaseStatus('Closed')" 
-                                class="btn-secondary">
-                            Close Case
-                        </button>
+                        ${(caseData.allowed_transitions || []).map(status => this.renderStatusButton(status)).join('')}
                         <button onclick="window.adminCaseDetailsManager.goBack()" 
                                 class="btn-secondary">
                             Back to Department
@@ -164,16 +189,417 @@ class AdminCaseDetailsManager {
                 </div>
             </div>
         `;
+
+        this.loadThumbnails(caseDetailsContainer);
+        this.loadPrediction(caseData);
+        this.loadAgreement(caseData);
+    }
+
+    // Evidence previews come from an authenticated endpoint; fetch each one and
+    // show it from a blob URL, released when the page is redrawn
+    async loadThumbnails(container) {
+        (this.thumbnailUrls || []).forEach(url => URL.revokeObjectURL(url));
+        this.thumbnailUrls = [];
+
+        for (const img of container.querySelectorAll('img[data-thumbnail-file]')) {
+            try {
+                const response = await window.authManager.apiRequest(`/upload/file/${img.dataset.thumbnailFile}/thumbnail`);
+                if (!response.ok) continue;
+
+                const url = URL.createObjectURL(await response.blob());
+                this.thumbnailUrls.push(url);
+                img.src = url;
+            } catch (error) {
+                console.error('Failed to load preview:', error);
+            }
+        }
+    }
+
+    renderBlindBidding(caseData) {
+        const session = caseData.blind_bidding;
+        const isOpen = ['Pending', 'In Review', 'In Mediation'].includes(caseData.status);
+
+        if (!session) {
+            return isOpen && caseData.amount_involved ? `
+                <div style="margin-bottom: 32px;">
+                    <h3 style="color: var(--deep-blue); margin-bottom: 16px;">Blind Bidding</h3>
+                    <button onclick="window.adminCaseDetailsManager.startBlindBidding()" class="btn-secondary">Start Blind Bidding</button>
+                </div>
+            ` : '';
+        }
+
+        const rounds = [...new Set((session.bids || []).map(bid => bid.round))];
+
+        return `
+                <div style="margin-bottom: 32px;">
+                    <h3 style="color: var(--deep-blue); margin-bottom: 16px;">Blind Bidding</h3>
+                    <div style="background: #f9fafb; padding: 20px; border-radius: 8px; line-height: 1.6;">
+                        <div style="margin-bottom: 12px;">
+                            <strong>Status:</strong> ${session.status} •
+                            Round ${session.current_round} of ${session.max_rounds} •
+                            Tolerance ${session.tolerance_percent}%
+                        </div>
+                        ${session.settlement_amount ? `<div style="margin-bottom: 12px;"><strong>Settled at:</strong> $${session.settlement_amount} (round ${session.settled_round})</div>` : ''}
+                        ${rounds.map(round => {
+                            const bid = (role) => (session.bids.find(b => b.round === round && b.bidder_role === role) || {}).amount;
+                            return `<div>Round ${round}: claimant asks ${bid('claimant') !== undefined ? `$${bid('claimant')}` : '—'}, respondent offers ${bid('respondent') !== undefined ? `$${bid('respondent')}` : '—'}</div>`;
+                        }).join('')}
+                        ${session.status === 'active' ? `
+                            <button onclick="window.adminCaseDetailsManager.cancelBlindBidding()" class="btn-secondary" style="margin-top: 12px;">Cancel Blind Bidding</button>
+                        ` : isOpen ? `
+                            <button onclick="window.adminCaseDetailsManager.startBlindBidding()" class="btn-secondary" style="margin-top: 12px;">Start New Blind Bidding</button>
+                        ` : ''}
+                    </div>
+                </div>
+        `;
+    }
+
+    async startBlindBidding() {
+        const tolerancePercent = prompt('Settle when bids are within what percentage of each other?', '10');
+        if (tolerancePercent === null) return;
+        const maxRounds = prompt('Number of rounds:', '3');
+        if (maxRounds === null) return;
+
+        try {
+            const response = await window.authManager.apiRequest(`/admin/cases/${this.currentCaseId}/blind-bidding`, {
+                method: 'POST',
+                body: JSON.stringify({ tolerancePercent, maxRounds })
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to start blind bidding');
+            }
+
+            this.loadCaseDetails();
+        } catch (error) {
+            console.error('Failed to start blind bidding:', error);
+            alert('Failed to start blind bidding: ' + error.message);
+        }
+    }
+
+    async cancelBlindBidding() {
+        if (!confirm('Cancel blind bidding on this case?')) return;
+
+        try {
+            const response = await window.authManager.apiRequest(`/admin/cases/${this.currentCaseId}/blind-bidding`, {
+                method: 'DELETE'
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to cancel blind bidding');
+            }
+
+            this.loadCaseDetails();
+        } catch (error) {
+            console.error('Failed to cancel blind bidding:', error);
+            alert('Failed to cancel blind bidding: ' + error.message);
+        }
+    }
+
+    renderStatusButton(status) {
+        const buttons = {
+            'Pending': { label: 'Return to Pending', className: 'btn-secondary', style: '' },
+            'In Review': { label: 'Mark as In Review', className: 'btn-primary', style: 'background: #f59e0b;' },
+            'In Mediation': { label: 'Move to Mediation', className: 'btn-primary', style: 'background: #3b82f6;' },
+            'Resolved': { label: 'Mark as Resolved', className: 'btn-primary', style: 'background: #10b981;' },
+            'Closed': { label: 'Close Case', className: 'btn-secondary', style: '' }
+        };
+        const button = buttons[status] || { label: status, className: 'btn-secondary', style: '' };
+
+        return `
+                        <button onclick="window.adminCaseDetailsManager.updateCaseStatus('${status}')" 
+                                class="${button.className}" style="${button.style}">
+                            ${button.label}
+                        </button>
+        `;
+    }
+
+    // Earlier versions of a replaced file, oldest last, each still viewable
+    renderPreviousVersions(file) {
+        const versions = file.previous_versions || [];
+        if (versions.length === 0) return '';
+
+        return `
+            <div style="margin: 6px 0 0 12px; padding-left: 8px; border-left: 2px solid #e5e7eb;">
+                ${versions.map(version => `
+                    <div style="display: flex; justify-content: space-between; align-items: center; padding: 2px 0; font-size: 12px; color: var(--medium-gray);">
+                        <span>v${version.version} · ${version.file_name} · replaced ${new Date(version.superseded_at).toLocaleDateString()}</span>
+                        <button onclick="window.adminCaseDetailsManager.viewEvidence('${version.id}', '${version.file_name}')" 
+                                style="background: none; color: var(--teal); border: 1px solid var(--teal); padding: 2px 8px; border-radius: 4px; cursor: pointer; font-size: 11px;">
+                            View
+                        </button>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Automated triage from submission: advisory, next to what the claimant chose
+    renderAnalysis(caseData) {
+        const analysis = caseData.analysis;
+        if (!analysis) return '';
+
+        const entities = analysis.entities || {};
+        const confidence = analysis.type_confidence !== null ? ` (${Math.round(analysis.type_confidence * 100)}% confidence)` : '';
+        const typeNote = analysis.dispute_type !== caseData.case_type
+            ? ` <span style="color: #b45309;">- claimant chose ${this.formatDisputeType(caseData.case_type)}</span>`
+            : '';
+        const list = (items) => items && items.length > 0 ? items.map(item => this.escapeHtml(item)).join(', ') : 'None found';
+
+        return `
+            <div style="margin-bottom: 32px;">
+                <h3 style="color: var(--deep-blue); margin-bottom: 16px;">Automated Triage</h3>
+                <div style="background: #f9fafb; padding: 20px; border-radius: 8px; line-height: 1.6;">
+                    <div style="margin-bottom: 8px;"><strong>Suggested type:</strong> ${this.formatDisputeType(analysis.dispute_type)}${confidence}${typeNote}</div>
+                    <div style="margin-bottom: 8px;"><strong>Estimated urgency:</strong> ${this.formatPriority(analysis.urgency)}${analysis.urgency_reasons.length > 0 ? ` - ${list(analysis.urgency_reasons)}` : ''}</div>
+                    <div style="margin-bottom: 8px;"><strong>Parties:</strong> ${list((entities.parties || []).map(party => `${party.name} (${party.role})`))}</div>
+                    <div style="margin-bottom: 8px;"><strong>Amounts:</strong> ${list((entities.amounts || []).map(amount => amount.text))}</div>
+                    <div style="margin-bottom: 8px;"><strong>Dates:</strong> ${list((entities.dates || []).map(date => date.text))}</div>
+                    <div style="margin-bottom: 8px;"><strong>Merchants:</strong> ${list(entities.merchants)}</div>
+                    <div style="font-size: 12px; color: var(--medium-gray);">${this.escapeHtml(analysis.model || analysis.provider)} • ${new Date(analysis.created_at).toLocaleString()}</div>
+                </div>
+            </div>
+        `;
+    }
+
+    // Outcome estimate from the model trained on resolved cases; only useful
+    // while the case is still open
+    async loadPrediction(caseData) {
+        const container = document.getElementById('outcomePrediction');
+        if (!container || ['Resolved', 'Closed'].includes(caseData.status)) return;
+
+        try {
+            const response = await window.authManager.apiRequest(`/admin/cases/${caseData.id}/prediction`);
+            const data = await response.json();
+
+            if (!response.ok) {
+                // No model yet is expected on a fresh install; say so rather than fail
+                if (data.code === 'MODEL_NOT_TRAINED') {
+                    container.innerHTML = this.renderPredictionBlock('<p style="color: var(--medium-gray); margin: 0;">No outcome model has been trained yet. Export the training data and run <code>npm run train:outcomes</code>.</p>');
+                }
+                return;
+            }
+
+            container.innerHTML = this.renderPrediction(data.prediction);
+        } catch (error) {
+            console.error('Failed to load outcome prediction:', error);
+        }
+    }
+
+    renderPrediction(prediction) {
+        const labels = { full_payment: 'Paid in full', partial_payment: 'Partial payment', no_payment: 'No payment' };
+        const money = (amount) => '$' + Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        const range = prediction.settlement_range;
+        const evaluation = prediction.model.evaluation;
+
+        return this.renderPredictionBlock(`
+            <div style="margin-bottom: 8px;"><strong>Likely outcome:</strong> ${labels[prediction.category]} (${Math.round(prediction.probabilities[prediction.category] * 100)}%)</div>
+            <div style="margin-bottom: 8px; font-size: 14px; color: var(--medium-gray);">
+                ${Object.entries(prediction.probabilities).map(([category, p]) => `${labels[category]} ${Math.round(p * 100)}%`).join(' • ')}
+            </div>
+            <div style="margin-bottom: 8px;"><strong>Settlement range:</strong> ${range
+                ? `${money(range.low)} - ${money(range.high)} (most likely ${money(range.expected)})`
+                : 'Needs the amount claimed'}</div>
+            <div style="margin-bottom: 8px;"><strong>Factors:</strong>
+                ${prediction.factors.length > 0 ? `
+                    <ul style="margin: 4px 0 0 0; padding-left: 20px;">
+                        ${prediction.factors.map(factor => `<li>${this.escapeHtml(factor.factor)} <span style="color: ${factor.direction === 'towards' ? '#15803d' : '#b45309'};">(${factor.direction === 'towards' ? 'points towards' : 'points against'} this outcome)</span></li>`).join('')}
+                    </ul>
+                ` : 'None stood out'}
+            </div>
+            <div style="font-size: 12px; color: var(--medium-gray);">
+                Trained on ${prediction.model.training_cases} resolved cases • ${new Date(prediction.model.trained_at).toLocaleDateString()}
+                ${evaluation ? ` • ${Math.round(evaluation.category_accuracy * 100)}% right on recent cases` : ''}
+            </div>
+        `);
+    }
+
+    renderPredictionBlock(content) {
+        return `
+            <div style="margin-bottom: 32px;">
+                <h3 style="color: var(--deep-blue); margin-bottom: 16px;">Outcome Estimate</h3>
+                <div style="background: #f9fafb; padding: 20px; border-radius: 8px; line-height: 1.6;">
+                    ${content}
+                </div>
+            </div>
+        `;
+    }
+
+    // Settlement agreement sent for signature when the case was settled. Until
+    // everyone has signed, an admin can draft a new version, e.g. with another
+    // template or with its blanks filled in; signing then starts again.
+    async loadAgreement(caseData) {
+        const container = document.getElementById('settlementAgreement');
+        if (!container) return;
+
+        try {
+            const agreementResponse = await window.authManager.apiRequest(`/cases/${caseData.id}/agreement`);
+            if (!agreementResponse.ok) return;
+
+            const { agreement, signing } = await agreementResponse.json();
+            const canRedraft = !signing.complete && ['Pending', 'In Review', 'In Mediation'].includes(caseData.status);
+
+            let templates = [];
+            let blanks = [];
+            if (canRedraft) {
+                const templatesResponse = await window.authManager.apiRequest('/admin/agreement-templates');
+                const templateData = templatesResponse.ok ? await templatesResponse.json() : {};
+                templates = templateData.templates || [];
+
+                // The draft lists its blanks by label; find the placeholder behind each
+                // one that can be filled in here
+                const placeholders = Object.entries(templateData.placeholders || {});
+                const fillable = ['settlement.amount', 'settlement.terms', ...(templateData.detail_placeholders || [])];
+                blanks = agreement.content.missing
+                    .map(label => placeholders.find(([, placeholderLabel]) => placeholderLabel === label))
+                    .filter(entry => entry && fillable.includes(entry[0]))
+                    .map(([path, label]) => ({ path, label }));
+            }
+
+            const roleLabels = { claimant: 'Claimant', respondent: 'Respondent', mediator: 'Mediator' };
+
+            container.innerHTML = `
+                <div style="margin-bottom: 32px;">
+                    <h3 style="color: var(--deep-blue); margin-bottom: 16px;">Settlement Agreement</h3>
+                    <div style="background: #f9fafb; padding: 20px; border-radius: 8px; line-height: 1.6;">
+                        <div><strong>${this.escapeHtml(agreement.title)}</strong> • Draft ${agreement.version} • ${new Date(agreement.created_at).toLocaleDateString()}</div>
+                        ${agreement.content.missing.length > 0
+                            ? `<div style="color: #b45309; font-size: 14px;">To be completed: ${this.escapeHtml(agreement.content.missing.join(', '))}</div>`
+                            : '<div style="color: #15803d; font-size: 14px;">All details filled in</div>'}
+                        <div style="margin-top: 8px; font-size: 14px;">
+                            ${signing.signers.map(signer => `
+                                <div>${roleLabels[signer.role]}: ${signer.signed_at
+                                    ? `<span style="color: #15803d;">signed ${new Date(signer.signed_at).toLocaleString()}</span>`
+                                    : `<span style="color: var(--medium-gray);">${signing.next_signer === signer.role ? 'waiting to sign' : 'not yet signed'}</span>`}</div>
+                            `).join('')}
+                        </div>
+                        ${blanks.length > 0 ? `
+                            <div style="margin-top: 12px; font-size: 14px;">
+                                <div style="margin-bottom: 6px;">Fill in the blanks so the parties can sign:</div>
+                                ${blanks.map(blank => `
+                                    <div style="display: flex; gap: 8px; align-items: center; margin-bottom: 6px;">
+                                        <label style="width: 160px; text-transform: capitalize;">${this.escapeHtml(blank.label)}</label>
+                                        ${blank.path === 'settlement.terms'
+                                            ? `<textarea data-agreement-blank="${blank.path}" rows="2" maxlength="2000" style="flex: 1; padding: 6px; border: 1px solid #ddd; border-radius: 4px;"></textarea>`
+                                            : `<input data-agreement-blank="${blank.path}" type="${blank.path === 'settlement.amount' ? 'number' : 'text'}" ${blank.path === 'settlement.amount' ? 'min="0" step="0.01"' : 'maxlength="500"'} style="flex: 1; padding: 6px; border: 1px solid #ddd; border-radius: 4px;">`}
+                                    </div>
+                                `).join('')}
+                            </div>
+                        ` : ''}
+                        ${canRedraft ? `
+                            <div style="display: flex; gap: 8px; align-items: center; margin-top: 12px;">
+                                <select id="agreementTemplate" style="padding: 6px; border: 1px solid #ddd; border-radius: 4px;">
+                                    ${templates.map(template => `
+                                        <option value="${template.key}" ${agreement.template === template.key ? 'selected' : ''}>${this.escapeHtml(template.name)}</option>
+                                    `).join('')}
+                                </select>
+                                <button onclick="window.adminCaseDetailsManager.draftAgreement()" class="btn-primary" style="font-size: 12px; padding: 6px 12px;">
+                                    Draft New Version
+                                </button>
+                            </div>
+                        ` : ''}
+                    </div>
+                </div>
+            `;
+        } catch (error) {
+            console.error('Failed to load settlement agreement:', error);
+        }
+    }
+
+    async draftAgreement() {
+        const select = document.getElementById('agreementTemplate');
+        const body = { template: select ? select.value : undefined };
+
+        // Blanks filled in: the settlement goes on the resolution, the rest into details
+        document.querySelectorAll('[data-agreement-blank]').forEach(input => {
+            const value = input.value.trim();
+            if (!value) return;
+
+            const path = input.dataset.agreementBlank;
+            if (path === 'settlement.amount') {
+                body.settlement_amount = value;
+            } else if (path === 'settlement.terms') {
+                body.settlement_terms = value;
+            } else {
+                body.details = { ...body.details, [path]: value };
+            }
+        });
+
+        if (!confirm('Everyone will need to sign the new version, including anyone who has signed this one. Continue?')) {
+            return;
+        }
+
+        try {
+            const response = await window.authManager.apiRequest(`/admin/cases/${this.currentCaseId}/agreement`, {
+                method: 'POST',
+                body: JSON.stringify(body)
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to draft settlement agreement');
+            }
+
+            this.loadCaseDetails();
+        } catch (error) {
+            console.error('Failed to draft settlement agreement:', error);
+            alert('Failed to draft settlement agreement: ' + error.message);
+        }
     }
 
     async viewEvidence(fileId, fileName) {
         try {
-            // This would integrate with your file viewing system
-            alert(`Viewing evidence file: ${fileName}`);
-            // TODO: Implement actual file viewing/download
+            // Downloads go through a short-lived signed link and are recorded
+            const response = await window.authManager.apiRequest(`/upload/file/${fileId}/link`, {
+                method: 'POST'
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to open file');
+            }
+
+            window.open(`${data.url}&inline=true`, '_blank');
         } catch (error) {
             console.error('Failed to view evidence:', error);
-            alert('Failed to view evidence file');
+            alert(`Failed to open ${fileName}: ${error.message}`);
+        }
+    }
+
+    // Cover sheet, index, every exhibit and the timeline in one PDF for mediation
+    async downloadBundle() {
+        const button = document.getElementById('downloadBundleBtn');
+        if (button) {
+            button.disabled = true;
+            button.textContent = 'Preparing bundle...';
+        }
+
+        try {
+            const response = await window.authManager.apiRequest(`/admin/cases/${this.currentCaseId}/bundle`);
+
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.error || 'Failed to build evidence bundle');
+            }
+
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `case-${this.currentCaseId.slice(0, 8)}-bundle.pdf`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        } catch (error) {
+            console.error('Failed to download evidence bundle:', error);
+            alert('Failed to download evidence bundle: ' + error.message);
+        } finally {
+            if (button) {
+                button.disabled = false;
+                button.textContent = 'Download Evidence Bundle';
+            }
         }
     }
 
@@ -183,21 +609,31 @@ class AdminCaseDetailsManager {
             return;
         }
 
-        if (!confirm(`Are you sure you want to update this case status to "${status}"?`)) {
+        const requestBody = { status };
+        if (status === 'Resolved') {
+            const resolution = prompt('Enter resolution details:');
+            if (!resolution) return;
+            requestBody.resolution = resolution;
+
+            const settlementAmount = prompt('Settlement amount, if any ($):');
+            if (settlementAmount) {
+                requestBody.settlement_amount = settlementAmount;
+            }
+        } else if (!confirm(`Are you sure you want to update this case status to "${status}"?`)) {
             return;
         }
 
         try {
             const response = await window.authManager.apiRequest(`/admin/cases/${this.currentCaseId}/status`, {
                 method: 'PATCH',
-                body: JSON.stringify({ status })
+                body: JSON.stringify(requestBody)
             });
 
+            const data = await response.json();
             if (response.ok) {
-                alert(`Case status updated to ${status}`);
+                alert(data.agreement ? data.message : `Case status updated to ${status}`);
                 this.loadCaseDetails();
             } else {
-                const data = await response.json();
                 throw new Error(data.error || 'Failed to update case status');
             }
         } catch (error) {
@@ -227,6 +663,15 @@ class AdminCaseDetailsManager {
         return types[type] || type;
     }
 
+    formatResponseType(type) {
+        const types = {
+            'accept_liability': 'Liability Accepted',
+            'dispute': 'Claim Disputed',
+            'counter_claim': 'Counter-Claim Filed'
+        };
+        return types[type] || type;
+    }
+
     formatPriority(priority) {
         const priorities = {
             'high': 'High Priority',
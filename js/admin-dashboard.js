@@ -5,6 +5,8 @@ class AdminDashboardManager {
         this.user = null;
         this.cases = [];
         this.refreshInterval = null;
+        this.searchTimer = null;
+        this.searchQuery = '';
         this.init();
     }
 
@@ -139,6 +141,7 @@ class AdminDashboardManager {
                     <div style="font-size: 12px; color: var(--medium-gray);">
                         ${case_.user?.full_name || case_.user_email}
                     </div>
+                    ${this.renderSearchMatches(case_)}
                 </td>
                 <td>
                     <span class="badge badge-${case_.case_type}">${this.formatDisputeType(case_.case_type)}</span>
@@ -153,7 +156,7 @@ class AdminDashboardManager {
                 <td>
                     <div style="display: flex; gap: 8px;">
                         <a href="admin-case-details.html?id=${case_.id}" class="btn-link">Review</a>
-                        ${case_.status === 'Pending' ? `<button onclick="quickResolve('${case_.id}')" class="btn-link">Quick Resolve</button>` : ''}
+                        ${['In Review', 'In Mediation'].includes(case_.status) ? `<button onclick="quickResolve('${case_.id}')" class="btn-link">Quick Resolve</button>` : ''}
                     </div>
                 </td>
             </tr>
@@ -213,6 +216,8 @@ class AdminDashboardManager {
         if (this.refreshInterval) {
             clearInterval(this.refreshInterval);
             this.refreshInterval = null;
+        this.searchTimer = null;
+        this.searchQuery = '';
         }
     }
 
@@ -266,18 +271,51 @@ class AdminDashboardManager {
     }
 
     searchCases(query) {
+        // Wait for a pause in typing before asking the server
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => this.runSearch(query.trim()), 300);
+    }
+
+    // The server searches titles, descriptions and the text of evidence files
+    async runSearch(query) {
+        this.searchQuery = query;
+
         if (!query) {
             this.renderCasesTable();
             return;
         }
 
-        const filteredCases = this.cases.filter(case_ => 
-            case_.case_title.toLowerCase().includes(query.toLowerCase()) ||
-            case_.user_email.toLowerCase().includes(query.toLowerCase()) ||
-            case_.id.toLowerCase().includes(query.toLowerCase())
-        );
+        try {
+            const response = await window.authManager.apiRequest(`/admin/cases?limit=50&search=${encodeURIComponent(query)}`);
 
-        this.renderFilteredCases(filteredCases);
+            if (!response.ok) {
+                throw new Error(`Search API error: ${response.status}`);
+            }
+
+            const data = await response.json();
+
+            // Ignore results for a search that has since been changed
+            if (query !== this.searchQuery) return;
+
+            this.renderFilteredCases(data.cases || []);
+        } catch (error) {
+            console.error('Failed to search cases:', error);
+            this.showError('Search failed. Please try again.');
+        }
+    }
+
+    // Where each search match was found, with the server's highlighted snippet
+    renderSearchMatches(case_) {
+        if (!case_.search_matches || case_.search_matches.length === 0) return '';
+
+        const sources = { title: 'Title', description: 'Description' };
+
+        return case_.search_matches.map(match => `
+            <div style="font-size: 12px; color: var(--medium-gray); margin-top: 6px; max-width: 420px;">
+                <span style="font-weight: 500;">${match.source === 'evidence' ? `📎 ${this.escapeHtml(match.file_name)}` : sources[match.source]}:</span>
+                ${match.snippet}
+            </div>
+        `).join('');
     }
 
     renderFilteredCases(cases) {
@@ -0,0 +1,241 @@
+// Agreement Signing JavaScript - who has signed the settlement agreement, and the
+// form to sign it with a typed name or a drawn signature when it is your turn
+class AgreementSigningPanel {
+    constructor({ caseId, containerId, onSigned }) {
+        this.caseId = caseId;
+        this.containerId = containerId;
+        this.onSigned = onSigned;
+        this.agreement = null;
+        this.signatureType = 'typed';
+        this.hasDrawing = false;
+    }
+
+    render(agreement, signing) {
+        const container = document.getElementById(this.containerId);
+        if (!container) return;
+
+        this.agreement = agreement;
+        const roleLabels = { claimant: 'Claimant', respondent: 'Respondent', mediator: 'Mediator' };
+
+        const signers = signing.signers.map((signer, i) => `
+            <div style="display: flex; justify-content: space-between; padding: 0.5rem 0; border-bottom: 1px solid #f3f4f6; font-size: 0.875rem;">
+                <span>${i + 1}. ${roleLabels[signer.role]}${signer.name ? ` - ${this.escapeHtml(signer.name)}` : ''}</span>
+                ${signer.signed_at
+                    ? `<span style="color: #15803d;">Signed ${new Date(signer.signed_at).toLocaleString()}</span>`
+                    : `<span style="color: ${signing.next_signer === signer.role ? '#b45309' : '#6b7280'};">${signing.next_signer === signer.role ? 'Waiting to sign' : 'Not yet signed'}</span>`}
+            </div>
+        `).join('');
+
+        const incomplete = agreement.content.missing.length > 0;
+        const yourTurn = !signing.complete && !incomplete && signing.next_signer === signing.your_role;
+
+        let footer = '';
+        if (signing.awaiting_resolution) {
+            footer = `
+                <p style="color: #b45309; margin-top: 0.75rem;">Everyone has signed, but the case could not be resolved at the time.</p>
+                <button id="resolveAgreementBtn" class="btn-primary">Resolve the case</button>
+            `;
+        } else if (signing.complete) {
+            footer = '<p style="color: #15803d; margin-top: 0.75rem;">Everyone has signed. The signed agreement and its signature certificate are in the PDF.</p>';
+        } else if (incomplete) {
+            footer = '<p style="color: #b45309; margin-top: 0.75rem;">Signing opens once the case administrator has completed the missing details and issued a new draft.</p>';
+        } else if (yourTurn) {
+            footer = this.renderForm();
+        } else if (signing.signers.some(signer => signer.role === signing.your_role && !signer.signed_at)) {
+            footer = `<p style="color: #6b7280; margin-top: 0.75rem;">You can sign once the ${signing.next_signer} has signed.</p>`;
+        }
+
+        container.innerHTML = `
+            <h4 style="margin: 1.5rem 0 0.5rem; color: #1e293b;">Signatures</h4>
+            ${signers}
+            ${footer}
+        `;
+
+        if (yourTurn) {
+            this.setupForm();
+        } else if (signing.awaiting_resolution) {
+            document.getElementById('resolveAgreementBtn').addEventListener('click', () => this.resolve());
+        }
+    }
+
+    // Retry resolving the case from the signed agreement
+    async resolve() {
+        const button = document.getElementById('resolveAgreementBtn');
+        button.disabled = true;
+
+        try {
+            const response = await window.authManager.apiRequest(`/cases/${this.caseId}/agreement/resolve`, {
+                method: 'POST'
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to resolve the case');
+            }
+
+            alert(data.message);
+            if (this.onSigned) {
+                await this.onSigned(data);
+            }
+        } catch (error) {
+            console.error('Failed to resolve case from agreement:', error);
+            alert('Failed to resolve the case: ' + error.message);
+            button.disabled = false;
+        }
+    }
+
+    renderForm() {
+        return `
+            <div style="margin-top: 1rem; padding-top: 1rem; border-top: 1px solid #e5e7eb;">
+                <p style="color: #374151; margin-bottom: 0.75rem;">It is your turn to sign. Your signature applies to draft ${this.agreement.version} exactly as shown above.</p>
+                <div style="display: flex; gap: 1rem; margin-bottom: 0.75rem;">
+                    <label><input type="radio" name="signatureType" value="typed" checked> Type my name</label>
+                    <label><input type="radio" name="signatureType" value="drawn"> Draw my signature</label>
+                </div>
+                <div id="typedSignature" class="form-group">
+                    <input type="text" id="signatureText" maxlength="255" placeholder="Your full name">
+                    <div id="signaturePreview" style="font-family: 'Brush Script MT', cursive; font-size: 1.75rem; color: #1e293b; min-height: 2.5rem; margin-top: 0.5rem;"></div>
+                </div>
+                <div id="drawnSignature" style="display: none; margin-bottom: 0.75rem;">
+                    <canvas id="signaturePad" width="400" height="120" style="border: 1px dashed #9ca3af; border-radius: 6px; background: white; touch-action: none; max-width: 100%;"></canvas>
+                    <div><button id="clearSignatureBtn" class="btn-link" style="font-size: 0.875rem;">Clear</button></div>
+                </div>
+                <label style="display: block; font-size: 0.875rem; color: #374151; margin-bottom: 0.75rem;">
+                    <input type="checkbox" id="signatureConsent">
+                    I have read this agreement and agree to sign it electronically. My name, the time and my IP address will be recorded with my signature.
+                </label>
+                <button id="signAgreementBtn" class="btn-primary">Sign Agreement</button>
+            </div>
+        `;
+    }
+
+    setupForm() {
+        document.querySelectorAll('input[name="signatureType"]').forEach(input => {
+            input.addEventListener('change', () => {
+                this.signatureType = input.value;
+                document.getElementById('typedSignature').style.display = input.value === 'typed' ? 'block' : 'none';
+                document.getElementById('drawnSignature').style.display = input.value === 'drawn' ? 'block' : 'none';
+            });
+        });
+        this.signatureType = 'typed';
+
+        const textInput = document.getElementById('signatureText');
+        textInput.addEventListener('input', () => {
+            document.getElementById('signaturePreview').textContent = textInput.value;
+        });
+
+        this.setupPad(document.getElementById('signaturePad'));
+        document.getElementById('clearSignatureBtn').addEventListener('click', () => {
+            const canvas = document.getElementById('signaturePad');
+            canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+            this.hasDrawing = false;
+        });
+
+        document.getElementById('signAgreementBtn').addEventListener('click', () => this.submit());
+    }
+
+    setupPad(canvas) {
+        const context = canvas.getContext('2d');
+        context.lineWidth = 2;
+        context.lineCap = 'round';
+        context.strokeStyle = '#1e293b';
+        this.hasDrawing = false;
+
+        // The canvas may be scaled down by CSS; map pointer positions onto its pixels
+        const position = (event) => {
+            const rect = canvas.getBoundingClientRect();
+            return {
+                x: (event.clientX - rect.left) * (canvas.width / rect.width),
+                y: (event.clientY - rect.top) * (canvas.height / rect.height)
+            };
+        };
+
+        let drawing = false;
+        canvas.addEventListener('pointerdown', (event) => {
+            drawing = true;
+            canvas.setPointerCapture(event.pointerId);
+            const { x, y } = position(event);
+            context.beginPath();
+            context.moveTo(x, y);
+        });
+        canvas.addEventListener('pointermove', (event) => {
+            if (!drawing) return;
+            const { x, y } = position(event);
+            context.lineTo(x, y);
+            context.stroke();
+            this.hasDrawing = true;
+        });
+        ['pointerup', 'pointerleave'].forEach(type => canvas.addEventListener(type, () => {
+            drawing = false;
+        }));
+    }
+
+    async submit() {
+        const body = {
+            signature_type: this.signatureType,
+            content_hash: this.agreement.content_hash,
+            consent: document.getElementById('signatureConsent').checked
+        };
+
+        if (!body.consent) {
+            alert('Please confirm that you agree to sign electronically');
+            return;
+        }
+
+        if (this.signatureType === 'typed') {
+            body.signature_text = document.getElementById('signatureText').value.trim();
+            if (!body.signature_text) {
+                alert('Please type your full name');
+                return;
+            }
+        } else {
+            if (!this.hasDrawing) {
+                alert('Please draw your signature');
+                return;
+            }
+            body.signature_image = document.getElementById('signaturePad').toDataURL('image/png');
+        }
+
+        const button = document.getElementById('signAgreementBtn');
+        button.disabled = true;
+
+        try {
+            const response = await window.authManager.apiRequest(`/cases/${this.caseId}/agreement/sign`, {
+                method: 'POST',
+                body: JSON.stringify(body)
+            });
+
+            const data = await response.json();
+
+            // The signature was stored; only resolving the case is left to retry
+            if (data.code === 'RESOLUTION_FAILED') {
+                alert(data.error);
+                if (this.onSigned) {
+                    await this.onSigned(data);
+                }
+                return;
+            }
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to sign the agreement');
+            }
+
+            alert(data.message);
+            if (this.onSigned) {
+                await this.onSigned(data);
+            }
+        } catch (error) {
+            console.error('Failed to sign agreement:', error);
+            alert('Failed to sign the agreement: ' + error.message);
+            button.disabled = false;
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+window.AgreementSigningPanel = AgreementSigningPanel;
@@ -70,6 +70,27 @@ class CaseDetailsManager {
             
             // Load case files from API
             await this.loadCaseFiles();
+
+            // Load settlement offers and blind bidding
+            await this.loadOffers();
+            await this.loadBlindBidding();
+
+            // Load the drafted settlement agreement, if any
+            await this.loadAgreement();
+
+            // Load the case history
+            await this.loadTimeline();
+
+            // Load the case conversation once
+            if (!window.caseMessagesPanel && window.CaseMessagesPanel) {
+                window.caseMessagesPanel = new CaseMessagesPanel({
+                    caseId: this.caseId,
+                    messagesElementId: 'caseMessages',
+                    inputElementId: 'caseMessageInput',
+                    channelElementId: 'caseMessageChannel'
+                });
+                await window.caseMessagesPanel.init();
+            }
             
         } catch (error) {
             console.error('Failed to load case details:', error);
@@ -109,12 +130,23 @@ class CaseDetailsManager {
         }
 
         // Update parties information
-        this.updateElement('applicantName', this.user.profile?.full_name || this.user.email);
-        this.updateElement('applicantEmail', this.user.email);
+        if (case_.party_role === 'claimant') {
+            this.updateElement('applicantName', this.user.profile?.full_name || this.user.email);
+            this.updateElement('applicantEmail', this.user.email);
+        } else {
+            this.updateElement('applicantName', case_.user_email);
+            this.updateElement('applicantEmail', '');
+        }
+        this.updateElement('respondentName', case_.respondent_name || 'Not provided');
+        this.updateElement('respondentEmail', case_.respondent_email || '');
+        this.updateElement('respondentStatus', this.formatRespondentStatus(case_));
         
         // Update case description
         this.updateElement('caseDescription', case_.description);
 
+        // Update respondent response section
+        this.renderRespondentResponse();
+
         // Update resolution section
         if (case_.status === 'Resolved' && case_.resolution_notes) {
             this.showResolutionSection(case_.resolution_notes, case_.resolved_at);
@@ -124,6 +156,93 @@ class CaseDetailsManager {
         this.updateActionButtons();
     }
 
+    renderRespondentResponse() {
+        const section = document.getElementById('respondentResponseSection');
+        const container = document.getElementById('respondentResponse');
+        if (!section || !container) return;
+
+        const case_ = this.caseData;
+
+        if (case_.respondent_response) {
+            section.style.display = 'block';
+            container.innerHTML = `
+                <div style="margin-bottom: 0.75rem;">
+                    <span class="status-badge">${this.formatResponseType(case_.respondent_response)}</span>
+                    <span style="font-size: 0.875rem; color: #6b7280; margin-left: 0.5rem;">${this.formatDate(case_.respondent_responded_at)}</span>
+                </div>
+                ${case_.counter_claim_amount ? `<div style="margin-bottom: 0.75rem;"><strong>Counter-claim amount:</strong> ${this.formatCurrency(case_.counter_claim_amount)}</div>` : ''}
+                ${case_.respondent_statement ? `<p style="line-height: 1.6; color: #374151;">${this.escapeHtml(case_.respondent_statement)}</p>` : ''}
+            `;
+            return;
+        }
+
+        const isOpen = !['Resolved', 'Closed'].includes(case_.status);
+
+        if (case_.party_role === 'respondent' && isOpen) {
+            section.style.display = 'block';
+            container.innerHTML = `
+                <div class="form-group">
+                    <label for="responseType">Your answer</label>
+                    <select id="responseType">
+                        <option value="accept_liability">Accept liability</option>
+                        <option value="dispute">Dispute the claim</option>
+                        <option value="counter_claim">File a counter-claim</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="responseStatement">Statement</label>
+                    <textarea id="responseStatement" rows="5" placeholder="Explain your side of the dispute..."></textarea>
+                </div>
+                <div class="form-group" id="counterClaimGroup" style="display: none;">
+                    <label for="counterClaimAmount">Counter-claim amount ($)</label>
+                    <input type="number" id="counterClaimAmount" min="0" step="0.01" placeholder="0.00">
+                </div>
+                <button id="submitResponseBtn" class="btn-primary">Submit Response</button>
+            `;
+
+            document.getElementById('responseType').addEventListener('change', (e) => {
+                document.getElementById('counterClaimGroup').style.display = e.target.value === 'counter_claim' ? 'block' : 'none';
+            });
+            document.getElementById('submitResponseBtn').addEventListener('click', () => this.submitResponse());
+            return;
+        }
+
+        if (case_.respondent_id) {
+            section.style.display = 'block';
+            container.innerHTML = '<p style="color: #6b7280;">Awaiting the respondent\'s answer.</p>';
+        } else {
+            section.style.display = 'none';
+        }
+    }
+
+    async submitResponse() {
+        const responseType = document.getElementById('responseType')?.value;
+        const statement = document.getElementById('responseStatement')?.value.trim();
+        const counterClaimAmount = document.getElementById('counterClaimAmount')?.value;
+
+        if (!confirm('Submit your response? It cannot be changed afterwards.')) {
+            return;
+        }
+
+        try {
+            const response = await window.authManager.apiRequest(`/cases/${this.caseId}/response`, {
+                method: 'POST',
+                body: JSON.stringify({ responseType, statement, counterClaimAmount })
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to submit response');
+            }
+
+            this.caseData = data.case;
+            this.updateCaseDetails();
+        } catch (error) {
+            console.error('Failed to submit response:', error);
+            alert('Failed to submit response: ' + error.message);
+        }
+    }
+
     showResolutionSection(resolution, resolvedAt) {
         const resolutionSection = document.getElementById('resolutionSection');
         if (resolutionSection) {
@@ -136,9 +255,16 @@ class CaseDetailsManager {
     updateActionButtons() {
         const editButton = document.getElementById('editCaseBtn');
         const cancelButton = document.getElementById('cancelCaseBtn');
+        const inviteButton = document.getElementById('inviteOtherPartyBtn');
+
+        // Only the claimant can invite the other party, and only until they join
+        if (inviteButton) {
+            const canInvite = this.caseData.party_role === 'claimant' && !this.caseData.respondent_id;
+            inviteButton.style.display = canInvite ? 'block' : 'none';
+        }
 
-        // Only allow editing/cancelling of pending cases
-        if (this.caseData.status === 'Pending') {
+        // Only allow the claimant to edit/cancel pending cases
+        if (this.caseData.status === 'Pending' && this.caseData.party_role === 'claimant') {
             if (editButton) editButton.style.display = 'inline-block';
             if (cancelButton) cancelButton.style.display = 'inline-block';
         } else {
@@ -165,6 +291,488 @@ class CaseDetailsManager {
         }
     }
 
+    async loadOffers() {
+        const section = document.getElementById('offersSection');
+        if (!section) return;
+
+        // Offers are exchanged once both parties are on the case
+        if (!this.caseData.respondent_id) {
+            section.style.display = 'none';
+            return;
+        }
+
+        try {
+            const response = await window.authManager.apiRequest(`/cases/${this.caseId}/offers`);
+
+            if (!response.ok) {
+                console.warn('Failed to load settlement offers');
+                section.style.display = 'none';
+                return;
+            }
+
+            const data = await response.json();
+            section.style.display = 'block';
+            this.updateOffers(data.offers || [], data.claim || {}, data.role);
+        } catch (error) {
+            console.error('Failed to load settlement offers:', error);
+            section.style.display = 'none';
+        }
+    }
+
+    updateOffers(offers, claim, role) {
+        const claimContainer = document.getElementById('offerClaim');
+        const listContainer = document.getElementById('offersList');
+        const formContainer = document.getElementById('offerForm');
+        if (!listContainer || !formContainer) return;
+
+        if (claimContainer) {
+            const claimParts = [];
+            if (claim.amount_involved) claimParts.push(`Amount claimed: ${this.formatCurrency(claim.amount_involved)}`);
+            if (claim.preferred_resolution) claimParts.push(`Preferred resolution: ${this.escapeHtml(claim.preferred_resolution)}`);
+            if (claim.counter_claim_amount) claimParts.push(`Counter-claim: ${this.formatCurrency(claim.counter_claim_amount)}`);
+            claimContainer.innerHTML = claimParts.join(' • ');
+        }
+
+        const statusColors = {
+            pending: '#2563eb',
+            accepted: '#16a34a',
+            rejected: '#dc2626',
+            countered: '#d97706',
+            expired: '#6b7280'
+        };
+
+        listContainer.innerHTML = offers.length === 0
+            ? '<p style="color: #666;">No offers yet</p>'
+            : offers.map(offer => `
+                <div style="padding: 1rem; border: 1px solid #e5e7eb; border-left: 4px solid ${statusColors[offer.status] || '#6b7280'}; border-radius: 8px; margin-bottom: 0.75rem;">
+                    <div style="display: flex; justify-content: space-between; margin-bottom: 0.5rem;">
+                        <strong>${offer.offered_by_role === role ? 'Your offer' : `${offer.offered_by_role === 'claimant' ? 'Claimant' : 'Respondent'}'s offer`}</strong>
+                        <span style="font-size: 0.875rem; color: ${statusColors[offer.status] || '#6b7280'}; text-transform: capitalize;">${offer.status}</span>
+                    </div>
+                    ${offer.amount !== null ? `<div>${this.formatCurrency(offer.amount)}${offer.percent_of_claim !== null ? ` <span style="color: #6b7280; font-size: 0.875rem;">(${offer.percent_of_claim}% of claim)</span>` : ''}</div>` : ''}
+                    ${offer.terms ? `<p style="line-height: 1.6; color: #374151; margin-top: 0.25rem;">${this.escapeHtml(offer.terms)}</p>` : ''}
+                    ${offer.response_note ? `<p style="color: #6b7280; margin-top: 0.25rem;">Reason: ${this.escapeHtml(offer.response_note)}</p>` : ''}
+                    <div style="font-size: 0.875rem; color: #6b7280; margin-top: 0.25rem;">
+                        ${this.formatDate(offer.created_at)}${offer.status === 'pending' ? ` • Expires ${this.formatDate(offer.expires_at)}` : ''}
+                    </div>
+                    ${offer.status === 'pending' && offer.offered_by_role !== role && ['claimant', 'respondent'].includes(role) ? `
+                        <div style="display: flex; gap: 0.5rem; margin-top: 0.75rem;">
+                            <button class="btn-primary" onclick="window.caseDetailsManager.respondToOffer('${offer.id}', 'accept')">Accept</button>
+                            <button class="btn-secondary" onclick="window.caseDetailsManager.respondToOffer('${offer.id}', 'reject')">Reject</button>
+                            <button class="btn-secondary" onclick="window.caseDetailsManager.showOfferForm('${offer.id}')">Counter</button>
+                        </div>
+                    ` : ''}
+                </div>
+            `).join('');
+
+        // Parties can open a new offer when nothing is waiting for an answer
+        const isOpen = !['Resolved', 'Closed'].includes(this.caseData.status);
+        const hasPending = offers.some(offer => offer.status === 'pending');
+
+        formContainer.innerHTML = '';
+        if (isOpen && !hasPending && ['claimant', 'respondent'].includes(role)) {
+            this.showOfferForm(null);
+        }
+    }
+
+    showOfferForm(counterOfferId) {
+        const formContainer = document.getElementById('offerForm');
+        if (!formContainer) return;
+
+        formContainer.innerHTML = `
+            <div style="margin-top: 1rem; padding-top: 1rem; border-top: 1px solid #e5e7eb;">
+                <h4 style="margin-bottom: 0.75rem; color: #1e293b;">${counterOfferId ? 'Counter-offer' : 'Make an offer'}</h4>
+                <div class="form-group">
+                    <label for="offerAmount">Amount ($)</label>
+                    <input type="number" id="offerAmount" min="0" step="0.01" placeholder="Leave blank for a non-monetary offer">
+                </div>
+                <div class="form-group">
+                    <label for="offerTerms">Terms</label>
+                    <textarea id="offerTerms" rows="3" placeholder="e.g. replacement product, apology, repayment schedule..."></textarea>
+                </div>
+                <div class="form-group">
+                    <label for="offerExpiry">Open for (days)</label>
+                    <input type="number" id="offerExpiry" min="1" max="30" value="7">
+                </div>
+                <button id="submitOfferBtn" class="btn-primary">${counterOfferId ? 'Send Counter-offer' : 'Send Offer'}</button>
+            </div>
+        `;
+
+        document.getElementById('submitOfferBtn').addEventListener('click', () => this.submitOffer(counterOfferId));
+    }
+
+    async submitOffer(counterOfferId) {
+        const amount = document.getElementById('offerAmount')?.value;
+        const terms = document.getElementById('offerTerms')?.value.trim();
+        const expiresInDays = document.getElementById('offerExpiry')?.value;
+
+        if (!amount && !terms) {
+            alert('Please enter an amount, terms, or both');
+            return;
+        }
+
+        const endpoint = counterOfferId
+            ? `/cases/${this.caseId}/offers/${counterOfferId}/counter`
+            : `/cases/${this.caseId}/offers`;
+
+        try {
+            const response = await window.authManager.apiRequest(endpoint, {
+                method: 'POST',
+                body: JSON.stringify({ amount: amount || null, terms, expiresInDays })
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to send offer');
+            }
+
+            await this.loadOffers();
+            await this.loadTimeline();
+        } catch (error) {
+            console.error('Failed to send offer:', error);
+            alert('Failed to send offer: ' + error.message);
+        }
+    }
+
+    async respondToOffer(offerId, action) {
+        let body = {};
+
+        if (action === 'accept') {
+            if (!confirm('Accept this offer? A settlement agreement on these terms will be prepared for both of you to sign.')) {
+                return;
+            }
+        } else {
+            const reason = prompt('Reason for rejecting (optional):');
+            if (reason === null) return;
+            body = { reason };
+        }
+
+        try {
+            const response = await window.authManager.apiRequest(`/cases/${this.caseId}/offers/${offerId}/${action}`, {
+                method: 'POST',
+                body: JSON.stringify(body)
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || `Failed to ${action} offer`);
+            }
+
+            // Accepting sends the settlement agreement for signature, so reload everything
+            await this.loadCaseDetails();
+        } catch (error) {
+            console.error(`Failed to ${action} offer:`, error);
+            alert(`Failed to ${action} offer: ` + error.message);
+        }
+    }
+
+    async loadBlindBidding() {
+        const section = document.getElementById('blindBiddingSection');
+        const container = document.getElementById('blindBidding');
+        if (!section || !container) return;
+
+        try {
+            const response = await window.authManager.apiRequest(`/cases/${this.caseId}/blind-bidding`);
+
+            if (!response.ok) {
+                section.style.display = 'none';
+                return;
+            }
+
+            const data = await response.json();
+            const isOpen = !['Resolved', 'Closed'].includes(this.caseData.status);
+            const canStart = data.role === 'claimant' && isOpen && this.caseData.amount_involved &&
+                (!data.session || data.session.status !== 'active');
+
+            if (!data.session && !canStart) {
+                section.style.display = 'none';
+                return;
+            }
+
+            section.style.display = 'block';
+            container.innerHTML = this.renderBlindBidding(data, canStart);
+
+            const bidButton = document.getElementById('submitBidBtn');
+            if (bidButton) {
+                bidButton.addEventListener('click', () => this.submitBid());
+            }
+            const startButton = document.getElementById('startBlindBiddingBtn');
+            if (startButton) {
+                startButton.addEventListener('click', () => this.startBlindBidding());
+            }
+        } catch (error) {
+            console.error('Failed to load blind bidding:', error);
+            section.style.display = 'none';
+        }
+    }
+
+    renderBlindBidding(data, canStart) {
+        const session = data.session;
+        const bidLabel = data.role === 'claimant' ? 'The least you will accept ($)' : 'The most you will pay ($)';
+
+        if (!session) {
+            return `
+                <p style="color: #6b7280; margin-bottom: 1rem;">Settle the amount by exchanging private bids. Neither side sees the other's numbers.</p>
+                <button id="startBlindBiddingBtn" class="btn-primary">Start Blind Bidding</button>
+            `;
+        }
+
+        const statusText = {
+            active: `Round ${session.current_round} of ${session.max_rounds}`,
+            settled: `Settled at ${this.formatCurrency(session.settlement_amount)} in round ${session.settled_round}`,
+            failed: `No agreement after ${session.max_rounds} rounds`,
+            cancelled: 'Cancelled'
+        };
+
+        return `
+            <div style="margin-bottom: 0.75rem;">
+                <strong>${statusText[session.status] || session.status}</strong>
+                <span style="font-size: 0.875rem; color: #6b7280; margin-left: 0.5rem;">Settles when bids are within ${session.tolerance_percent}% of each other</span>
+            </div>
+            ${data.your_bids && data.your_bids.length > 0 ? `
+                <div style="font-size: 0.875rem; color: #374151; margin-bottom: 0.75rem;">
+                    Your bids: ${data.your_bids.map(bid => `round ${bid.round}: ${this.formatCurrency(bid.amount)}`).join(' • ')}
+                </div>
+            ` : ''}
+            ${data.awaiting_other_party ? '<p style="color: #6b7280;">Waiting for the other party\'s bid.</p>' : ''}
+            ${data.awaiting_your_bid ? `
+                <div class="form-group">
+                    <label for="bidAmount">${bidLabel}</label>
+                    <input type="number" id="bidAmount" min="0" step="0.01" placeholder="0.00">
+                </div>
+                <button id="submitBidBtn" class="btn-primary">Submit Sealed Bid</button>
+            ` : ''}
+            ${canStart ? '<button id="startBlindBiddingBtn" class="btn-secondary" style="margin-top: 0.75rem;">Start Again</button>' : ''}
+        `;
+    }
+
+    async startBlindBidding() {
+        try {
+            const response = await window.authManager.apiRequest(`/cases/${this.caseId}/blind-bidding`, {
+                method: 'POST'
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to start blind bidding');
+            }
+
+            await this.loadBlindBidding();
+            await this.loadTimeline();
+        } catch (error) {
+            console.error('Failed to start blind bidding:', error);
+            alert('Failed to start blind bidding: ' + error.message);
+        }
+    }
+
+    async submitBid() {
+        const amount = document.getElementById('bidAmount')?.value;
+
+        if (!amount) {
+            alert('Please enter your bid');
+            return;
+        }
+
+        if (!confirm(`Submit a sealed bid of ${this.formatCurrency(amount)}? It cannot be changed for this round.`)) {
+            return;
+        }
+
+        try {
+            const response = await window.authManager.apiRequest(`/cases/${this.caseId}/blind-bidding/bids`, {
+                method: 'POST',
+                body: JSON.stringify({ amount })
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to submit bid');
+            }
+
+            alert(data.message);
+
+            // A settled bid sends the settlement agreement for signature, so reload everything
+            await this.loadCaseDetails();
+        } catch (error) {
+            console.error('Failed to submit bid:', error);
+            alert('Failed to submit bid: ' + error.message);
+        }
+    }
+
+    async loadTimeline() {
+        try {
+            const response = await window.authManager.apiRequest(`/cases/${this.caseId}/timeline`);
+
+            if (response.ok) {
+                const data = await response.json();
+                this.updateTimeline(data.timeline || []);
+            } else {
+                console.warn('Failed to load case timeline');
+                this.updateTimeline([]);
+            }
+        } catch (error) {
+            console.error('Failed to load case timeline:', error);
+            this.updateTimeline([]);
+        }
+    }
+
+    async loadAgreement() {
+        const section = document.getElementById('agreementSection');
+        const container = document.getElementById('settlementAgreement');
+        if (!section || !container) return;
+
+        try {
+            const response = await window.authManager.apiRequest(`/cases/${this.caseId}/agreement`);
+
+            if (!response.ok) {
+                section.style.display = 'none';
+                return;
+            }
+
+            const data = await response.json();
+            container.innerHTML = this.renderAgreement(data.agreement);
+            section.style.display = 'block';
+
+            if (window.AgreementSigningPanel) {
+                new AgreementSigningPanel({
+                    caseId: this.caseId,
+                    containerId: 'agreementSigning',
+                    onSigned: () => this.loadCaseDetails()
+                }).render(data.agreement, data.signing);
+            }
+        } catch (error) {
+            console.error('Failed to load settlement agreement:', error);
+            section.style.display = 'none';
+        }
+    }
+
+    renderAgreement(agreement) {
+        const { content } = agreement;
+
+        const parties = content.parties.map(party => `
+            <div style="font-size: 0.875rem; color: #374151;">
+                <strong>${party.role === 'claimant' ? 'Claimant' : 'Respondent'}:</strong>
+                ${this.escapeHtml([party.name, party.address, party.email].filter(Boolean).join(', ') || 'Not provided')}
+            </div>
+        `).join('');
+
+        const missing = content.missing.length > 0 ? `
+            <div style="background: #fffbeb; border: 1px solid #fcd34d; border-radius: 6px; padding: 0.75rem; margin: 1rem 0; font-size: 0.875rem; color: #92400e;">
+                <strong>To be completed before signing:</strong> ${this.escapeHtml(content.missing.join(', '))}
+            </div>
+        ` : '';
+
+        const clauses = content.clauses.map((clause, i) => `
+            <div style="margin-bottom: 1rem;">
+                <div style="font-weight: 600; color: #1e293b;">${i + 1}. ${this.escapeHtml(clause.heading)}</div>
+                <p style="line-height: 1.6; color: #374151; margin: 0.25rem 0 0 1rem; white-space: pre-wrap;">${this.escapeHtml(clause.text)}</p>
+            </div>
+        `).join('');
+
+        return `
+            <p style="color: #6b7280; margin-bottom: 1rem;">Please review this agreement before signing. If anything is wrong or missing, tell your mediator in the messages so a corrected draft can be prepared by the case administrator. The case is resolved once everyone has signed.</p>
+            <div style="font-weight: 600; font-size: 1.1rem; color: #1e293b;">${this.escapeHtml(content.title)}</div>
+            <div style="font-size: 0.875rem; color: #6b7280; margin-bottom: 1rem;">
+                Case ${this.escapeHtml(content.reference)} • Draft ${agreement.version} • ${this.formatDate(agreement.created_at)}
+            </div>
+            ${parties}
+            ${content.mediator ? `<div style="font-size: 0.875rem; color: #6b7280;">Mediated by ${this.escapeHtml(content.mediator)}</div>` : ''}
+            ${missing}
+            <div style="max-height: 400px; overflow-y: auto; border-top: 1px solid #e5e7eb; padding-top: 1rem; margin-top: 1rem;">
+                ${clauses}
+            </div>
+            <div style="font-size: 0.75rem; color: #6b7280; font-family: monospace; margin-top: 0.5rem;" title="SHA-256 of the agreement text">Document hash ${agreement.content_hash}</div>
+            <div style="display: flex; gap: 0.5rem; margin-top: 1rem;">
+                <button onclick="downloadAgreement('pdf')" class="btn-primary">Download PDF</button>
+                <button onclick="downloadAgreement('docx')" class="btn-secondary">Download Word</button>
+            </div>
+            <div id="agreementSigning"></div>
+        `;
+    }
+
+    updateTimeline(entries) {
+        const timelineContainer = document.getElementById('timeline');
+        if (!timelineContainer) return;
+
+        if (!entries || entries.length === 0) {
+            timelineContainer.innerHTML = '<p style="color: #666;">No history yet</p>';
+            return;
+        }
+
+        timelineContainer.innerHTML = entries.map(entry => `
+            <div style="margin-bottom: 1.25rem;">
+                <div style="font-weight: 500; color: #1e293b;">${this.escapeHtml(this.describeTimelineEntry(entry))}</div>
+                ${entry.notes && entry.update_type !== 'case_edited' ? `<div style="color: #374151; margin-top: 0.25rem;">${this.escapeHtml(entry.notes)}</div>` : ''}
+                <div style="font-size: 0.875rem; color: #6b7280; margin-top: 0.25rem;">
+                    ${this.formatDate(entry.created_at)}${entry.updated_by_user ? ` • ${this.escapeHtml(entry.updated_by_user.full_name)}` : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    describeTimelineEntry(entry) {
+        const fieldNames = {
+            'description': 'Description',
+            'preferred_resolution': 'Preferred resolution'
+        };
+
+        switch (entry.update_type) {
+            case 'case_created':
+                return 'Case submitted';
+            case 'status_change':
+                return `Status changed from ${this.formatStatus(entry.old_value)} to ${this.formatStatus(entry.new_value)}`;
+            case 'department_assigned':
+                return `Assigned to ${entry.new_value} department`;
+            case 'case_edited':
+                return `${fieldNames[entry.notes] || entry.notes} updated`;
+            case 'file_uploaded':
+                return `File uploaded: ${entry.new_value}`;
+            case 'file_deleted':
+                return `File deleted: ${entry.old_value}`;
+            case 'file_replaced':
+                return `File replaced: ${entry.old_value} → ${entry.new_value}`;
+            case 'mediator_assigned':
+                return `Mediator assigned: ${entry.new_value}`;
+            case 'mediator_assignment_failed':
+                return 'No mediator could be assigned yet';
+            case 'mediator_recused':
+                return 'Mediator recused from the case';
+            case 'conflict_declared':
+                return 'Mediator declared no conflict of interest';
+            case 'conflict_override':
+                return `Conflict-of-interest check overridden for ${entry.new_value}`;
+            case 'outcome_proposed':
+                return `Mediator proposed an outcome: ${entry.new_value}`;
+            case 'offer_made':
+                return `Settlement offer made: ${entry.new_value}`;
+            case 'offer_countered':
+                return `Counter-offer made: ${entry.new_value}`;
+            case 'offer_accepted':
+                return `Settlement offer accepted: ${entry.new_value}`;
+            case 'offer_rejected':
+                return `Settlement offer rejected: ${entry.old_value}`;
+            case 'offer_expired':
+                return `Settlement offer expired: ${entry.old_value}`;
+            case 'blind_bidding_started':
+                return `Blind bidding started (${entry.new_value})`;
+            case 'blind_bid_round_closed':
+                return 'Blind bidding round closed without agreement';
+            case 'blind_bidding_settled':
+                return `Settled by blind bidding at ${entry.new_value}`;
+            case 'blind_bidding_failed':
+                return 'Blind bidding ended without agreement';
+            case 'blind_bidding_cancelled':
+                return 'Blind bidding cancelled';
+            case 'agreement_drafted':
+                return `Settlement agreement drafted (${entry.new_value})`;
+            case 'agreement_signed':
+                return `Settlement agreement signed by ${entry.new_value}`;
+            case 'respondent_response':
+                return `Respondent response: ${this.formatResponseType(entry.new_value)}`;
+            default:
+                return entry.update_type.replace(/_/g, ' ');
+        }
+    }
+
     updateFilesList(files) {
         const filesContainer = document.getElementById('caseFiles');
         if (!filesContainer) return;
@@ -177,20 +785,111 @@ class CaseDetailsManager {
         filesContainer.innerHTML = files.map(file => `
             <div style="display: flex; align-items: center; justify-content: space-between; padding: 12px; border: 1px solid #ddd; border-radius: 6px; margin-bottom: 8px;">
                 <div style="display: flex; align-items: center; gap: 12px;">
-                    <div style="font-size: 24px;">${this.getFileIcon(file.file_type)}</div>
+                    ${file.thumbnail_path
+                        ? `<img data-thumbnail-file="${file.id}" alt="Preview of ${this.escapeHtml(file.file_name)}" style="width: 48px; height: 48px; object-fit: cover; border-radius: 4px; background: #f3f4f6;">`
+                        : `<div style="font-size: 24px;">${this.getFileIcon(file.file_type)}</div>`}
                     <div>
-                        <div style="font-weight: 500;">${this.escapeHtml(file.file_name)}</div>
+                        <div style="font-weight: 500;">${this.escapeHtml(file.file_name)}${file.version > 1 ? ` <span style="font-size: 11px; color: var(--medium-gray);">v${file.version}</span>` : ''}</div>
                         <div style="font-size: 12px; color: var(--medium-gray);">
                             ${this.formatFileSize(file.file_size)} • ${this.formatDate(file.created_at)}
                         </div>
+                        ${file.content_hash ? `<div style="font-size: 11px; color: var(--medium-gray); font-family: monospace;" title="SHA-256 ${file.content_hash}">SHA-256 ${file.content_hash.slice(0, 16)}…</div>` : ''}
+                        ${(file.previous_versions || []).map(version => `
+                            <div style="font-size: 12px; color: var(--medium-gray);">
+                                v${version.version}: ${this.escapeHtml(version.file_name)} • replaced ${this.formatDate(version.superseded_at)}
+                                <button onclick="downloadFile('${version.id}')" class="btn-link" style="font-size: 12px;">Download</button>
+                            </div>
+                        `).join('')}
                     </div>
                 </div>
                 <div style="display: flex; gap: 8px;">
                     <button onclick="downloadFile('${file.id}')" class="btn-link">Download</button>
+                    ${this.canReplaceFile(file) ? `<button onclick="replaceFile('${file.id}')" class="btn-link">Replace</button>` : ''}
                     ${this.caseData.status === 'Pending' ? `<button onclick="deleteFile('${file.id}')" class="btn-link" style="color: var(--error-color);">Delete</button>` : ''}
                 </div>
             </div>
         `).join('');
+
+        this.loadThumbnails(filesContainer);
+    }
+
+    // Previews come from an authenticated endpoint, so fetch each one and show it
+    // from a blob URL (released when the list is redrawn)
+    async loadThumbnails(container) {
+        (this.thumbnailUrls || []).forEach(url => URL.revokeObjectURL(url));
+        this.thumbnailUrls = [];
+
+        for (const img of container.querySelectorAll('img[data-thumbnail-file]')) {
+            try {
+                const response = await window.authManager.apiRequest(`/upload/file/${img.dataset.thumbnailFile}/thumbnail`);
+                if (!response.ok) continue;
+
+                const url = URL.createObjectURL(await response.blob());
+                this.thumbnailUrls.push(url);
+                img.src = url;
+            } catch (error) {
+                console.error('Failed to load preview:', error);
+            }
+        }
+    }
+
+    // The claimant or the file's uploader can replace it while the case is open
+    canReplaceFile(file) {
+        const user = window.authManager.user;
+        const open = !['Resolved', 'Closed'].includes(this.caseData.status);
+        return open && user && (this.caseData.user_id === user.id || file.uploaded_by === user.id);
+    }
+
+    async verifyEvidence() {
+        const container = document.getElementById('evidenceVerification');
+        if (!container) return;
+
+        try {
+            const response = await window.authManager.apiRequest(`/upload/case/${this.caseId}/verify`);
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Verification failed');
+            }
+
+            const problems = data.files.filter(file => file.status === 'mismatch' || file.status === 'missing');
+
+            container.style.display = 'block';
+            container.innerHTML = `
+                <div style="padding: 12px; border-radius: 6px; background: ${data.verified ? '#ecfdf5' : '#fef2f2'}; color: ${data.verified ? '#065f46' : '#991b1b'};">
+                    <strong>${data.verified ? '✓ All evidence verified' : '⚠ Evidence integrity problem'}</strong>
+                    <div style="font-size: 0.875rem; margin-top: 0.25rem;">
+                        ${data.files.length} file${data.files.length === 1 ? '' : 's'} checked •
+                        custody log ${data.chain.valid ? `intact (${data.chain.entries} entries)` : `broken at entry ${data.chain.brokenAt}: ${this.escapeHtml(data.chain.reason)}`}
+                    </div>
+                    ${problems.map(file => `<div style="font-size: 0.875rem;">${this.escapeHtml(file.name)}: ${file.status === 'missing' ? 'stored file is missing' : 'contents do not match the hash taken on upload'}</div>`).join('')}
+                </div>
+            `;
+        } catch (error) {
+            console.error('Failed to verify evidence:', error);
+            alert('Failed to verify evidence: ' + error.message);
+        }
+    }
+
+    async exportCustodyLog() {
+        try {
+            const response = await window.authManager.apiRequest(`/upload/case/${this.caseId}/custody?format=csv`);
+            if (!response.ok) {
+                throw new Error('Export failed');
+            }
+
+            const blob = await response.blob();
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `custody-log-${this.caseId}.csv`;
+            document.body.appendChild(a);
+            a.click();
+            window.URL.revokeObjectURL(url);
+            document.body.removeChild(a);
+        } catch (error) {
+            console.error('Failed to export custody log:', error);
+            alert('Failed to export custody log');
+        }
     }
 
     setupEventListeners() {
@@ -218,6 +917,32 @@ class CaseDetailsManager {
         window.location.href = `edit-case.html?id=${this.caseId}`;
     }
 
+    async inviteOtherParty() {
+        const email = prompt('Enter the other party\'s email address:', this.caseData?.respondent_email || '');
+        if (!email) {
+            return;
+        }
+
+        try {
+            const response = await window.authManager.apiRequest(`/cases/${this.caseId}/invite`, {
+                method: 'POST',
+                body: JSON.stringify({ respondentEmail: email })
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to send invitation');
+            }
+
+            this.caseData = { ...this.caseData, ...data.case };
+            this.updateCaseDetails();
+            alert(data.message || `Invitation sent to ${email}`);
+        } catch (error) {
+            console.error('Failed to invite other party:', error);
+            alert('Failed to send invitation: ' + error.message);
+        }
+    }
+
     async cancelCase() {
         if (!confirm('Are you sure you want to cancel this case? This action cannot be undone.')) {
             return;
@@ -275,6 +1000,21 @@ class CaseDetailsManager {
         return statuses[status] || status;
     }
 
+    formatResponseType(type) {
+        const types = {
+            'accept_liability': 'Liability Accepted',
+            'dispute': 'Claim Disputed',
+            'counter_claim': 'Counter-Claim Filed'
+        };
+        return types[type] || type;
+    }
+
+    formatRespondentStatus(case_) {
+        if (case_.respondent_id) return 'Joined the case';
+        if (case_.respondent_invited_at) return `Invited ${this.formatDate(case_.respondent_invited_at)}`;
+        return 'Not invited yet';
+    }
+
     formatDisputeType(type) {
         const types = {
             'consumer': 'Consumer Dispute',
@@ -331,26 +1071,87 @@ class CaseDetailsManager {
 // Global functions for file operations
 async function downloadFile(fileId) {
     try {
-        const response = await window.authManager.apiRequest(`/upload/download/${fileId}`);
-        if (response.ok) {
-            const blob = await response.blob();
-            const url = window.URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = 'file';
-            document.body.appendChild(a);
-            a.click();
-            window.URL.revokeObjectURL(url);
-            document.body.removeChild(a);
-        } else {
-            throw new Error('Download failed');
+        // Ask for a short-lived signed link and let the browser download it
+        const response = await window.authManager.apiRequest(`/upload/file/${fileId}/link`, {
+            method: 'POST'
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Download failed');
         }
+
+        window.location.href = data.url;
     } catch (error) {
         console.error('Download failed:', error);
-        alert('Failed to download file');
+        alert('Failed to download file: ' + error.message);
+    }
+}
+
+async function downloadAgreement(format) {
+    const caseId = window.caseDetailsManager.caseId;
+
+    try {
+        const response = await window.authManager.apiRequest(`/cases/${caseId}/agreement/download?format=${format}`);
+
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || 'Download failed');
+        }
+
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `case-${caseId.slice(0, 8)}-agreement.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+        console.error('Agreement download failed:', error);
+        alert('Failed to download agreement: ' + error.message);
     }
 }
 
+function replaceFile(fileId) {
+    // Pick the corrected file, then upload it as the next version
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.pdf,.doc,.docx,.jpg,.jpeg,.png,.txt';
+
+    input.onchange = async () => {
+        const file = input.files[0];
+        if (!file) return;
+
+        try {
+            const formData = new FormData();
+            formData.append('file', file);
+
+            const response = await window.authManager.apiRequest(`/upload/file/${fileId}/replace`, {
+                method: 'POST',
+                body: formData,
+                // Let the browser set the multipart boundary
+                headers: {}
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Replace failed');
+            }
+
+            if (window.caseDetailsManager) {
+                await window.caseDetailsManager.loadCaseFiles();
+                await window.caseDetailsManager.loadTimeline();
+            }
+        } catch (error) {
+            console.error('Replace failed:', error);
+            alert('Failed to replace file: ' + error.message);
+        }
+    };
+
+    input.click();
+}
+
 async function deleteFile(fileId) {
     if (!confirm('Are you sure you want to delete this file?')) {
         return;
@@ -362,9 +1163,10 @@ async function deleteFile(fileId) {
         });
 
         if (response.ok) {
-            // Reload case files
+            // Reload case files and history
             if (window.caseDetailsManager) {
                 await window.caseDetailsManager.loadCaseFiles();
+                await window.caseDetailsManager.loadTimeline();
             }
         } else {
             throw new Error('Delete failed');
@@ -0,0 +1,221 @@
+// Case Messages JavaScript - persisted, threaded messaging for a case
+class CaseMessagesPanel {
+    constructor({ caseId, messagesElementId, inputElementId, channelElementId }) {
+        this.caseId = caseId;
+        this.messagesEl = document.getElementById(messagesElementId);
+        this.inputEl = document.getElementById(inputElementId);
+        this.channelEl = channelElementId ? document.getElementById(channelElementId) : null;
+        this.messages = [];
+        this.role = null;
+        this.replyTo = null;
+        this.websocket = null;
+        this.pollInterval = null;
+        this.refreshRate = 10000;
+    }
+
+    async init() {
+        await this.loadMessages();
+        this.connectWebSocket();
+
+        // Poll as a fallback while the WebSocket is not connected
+        this.pollInterval = setInterval(() => {
+            if (!this.websocket) {
+                this.loadMessages();
+            }
+        }, this.refreshRate);
+
+        if (this.inputEl) {
+            this.inputEl.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter' && !e.shiftKey) {
+                    e.preventDefault();
+                    this.sendMessage();
+                }
+            });
+        }
+    }
+
+    async loadMessages() {
+        try {
+            const response = await window.authManager.apiRequest(`/cases/${this.caseId}/messages`);
+            if (!response.ok) {
+                throw new Error('Failed to load messages');
+            }
+
+            const data = await response.json();
+            this.role = data.role;
+            this.messages = data.messages || [];
+            this.updateChannelOptions();
+            this.render();
+        } catch (error) {
+            console.error('Failed to load messages:', error);
+            if (this.messagesEl) {
+                this.messagesEl.innerHTML = '<p style="color: #666; text-align: center;">Failed to load messages</p>';
+            }
+        }
+    }
+
+    async sendMessage() {
+        const text = this.inputEl?.value.trim();
+        if (!text) return;
+
+        const payload = { body: text };
+        if (this.replyTo) {
+            payload.parentId = this.replyTo;
+        } else if (this.channelEl && this.channelEl.value !== 'shared') {
+            payload.visibility = 'caucus';
+            payload.caucusParty = this.channelEl.value;
+        }
+
+        try {
+            const response = await window.authManager.apiRequest(`/cases/${this.caseId}/messages`, {
+                method: 'POST',
+                body: JSON.stringify(payload)
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to send message');
+            }
+
+            this.addMessage(data.caseMessage);
+            this.inputEl.value = '';
+            this.replyTo = null;
+        } catch (error) {
+            console.error('Failed to send message:', error);
+            alert('Failed to send message: ' + error.message);
+        }
+    }
+
+    addMessage(message) {
+        if (!message || this.messages.some(m => m.id === message.id)) return;
+        this.messages.push(message);
+        this.render();
+    }
+
+    setReplyTo(messageId) {
+        this.replyTo = messageId;
+        if (this.inputEl) {
+            this.inputEl.placeholder = messageId ? 'Type your reply...' : 'Type your message...';
+            this.inputEl.focus();
+        }
+    }
+
+    updateChannelOptions() {
+        if (!this.channelEl) return;
+
+        // Parties can only caucus with the mediator on their own behalf
+        const options = [{ value: 'shared', label: 'Everyone on the case' }];
+        if (this.role === 'mediator' || this.role === 'admin') {
+            options.push({ value: 'claimant', label: 'Private caucus: claimant' });
+            options.push({ value: 'respondent', label: 'Private caucus: respondent' });
+        } else if (this.role === 'claimant' || this.role === 'respondent') {
+            options.push({ value: this.role, label: 'Private caucus with mediator' });
+        }
+
+        const current = this.channelEl.value;
+        this.channelEl.innerHTML = options.map(option =>
+            `<option value="${option.value}">${option.label}</option>`
+        ).join('');
+        if (options.some(option => option.value === current)) {
+            this.channelEl.value = current;
+        }
+    }
+
+    render() {
+        if (!this.messagesEl) return;
+
+        if (this.messages.length === 0) {
+            this.messagesEl.innerHTML = '<p style="color: #666; text-align: center;">No messages yet</p>';
+            return;
+        }
+
+        // Top-level messages with their replies nested underneath
+        const roots = this.messages.filter(m => !m.parent_id || !this.messages.some(p => p.id === m.parent_id));
+        this.messagesEl.innerHTML = roots.map(message => this.renderThread(message, 0)).join('');
+        this.messagesEl.scrollTop = this.messagesEl.scrollHeight;
+    }
+
+    renderThread(message, depth) {
+        const replies = this.messages.filter(m => m.parent_id === message.id);
+        return this.renderMessage(message, depth) + replies.map(reply => this.renderThread(reply, depth + 1)).join('');
+    }
+
+    renderMessage(message, depth) {
+        const colors = {
+            mediator: { background: '#f8fafc', border: '#2563eb' },
+            claimant: { background: '#fef3c7', border: '#f59e0b' },
+            respondent: { background: '#dbeafe', border: '#3b82f6' },
+            admin: { background: '#f3f4f6', border: '#6b7280' }
+        };
+        const color = colors[message.sender_role] || colors.admin;
+        const isOwn = message.sender_id === window.authManager.user?.id;
+        const senderName = isOwn ? 'You' : (message.sender?.full_name || this.formatRole(message.sender_role));
+
+        return `
+            <div style="margin: 0 0 1rem ${depth * 1.5}rem; padding: 1rem; background: ${color.background}; border-radius: 8px; border-left: 4px solid ${color.border};">
+                <div style="font-weight: 600; color: #1e293b; margin-bottom: 0.5rem;">
+                    ${this.escapeHtml(senderName)} <span style="font-weight: 400; color: #6b7280;">(${this.formatRole(message.sender_role)})</span>
+                    ${message.visibility === 'caucus' ? `<span class="status-badge" style="margin-left: 0.5rem;">Private caucus: ${this.formatRole(message.caucus_party)}</span>` : ''}
+                </div>
+                <p style="color: #374151;">${this.escapeHtml(message.body)}</p>
+                <small style="color: #6b7280;">${new Date(message.created_at).toLocaleString()}</small>
+                <button onclick="window.caseMessagesPanel.setReplyTo('${message.id}')" class="btn-link" style="margin-left: 0.5rem; font-size: 0.75rem;">Reply</button>
+            </div>
+        `;
+    }
+
+    connectWebSocket() {
+        if (!window.authManager.getToken || !window.authManager.getToken()) return;
+
+        try {
+            const wsProtocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+            this.websocket = new WebSocket(`${wsProtocol}//${window.location.host}/ws/dashboard`);
+
+            this.websocket.onopen = () => {
+                this.websocket.send(JSON.stringify({
+                    type: 'auth',
+                    token: window.authManager.getToken()
+                }));
+            };
+
+            this.websocket.onmessage = (event) => {
+                try {
+                    const data = JSON.parse(event.data);
+                    if (data.type === 'case_message' && data.caseId === this.caseId) {
+                        this.addMessage(data.message);
+                    } else if (['settlement_offer', 'blind_bid_update'].includes(data.type) && data.caseId === this.caseId && window.caseDetailsManager) {
+                        // Offers share this connection rather than opening a second socket
+                        window.caseDetailsManager.loadCaseDetails();
+                    }
+                } catch (error) {
+                    console.error('WebSocket message parsing error:', error);
+                }
+            };
+
+            this.websocket.onclose = () => {
+                this.websocket = null;
+            };
+        } catch (error) {
+            console.warn('WebSocket not available, using polling:', error);
+            this.websocket = null;
+        }
+    }
+
+    formatRole(role) {
+        const roles = {
+            claimant: 'Claimant',
+            respondent: 'Respondent',
+            mediator: 'Mediator',
+            admin: 'Admin'
+        };
+        return roles[role] || role;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+window.CaseMessagesPanel = CaseMessagesPanel;
@@ -36,6 +36,39 @@ class LoginManager {
             // Store redirect URL for after login
             sessionStorage.setItem('loginRedirect', redirectUrl);
         }
+
+        // Keep a respondent invitation token until the user has signed in
+        const inviteToken = urlParams.get('invite');
+        if (inviteToken) {
+            sessionStorage.setItem('pendingInvite', inviteToken);
+        }
+    }
+
+    async acceptPendingInvite() {
+        const inviteToken = sessionStorage.getItem('pendingInvite');
+        if (!inviteToken) {
+            return null;
+        }
+
+        sessionStorage.removeItem('pendingInvite');
+
+        try {
+            const response = await window.authManager.apiRequest('/cases/invitations/accept', {
+                method: 'POST',
+                body: JSON.stringify({ token: inviteToken })
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                alert(data.error || 'Failed to accept case invitation');
+                return null;
+            }
+
+            return data.case;
+        } catch (error) {
+            console.error('Failed to accept case invitation:', error);
+            return null;
+        }
     }
 
     setupEventListeners() {
@@ -140,7 +173,14 @@ class LoginManager {
         return emailRegex.test(email);
     }
 
-    redirectAfterLogin() {
+    async redirectAfterLogin() {
+        // Join the invited case first and open it
+        const joinedCase = await this.acceptPendingInvite();
+        if (joinedCase) {
+            window.location.href = `case-details.html?id=${joinedCase.id}`;
+            return;
+        }
+
         // Check for stored redirect URL
         const redirectUrl = sessionStorage.getItem('loginRedirect');
         if (redirectUrl) {
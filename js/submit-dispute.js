@@ -106,18 +106,22 @@ class DisputeSubmissionManager {
                         this.showSuccess('Case and evidence files submitted successfully!');
                     } else {
                         this.showSuccess(`Case submitted successfully! ${uploadResult.successCount}/${uploadResult.totalFiles} files uploaded. Failed files can be added later.`);
+                        // Say why each file was refused (wrong type, quota, malware quarantine)
+                        alert(`Some files were not uploaded:\n\n${uploadResult.failures.join('\n\n')}`);
                     }
                 } else {
                     this.showSuccess('Case submitted successfully!');
                 }
                 
-                // Show AI analysis simulation
-                this.showAIAnalysis(result.case);
-                
-                // Redirect to case details after analysis
-                setTimeout(() => {
-                    window.location.href = `case-details.html?id=${caseId}`;
-                }, 4000);
+                // Show what triage found; the case page opens from the summary
+                const analysis = await this.fetchAnalysis(caseId);
+                if (analysis) {
+                    this.showAIAnalysis(result.case, analysis);
+                } else {
+                    setTimeout(() => {
+                        window.location.href = `case-details.html?id=${caseId}`;
+                    }, 2000);
+                }
             } else {
                 this.showError(result.error || 'Failed to submit case. Please try again.');
                 this.setLoading(false);
@@ -139,6 +143,9 @@ class DisputeSubmissionManager {
             description: formData.get('description'),
             disputeAmount: formData.get('disputeAmount'),
             preferredResolution: formData.get('preferredResolution'),
+            blindBidding: formData.get('blindBidding') === 'on',
+            respondentName: formData.get('otherParty'),
+            respondentEmail: formData.get('otherPartyEmail'),
             urgencyLevel: formData.get('urgencyLevel') || 'medium'
         };
     }
@@ -167,38 +174,29 @@ class DisputeSubmissionManager {
     async uploadFiles(caseId, files) {
         let successCount = 0;
         let failCount = 0;
+        const failures = [];
         const totalFiles = files.length;
 
         for (let i = 0; i < files.length; i++) {
             const file = files[i];
             
             try {
-                // Update progress message
-                this.showSuccess(`Uploading file ${i + 1} of ${totalFiles}: ${file.name}...`);
-                
-                // Create FormData for file upload
-                const formData = new FormData();
-                formData.append('file', file);
-
-                // Upload file to backend
-                const response = await window.authManager.apiRequest(`/upload/case/${caseId}`, {
-                    method: 'POST',
-                    body: formData,
-                    // Don't set Content-Type header - let browser set it with boundary for FormData
-                    headers: {}
+                const result = await this.uploadFileInParts(caseId, file, (percent) => {
+                    this.showSuccess(`Uploading file ${i + 1} of ${totalFiles}: ${file.name} (${percent}%)...`);
                 });
 
-                if (response.ok) {
+                if (result.success) {
                     successCount++;
                     console.log(`Successfully uploaded: ${file.name}`);
                 } else {
                     failCount++;
-                    const errorData = await response.json();
-                    console.error(`Failed to upload ${file.name}:`, errorData.error);
+                    failures.push(result.error || `${file.name} could not be uploaded`);
+                    console.error(`Failed to upload ${file.name}:`, result.error);
                 }
 
             } catch (error) {
                 failCount++;
+                failures.push(`${file.name} could not be uploaded: ${error.message}`);
                 console.error(`Upload error for ${file.name}:`, error);
             }
         }
@@ -207,10 +205,94 @@ class DisputeSubmissionManager {
             success: failCount === 0,
             successCount,
             failCount,
+            failures,
             totalFiles
         };
     }
 
+    // Resumable upload: open a session, send the file in parts, then complete it.
+    // A dropped connection only costs the part in flight - once back online the
+    // session is re-read and only the parts the server is missing are sent.
+    async uploadFileInParts(caseId, file, onProgress) {
+        const startResponse = await this.sendWithRetry(() => window.authManager.apiRequest(`/upload/case/${caseId}/sessions`, {
+            method: 'POST',
+            body: JSON.stringify({ fileName: file.name, fileType: file.type, fileSize: file.size })
+        }));
+        const started = await startResponse.json();
+
+        if (!startResponse.ok) {
+            return { success: false, error: started.error };
+        }
+
+        let session = started.session;
+        onProgress(0);
+
+        for (let part = 1; part <= session.total_parts; part++) {
+            if (session.received_parts.includes(part)) continue;
+
+            const chunk = file.slice((part - 1) * session.part_size, part * session.part_size);
+            const response = await this.sendWithRetry(() => window.authManager.apiRequest(`/upload/sessions/${session.id}/parts/${part}`, {
+                method: 'PUT',
+                body: chunk,
+                headers: { 'Content-Type': 'application/octet-stream' }
+            }), async () => {
+                // Between retries, check which parts made it before the connection dropped
+                const check = await window.authManager.apiRequest(`/upload/sessions/${session.id}`);
+                if (check.ok) session = (await check.json()).session;
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                // Discard the parts already sent; the file can be added again later
+                window.authManager.apiRequest(`/upload/sessions/${session.id}`, { method: 'DELETE' }).catch(console.error);
+                return { success: false, error: `${file.name}: ${data.error}` };
+            }
+
+            session.received_parts = data.received_parts;
+            onProgress(Math.round((session.received_parts.length / session.total_parts) * 100));
+        }
+
+        const completeResponse = await this.sendWithRetry(() => window.authManager.apiRequest(`/upload/sessions/${session.id}/complete`, {
+            method: 'POST'
+        }));
+        const completed = await completeResponse.json();
+
+        if (!completeResponse.ok) {
+            // Wrong contents, quota and malware messages already name the file
+            return { success: false, error: completed.error };
+        }
+
+        return { success: true, file: completed.file };
+    }
+
+    // Send a request, retrying network failures and server errors with a growing
+    // delay, and waiting for the browser to come back online before each retry
+    async sendWithRetry(send, beforeRetry, maxAttempts = 6) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const response = await send();
+                if (response.status < 500 || attempt === maxAttempts) return response;
+            } catch (error) {
+                if (error.message === 'Authentication required' || attempt === maxAttempts) throw error;
+            }
+
+            this.showSuccess('Connection lost - resuming upload...');
+            await new Promise(resolve => setTimeout(resolve, Math.min(1000 * 2 ** (attempt - 1), 15000)));
+
+            if (!navigator.onLine) {
+                await new Promise(resolve => window.addEventListener('online', resolve, { once: true }));
+            }
+
+            if (beforeRetry) {
+                try {
+                    await beforeRetry();
+                } catch (error) {
+                    console.error('Failed to check upload progress:', error);
+                }
+            }
+        }
+    }
+
     validateForm() {
         let isValid = true;
 
@@ -276,7 +358,6 @@ class DisputeSubmissionManager {
     handleFileSelection(event) {
         const files = Array.from(event.target.files);
         const maxFiles = 5;
-        const maxSize = 10 * 1024 * 1024; // 10MB
         const allowedTypes = [
             'image/jpeg', 
             'image/jpg',
@@ -296,12 +377,6 @@ class DisputeSubmissionManager {
 
         // Validate each file
         for (const file of files) {
-            if (file.size > maxSize) {
-                this.showError(`File "${file.name}" is too large. Maximum size is 10MB.`);
-                event.target.value = '';
-                return;
-            }
-
             if (!allowedTypes.includes(file.type)) {
                 this.showError(`File "${file.name}" has an invalid type. Only JPG, PNG, PDF, DOC, DOCX, and TXT files are allowed.`);
                 event.target.value = '';
@@ -474,7 +549,42 @@ class DisputeSubmissionManager {
         return div.innerHTML;
     }
 
-    showAIAnalysis(caseData) {
+    // Triage runs on the server after the case is submitted; give it a moment
+    async fetchAnalysis(caseId, attempts = 3) {
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            try {
+                const response = await window.authManager.apiRequest(`/cases/${caseId}/analysis`);
+                if (response.ok) {
+                    const data = await response.json();
+                    return data.analysis;
+                }
+            } catch (error) {
+                console.error('Failed to fetch case analysis:', error);
+            }
+
+            if (attempt < attempts) {
+                await new Promise(resolve => setTimeout(resolve, 1000));
+            }
+        }
+        return null;
+    }
+
+    // Summary of the server's triage of the new case (see utils/triage.js)
+    showAIAnalysis(caseData, analysis) {
+        const disputeTypes = {
+            'consumer': 'Consumer Complaint',
+            'employment': 'Employment Issue',
+            'contract': 'Contract Dispute',
+            'property': 'Property Dispute',
+            'family': 'Family Matter',
+            'other': 'Other'
+        };
+        const urgencyColors = { high: '#dc2626', medium: '#d97706', low: '#059669' };
+        const entities = analysis.entities || {};
+        const list = (items) => items.length > 0
+            ? items.map(item => this.escapeHtml(item)).join(', ')
+            : '<span style="color: #9ca3af;">None found</span>';
+
         const analysisModal = document.createElement('div');
         analysisModal.id = 'aiAnalysisModal';
         analysisModal.style.cssText = `
@@ -482,43 +592,39 @@ class DisputeSubmissionManager {
             background: rgba(0,0,0,0.5); display: flex; align-items: center;
             justify-content: center; z-index: 1000;
         `;
-        
+
         analysisModal.innerHTML = `
-            <div style="background: white; padding: 2rem; border-radius: 12px; max-width: 500px; text-align: center; box-shadow: 0 10px 25px rgba(0,0,0,0.2);">
-                <h3 style="color: #2563eb; margin-bottom: 1rem;">🤖 AI Analysis in Progress</h3>
-                <div style="margin: 1.5rem 0;">
-                    <div style="border: 3px solid #f3f4f6; border-top: 3px solid #2563eb; border-radius: 50%; width: 40px; height: 40px; animation: spin 1s linear infinite; margin: 0 auto;"></div>
-                </div>
-                <p style="color: #6b7280; margin-bottom: 1rem;">Analyzing your dispute...</p>
-                <div id="analysisSteps" style="text-align: left; font-size: 0.875rem; color: #374151;">
-                    <div>✓ Categorizing dispute type</div>
-                    <div>✓ Extracting key information</div>
-                    <div>✓ Identifying potential issues</div>
-                    <div>⏳ Generating settlement suggestions...</div>
+            <div style="background: white; padding: 2rem; border-radius: 12px; max-width: 520px; width: 90%; box-shadow: 0 10px 25px rgba(0,0,0,0.2);">
+                <h3 style="color: #2563eb; margin-bottom: 0.25rem;">🤖 Case Analysis</h3>
+                <p style="color: #6b7280; font-size: 0.875rem; margin-bottom: 1.25rem;">Case ID: ${this.escapeHtml(caseData.id)}</p>
+                <div style="font-size: 0.875rem; color: #374151; line-height: 1.7;">
+                    <div>
+                        <strong>Dispute type:</strong> ${disputeTypes[analysis.dispute_type] || this.escapeHtml(analysis.dispute_type)}
+                        ${analysis.type_confidence !== null ? `<span style="color: #6b7280;">(${Math.round(analysis.type_confidence * 100)}% confidence)</span>` : ''}
+                    </div>
+                    ${analysis.dispute_type !== caseData.case_type ? `
+                        <div style="color: #6b7280;">You chose ${disputeTypes[caseData.case_type] || this.escapeHtml(caseData.case_type)}; the department handling your case will confirm the type.</div>
+                    ` : ''}
+                    <div>
+                        <strong>Urgency:</strong>
+                        <span style="color: ${urgencyColors[analysis.urgency]}; font-weight: 600; text-transform: capitalize;">${analysis.urgency}</span>
+                        ${analysis.urgency_reasons.length > 0 ? `<span style="color: #6b7280;">- ${list(analysis.urgency_reasons)}</span>` : ''}
+                    </div>
+                    <div><strong>Parties:</strong> ${list((entities.parties || []).map(party => party.name))}</div>
+                    <div><strong>Amounts:</strong> ${list((entities.amounts || []).map(amount => amount.text))}</div>
+                    <div><strong>Dates:</strong> ${list((entities.dates || []).map(date => date.text))}</div>
+                    <div><strong>Merchants:</strong> ${list(entities.merchants || [])}</div>
                 </div>
+                <p style="color: #6b7280; font-size: 0.875rem; margin: 1.25rem 0;">You will be notified when the other party responds.</p>
+                <button id="aiAnalysisContinue" class="btn-primary" style="width: 100%;">View Case</button>
             </div>
         `;
 
         document.body.appendChild(analysisModal);
 
-        // Simulate analysis completion
-        setTimeout(() => {
-            if (analysisModal.parentNode) {
-                document.body.removeChild(analysisModal);
-                
-                // Show completion message
-                alert(`Dispute submitted successfully!
-
-Case ID: ${caseData.id}
-
-AI Analysis Complete:
-- Dispute Type: ${caseData.case_type || caseData.disputeType}
-- Estimated Resolution Time: 7-14 days
-- Recommended Action: Mediation
-
-You will be notified when the other party responds.`);
-            }
-        }, 3000);
+        document.getElementById('aiAnalysisContinue').addEventListener('click', () => {
+            window.location.href = `case-details.html?id=${caseData.id}`;
+        });
     }
 }
 
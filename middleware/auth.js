@@ -58,6 +58,19 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Like authenticateToken, but also accepts the HTTP-only session cookie. Only for
+// GET links the browser opens directly (e.g. signed downloads), which carry no
+// Authorization header; never use it on routes that change anything.
+const authenticateTokenOrCookie = (req, res, next) => {
+  const sessionToken = req.cookies && req.cookies['sb-access-token'];
+
+  if (!req.headers.authorization && sessionToken) {
+    req.headers.authorization = `Bearer ${sessionToken}`;
+  }
+
+  return authenticateToken(req, res, next);
+};
+
 // Middleware to check if user is admin
 const requireAdmin = (req, res, next) => {
   if (!req.user || req.user.user_type !== 'admin') {
@@ -100,6 +113,7 @@ const requireOwnershipOrAdmin = (userIdField = 'user_id') => {
 
 module.exports = {
   authenticateToken,
+  authenticateTokenOrCookie,
   requireAdmin,
   requireUserType,
   requireOwnershipOrAdmin
@@ -42,6 +42,16 @@ const errorHandler = (err, req, res, next) => {
     error.message = 'File size exceeds limit';
   }
 
+  // Upload quotas from utils/uploadPolicy.js
+  if (err.code === 'QUOTA_EXCEEDED') {
+    error.status = 413;
+    error.details = err.details;
+  }
+
+  if (err.code === 'FILE_TOO_LARGE') {
+    error.details = err.details;
+  }
+
   // Don't leak error details in production
   if (process.env.NODE_ENV === 'production' && error.status === 500) {
     error.message = 'Internal Server Error';
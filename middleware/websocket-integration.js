@@ -26,6 +26,27 @@ const websocketIntegration = (wsManager) => {
                 }
             },
 
+            // Broadcast a case message to the participants allowed to see it
+            caseMessage: (message, recipientIds = []) => {
+                if (wsManager) {
+                    wsManager.broadcastCaseMessage(message, recipientIds);
+                }
+            },
+
+            // Broadcast a settlement offer event to the people on the case
+            settlementOffer: (offer, event, recipientIds = []) => {
+                if (wsManager) {
+                    wsManager.broadcastSettlementOffer(offer, event, recipientIds);
+                }
+            },
+
+            // Broadcast blind bidding progress (never the bid amounts)
+            blindBidUpdate: (session, recipientIds = []) => {
+                if (wsManager) {
+                    wsManager.broadcastBlindBidUpdate(session, recipientIds);
+                }
+            },
+
             // Broadcast statistics updates
             statsUpdate: (stats, targetUserId = null) => {
                 if (wsManager) {
@@ -3,6 +3,21 @@ const { body, validationResult } = require('express-validator');
 // All database operations now use req.supabase (user-authenticated client)
 const { requireAdmin } = require('../middleware/auth');
 const { sendCaseStatusEmail } = require('../utils/email');
+const { recordCaseUpdate, getCaseTimeline } = require('../utils/caseHistory');
+const { assignMediator, setCaseMediator } = require('../utils/mediatorAssignment');
+const { findConflicts, describeConflicts } = require('../utils/conflictOfInterest');
+const { CASE_STATUSES, normalizeStatus, isOpenStatus, toStatusKey, getAllowedTransitions, validateTransition, changeCaseStatus } = require('../utils/caseStatus');
+const { getLatestSession, startBlindBidding, cancelBlindBidding } = require('../utils/blindBidding');
+const { groupFileVersions } = require('../utils/fileVersions');
+const { buildSearchFilter, findEvidenceMatches, getSearchMatches } = require('../utils/caseSearch');
+const { buildEvidenceBundle } = require('../utils/evidenceBundle');
+const { recordBundleDownload } = require('../utils/fileAccess');
+const { getStorage } = require('../utils/storage');
+const { predictOutcome } = require('../utils/outcomePrediction');
+const { PLACEHOLDER_LABELS, DETAIL_PLACEHOLDERS, TEMPLATES, listTemplates } = require('../utils/agreementTemplates');
+const { draftSettlementAgreement, getLatestAgreement } = require('../utils/settlementAgreement');
+const { getSignatures, getSigningStatus, notifyNextSigner } = require('../utils/agreementSignatures');
+const { sendForSignature } = require('../utils/settlement');
 const router = express.Router();
 
 // Apply admin middleware to all routes
@@ -39,8 +54,8 @@ router.get('/cases', async (req, res) => {
         case_files (
           id,
           file_name,
-          file_url,
-          uploaded_at
+          file_type,
+          created_at
         ),
         resolved_by_user:users!cases_resolved_by_fkey (
           id,
@@ -54,13 +69,16 @@ router.get('/cases', async (req, res) => {
 
     // Apply filters
     if (status) {
-      query = query.eq('status', status);
+      query = query.eq('status', normalizeStatus(status) || status);
     }
     if (urgency) {
       query = query.eq('urgency_level', urgency);
     }
+    // Search titles and descriptions, and the text of the cases' evidence
+    let evidenceMatches = new Map();
     if (search) {
-      query = query.or(`case_title.ilike.%${search}%,description.ilike.%${search}%`);
+      evidenceMatches = await findEvidenceMatches(req.supabase, search, caseTypes);
+      query = query.or(buildSearchFilter(search, [...evidenceMatches.keys()]));
     }
 
     const { data: cases, error, count } = await query;
@@ -74,7 +92,12 @@ router.get('/cases', async (req, res) => {
 
     res.json({
       success: true,
-      cases,
+      cases: search
+        ? cases.map(case_ => ({
+            ...case_,
+            search_matches: getSearchMatches(case_, search, evidenceMatches.get(case_.id))
+          }))
+        : cases,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -112,9 +135,27 @@ router.get('/cases/:id', async (req, res) => {
         case_files (
           id,
           file_name,
-          file_url,
+          file_type,
           file_size,
-          uploaded_at
+          content_hash,
+          thumbnail_path,
+          version,
+          previous_version_id,
+          superseded_by,
+          superseded_at,
+          uploaded_by,
+          created_at
+        ),
+        case_analyses (
+          id,
+          provider,
+          model,
+          dispute_type,
+          type_confidence,
+          urgency,
+          urgency_reasons,
+          entities,
+          created_at
         ),
         resolved_by_user:users!cases_resolved_by_fkey (
           id,
@@ -133,9 +174,32 @@ router.get('/cases/:id', async (req, res) => {
       });
     }
 
+    // Admins see the blind bidding session with both sides' bids
+    const blindBidding = await getLatestSession(req.supabase, case_.id);
+    if (blindBidding) {
+      const { data: bids } = await req.supabase
+        .from('blind_bids')
+        .select('round, bidder_role, amount, created_at')
+        .eq('session_id', blindBidding.id)
+        .order('round', { ascending: true });
+
+      blindBidding.bids = bids || [];
+    }
+
+    // The latest triage of the case
+    const { case_analyses: analyses, ...caseFields } = case_;
+    const analysis = (analyses || [])
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0] || null;
+
     res.json({
       success: true,
-      case: case_
+      case: {
+        ...caseFields,
+        analysis,
+        case_files: groupFileVersions(case_.case_files),
+        allowed_transitions: getAllowedTransitions(case_.status, 'admin'),
+        blind_bidding: blindBidding
+      }
     });
 
   } catch (error) {
@@ -147,10 +211,130 @@ router.get('/cases/:id', async (req, res) => {
   }
 });
 
+// Likely outcome and settlement range for a case, from the outcome model
+router.get('/cases/:id/prediction', async (req, res) => {
+  try {
+    const { data: case_, error } = await req.supabase
+      .from('cases')
+      .select('id, case_title, case_type, description, amount_involved, urgency_level, respondent_response, counter_claim_amount')
+      .eq('id', req.params.id)
+      .eq('assigned_department', req.user.department)
+      .single();
+
+    if (error || !case_) {
+      return res.status(404).json({
+        error: 'Case not found or access denied',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    const { prediction, error: predictionError } = predictOutcome(case_);
+
+    if (predictionError) {
+      return res.status(predictionError.status).json({
+        error: predictionError.error,
+        code: predictionError.code
+      });
+    }
+
+    res.json({
+      success: true,
+      prediction
+    });
+
+  } catch (error) {
+    console.error('Outcome prediction error:', error);
+    res.status(500).json({
+      error: 'Failed to predict outcome',
+      code: 'PREDICTION_ERROR'
+    });
+  }
+});
+
+// Download the case as one PDF for a mediation session: cover sheet, index of
+// exhibits, every file converted and page-numbered, and the case timeline
+router.get('/cases/:id/bundle', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: case_, error } = await req.supabase
+      .from('cases')
+      .select(`
+        *,
+        user:users!cases_user_id_fkey (
+          full_name,
+          email
+        ),
+        case_files (
+          id,
+          case_id,
+          file_name,
+          file_path,
+          file_type,
+          file_size,
+          content_hash,
+          version,
+          superseded_by,
+          created_at
+        )
+      `)
+      .eq('id', id)
+      .eq('assigned_department', req.user.department)
+      .single();
+
+    if (error || !case_) {
+      return res.status(404).json({
+        error: 'Case not found or access denied',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    const { timeline, error: timelineError } = await getCaseTimeline(req.supabase, case_);
+
+    if (timelineError) {
+      return res.status(400).json({
+        error: 'Failed to fetch case timeline',
+        code: 'FETCH_ERROR'
+      });
+    }
+
+    // Exhibits are numbered in the order the files were uploaded
+    const files = [...(case_.case_files || [])]
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+    const storage = getStorage(req.supabase);
+    const { pdf, included } = await buildEvidenceBundle({
+      case_,
+      files,
+      timeline,
+      readFile: (file) => storage.download(file.file_path),
+      generatedBy: req.user.full_name
+    });
+
+    await recordBundleDownload(req, included, 'admin');
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Length': pdf.length,
+      'Content-Disposition': `attachment; filename="case-${case_.id.slice(0, 8)}-bundle.pdf"`,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(Buffer.from(pdf));
+
+  } catch (error) {
+    console.error('Evidence bundle error:', error);
+    res.status(500).json({
+      error: 'Failed to build evidence bundle',
+      code: 'BUNDLE_ERROR'
+    });
+  }
+});
+
 // Update case status and resolution
 router.patch('/cases/:id/status', [
-  body('status').isIn(['pending', 'in_review', 'resolved', 'rejected']),
+  body('status').trim().notEmpty().withMessage('Status is required'),
   body('resolution').optional().trim(),
+  body('settlement_amount').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }).withMessage('Settlement amount must be a positive number'),
   body('admin_notes').optional().trim()
 ], async (req, res) => {
   try {
@@ -164,7 +348,7 @@ router.patch('/cases/:id/status', [
     }
 
     const { id } = req.params;
-    const { status, resolution, admin_notes } = req.body;
+    const { status, resolution, settlement_amount, admin_notes } = req.body;
 
     // Get current case to check department access
     const { data: currentCase, error: fetchError } = await req.supabase
@@ -198,62 +382,134 @@ router.patch('/cases/:id/status', [
       });
     }
 
-    // Prepare update data
-    const updateData = {
-      status,
-      updated_at: new Date().toISOString()
-    };
+    // Resolving a case requires resolution details
+    if (normalizeStatus(status) === CASE_STATUSES.RESOLVED && !resolution) {
+      return res.status(400).json({
+        error: 'Resolution is required when marking case as resolved',
+        code: 'RESOLUTION_REQUIRED'
+      });
+    }
 
-    // Add resolution data if case is being resolved
-    if (status === 'resolved') {
-      if (!resolution) {
-        return res.status(400).json({
-          error: 'Resolution is required when marking case as resolved',
-          code: 'RESOLUTION_REQUIRED'
-        });
+    const fields = {};
+    if (normalizeStatus(status) === CASE_STATUSES.RESOLVED) {
+      fields.resolution_notes = resolution;
+      fields.resolved_by = req.user.id;
+
+      if (settlement_amount) {
+        fields.settlement_amount = parseFloat(settlement_amount);
+        fields.settled_at = new Date().toISOString();
       }
-      updateData.resolution = resolution;
-      updateData.resolved_by = req.user.id;
-      updateData.resolved_at = new Date().toISOString();
     }
 
     // Add admin notes if provided
     if (admin_notes) {
-      updateData.admin_notes = admin_notes;
+      fields.admin_notes = admin_notes;
     }
 
-    // Update case
-    const { data: updatedCase, error: updateError } = await req.supabase
-      .from('cases')
-      .update(updateData)
-      .eq('id', id)
-      .select()
-      .single();
+    // A resolution goes to the parties as a settlement agreement; the case is
+    // resolved once everyone has signed it
+    if (normalizeStatus(status) === CASE_STATUSES.RESOLVED) {
+      const check = validateTransition(currentCase.status, status, 'admin');
 
-    if (updateError) {
-      return res.status(400).json({
-        error: 'Failed to update case',
-        code: 'UPDATE_ERROR'
+      if (!check.allowed) {
+        return res.status(check.status).json({
+          error: check.error,
+          code: check.code
+        });
+      }
+
+      const { agreement, error: agreementError } = await sendForSignature(req.supabase, currentCase, {
+        actorId: req.user.id,
+        fields,
+        notes: resolution
+      });
+
+      if (agreementError) {
+        return res.status(agreementError.status).json({
+          error: agreementError.error,
+          code: agreementError.code
+        });
+      }
+
+      try {
+        await cancelBlindBidding(req.supabase, currentCase, {
+          actorId: req.user.id,
+          reason: 'Settlement agreement sent for signature by an administrator'
+        });
+      } catch (cancelError) {
+        console.error('Failed to cancel blind bidding:', cancelError);
+      }
+
+      return res.json({
+        success: true,
+        message: 'Settlement agreement sent for signature - the case will be resolved once everyone has signed',
+        case: currentCase,
+        agreement
+      });
+    }
+
+    // Apply the change through the case state machine
+    const result = await changeCaseStatus(req.supabase, currentCase, status, {
+      role: 'admin',
+      actorId: req.user.id,
+      fields,
+      notes: resolution
+    });
+
+    if (result.error) {
+      return res.status(result.error.status).json({
+        error: result.error.error,
+        code: result.error.code
       });
     }
 
+    let updatedCase = result.case;
+    let assignment = null;
+
+    // A case resolved or closed by an admin stops any blind bidding still running
+    if (!isOpenStatus(result.to)) {
+      try {
+        await cancelBlindBidding(req.supabase, updatedCase, {
+          actorId: req.user.id,
+          reason: `Case ${result.to.toLowerCase()} by an administrator`
+        });
+      } catch (cancelError) {
+        console.error('Failed to cancel blind bidding:', cancelError);
+      }
+    }
+
+    // Cases entering review get a mediator automatically; a failed assignment
+    // is recorded in the history and never blocks the status change
+    if (result.to === CASE_STATUSES.IN_REVIEW && !updatedCase.assigned_mediator_id) {
+      try {
+        assignment = await assignMediator(req.supabase, updatedCase, { actorId: req.user.id });
+        updatedCase = assignment.case;
+      } catch (assignError) {
+        console.error('Mediator auto-assignment error:', assignError);
+      }
+    }
+
     // Send notification email to user (async)
     sendCaseStatusEmail(
       currentCase.user.email,
       currentCase.user.full_name,
       updatedCase,
-      status
+      toStatusKey(result.to)
     ).catch(console.error);
 
     // Broadcast case status change via WebSocket
     if (req.broadcast) {
-      req.broadcast.caseStatusChange(updatedCase, currentCase.status, status);
+      req.broadcast.caseStatusChange(updatedCase, result.from, result.to);
     }
 
     res.json({
       success: true,
       message: 'Case status updated successfully',
-      case: updatedCase
+      case: updatedCase,
+      assignment: assignment && {
+        mediator: assignment.mediator && { id: assignment.mediator.id, full_name: assignment.mediator.full_name },
+        reasoning: assignment.reasoning
+      }
     });
 
   } catch (error) {
@@ -265,6 +521,263 @@ router.patch('/cases/:id/status', [
   }
 });
 
+// Templates available for settlement agreements, and the labels of their blanks
+// with the ones an admin can fill in by hand
+router.get('/agreement-templates', (req, res) => {
+  res.json({
+    success: true,
+    templates: listTemplates(),
+    placeholders: PLACEHOLDER_LABELS,
+    detail_placeholders: DETAIL_PLACEHOLDERS
+  });
+});
+
+// Draft a new version of a case's settlement agreement before everyone has
+// signed, e.g. with a different template or to fill in its blanks: details for
+// names and addresses, settlement_amount and settlement_terms for the settlement.
+// Signatures on earlier versions no longer count; signing starts again on the new one.
+router.post('/cases/:id/agreement', [
+  body('template').optional().isIn(Object.keys(TEMPLATES)).withMessage('Unknown agreement template'),
+  body('details').optional().isObject().withMessage('Details must be an object')
+    .custom(details => Object.keys(details).every(path => DETAIL_PLACEHOLDERS.includes(path)))
+    .withMessage(`Details can only fill in: ${DETAIL_PLACEHOLDERS.join(', ')}`),
+  body('details.*').optional().isString().trim().isLength({ max: 500 }).withMessage('Details must be at most 500 characters'),
+  body('settlement_amount').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }).withMessage('Settlement amount must be a positive number'),
+  body('settlement_terms').optional().trim().isLength({ max: 2000 }).withMessage('Terms must be at most 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { data: case_, error: fetchError } = await req.supabase
+      .from('cases')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('assigned_department', req.user.department)
+      .single();
+
+    if (fetchError || !case_) {
+      return res.status(404).json({
+        error: 'Case not found or access denied',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    const { agreement: current, error: currentError } = await getLatestAgreement(req.supabase, case_.id);
+
+    if (currentError) {
+      return res.status(400).json({
+        error: 'Failed to fetch settlement agreement',
+        code: 'FETCH_ERROR'
+      });
+    }
+
+    if (!current) {
+      return res.status(404).json({
+        error: 'No settlement has been agreed on this case yet',
+        code: 'AGREEMENT_NOT_FOUND'
+      });
+    }
+
+    const { signatures, error: signaturesError } = await getSignatures(req.supabase, current.id);
+
+    if (signaturesError) {
+      return res.status(400).json({
+        error: 'Failed to fetch signatures',
+        code: 'FETCH_ERROR'
+      });
+    }
+
+    if (!isOpenStatus(case_.status)) {
+      return res.status(400).json({
+        error: 'Agreements can only be redrafted while the case is open',
+        code: 'CASE_NOT_OPEN'
+      });
+    }
+
+    if (getSigningStatus(current, signatures).complete) {
+      return res.status(409).json({
+        error: 'The agreement has been signed and can no longer be redrafted',
+        code: 'AGREEMENT_SIGNED'
+      });
+    }
+
+    // A settlement amount or terms filled in here are what the case records once signed
+    const { settlement_amount, settlement_terms } = req.body;
+    let resolution = null;
+
+    if (settlement_amount || settlement_terms) {
+      const fields = { ...(current.resolution.fields || {}) };
+
+      if (settlement_amount) {
+        fields.settlement_amount = parseFloat(settlement_amount);
+        fields.settled_at = fields.settled_at || new Date().toISOString();
+      }
+      if (settlement_terms) {
+        fields.settlement_terms = settlement_terms;
+      }
+
+      resolution = { ...current.resolution, fields };
+    }
+
+    const { agreement, error } = await draftSettlementAgreement(req.supabase, case_, {
+      actorId: req.user.id,
+      templateKey: req.body.template,
+      resolution,
+      details: req.body.details ? { ...(current.content.details || {}), ...req.body.details } : null
+    });
+
+    if (error) {
+      console.error('Draft settlement agreement error:', error);
+      return res.status(400).json({
+        error: 'Failed to draft settlement agreement',
+        code: 'AGREEMENT_ERROR'
+      });
+    }
+
+    notifyNextSigner(case_, agreement, getSigningStatus(agreement, []));
+
+    res.status(201).json({
+      success: true,
+      message: 'Settlement agreement drafted',
+      agreement
+    });
+
+  } catch (error) {
+    console.error('Draft settlement agreement error:', error);
+    res.status(500).json({
+      error: 'Failed to draft settlement agreement',
+      code: 'AGREEMENT_ERROR'
+    });
+  }
+});
+
+// Start blind bidding on a case, optionally with its own tolerance and number of rounds
+router.post('/cases/:id/blind-bidding', [
+  body('tolerancePercent').optional().isFloat({ min: 0, max: 50 }).withMessage('Tolerance must be between 0 and 50 percent'),
+  body('maxRounds').optional().isInt({ min: 1, max: 10 }).withMessage('Rounds must be between 1 and 10')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { data: case_, error: fetchError } = await req.supabase
+      .from('cases')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (fetchError || !case_) {
+      return res.status(404).json({
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    if (!isOpenStatus(case_.status)) {
+      return res.status(400).json({
+        error: 'Blind bidding can only be started on open cases',
+        code: 'CASE_NOT_OPEN'
+      });
+    }
+
+    if (!case_.amount_involved) {
+      return res.status(400).json({
+        error: 'Blind bidding is only available for disputes with an amount',
+        code: 'AMOUNT_REQUIRED'
+      });
+    }
+
+    const current = await getLatestSession(req.supabase, case_.id);
+    if (current && current.status === 'active') {
+      return res.status(409).json({
+        error: 'Blind bidding is already active on this case',
+        code: 'BLIND_BIDDING_ACTIVE'
+      });
+    }
+
+    const session = await startBlindBidding(req.supabase, case_, {
+      actorId: req.user.id,
+      tolerancePercent: req.body.tolerancePercent !== undefined ? parseFloat(req.body.tolerancePercent) : undefined,
+      maxRounds: req.body.maxRounds !== undefined ? parseInt(req.body.maxRounds) : undefined
+    });
+
+    if (req.broadcast) {
+      req.broadcast.blindBidUpdate(session, [case_.user_id, case_.respondent_id].filter(Boolean));
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Blind bidding started',
+      session
+    });
+
+  } catch (error) {
+    console.error('Admin start blind bidding error:', error);
+    res.status(500).json({
+      error: 'Failed to start blind bidding',
+      code: 'BLIND_BIDDING_ERROR'
+    });
+  }
+});
+
+// Stop the blind bidding running on a case
+router.delete('/cases/:id/blind-bidding', async (req, res) => {
+  try {
+    const { data: case_, error: fetchError } = await req.supabase
+      .from('cases')
+      .select('id, user_id, respondent_id')
+      .eq('id', req.params.id)
+      .single();
+
+    if (fetchError || !case_) {
+      return res.status(404).json({
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    const session = await cancelBlindBidding(req.supabase, case_, {
+      actorId: req.user.id,
+      reason: 'Cancelled by an administrator'
+    });
+
+    if (!session) {
+      return res.status(409).json({
+        error: 'Blind bidding is not active on this case',
+        code: 'NO_ACTIVE_SESSION'
+      });
+    }
+
+    if (req.broadcast) {
+      req.broadcast.blindBidUpdate(session, [case_.user_id, case_.respondent_id].filter(Boolean));
+    }
+
+    res.json({
+      success: true,
+      message: 'Blind bidding cancelled',
+      session
+    });
+
+  } catch (error) {
+    console.error('Admin cancel blind bidding error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel blind bidding',
+      code: 'BLIND_BIDDING_ERROR'
+    });
+  }
+});
+
 // Assign case to different department
 router.patch('/cases/:id/assign', [
   body('department').isIn(['Consumer Affairs', 'Employment', 'Legal', 'Property', 'Family', 'General']),
@@ -333,6 +846,15 @@ router.patch('/cases/:id/assign', [
       });
     }
 
+    await recordCaseUpdate(req.supabase, {
+      caseId: id,
+      updatedBy: req.user.id,
+      updateType: 'department_assigned',
+      oldValue: case_.assigned_department,
+      newValue: department,
+      notes: reason
+    });
+
     res.json({
       success: true,
       message: 'Case reassigned successfully',
@@ -348,6 +870,220 @@ router.patch('/cases/:id/assign', [
   }
 });
 
+// Assign a mediator to a case - a specific mediator, or the best match when none is given.
+// A mediator flagged for a conflict of interest is only assigned with an overrideReason.
+router.patch('/cases/:id/mediator', [
+  body('mediatorId').optional().isUUID(),
+  body('overrideReason').optional().trim().isLength({ min: 10, max: 2000 }).withMessage('Override reason must be between 10 and 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { mediatorId, overrideReason } = req.body;
+
+    const { data: case_, error: fetchError } = await req.supabase
+      .from('cases')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (fetchError || !case_) {
+      return res.status(404).json({
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    if (!isOpenStatus(case_.status)) {
+      return res.status(400).json({
+        error: 'Mediators can only be assigned to open cases',
+        code: 'CASE_NOT_OPEN'
+      });
+    }
+
+    if (!mediatorId) {
+      const assignment = await assignMediator(req.supabase, case_, { actorId: req.user.id });
+
+      if (!assignment.mediator) {
+        return res.status(409).json({
+          error: assignment.reasoning,
+          code: 'NO_MEDIATOR_AVAILABLE'
+        });
+      }
+
+      if (req.broadcast) {
+        req.broadcast.caseUpdate(assignment.case);
+      }
+
+      return res.json({
+        success: true,
+        message: 'Mediator assigned successfully',
+        case: assignment.case,
+        reasoning: assignment.reasoning
+      });
+    }
+
+    const { data: mediator, error: mediatorError } = await req.supabase
+      .from('users')
+      .select('id, full_name, email, department, specializations, is_active')
+      .eq('id', mediatorId)
+      .eq('user_type', 'mediator')
+      .single();
+
+    if (mediatorError || !mediator || !mediator.is_active) {
+      return res.status(404).json({
+        error: 'Mediator not found',
+        code: 'MEDIATOR_NOT_FOUND'
+      });
+    }
+
+    const conflicts = (await findConflicts(req.supabase, [mediator.id], case_))[mediator.id] || [];
+
+    if (conflicts.length > 0 && !overrideReason) {
+      return res.status(409).json({
+        error: `Conflict of interest: ${mediator.full_name} ${describeConflicts(conflicts)}`,
+        code: 'CONFLICT_OF_INTEREST',
+        conflicts
+      });
+    }
+
+    if (conflicts.length > 0) {
+      // Keep a record of who overrode the check and why
+      const { error: overrideError } = await req.supabase
+        .from('conflict_overrides')
+        .insert({
+          case_id: case_.id,
+          mediator_id: mediator.id,
+          admin_id: req.user.id,
+          conflicts: describeConflicts(conflicts),
+          reason: overrideReason
+        });
+
+      if (overrideError) {
+        return res.status(400).json({
+          error: 'Failed to record conflict override',
+          code: 'OVERRIDE_ERROR'
+        });
+      }
+
+      await recordCaseUpdate(req.supabase, {
+        caseId: case_.id,
+        updatedBy: req.user.id,
+        updateType: 'conflict_override',
+        newValue: mediator.full_name,
+        notes: `Flagged: ${mediator.full_name} ${describeConflicts(conflicts)}. Override reason: ${overrideReason}`
+      });
+    }
+
+    const updatedCase = await setCaseMediator(req.supabase, case_, mediator, {
+      actorId: req.user.id,
+      reasoning: `Assigned manually by ${req.user.full_name || 'an administrator'}${conflicts.length > 0 ? ' with a conflict-of-interest override' : ''}`
+    });
+
+    if (req.broadcast) {
+      req.broadcast.caseUpdate(updatedCase);
+    }
+
+    res.json({
+      success: true,
+      message: 'Mediator assigned successfully',
+      case: updatedCase
+    });
+
+  } catch (error) {
+    console.error('Admin assign mediator error:', error);
+    res.status(500).json({
+      error: 'Failed to assign mediator',
+      code: 'ASSIGN_ERROR'
+    });
+  }
+});
+
+// Get uploads the malware scanner quarantined on the department's cases
+router.get('/quarantine', async (req, res) => {
+  try {
+    const { data: files, error } = await req.supabase
+      .from('quarantined_files')
+      .select(`
+        *,
+        case:cases!quarantined_files_case_id_fkey(id, case_title, assigned_department),
+        uploader:users!quarantined_files_uploaded_by_fkey(full_name, email)
+      `)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Failed to fetch quarantined files',
+        code: 'FETCH_ERROR'
+      });
+    }
+
+    res.json({
+      success: true,
+      files: (files || []).filter(file => file.case && file.case.assigned_department === req.user.department)
+    });
+
+  } catch (error) {
+    console.error('Admin quarantine error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch quarantined files',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Resolved cases to train the outcome model on (npm run train:outcomes). Only what
+// the dispute was about and how it ended is exported, not who the parties were.
+const TRAINING_COLUMNS = 'id, case_title, case_type, description, amount_involved, urgency_level, respondent_response, counter_claim_amount, settlement_amount, status, resolved_at';
+const TRAINING_PAGE_SIZE = 1000;
+
+router.get('/outcome-model/training-data', async (req, res) => {
+  try {
+    const cases = [];
+
+    // PostgREST returns at most a page of rows per request
+    for (let offset = 0; ; offset += TRAINING_PAGE_SIZE) {
+      const { data, error } = await req.supabase
+        .from('cases')
+        .select(TRAINING_COLUMNS)
+        .eq('status', CASE_STATUSES.RESOLVED)
+        .order('resolved_at', { ascending: true })
+        .range(offset, offset + TRAINING_PAGE_SIZE - 1);
+
+      if (error) {
+        return res.status(400).json({
+          error: 'Failed to export training data',
+          code: 'EXPORT_ERROR'
+        });
+      }
+
+      cases.push(...data);
+      if (data.length < TRAINING_PAGE_SIZE) break;
+    }
+
+    const exportedAt = new Date().toISOString();
+    res.set('Content-Disposition', `attachment; filename="outcome-training-data-${exportedAt.slice(0, 10)}.json"`);
+    res.json({
+      exported_at: exportedAt,
+      cases
+    });
+
+  } catch (error) {
+    console.error('Training data export error:', error);
+    res.status(500).json({
+      error: 'Failed to export training data',
+      code: 'EXPORT_ERROR'
+    });
+  }
+});
+
 // Get department statistics
 router.get('/stats/department', async (req, res) => {
   try {
@@ -379,10 +1115,11 @@ router.get('/stats/department', async (req, res) => {
     // Calculate statistics
     const stats = {
       total: cases.length,
-      pending: cases.filter(c => c.status === 'pending').length,
-      in_review: cases.filter(c => c.status === 'in_review').length,
-      resolved: cases.filter(c => c.status === 'resolved').length,
-      rejected: cases.filter(c => c.status === 'rejected').length,
+      pending: cases.filter(c => c.status === CASE_STATUSES.PENDING).length,
+      in_review: cases.filter(c => c.status === CASE_STATUSES.IN_REVIEW).length,
+      in_mediation: cases.filter(c => c.status === CASE_STATUSES.IN_MEDIATION).length,
+      resolved: cases.filter(c => c.status === CASE_STATUSES.RESOLVED).length,
+      closed: cases.filter(c => c.status === CASE_STATUSES.CLOSED).length,
       high_priority: cases.filter(c => c.urgency_level === 'high').length,
       medium_priority: cases.filter(c => c.urgency_level === 'medium').length,
       low_priority: cases.filter(c => c.urgency_level === 'low').length
@@ -12,7 +12,10 @@ const validateRegistration = [
   body('userType').isIn(['individual', 'lawyer', 'mediator', 'organization', 'admin']),
   body('phone').optional().isMobilePhone(),
   body('department').optional().trim(),
-  body('licenseNumber').optional().trim()
+  body('specializations').optional().isArray(),
+  body('specializations.*').isIn(['consumer', 'employment', 'contract', 'property', 'family', 'other']),
+  body('licenseNumber').optional().trim(),
+  body('organization').optional().trim()
 ];
 
 const validateLogin = [
@@ -32,7 +35,7 @@ router.post('/register', validateRegistration, async (req, res) => {
       });
     }
 
-    const { email, password, fullName, userType, phone, department, licenseNumber, organization } = req.body;
+    const { email, password, fullName, userType, phone, department, specializations, licenseNumber, organization } = req.body;
 
     // Create user in Supabase Auth
     const { data: authData, error: authError } = await supabaseClient.auth.signUp({
@@ -43,9 +46,11 @@ router.post('/register', validateRegistration, async (req, res) => {
           full_name: fullName,
           user_type: userType,
           phone,
-          department: userType === 'admin' ? department : null,
+          department: ['admin', 'mediator'].includes(userType) ? department : null,
+          specializations: userType === 'mediator' ? (specializations || []) : [],
           license_number: userType === 'lawyer' ? licenseNumber : null,
-          organization: userType === 'organization' ? organization : null
+          // Any user may be linked to an organization; it feeds the mediator conflict-of-interest check
+          organization: organization || null
         }
       }
     });
@@ -0,0 +1,261 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+// All database operations now use req.supabase (user-authenticated client)
+const { getCaseRole, isCaseParty } = require('../utils/caseAccess');
+const { isOpenStatus } = require('../utils/caseStatus');
+const { recordCaseUpdate } = require('../utils/caseHistory');
+const { formatAmount, settleWithAgreement } = require('../utils/settlement');
+const { toBidError, getLatestSession, startBlindBidding } = require('../utils/blindBidding');
+const router = express.Router({ mergeParams: true });
+
+// Load the case and work out the current user's role on it
+const loadCaseForUser = async (req) => {
+  const { data: case_, error } = await req.supabase
+    .from('cases')
+    .select('id, case_title, user_id, user_email, respondent_id, respondent_email, respondent_name, assigned_mediator_id, status, amount_involved')
+    .eq('id', req.params.caseId)
+    .single();
+
+  if (error || !case_) {
+    return { case_: null, role: null };
+  }
+
+  return { case_, role: getCaseRole(case_, req.user) };
+};
+
+// Round progress as one party sees it - whether each side has bid, never the amounts.
+// A session left active on a case that was resolved some other way takes no more bids.
+const describeProgress = (case_, session, role) => {
+  if (!session || session.status !== 'active' || !isCaseParty(role) || !isOpenStatus(case_.status)) {
+    return { awaiting_your_bid: false, awaiting_other_party: false };
+  }
+
+  const mine = role === 'claimant' ? session.claimant_submitted : session.respondent_submitted;
+  const theirs = role === 'claimant' ? session.respondent_submitted : session.claimant_submitted;
+
+  return { awaiting_your_bid: !mine, awaiting_other_party: mine && !theirs };
+};
+
+// Tell everyone on the case how the bidding moved on (no amounts until it settles)
+const notifyProgress = (req, case_, session) => {
+  if (!req.broadcast) return;
+
+  const recipients = [case_.user_id, case_.respondent_id, case_.assigned_mediator_id]
+    .filter(userId => userId && userId !== req.user.id);
+  req.broadcast.blindBidUpdate(session, recipients);
+};
+
+// Get the blind bidding state for a case, with the current user's own bids
+router.get('/', async (req, res) => {
+  try {
+    const { case_, role } = await loadCaseForUser(req);
+
+    if (!case_ || !role) {
+      return res.status(404).json({
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    const session = await getLatestSession(req.supabase, case_.id);
+    let yourBids = [];
+
+    if (session && isCaseParty(role)) {
+      const { data: bids } = await req.supabase
+        .from('blind_bids')
+        .select('round, amount, created_at')
+        .eq('session_id', session.id)
+        .eq('bidder_id', req.user.id)
+        .order('round', { ascending: true });
+
+      yourBids = bids || [];
+    }
+
+    res.json({
+      success: true,
+      role,
+      session,
+      your_bids: yourBids,
+      ...describeProgress(case_, session, role)
+    });
+
+  } catch (error) {
+    console.error('Get blind bidding error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch blind bidding',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Start blind bidding on a case (claimant only; admins use the admin API)
+router.post('/', async (req, res) => {
+  try {
+    const { case_, role } = await loadCaseForUser(req);
+
+    if (!case_ || !role) {
+      return res.status(404).json({
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    if (role !== 'claimant') {
+      return res.status(403).json({
+        error: 'Only the claimant can start blind bidding',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    if (!isOpenStatus(case_.status)) {
+      return res.status(400).json({
+        error: 'Blind bidding can only be started on open cases',
+        code: 'CASE_NOT_OPEN'
+      });
+    }
+
+    if (!case_.amount_involved) {
+      return res.status(400).json({
+        error: 'Blind bidding is only available for disputes with an amount',
+        code: 'AMOUNT_REQUIRED'
+      });
+    }
+
+    const current = await getLatestSession(req.supabase, case_.id);
+    if (current && current.status === 'active') {
+      return res.status(409).json({
+        error: 'Blind bidding is already active on this case',
+        code: 'BLIND_BIDDING_ACTIVE'
+      });
+    }
+
+    const session = await startBlindBidding(req.supabase, case_, { actorId: req.user.id });
+
+    notifyProgress(req, case_, session);
+
+    res.status(201).json({
+      success: true,
+      message: 'Blind bidding started',
+      session
+    });
+
+  } catch (error) {
+    console.error('Start blind bidding error:', error);
+    res.status(500).json({
+      error: 'Failed to start blind bidding',
+      code: 'BLIND_BIDDING_ERROR'
+    });
+  }
+});
+
+// Submit a sealed bid for the current round
+router.post('/bids', [
+  body('amount').isFloat({ min: 0 }).withMessage('Bid must be a positive amount')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { case_, role } = await loadCaseForUser(req);
+
+    if (!case_ || !isCaseParty(role)) {
+      return res.status(404).json({
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    if (!case_.respondent_id) {
+      return res.status(400).json({
+        error: 'The respondent must join the case before bids can be made',
+        code: 'RESPONDENT_NOT_JOINED'
+      });
+    }
+
+    const before = await getLatestSession(req.supabase, case_.id);
+
+    // The bid is stored and compared in the database; only the session state comes back
+    const { data: sessions, error } = await req.supabase
+      .rpc('submit_blind_bid', { p_case_id: case_.id, p_amount: parseFloat(req.body.amount) });
+
+    if (error || !sessions || sessions.length === 0) {
+      const bidError = toBidError(error || {});
+      return res.status(bidError.status).json({
+        error: bidError.error,
+        code: bidError.code
+      });
+    }
+
+    const session = sessions[0];
+    const round = before ? before.current_round : session.current_round;
+    let resolution = null;
+
+    if (session.status === 'settled') {
+      const summary = `Settled by blind bidding at ${formatAmount(session.settlement_amount)} in round ${session.settled_round}`;
+
+      await recordCaseUpdate(req.supabase, {
+        caseId: case_.id,
+        updatedBy: req.user.id,
+        updateType: 'blind_bidding_settled',
+        newValue: formatAmount(session.settlement_amount),
+        notes: `Round ${session.settled_round}`
+      });
+
+      // The case is resolved once both parties have signed the agreement
+      resolution = await settleWithAgreement(req.supabase, case_, {
+        actorId: req.user.id,
+        amount: session.settlement_amount,
+        summary
+      });
+
+      if (resolution.error) {
+        console.error('Failed to send blind bidding settlement for signature:', resolution.error);
+      } else if (req.broadcast && resolution.case.status !== case_.status) {
+        req.broadcast.caseStatusChange(resolution.case, case_.status, resolution.case.status);
+      }
+    } else if (session.status === 'failed') {
+      await recordCaseUpdate(req.supabase, {
+        caseId: case_.id,
+        updatedBy: req.user.id,
+        updateType: 'blind_bidding_failed',
+        notes: `No agreement after ${session.max_rounds} rounds`
+      });
+    } else if (session.current_round > round) {
+      await recordCaseUpdate(req.supabase, {
+        caseId: case_.id,
+        updatedBy: req.user.id,
+        updateType: 'blind_bid_round_closed',
+        notes: `Round ${round} closed without agreement`
+      });
+    }
+
+    notifyProgress(req, case_, session);
+
+    res.status(201).json({
+      success: true,
+      message: session.status === 'settled'
+        ? 'The bids matched - the settlement agreement is ready to sign'
+        : session.status === 'failed'
+          ? 'Bidding ended without agreement'
+          : 'Bid submitted',
+      session,
+      case: resolution && !resolution.error ? resolution.case : null,
+      agreement: resolution && !resolution.error ? resolution.agreement : null,
+      ...describeProgress(resolution && !resolution.error ? resolution.case : case_, session, role)
+    });
+
+  } catch (error) {
+    console.error('Submit bid error:', error);
+    res.status(500).json({
+      error: 'Failed to submit bid',
+      code: 'BID_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,18 +1,63 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 // All database operations now use req.supabase (user-authenticated client)
-const { sendCaseStatusEmail } = require('../utils/email');
+const { sendCaseStatusEmail, sendCaseInvitationEmail } = require('../utils/email');
+const { createInvitationToken, verifyInvitationToken, buildInvitationUrl } = require('../utils/invitations');
+const { getCaseRole, isCaseParty } = require('../utils/caseAccess');
+const { CASE_STATUSES, normalizeStatus, isOpenStatus, changeCaseStatus } = require('../utils/caseStatus');
+const { recordCaseUpdate, recordFieldChanges, getCaseTimeline } = require('../utils/caseHistory');
+const { startBlindBidding } = require('../utils/blindBidding');
+const { triageCase } = require('../utils/triage');
+const { getLatestAgreement } = require('../utils/settlementAgreement');
+const { DOCX_TYPE, renderAgreementPdf, renderAgreementDocx } = require('../utils/agreementDocument');
+const { SIGNATURE_TYPES, getSignatures, getSigningStatus, resolveFromAgreement, signAgreement } = require('../utils/agreementSignatures');
+const { getMediatorClearance } = require('../utils/conflictOfInterest');
 const router = express.Router();
 
+// History entries whose notes are internal to the case team (e.g. mediator selection reasoning)
+const INTERNAL_NOTE_TYPES = ['mediator_assigned', 'mediator_assignment_failed', 'conflict_override', 'mediator_recused', 'department_assigned'];
+
 // Validation middleware
 const validateCaseSubmission = [
   body('caseTitle').trim().isLength({ min: 5 }).withMessage('Case title must be at least 5 characters'),
   body('disputeType').isIn(['consumer', 'employment', 'contract', 'property', 'family', 'other']),
   body('description').trim().isLength({ min: 20 }).withMessage('Description must be at least 20 characters'),
   body('disputeAmount').optional().isNumeric().withMessage('Dispute amount must be a number'),
-  body('preferredResolution').optional().trim()
+  body('preferredResolution').optional().trim(),
+  body('blindBidding').optional().isBoolean().withMessage('Blind bidding must be true or false').toBoolean(),
+  body('respondentName').optional().trim(),
+  body('respondentEmail').optional({ checkFalsy: true }).isEmail().normalizeEmail().withMessage('Respondent email must be valid'),
+  body('respondentPhone').optional().trim()
 ];
 
+// Email a signed invitation link to the respondent and stamp the case
+const sendRespondentInvitation = async (req, case_) => {
+  const token = createInvitationToken(case_);
+  const inviteUrl = buildInvitationUrl(token);
+
+  await sendCaseInvitationEmail(
+    case_.respondent_email,
+    case_.respondent_name,
+    req.user.full_name,
+    case_,
+    inviteUrl
+  );
+
+  const { data: updatedCase, error } = await req.supabase
+    .from('cases')
+    .update({ respondent_invited_at: new Date().toISOString() })
+    .eq('id', case_.id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Failed to record invitation timestamp:', error);
+    return case_;
+  }
+
+  return updatedCase;
+};
+
 // Get all cases for current user
 router.get('/', async (req, res) => {
   try {
@@ -26,17 +71,17 @@ router.get('/', async (req, res) => {
         case_files (
           id,
           file_name,
-          file_url,
-          uploaded_at
+          file_type,
+          created_at
         )
       `)
-      .eq('user_id', req.user.id)
+      .or(`user_id.eq.${req.user.id},respondent_id.eq.${req.user.id}`)
       .order('created_at', { ascending: false })
       .range(offset, offset + limit - 1);
 
     // Apply filters
     if (status) {
-      query = query.eq('status', status);
+      query = query.eq('status', normalizeStatus(status) || status);
     }
     if (disputeType) {
       query = query.eq('case_type', disputeType); // Match schema column name
@@ -53,7 +98,7 @@ router.get('/', async (req, res) => {
 
     res.json({
       success: true,
-      cases,
+      cases: cases.map(case_ => ({ ...case_, party_role: getCaseRole(case_, req.user) })),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -83,8 +128,8 @@ router.get('/:id', async (req, res) => {
         case_files (
           id,
           file_name,
-          file_url,
-          uploaded_at
+          file_type,
+          created_at
         ),
         resolved_by_user:users!cases_resolved_by_fkey (
           id,
@@ -93,7 +138,7 @@ router.get('/:id', async (req, res) => {
         )
       `)
       .eq('id', id)
-      .eq('user_id', req.user.id)
+      .or(`user_id.eq.${req.user.id},respondent_id.eq.${req.user.id}`)
       .single();
 
     if (error || !case_) {
@@ -105,7 +150,7 @@ router.get('/:id', async (req, res) => {
 
     res.json({
       success: true,
-      case: case_
+      case: { ...case_, party_role: getCaseRole(case_, req.user) }
     });
 
   } catch (error) {
@@ -117,6 +162,407 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Get the chronological history of a case
+router.get('/:id/timeline', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: case_, error: caseError } = await req.supabase
+      .from('cases')
+      .select('id, user_id, respondent_id, assigned_mediator_id, created_at')
+      .eq('id', id)
+      .single();
+
+    const role = case_ ? getCaseRole(case_, req.user) : null;
+
+    if (caseError || !role) {
+      return res.status(404).json({
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    const { timeline: entries, error } = await getCaseTimeline(req.supabase, case_);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Failed to fetch case timeline',
+        code: 'FETCH_ERROR'
+      });
+    }
+
+    const timeline = entries.map(update => (
+      isCaseParty(role) && INTERNAL_NOTE_TYPES.includes(update.update_type)
+        ? { ...update, notes: null }
+        : update
+    ));
+
+    res.json({
+      success: true,
+      timeline
+    });
+
+  } catch (error) {
+    console.error('Get case timeline error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch case timeline',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Get the latest triage analysis of a case (not shown to the respondent)
+router.get('/:id/analysis', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: case_, error: caseError } = await req.supabase
+      .from('cases')
+      .select('id, user_id, respondent_id, assigned_mediator_id')
+      .eq('id', id)
+      .single();
+
+    const role = case_ ? getCaseRole(case_, req.user) : null;
+
+    if (caseError || !role || role === 'respondent') {
+      return res.status(404).json({
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    const { data: analysis, error } = await req.supabase
+      .from('case_analyses')
+      .select('*')
+      .eq('case_id', id)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Failed to fetch case analysis',
+        code: 'FETCH_ERROR'
+      });
+    }
+
+    if (!analysis) {
+      return res.status(404).json({
+        error: 'This case has not been analysed',
+        code: 'ANALYSIS_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      analysis
+    });
+
+  } catch (error) {
+    console.error('Get case analysis error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch case analysis',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Load a case and its latest settlement agreement for anyone on the case.
+// Sends the error response itself and returns null if there is nothing to show.
+const loadCaseAgreement = async (req, res) => {
+  const { data: case_, error: caseError } = await req.supabase
+    .from('cases')
+    .select('*')
+    .eq('id', req.params.id)
+    .single();
+
+  const role = case_ ? getCaseRole(case_, req.user) : null;
+
+  if (caseError || !role) {
+    res.status(404).json({
+      error: 'Case not found',
+      code: 'CASE_NOT_FOUND'
+    });
+    return null;
+  }
+
+  const { agreement, error } = await getLatestAgreement(req.supabase, case_.id);
+  const { signatures, error: signaturesError } = agreement
+    ? await getSignatures(req.supabase, agreement.id)
+    : { signatures: [] };
+
+  if (error || signaturesError) {
+    res.status(400).json({
+      error: 'Failed to fetch settlement agreement',
+      code: 'FETCH_ERROR'
+    });
+    return null;
+  }
+
+  if (!agreement) {
+    res.status(404).json({
+      error: 'No settlement agreement has been drafted for this case',
+      code: 'AGREEMENT_NOT_FOUND'
+    });
+    return null;
+  }
+
+  return { case_, role, agreement, signatures };
+};
+
+// Tell the parties and everyone watching the case that it has been resolved
+// from its signed agreement
+const announceResolution = (req, agreement, resolved) => {
+  agreement.signers
+    .filter(signer => signer.role !== 'mediator' && signer.email)
+    .forEach(signer => {
+      sendCaseStatusEmail(signer.email, signer.name, resolved.case, 'resolved').catch(console.error);
+    });
+
+  if (req.broadcast) {
+    req.broadcast.caseStatusChange(resolved.case, resolved.from, resolved.to);
+  }
+};
+
+// Get the latest draft of the case's settlement agreement for review, with who
+// has signed it and whose turn it is. awaiting_resolution means everyone has
+// signed but the case could not be resolved at the time; POST .../resolve retries.
+router.get('/:id/agreement', async (req, res) => {
+  try {
+    const loaded = await loadCaseAgreement(req, res);
+    if (!loaded) return;
+
+    const { case_, role, agreement, signatures } = loaded;
+    const { resolution, ...visible } = agreement;
+    const signing = getSigningStatus(agreement, signatures);
+
+    res.json({
+      success: true,
+      agreement: visible,
+      signing: {
+        ...signing,
+        awaiting_resolution: signing.complete && isOpenStatus(case_.status),
+        your_role: role
+      }
+    });
+
+  } catch (error) {
+    console.error('Get settlement agreement error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch settlement agreement',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Resolve the case from an agreement everyone has signed, when that failed as the
+// last signature went in
+router.post('/:id/agreement/resolve', async (req, res) => {
+  try {
+    const loaded = await loadCaseAgreement(req, res);
+    if (!loaded) return;
+
+    const { case_, agreement, signatures } = loaded;
+
+    if (!getSigningStatus(agreement, signatures).complete) {
+      return res.status(409).json({
+        error: 'Not everyone has signed the agreement yet',
+        code: 'AGREEMENT_NOT_SIGNED'
+      });
+    }
+
+    const resolved = await resolveFromAgreement(req.supabase, case_);
+
+    if (resolved.error) {
+      return res.status(resolved.error.status).json({
+        error: resolved.error.error,
+        code: resolved.error.code
+      });
+    }
+
+    if (resolved.case) {
+      announceResolution(req, agreement, resolved);
+    }
+
+    res.json({
+      success: true,
+      message: resolved.case ? 'The case is resolved' : 'The case was already resolved',
+      case: resolved.case || null
+    });
+
+  } catch (error) {
+    console.error('Resolve from settlement agreement error:', error);
+    res.status(500).json({
+      error: 'Failed to resolve the case',
+      code: 'RESOLUTION_FAILED'
+    });
+  }
+});
+
+// Sign the latest draft of the agreement as the current user, in their role on
+// the case. content_hash must be the hash of the draft they reviewed.
+router.post('/:id/agreement/sign', [
+  body('signature_type').isIn(SIGNATURE_TYPES).withMessage('Signature type must be typed or drawn'),
+  body('signature_text').optional().trim().isLength({ min: 2, max: 255 }).withMessage('Typed signature must be 2 to 255 characters'),
+  body('signature_image').optional().isString(),
+  body('content_hash').isLength({ min: 64, max: 64 }).withMessage('Agreement hash is required'),
+  body('consent').equals('true').withMessage('You must agree to sign electronically')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const loaded = await loadCaseAgreement(req, res);
+    if (!loaded) return;
+
+    const { case_, role, agreement, signatures } = loaded;
+
+    if (!isOpenStatus(case_.status)) {
+      return res.status(400).json({
+        error: 'Agreements can only be signed while the case is open',
+        code: 'CASE_NOT_OPEN'
+      });
+    }
+
+    // Everyone has signed but the case could not be resolved at the time;
+    // retry that instead of refusing the signature
+    const signing = getSigningStatus(agreement, signatures);
+
+    if (signing.complete) {
+      const resolved = await resolveFromAgreement(req.supabase, case_);
+
+      if (resolved.error) {
+        return res.status(resolved.error.status).json({
+          error: resolved.error.error,
+          code: resolved.error.code
+        });
+      }
+
+      if (resolved.case) {
+        announceResolution(req, agreement, resolved);
+      }
+
+      return res.json({
+        success: true,
+        message: 'Everyone has already signed - the case is resolved',
+        signing: {
+          ...signing,
+          your_role: role
+        },
+        case: resolved.case || null
+      });
+    }
+
+    // A mediator with an unresolved conflict of interest cannot witness the agreement
+    if (role === 'mediator') {
+      const clearance = await getMediatorClearance(req.supabase, case_, req.user.id);
+
+      if (!clearance.cleared) {
+        return res.status(clearance.status).json({
+          error: clearance.error,
+          code: clearance.code
+        });
+      }
+    }
+
+    const result = await signAgreement(req.supabase, case_, agreement, {
+      user: req.user,
+      role,
+      signatureType: req.body.signature_type,
+      signatureText: req.body.signature_text,
+      signatureImage: req.body.signature_image,
+      contentHash: req.body.content_hash,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent') || null
+    });
+
+    if (result.error) {
+      return res.status(result.error.status).json({
+        error: result.error.error,
+        code: result.error.code
+      });
+    }
+
+    // The signature is stored, but the case is not resolved until the retry succeeds
+    if (result.resolved && result.resolved.error) {
+      return res.status(result.resolved.error.status).json({
+        error: result.resolved.error.error,
+        code: result.resolved.error.code,
+        signing: {
+          ...result.status,
+          your_role: role
+        }
+      });
+    }
+
+    const updatedCase = result.resolved ? result.resolved.case || null : null;
+    if (updatedCase) {
+      announceResolution(req, agreement, result.resolved);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: result.status.complete
+        ? 'Agreement signed by everyone - the case is resolved'
+        : 'Agreement signed',
+      signing: {
+        ...result.status,
+        your_role: role
+      },
+      case: updatedCase
+    });
+
+  } catch (error) {
+    console.error('Sign settlement agreement error:', error);
+    res.status(500).json({
+      error: 'Failed to sign the agreement',
+      code: 'SIGNATURE_ERROR'
+    });
+  }
+});
+
+// Download the latest draft of the agreement as PDF (default) or DOCX. The PDF
+// carries the signatures so far and a signature certificate page.
+router.get('/:id/agreement/download', async (req, res) => {
+  try {
+    const format = req.query.format || 'pdf';
+    if (!['pdf', 'docx'].includes(format)) {
+      return res.status(400).json({
+        error: 'Format must be pdf or docx',
+        code: 'INVALID_FORMAT'
+      });
+    }
+
+    const loaded = await loadCaseAgreement(req, res);
+    if (!loaded) return;
+
+    const { agreement, signatures } = loaded;
+    const document = format === 'pdf'
+      ? Buffer.from(await renderAgreementPdf(agreement, signatures))
+      : renderAgreementDocx(agreement, signatures);
+
+    res.set({
+      'Content-Type': format === 'pdf' ? 'application/pdf' : DOCX_TYPE,
+      'Content-Length': document.length,
+      'Content-Disposition': `attachment; filename="case-${agreement.case_id.slice(0, 8)}-agreement-v${agreement.version}.${format}"`,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(document);
+
+  } catch (error) {
+    console.error('Settlement agreement download error:', error);
+    res.status(500).json({
+      error: 'Failed to build settlement agreement',
+      code: 'AGREEMENT_ERROR'
+    });
+  }
+});
+
 // Test endpoint for debugging
 router.post('/test-submit', async (req, res) => {
   try {
@@ -170,9 +616,18 @@ router.post('/submit', validateCaseSubmission, async (req, res) => {
       respondentEmail,
       respondentPhone,
       preferredResolution,
+      blindBidding = false,
       urgencyLevel = 'medium'
     } = req.body;
 
+    // Blind bidding settles an amount, so the dispute needs one
+    if (blindBidding && !(parseFloat(disputeAmount) > 0)) {
+      return res.status(400).json({
+        error: 'Blind bidding is only available for disputes with an amount',
+        code: 'AMOUNT_REQUIRED'
+      });
+    }
+
     // Auto-assign department based on dispute type
     const departmentMapping = {
       'consumer': 'Consumer Affairs',
@@ -195,9 +650,12 @@ router.post('/submit', validateCaseSubmission, async (req, res) => {
         case_type: disputeType, // Match schema column name
         description,
         amount_involved: disputeAmount ? parseFloat(disputeAmount) : null, // Match schema column name
-        preferred_resolution: preferredResolution,
+        preferred_resolution: preferredResolution || (blindBidding ? 'Blind bidding' : null),
         urgency_level: urgencyLevel,
-        status: 'Pending' // Match schema enum values
+        respondent_name: respondentName || null,
+        respondent_email: respondentEmail || null,
+        respondent_phone: respondentPhone || null,
+        status: CASE_STATUSES.PENDING
       })
       .select()
       .single();
@@ -217,10 +675,26 @@ router.post('/submit', validateCaseSubmission, async (req, res) => {
       });
     }
 
+    // Open blind bidding straight away when the claimant asked for it; the case
+    // is still created if this fails and bidding can be started later
+    let blindBiddingSession = null;
+    if (blindBidding) {
+      try {
+        blindBiddingSession = await startBlindBidding(req.supabase, newCase, { actorId: req.user.id });
+      } catch (bidError) {
+        console.error('Failed to start blind bidding:', bidError);
+      }
+    }
+
     // Send confirmation email (async)
     sendCaseStatusEmail(req.user.email, req.user.full_name, newCase, 'submitted')
       .catch(console.error);
 
+    // Invite the respondent to join the case (async)
+    if (newCase.respondent_email) {
+      sendRespondentInvitation(req, newCase).catch(console.error);
+    }
+
     // Broadcast new case to admins via WebSocket
     if (req.broadcast) {
       req.broadcast.newCase(newCase);
@@ -229,9 +703,17 @@ router.post('/submit', validateCaseSubmission, async (req, res) => {
     res.status(201).json({
       success: true,
       message: 'Case submitted successfully',
-      case: newCase
+      case: newCase,
+      blind_bidding: blindBiddingSession
     });
 
+    // Suggested type, urgency and key details for whoever picks the case up (async);
+    // GET /:id/analysis returns them once stored
+    triageCase(req.supabase, newCase, {
+      actorId: req.user.id,
+      claimantName: req.user.full_name
+    }).catch(console.error);
+
   } catch (error) {
     console.error('❌ Case submission error:', {
       message: error.message,
@@ -248,6 +730,274 @@ router.post('/submit', validateCaseSubmission, async (req, res) => {
   }
 });
 
+// Accept an invitation to join a case as the respondent
+router.post('/invitations/accept', [
+  body('token').notEmpty().withMessage('Invitation token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    let invitation;
+    try {
+      invitation = verifyInvitationToken(req.body.token);
+    } catch (error) {
+      return res.status(400).json({
+        error: error.name === 'TokenExpiredError' ? 'Invitation has expired' : 'Invalid invitation',
+        code: error.name === 'TokenExpiredError' ? 'INVITATION_EXPIRED' : 'INVALID_INVITATION'
+      });
+    }
+
+    if (invitation.email !== (req.user.email || '').toLowerCase()) {
+      return res.status(403).json({
+        error: 'This invitation was sent to a different email address',
+        code: 'INVITATION_EMAIL_MISMATCH'
+      });
+    }
+
+    const { data: joinedCases, error } = await req.supabase
+      .rpc('accept_case_invitation', { p_case_id: invitation.caseId });
+
+    if (error || !joinedCases || joinedCases.length === 0) {
+      return res.status(404).json({
+        error: 'Invitation is no longer valid for this case',
+        code: 'INVITATION_NOT_FOUND'
+      });
+    }
+
+    const joinedCase = joinedCases[0];
+
+    // Let the claimant and admins know the respondent has joined
+    if (req.broadcast) {
+      req.broadcast.caseUpdate(joinedCase, req.user.id);
+    }
+
+    res.json({
+      success: true,
+      message: 'You have joined the case as the respondent',
+      case: { ...joinedCase, party_role: 'respondent' }
+    });
+
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      error: 'Failed to accept invitation',
+      code: 'INVITATION_ERROR'
+    });
+  }
+});
+
+// Invite (or re-invite) the respondent to a case
+router.post('/:id/invite', [
+  body('respondentEmail').optional({ checkFalsy: true }).isEmail().normalizeEmail().withMessage('Respondent email must be valid'),
+  body('respondentName').optional().trim(),
+  body('respondentPhone').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { respondentEmail, respondentName, respondentPhone } = req.body;
+
+    const { data: case_, error: fetchError } = await req.supabase
+      .from('cases')
+      .select('*')
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (fetchError || !case_) {
+      return res.status(404).json({
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    if (case_.respondent_id) {
+      return res.status(400).json({
+        error: 'The respondent has already joined this case',
+        code: 'RESPONDENT_ALREADY_JOINED'
+      });
+    }
+
+    // Apply any new respondent details before sending the invitation
+    const updates = {};
+    if (respondentEmail) updates.respondent_email = respondentEmail;
+    if (respondentName) updates.respondent_name = respondentName;
+    if (respondentPhone) updates.respondent_phone = respondentPhone;
+
+    let invitedCase = case_;
+    if (Object.keys(updates).length > 0) {
+      const { data: updatedCase, error: updateError } = await req.supabase
+        .from('cases')
+        .update({ ...updates, last_updated: new Date().toISOString() })
+        .eq('id', id)
+        .eq('user_id', req.user.id)
+        .select()
+        .single();
+
+      if (updateError || !updatedCase) {
+        return res.status(400).json({
+          error: 'Failed to update respondent details',
+          code: 'UPDATE_ERROR'
+        });
+      }
+      invitedCase = updatedCase;
+    }
+
+    if (!invitedCase.respondent_email) {
+      return res.status(400).json({
+        error: 'Respondent email is required to send an invitation',
+        code: 'RESPONDENT_EMAIL_REQUIRED'
+      });
+    }
+
+    invitedCase = await sendRespondentInvitation(req, invitedCase);
+
+    res.json({
+      success: true,
+      message: `Invitation sent to ${invitedCase.respondent_email}`,
+      case: { ...invitedCase, party_role: 'claimant' }
+    });
+
+  } catch (error) {
+    console.error('Invite respondent error:', error);
+    res.status(500).json({
+      error: 'Failed to send invitation',
+      code: 'INVITATION_ERROR'
+    });
+  }
+});
+
+// Submit the respondent's answer to a case
+router.post('/:id/response', [
+  body('responseType').isIn(['accept_liability', 'dispute', 'counter_claim']),
+  body('statement').optional().trim(),
+  body('counterClaimAmount').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('Counter-claim amount must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { responseType, statement, counterClaimAmount } = req.body;
+
+    // Disputes and counter-claims must explain the respondent's side
+    if (responseType !== 'accept_liability' && (!statement || statement.length < 20)) {
+      return res.status(400).json({
+        error: 'A statement of at least 20 characters is required',
+        code: 'STATEMENT_REQUIRED'
+      });
+    }
+
+    if (responseType === 'counter_claim' && !counterClaimAmount) {
+      return res.status(400).json({
+        error: 'Counter-claim amount is required',
+        code: 'COUNTER_CLAIM_AMOUNT_REQUIRED'
+      });
+    }
+
+    const { data: case_, error: fetchError } = await req.supabase
+      .from('cases')
+      .select('*')
+      .eq('id', id)
+      .eq('respondent_id', req.user.id)
+      .single();
+
+    if (fetchError || !case_) {
+      return res.status(404).json({
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    if (case_.respondent_response) {
+      return res.status(409).json({
+        error: 'A response has already been submitted for this case',
+        code: 'RESPONSE_ALREADY_SUBMITTED'
+      });
+    }
+
+    if (!isOpenStatus(case_.status)) {
+      return res.status(400).json({
+        error: 'This case is no longer open for responses',
+        code: 'CASE_NOT_OPEN'
+      });
+    }
+
+    const respondedAt = new Date().toISOString();
+
+    const { data: updatedCase, error: updateError } = await req.supabase
+      .from('cases')
+      .update({
+        respondent_response: responseType,
+        respondent_statement: statement || null,
+        counter_claim_amount: responseType === 'counter_claim' ? parseFloat(counterClaimAmount) : null,
+        respondent_responded_at: respondedAt,
+        last_updated: respondedAt
+      })
+      .eq('id', id)
+      .eq('respondent_id', req.user.id)
+      .select()
+      .single();
+
+    if (updateError || !updatedCase) {
+      return res.status(400).json({
+        error: 'Failed to record response',
+        code: 'RESPONSE_ERROR'
+      });
+    }
+
+    // Record the response in the case history
+    await recordCaseUpdate(req.supabase, {
+      caseId: id,
+      updatedBy: req.user.id,
+      updateType: 'respondent_response',
+      newValue: responseType,
+      notes: responseType === 'counter_claim'
+        ? `Counter-claim of ${updatedCase.counter_claim_amount}: ${statement}`
+        : statement
+    });
+
+    // Let the claimant know the other side has answered (async)
+    sendCaseStatusEmail(case_.user_email, null, updatedCase, 'respondent_responded')
+      .catch(console.error);
+
+    if (req.broadcast) {
+      req.broadcast.caseUpdate(updatedCase, req.user.id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Response submitted successfully',
+      case: { ...updatedCase, party_role: 'respondent' }
+    });
+
+  } catch (error) {
+    console.error('Respondent response error:', error);
+    res.status(500).json({
+      error: 'Failed to submit response',
+      code: 'RESPONSE_ERROR'
+    });
+  }
+});
+
 // Update case (limited fields for users)
 router.patch('/:id', async (req, res) => {
   try {
@@ -269,6 +1019,21 @@ router.patch('/:id', async (req, res) => {
       });
     }
 
+    // Load the current values so the history can show what changed
+    const { data: currentCase, error: fetchError } = await req.supabase
+      .from('cases')
+      .select('id, preferred_resolution, description')
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (fetchError || !currentCase) {
+      return res.status(404).json({
+        error: 'Case not found or update failed',
+        code: 'UPDATE_ERROR'
+      });
+    }
+
     // Add updated timestamp
     updates.last_updated = new Date().toISOString();
 
@@ -287,6 +1052,14 @@ router.patch('/:id', async (req, res) => {
       });
     }
 
+    await recordFieldChanges(req.supabase, {
+      caseId: id,
+      updatedBy: req.user.id,
+      before: currentCase,
+      after: updatedCase,
+      fields: allowedUpdates
+    });
+
     // Broadcast case update via WebSocket
     if (req.broadcast) {
       req.broadcast.caseUpdate(updatedCase);
@@ -323,13 +1096,14 @@ router.get('/stats/dashboard', async (req, res) => {
       });
     }
 
-    // Calculate statistics (match schema enum values)
+    // Calculate statistics
     const stats = {
       total: statusStats.length,
-      pending: statusStats.filter(c => c.status === 'Pending').length,
-      in_review: statusStats.filter(c => c.status === 'In Review').length,
-      resolved: statusStats.filter(c => c.status === 'Resolved').length,
-      closed: statusStats.filter(c => c.status === 'Closed').length
+      pending: statusStats.filter(c => c.status === CASE_STATUSES.PENDING).length,
+      in_review: statusStats.filter(c => c.status === CASE_STATUSES.IN_REVIEW).length,
+      in_mediation: statusStats.filter(c => c.status === CASE_STATUSES.IN_MEDIATION).length,
+      resolved: statusStats.filter(c => c.status === CASE_STATUSES.RESOLVED).length,
+      closed: statusStats.filter(c => c.status === CASE_STATUSES.CLOSED).length
     };
 
     // Get recent cases
@@ -367,10 +1141,9 @@ router.delete('/:id', async (req, res) => {
   try {
     const { id } = req.params;
 
-    // Only allow deletion of pending cases
     const { data: case_, error: fetchError } = await req.supabase
       .from('cases')
-      .select('status')
+      .select('id, status, user_id')
       .eq('id', id)
       .eq('user_id', req.user.id)
       .single();
@@ -382,28 +1155,23 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
-    if (case_.status !== 'Pending') {
-      return res.status(400).json({
-        error: 'Only pending cases can be cancelled',
-        code: 'CANNOT_CANCEL'
+    // Close the case instead of deleting it; the state machine only lets
+    // claimants close cases that are still pending
+    const result = await changeCaseStatus(req.supabase, case_, CASE_STATUSES.CLOSED, {
+      role: 'claimant',
+      actorId: req.user.id,
+      notes: 'Cancelled by claimant'
+    });
+
+    if (result.error) {
+      return res.status(result.error.status).json({
+        error: result.error.error,
+        code: result.error.code
       });
     }
 
-    // Update status to closed instead of deleting
-    const { error: updateError } = await req.supabase
-      .from('cases')
-      .update({ 
-        status: 'Closed',
-        last_updated: new Date().toISOString()
-      })
-      .eq('id', id)
-      .eq('user_id', req.user.id);
-
-    if (updateError) {
-      return res.status(400).json({
-        error: 'Failed to cancel case',
-        code: 'CANCEL_ERROR'
-      });
+    if (req.broadcast) {
+      req.broadcast.caseStatusChange(result.case, result.from, result.to);
     }
 
     res.json({
@@ -0,0 +1,43 @@
+const express = require('express');
+// All database operations now use req.supabase (user-authenticated client)
+const { loadFileForDownload, streamFile } = require('../utils/fileAccess');
+const { verifyDownloadLink } = require('../utils/downloadLinks');
+const router = express.Router();
+
+// Redeem a signed download link. The link only works for the user it was
+// issued to, before it expires, and while they still have access to the case.
+router.get('/:fileId', async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    const { expires, signature } = req.query;
+
+    const linkError = verifyDownloadLink(fileId, req.user.id, expires, signature);
+
+    if (linkError) {
+      return res.status(linkError.status).json({
+        error: linkError.error,
+        code: linkError.code
+      });
+    }
+
+    const { file, role, error } = await loadFileForDownload(req, fileId);
+
+    if (error) {
+      return res.status(error.status).json({
+        error: error.error,
+        code: error.code
+      });
+    }
+
+    await streamFile(req, res, file, role, 'signed_link', { inline: req.query.inline === 'true' });
+
+  } catch (error) {
+    console.error('Signed download error:', error);
+    res.status(500).json({
+      error: 'Failed to download file',
+      code: 'DOWNLOAD_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,657 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+// All database operations now use req.supabase (user-authenticated client)
+const { requireUserType } = require('../middleware/auth');
+const { sendCaseStatusEmail } = require('../utils/email');
+const { CASE_STATUSES, normalizeStatus, toStatusKey, getAllowedTransitions, validateTransition, changeCaseStatus } = require('../utils/caseStatus');
+const { recordCaseUpdate } = require('../utils/caseHistory');
+const { findConflicts, getMediatorClearance } = require('../utils/conflictOfInterest');
+const { groupFileVersions } = require('../utils/fileVersions');
+const { findSimilarCases } = require('../utils/similarCases');
+const { predictOutcome } = require('../utils/outcomePrediction');
+const { sendForSignature } = require('../utils/settlement');
+const router = express.Router();
+
+// Apply mediator middleware to all routes
+router.use(requireUserType(['mediator']));
+
+// Load a case only if it is assigned to the current mediator
+const loadAssignedCase = async (req, columns = '*') => {
+  const { data: case_, error } = await req.supabase
+    .from('cases')
+    .select(columns)
+    .eq('id', req.params.id)
+    .eq('assigned_mediator_id', req.user.id)
+    .single();
+
+  return error ? null : case_;
+};
+
+// Get the mediator's caseload
+router.get('/cases', [
+  query('status').optional().trim(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, status } = req.query;
+    const offset = (page - 1) * limit;
+
+    let casesQuery = req.supabase
+      .from('cases')
+      .select('id, case_title, case_type, description, amount_involved, urgency_level, status, respondent_name, respondent_response, created_at, last_updated', { count: 'exact' })
+      .eq('assigned_mediator_id', req.user.id)
+      .order('last_updated', { ascending: false })
+      .range(offset, offset + Number(limit) - 1);
+
+    if (status) {
+      casesQuery = casesQuery.eq('status', normalizeStatus(status) || status);
+    }
+
+    const { data: cases, error, count } = await casesQuery;
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Failed to fetch cases',
+        code: 'FETCH_ERROR'
+      });
+    }
+
+    res.json({
+      success: true,
+      cases,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Mediator get cases error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch cases',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Get an assigned case with its evidence, notes and proposals
+router.get('/cases/:id', async (req, res) => {
+  try {
+    const case_ = await loadAssignedCase(req, `
+      *,
+      case_files (
+        id,
+        file_name,
+        file_size,
+        file_type,
+        thumbnail_path,
+        version,
+        previous_version_id,
+        superseded_by,
+        superseded_at,
+        uploaded_by,
+        created_at
+      )
+    `);
+
+    if (!case_) {
+      return res.status(404).json({
+        error: 'Case not found or not assigned to you',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    // The mediator must clear the conflict check before seeing the case file;
+    // the summary is enough to decide whether to declare or recuse
+    const clearance = await getMediatorClearance(req.supabase, case_, req.user.id);
+
+    if (!clearance.cleared) {
+      return res.status(clearance.status).json({
+        error: clearance.error,
+        code: clearance.code,
+        conflicts: clearance.conflicts,
+        case: {
+          id: case_.id,
+          case_title: case_.case_title,
+          case_type: case_.case_type,
+          user_email: case_.user_email,
+          respondent_name: case_.respondent_name,
+          respondent_email: case_.respondent_email
+        }
+      });
+    }
+
+    const [{ data: notes }, { data: proposals }] = await Promise.all([
+      req.supabase
+        .from('mediator_notes')
+        .select('*')
+        .eq('case_id', case_.id)
+        .order('created_at', { ascending: false }),
+      req.supabase
+        .from('outcome_proposals')
+        .select('*')
+        .eq('case_id', case_.id)
+        .order('created_at', { ascending: false })
+    ]);
+
+    // Tag each file with which side submitted it; earlier versions come nested
+    // under the current one
+    const submittedBy = (file) => file.uploaded_by === case_.user_id ? 'claimant'
+      : file.uploaded_by === case_.respondent_id ? 'respondent'
+      : 'other';
+
+    const evidence = groupFileVersions(case_.case_files).map(file => ({
+      ...file,
+      submitted_by: submittedBy(file),
+      previous_versions: file.previous_versions.map(version => ({ ...version, submitted_by: submittedBy(version) }))
+    }));
+
+    res.json({
+      success: true,
+      case: {
+        ...case_,
+        case_files: evidence,
+        allowed_transitions: getAllowedTransitions(case_.status, 'mediator')
+      },
+      notes: notes || [],
+      proposals: proposals || []
+    });
+
+  } catch (error) {
+    console.error('Mediator get case error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch case',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Resolved cases similar to an assigned case, with how each was resolved
+router.get('/cases/:id/similar', [
+  query('limit').optional().isInt({ min: 1, max: 20 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const case_ = await loadAssignedCase(req, 'id, case_title, case_type, description, amount_involved');
+
+    if (!case_) {
+      return res.status(404).json({
+        error: 'Case not found or not assigned to you',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    const clearance = await getMediatorClearance(req.supabase, case_, req.user.id);
+
+    if (!clearance.cleared) {
+      return res.status(clearance.status).json({
+        error: clearance.error,
+        code: clearance.code,
+        conflicts: clearance.conflicts
+      });
+    }
+
+    const { data, error } = await findSimilarCases(req.supabase, case_, {
+      limit: parseInt(req.query.limit) || 5
+    });
+
+    if (error) {
+      return res.status(500).json({
+        error: 'Failed to find similar cases',
+        code: 'SIMILAR_CASES_ERROR'
+      });
+    }
+
+    res.json({
+      success: true,
+      similar_cases: data.results,
+      indexed_cases: data.indexed
+    });
+
+  } catch (error) {
+    console.error('Mediator similar cases error:', error);
+    res.status(500).json({
+      error: 'Failed to find similar cases',
+      code: 'SIMILAR_CASES_ERROR'
+    });
+  }
+});
+
+// Likely outcome and settlement range for an assigned case, from the outcome model
+router.get('/cases/:id/prediction', async (req, res) => {
+  try {
+    const case_ = await loadAssignedCase(req, 'id, case_title, case_type, description, amount_involved, urgency_level, respondent_response, counter_claim_amount');
+
+    if (!case_) {
+      return res.status(404).json({
+        error: 'Case not found or not assigned to you',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    const clearance = await getMediatorClearance(req.supabase, case_, req.user.id);
+
+    if (!clearance.cleared) {
+      return res.status(clearance.status).json({
+        error: clearance.error,
+        code: clearance.code,
+        conflicts: clearance.conflicts
+      });
+    }
+
+    const { prediction, error } = predictOutcome(case_);
+
+    if (error) {
+      return res.status(error.status).json({
+        error: error.error,
+        code: error.code
+      });
+    }
+
+    res.json({
+      success: true,
+      prediction
+    });
+
+  } catch (error) {
+    console.error('Mediator outcome prediction error:', error);
+    res.status(500).json({
+      error: 'Failed to predict outcome',
+      code: 'PREDICTION_ERROR'
+    });
+  }
+});
+
+// Declare no conflict of interest, or recuse from an assigned case
+router.post('/cases/:id/declaration', [
+  body('declaration').isIn(['no_conflict', 'recused']),
+  body('statement').optional().trim().isLength({ max: 2000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { declaration, statement } = req.body;
+    const case_ = await loadAssignedCase(req, 'id, case_title, user_id, respondent_id, assigned_mediator_id, status');
+
+    if (!case_) {
+      return res.status(404).json({
+        error: 'Case not found or not assigned to you',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    const { data: existing } = await req.supabase
+      .from('mediator_declarations')
+      .select('id, declaration')
+      .eq('case_id', case_.id)
+      .eq('mediator_id', req.user.id)
+      .maybeSingle();
+
+    if (existing) {
+      return res.status(409).json({
+        error: 'You have already made a declaration for this case',
+        code: 'DECLARATION_ALREADY_MADE'
+      });
+    }
+
+    if (declaration === 'no_conflict') {
+      // A flagged conflict can only be cleared by an administrator's override
+      const conflicts = (await findConflicts(req.supabase, [req.user.id], case_))[req.user.id] || [];
+      const { data: overrides } = await req.supabase
+        .from('conflict_overrides')
+        .select('id')
+        .eq('case_id', case_.id)
+        .eq('mediator_id', req.user.id);
+
+      if (conflicts.length > 0 && (!overrides || overrides.length === 0)) {
+        return res.status(409).json({
+          error: 'A possible conflict of interest has been flagged. Recuse, or ask an administrator to review it.',
+          code: 'CONFLICT_OF_INTEREST',
+          conflicts
+        });
+      }
+    }
+
+    // A recusal hands the case back to the administrators for reassignment; the
+    // declaration and the unassignment are made together by recuse_mediator()
+    const { data: record, error } = declaration === 'recused'
+      ? await req.supabase
+        .rpc('recuse_mediator', { p_case_id: case_.id, p_statement: statement || null })
+        .single()
+      : await req.supabase
+        .from('mediator_declarations')
+        .insert({ case_id: case_.id, mediator_id: req.user.id, declaration, statement: statement || null })
+        .select()
+        .single();
+
+    if (error || !record) {
+      if (error) {
+        console.error('Failed to record declaration:', error);
+      }
+      return res.status(400).json({
+        error: declaration === 'recused' ? 'Failed to recuse from the case' : 'Failed to record declaration',
+        code: 'DECLARATION_ERROR'
+      });
+    }
+
+    await recordCaseUpdate(req.supabase, {
+      caseId: case_.id,
+      updatedBy: req.user.id,
+      updateType: declaration === 'recused' ? 'mediator_recused' : 'conflict_declared',
+      newValue: declaration,
+      notes: statement
+    });
+
+    if (declaration === 'recused' && req.broadcast) {
+      req.broadcast.caseUpdate({ ...case_, assigned_mediator_id: null });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: declaration === 'recused' ? 'You have recused yourself from this case' : 'Declaration recorded successfully',
+      declaration: record
+    });
+
+  } catch (error) {
+    console.error('Mediator declaration error:', error);
+    res.status(500).json({
+      error: 'Failed to record declaration',
+      code: 'DECLARATION_ERROR'
+    });
+  }
+});
+
+// Add a private mediator note to a case
+router.post('/cases/:id/notes', [
+  body('note').trim().isLength({ min: 1, max: 5000 }).withMessage('Note must be between 1 and 5000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const case_ = await loadAssignedCase(req, 'id');
+
+    if (!case_) {
+      return res.status(404).json({
+        error: 'Case not found or not assigned to you',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    const clearance = await getMediatorClearance(req.supabase, case_, req.user.id);
+
+    if (!clearance.cleared) {
+      return res.status(clearance.status).json({
+        error: clearance.error,
+        code: clearance.code,
+        conflicts: clearance.conflicts
+      });
+    }
+
+    const { data: note, error } = await req.supabase
+      .from('mediator_notes')
+      .insert({
+        case_id: case_.id,
+        mediator_id: req.user.id,
+        note: req.body.note
+      })
+      .select()
+      .single();
+
+    if (error || !note) {
+      return res.status(400).json({
+        error: 'Failed to save note',
+        code: 'NOTE_ERROR'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Note saved successfully',
+      note
+    });
+
+  } catch (error) {
+    console.error('Mediator add note error:', error);
+    res.status(500).json({
+      error: 'Failed to save note',
+      code: 'NOTE_ERROR'
+    });
+  }
+});
+
+// Propose an outcome to both parties
+router.post('/cases/:id/proposals', [
+  body('title').trim().isLength({ min: 3, max: 255 }).withMessage('Title must be between 3 and 255 characters'),
+  body('terms').trim().isLength({ min: 10, max: 5000 }).withMessage('Terms must be between 10 and 5000 characters'),
+  body('amount').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('Amount must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const case_ = await loadAssignedCase(req, 'id, case_title, user_id, respondent_id, assigned_mediator_id, status');
+
+    if (!case_) {
+      return res.status(404).json({
+        error: 'Case not found or not assigned to you',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    const clearance = await getMediatorClearance(req.supabase, case_, req.user.id);
+
+    if (!clearance.cleared) {
+      return res.status(clearance.status).json({
+        error: clearance.error,
+        code: clearance.code,
+        conflicts: clearance.conflicts
+      });
+    }
+
+    if (case_.status !== CASE_STATUSES.IN_MEDIATION) {
+      return res.status(400).json({
+        error: 'Outcomes can only be proposed while a case is in mediation',
+        code: 'CASE_NOT_IN_MEDIATION'
+      });
+    }
+
+    const { title, terms, amount } = req.body;
+
+    const { data: proposal, error } = await req.supabase
+      .from('outcome_proposals')
+      .insert({
+        case_id: case_.id,
+        mediator_id: req.user.id,
+        title,
+        terms,
+        amount: amount ? parseFloat(amount) : null
+      })
+      .select()
+      .single();
+
+    if (error || !proposal) {
+      return res.status(400).json({
+        error: 'Failed to propose outcome',
+        code: 'PROPOSAL_ERROR'
+      });
+    }
+
+    await recordCaseUpdate(req.supabase, {
+      caseId: case_.id,
+      updatedBy: req.user.id,
+      updateType: 'outcome_proposed',
+      newValue: title,
+      notes: terms
+    });
+
+    // Let both parties see the proposal straight away
+    if (req.broadcast) {
+      req.broadcast.caseUpdate(case_);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Outcome proposed successfully',
+      proposal
+    });
+
+  } catch (error) {
+    console.error('Mediator propose outcome error:', error);
+    res.status(500).json({
+      error: 'Failed to propose outcome',
+      code: 'PROPOSAL_ERROR'
+    });
+  }
+});
+
+// Move an assigned case through mediation
+router.patch('/cases/:id/status', [
+  body('status').trim().notEmpty().withMessage('Status is required'),
+  body('resolution').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { status, resolution } = req.body;
+    const currentCase = await loadAssignedCase(req);
+
+    if (!currentCase) {
+      return res.status(404).json({
+        error: 'Case not found or not assigned to you',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    const clearance = await getMediatorClearance(req.supabase, currentCase, req.user.id);
+
+    if (!clearance.cleared) {
+      return res.status(clearance.status).json({
+        error: clearance.error,
+        code: clearance.code,
+        conflicts: clearance.conflicts
+      });
+    }
+
+    const resolving = normalizeStatus(status) === CASE_STATUSES.RESOLVED;
+
+    if (resolving && !resolution) {
+      return res.status(400).json({
+        error: 'Resolution is required when marking case as resolved',
+        code: 'RESOLUTION_REQUIRED'
+      });
+    }
+
+    // The resolution goes to the parties as a settlement agreement; the case is
+    // resolved once everyone, the mediator last, has signed it
+    if (resolving) {
+      const check = validateTransition(currentCase.status, status, 'mediator');
+
+      if (!check.allowed) {
+        return res.status(check.status).json({
+          error: check.error,
+          code: check.code
+        });
+      }
+
+      const { agreement, error: agreementError } = await sendForSignature(req.supabase, currentCase, {
+        actorId: req.user.id,
+        fields: { resolution_notes: resolution, resolved_by: req.user.id },
+        notes: resolution
+      });
+
+      if (agreementError) {
+        return res.status(agreementError.status).json({
+          error: agreementError.error,
+          code: agreementError.code
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: 'Settlement agreement sent for signature - the case will be resolved once everyone has signed',
+        case: currentCase,
+        agreement
+      });
+    }
+
+    const result = await changeCaseStatus(req.supabase, currentCase, status, {
+      role: 'mediator',
+      actorId: req.user.id,
+      notes: resolution
+    });
+
+    if (result.error) {
+      return res.status(result.error.status).json({
+        error: result.error.error,
+        code: result.error.code
+      });
+    }
+
+    sendCaseStatusEmail(
+      currentCase.user_email,
+      null,
+      result.case,
+      toStatusKey(result.to)
+    ).catch(console.error);
+
+    if (req.broadcast) {
+      req.broadcast.caseStatusChange(result.case, result.from, result.to);
+    }
+
+    res.json({
+      success: true,
+      message: 'Case status updated successfully',
+      case: result.case
+    });
+
+  } catch (error) {
+    console.error('Mediator update case error:', error);
+    res.status(500).json({
+      error: 'Failed to update case',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
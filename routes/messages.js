@@ -0,0 +1,245 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+// All database operations now use req.supabase (user-authenticated client)
+const { getCaseRole, isCaseParty } = require('../utils/caseAccess');
+const { isOpenStatus } = require('../utils/caseStatus');
+const { getMediatorClearance } = require('../utils/conflictOfInterest');
+const router = express.Router({ mergeParams: true });
+
+// Parties only see shared messages and their own caucus with the mediator
+const canViewMessage = (message, role) => {
+  if (message.visibility === 'shared') return true;
+  if (role === 'mediator' || role === 'admin') return true;
+  return message.caucus_party === role;
+};
+
+// Users (other than the sender) who should receive a message in real time
+const getMessageRecipients = (case_, message) => {
+  const recipients = [case_.assigned_mediator_id];
+
+  if (message.visibility === 'shared' || message.caucus_party === 'claimant') {
+    recipients.push(case_.user_id);
+  }
+  if (message.visibility === 'shared' || message.caucus_party === 'respondent') {
+    recipients.push(case_.respondent_id);
+  }
+
+  return recipients.filter(userId => userId && userId !== message.sender_id);
+};
+
+// Load the case and work out the current user's role on it
+const loadCaseForUser = async (req) => {
+  const { data: case_, error } = await req.supabase
+    .from('cases')
+    .select('id, case_title, user_id, respondent_id, assigned_mediator_id, status')
+    .eq('id', req.params.caseId)
+    .single();
+
+  if (error || !case_) {
+    return { case_: null, role: null };
+  }
+
+  const role = getCaseRole(case_, req.user);
+
+  // Mediators join the conversation only once cleared of conflicts of interest
+  if (role === 'mediator') {
+    const clearance = await getMediatorClearance(req.supabase, case_, req.user.id);
+    if (!clearance.cleared) {
+      return { case_, role, clearance };
+    }
+  }
+
+  return { case_, role };
+};
+
+// Get messages for a case
+router.get('/', [
+  query('since').optional().isISO8601(),
+  query('parentId').optional().isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { case_, role, clearance } = await loadCaseForUser(req);
+
+    if (!case_ || !role) {
+      return res.status(404).json({
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    if (clearance) {
+      return res.status(clearance.status).json({
+        error: clearance.error,
+        code: clearance.code
+      });
+    }
+
+    const { since, parentId } = req.query;
+
+    let messageQuery = req.supabase
+      .from('case_messages')
+      .select('*, sender:users!case_messages_sender_id_fkey(id, full_name)')
+      .eq('case_id', case_.id)
+      .order('created_at', { ascending: true });
+
+    if (since) {
+      messageQuery = messageQuery.gt('created_at', since);
+    }
+    if (parentId) {
+      messageQuery = messageQuery.eq('parent_id', parentId);
+    }
+
+    const { data: messages, error } = await messageQuery;
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Failed to fetch messages',
+        code: 'FETCH_ERROR'
+      });
+    }
+
+    res.json({
+      success: true,
+      role,
+      messages: (messages || []).filter(message => canViewMessage(message, role))
+    });
+
+  } catch (error) {
+    console.error('Get messages error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch messages',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Post a message to a case
+router.post('/', [
+  body('body').trim().isLength({ min: 1, max: 5000 }).withMessage('Message must be between 1 and 5000 characters'),
+  body('visibility').optional().isIn(['shared', 'caucus']),
+  body('caucusParty').optional().isIn(['claimant', 'respondent']),
+  body('parentId').optional().isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { case_, role, clearance } = await loadCaseForUser(req);
+
+    if (!case_ || !role) {
+      return res.status(404).json({
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    if (clearance) {
+      return res.status(clearance.status).json({
+        error: clearance.error,
+        code: clearance.code
+      });
+    }
+
+    if (!isOpenStatus(case_.status)) {
+      return res.status(400).json({
+        error: 'Messaging is closed for this case',
+        code: 'CASE_NOT_OPEN'
+      });
+    }
+
+    const { parentId } = req.body;
+    let visibility = req.body.visibility || 'shared';
+    let caucusParty = null;
+
+    if (parentId) {
+      // Replies stay in the same channel as the message they answer
+      const { data: parent, error: parentError } = await req.supabase
+        .from('case_messages')
+        .select('id, case_id, visibility, caucus_party')
+        .eq('id', parentId)
+        .eq('case_id', case_.id)
+        .single();
+
+      if (parentError || !parent || !canViewMessage(parent, role)) {
+        return res.status(404).json({
+          error: 'Parent message not found',
+          code: 'MESSAGE_NOT_FOUND'
+        });
+      }
+
+      visibility = parent.visibility;
+      caucusParty = parent.caucus_party;
+    } else if (visibility === 'caucus') {
+      // Parties can only caucus privately with the mediator on their own behalf
+      caucusParty = isCaseParty(role) ? role : req.body.caucusParty;
+
+      if (!caucusParty) {
+        return res.status(400).json({
+          error: 'caucusParty is required for a caucus message',
+          code: 'CAUCUS_PARTY_REQUIRED'
+        });
+      }
+    }
+
+    if (visibility === 'caucus' && !case_.assigned_mediator_id) {
+      return res.status(400).json({
+        error: 'A mediator must be assigned before a private caucus can start',
+        code: 'NO_MEDIATOR_ASSIGNED'
+      });
+    }
+
+    const { data: message, error } = await req.supabase
+      .from('case_messages')
+      .insert({
+        case_id: case_.id,
+        sender_id: req.user.id,
+        sender_role: role,
+        parent_id: parentId || null,
+        visibility,
+        caucus_party: caucusParty,
+        body: req.body.body
+      })
+      .select('*, sender:users!case_messages_sender_id_fkey(id, full_name)')
+      .single();
+
+    if (error || !message) {
+      return res.status(400).json({
+        error: 'Failed to send message',
+        code: 'MESSAGE_ERROR'
+      });
+    }
+
+    // Deliver the message live to everyone who is allowed to see it
+    if (req.broadcast) {
+      req.broadcast.caseMessage(message, getMessageRecipients(case_, message));
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent successfully',
+      caseMessage: message
+    });
+
+  } catch (error) {
+    console.error('Send message error:', error);
+    res.status(500).json({
+      error: 'Failed to send message',
+      code: 'MESSAGE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
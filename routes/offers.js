@@ -0,0 +1,572 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+// All database operations now use req.supabase (user-authenticated client)
+const { getCaseRole, isCaseParty } = require('../utils/caseAccess');
+const { isOpenStatus } = require('../utils/caseStatus');
+const { recordCaseUpdate } = require('../utils/caseHistory');
+const { formatAmount, settleWithAgreement } = require('../utils/settlement');
+const { sendSettlementOfferEmail } = require('../utils/email');
+const router = express.Router({ mergeParams: true });
+
+const DEFAULT_EXPIRY_DAYS = parseInt(process.env.SETTLEMENT_OFFER_EXPIRY_DAYS) || 7;
+
+// Validation shared by new offers and counter-offers
+const validateOffer = [
+  body('amount').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
+  body('terms').optional().trim().isLength({ max: 2000 }).withMessage('Terms must be at most 2000 characters'),
+  body('expiresInDays').optional().isInt({ min: 1, max: 30 }).withMessage('Offers can stay open for 1 to 30 days')
+];
+
+const otherParty = (role) => (role === 'claimant' ? 'respondent' : 'claimant');
+
+// Short human-readable summary used in history entries
+const describeOffer = (offer) => {
+  const parts = [];
+  if (offer.amount !== null && offer.amount !== undefined) {
+    parts.push(formatAmount(offer.amount));
+  }
+  if (offer.terms) {
+    parts.push(offer.terms);
+  }
+  return parts.join(' + ');
+};
+
+// Build the offer row from the request body, or return an error
+const buildOffer = (req, case_, role, parentOfferId = null) => {
+  const amount = req.body.amount !== undefined && req.body.amount !== null && req.body.amount !== ''
+    ? parseFloat(req.body.amount)
+    : null;
+  const terms = req.body.terms || null;
+
+  if (amount === null && !terms) {
+    return { error: 'An offer needs an amount, terms, or both' };
+  }
+
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + (parseInt(req.body.expiresInDays) || DEFAULT_EXPIRY_DAYS));
+
+  return {
+    offer: {
+      case_id: case_.id,
+      offered_by: req.user.id,
+      offered_by_role: role,
+      parent_offer_id: parentOfferId,
+      amount,
+      terms,
+      expires_at: expiresAt.toISOString()
+    }
+  };
+};
+
+// Load the case and work out the current user's role on it
+const loadCaseForUser = async (req) => {
+  const { data: case_, error } = await req.supabase
+    .from('cases')
+    .select('id, case_title, user_id, user_email, respondent_id, respondent_email, respondent_name, assigned_mediator_id, status, amount_involved, preferred_resolution, counter_claim_amount')
+    .eq('id', req.params.caseId)
+    .single();
+
+  if (error || !case_) {
+    return { case_: null, role: null };
+  }
+
+  return { case_, role: getCaseRole(case_, req.user) };
+};
+
+// Offers are expired lazily: any pending offer past its expiry is closed off
+// whenever the case's offers are read or acted on
+const expireStaleOffers = async (req, case_) => {
+  const { data: expired, error } = await req.supabase
+    .rpc('expire_settlement_offers', { p_case_id: case_.id });
+
+  if (error) {
+    console.error('Failed to expire settlement offers:', error);
+    return;
+  }
+
+  await Promise.all((expired || []).map(offer => recordCaseUpdate(req.supabase, {
+    caseId: case_.id,
+    updatedBy: req.user.id,
+    updateType: 'offer_expired',
+    oldValue: describeOffer(offer)
+  })));
+};
+
+// Load a pending offer that the current party may respond to
+const loadPendingOffer = async (req, case_, role) => {
+  if (!isOpenStatus(case_.status)) {
+    return { error: { status: 400, error: 'Offers can only be answered on open cases', code: 'CASE_NOT_OPEN' } };
+  }
+
+  const { data: offer, error } = await req.supabase
+    .from('settlement_offers')
+    .select('*')
+    .eq('id', req.params.offerId)
+    .eq('case_id', case_.id)
+    .single();
+
+  if (error || !offer) {
+    return { error: { status: 404, error: 'Offer not found', code: 'OFFER_NOT_FOUND' } };
+  }
+
+  if (offer.status === 'expired') {
+    return { error: { status: 410, error: 'This offer has expired', code: 'OFFER_EXPIRED' } };
+  }
+
+  if (offer.status !== 'pending') {
+    return { error: { status: 409, error: `This offer has already been ${offer.status}`, code: 'OFFER_NOT_PENDING' } };
+  }
+
+  if (offer.offered_by_role === role) {
+    return { error: { status: 403, error: 'You cannot respond to your own offer', code: 'CANNOT_RESPOND_TO_OWN_OFFER' } };
+  }
+
+  return { offer };
+};
+
+// Accept or reject a pending offer; respond_to_settlement_offer() refuses it
+// unless it is still pending and was made to the current user
+const closeOffer = async (req, offer, status, responseNote = null) => {
+  const { data: updated, error } = await req.supabase
+    .rpc('respond_to_settlement_offer', {
+      p_offer_id: offer.id,
+      p_status: status,
+      p_response_note: responseNote
+    })
+    .single();
+
+  return error ? null : updated;
+};
+
+// Undo an acceptance whose settlement could not be recorded
+const reopenOffer = async (req, offer) => {
+  const { error } = await req.supabase
+    .rpc('reopen_settlement_offer', { p_offer_id: offer.id });
+
+  if (error) {
+    console.error(`Failed to reopen settlement offer ${offer.id}:`, error);
+  }
+};
+
+// Tell the people on the case about an offer event over WebSocket and email
+const notifyOfferEvent = (req, case_, offer, event) => {
+  const parties = {
+    claimant: { id: case_.user_id, email: case_.user_email, name: null },
+    respondent: { id: case_.respondent_id, email: case_.respondent_email, name: case_.respondent_name }
+  };
+
+  // New offers go to the other side; outcomes go to both sides
+  const actorRole = event === 'made' || event === 'countered' ? offer.offered_by_role : null;
+  const notified = Object.entries(parties)
+    .filter(([role]) => role !== actorRole)
+    .map(([, party]) => party);
+
+  if (req.broadcast) {
+    const recipients = [...notified.map(p => p.id), case_.assigned_mediator_id]
+      .filter(userId => userId && userId !== req.user.id);
+    req.broadcast.settlementOffer(offer, event, recipients);
+  }
+
+  notified
+    .filter(party => party.email)
+    .forEach(party => {
+      sendSettlementOfferEmail(party.email, party.name, case_, offer, event).catch(console.error);
+    });
+};
+
+// Get the offer history for a case
+router.get('/', async (req, res) => {
+  try {
+    const { case_, role } = await loadCaseForUser(req);
+
+    if (!case_ || !role) {
+      return res.status(404).json({
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    await expireStaleOffers(req, case_);
+
+    const { data: offers, error } = await req.supabase
+      .from('settlement_offers')
+      .select('*')
+      .eq('case_id', case_.id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Failed to fetch offers',
+        code: 'FETCH_ERROR'
+      });
+    }
+
+    // Show each monetary offer against what was originally claimed
+    const claimed = case_.amount_involved ? parseFloat(case_.amount_involved) : null;
+
+    res.json({
+      success: true,
+      role,
+      claim: {
+        amount_involved: case_.amount_involved,
+        preferred_resolution: case_.preferred_resolution,
+        counter_claim_amount: case_.counter_claim_amount
+      },
+      offers: (offers || []).map(offer => ({
+        ...offer,
+        percent_of_claim: claimed && offer.amount !== null
+          ? Math.round((parseFloat(offer.amount) / claimed) * 100)
+          : null
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get offers error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch offers',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+// Make a new settlement offer
+router.post('/', validateOffer, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { case_, role } = await loadCaseForUser(req);
+
+    if (!case_ || !role) {
+      return res.status(404).json({
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    if (!isCaseParty(role)) {
+      return res.status(403).json({
+        error: 'Only the parties can make settlement offers',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    if (!isOpenStatus(case_.status)) {
+      return res.status(400).json({
+        error: 'Settlement offers can only be made on open cases',
+        code: 'CASE_NOT_OPEN'
+      });
+    }
+
+    if (!case_.respondent_id) {
+      return res.status(400).json({
+        error: 'The respondent must join the case before offers can be exchanged',
+        code: 'RESPONDENT_NOT_JOINED'
+      });
+    }
+
+    await expireStaleOffers(req, case_);
+
+    const { data: pending } = await req.supabase
+      .from('settlement_offers')
+      .select('id')
+      .eq('case_id', case_.id)
+      .eq('status', 'pending');
+
+    if (pending && pending.length > 0) {
+      return res.status(409).json({
+        error: 'There is already an open offer on this case - accept, reject or counter it instead',
+        code: 'OFFER_PENDING'
+      });
+    }
+
+    const built = buildOffer(req, case_, role);
+
+    if (built.error) {
+      return res.status(400).json({
+        error: built.error,
+        code: 'OFFER_TERMS_REQUIRED'
+      });
+    }
+
+    const { data: offer, error } = await req.supabase
+      .from('settlement_offers')
+      .insert(built.offer)
+      .select()
+      .single();
+
+    if (error || !offer) {
+      return res.status(400).json({
+        error: 'Failed to make offer',
+        code: 'OFFER_ERROR'
+      });
+    }
+
+    await recordCaseUpdate(req.supabase, {
+      caseId: case_.id,
+      updatedBy: req.user.id,
+      updateType: 'offer_made',
+      newValue: describeOffer(offer)
+    });
+
+    notifyOfferEvent(req, case_, offer, 'made');
+
+    res.status(201).json({
+      success: true,
+      message: 'Offer made successfully',
+      offer
+    });
+
+  } catch (error) {
+    console.error('Make offer error:', error);
+    res.status(500).json({
+      error: 'Failed to make offer',
+      code: 'OFFER_ERROR'
+    });
+  }
+});
+
+// Accept an offer from the other party
+router.post('/:offerId/accept', async (req, res) => {
+  try {
+    const { case_, role } = await loadCaseForUser(req);
+
+    if (!case_ || !isCaseParty(role)) {
+      return res.status(404).json({
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    await expireStaleOffers(req, case_);
+
+    const { offer, error: offerError } = await loadPendingOffer(req, case_, role);
+
+    if (offerError) {
+      return res.status(offerError.status).json({
+        error: offerError.error,
+        code: offerError.code
+      });
+    }
+
+    const accepted = await closeOffer(req, offer, 'accepted');
+
+    if (!accepted) {
+      return res.status(409).json({
+        error: 'Failed to accept offer - it may have just changed',
+        code: 'OFFER_NOT_PENDING'
+      });
+    }
+
+    // The case is resolved once both parties have signed the agreement
+    const settlement = await settleWithAgreement(req.supabase, case_, {
+      actorId: req.user.id,
+      amount: accepted.amount,
+      terms: accepted.terms,
+      summary: `Settlement accepted: ${describeOffer(accepted)}`,
+      resolvedBy: req.user.id
+    });
+
+    // Without an agreement to sign nothing was settled: put the offer back so it can be accepted again
+    if (settlement.error) {
+      console.error('Failed to send settlement for signature:', settlement.error);
+      await reopenOffer(req, accepted);
+      return res.status(settlement.error.status).json({
+        error: settlement.error.error,
+        code: settlement.error.code
+      });
+    }
+
+    if (req.broadcast && settlement.case.status !== case_.status) {
+      req.broadcast.caseStatusChange(settlement.case, case_.status, settlement.case.status);
+    }
+
+    await recordCaseUpdate(req.supabase, {
+      caseId: case_.id,
+      updatedBy: req.user.id,
+      updateType: 'offer_accepted',
+      newValue: describeOffer(accepted)
+    });
+
+    notifyOfferEvent(req, case_, accepted, 'accepted');
+
+    res.json({
+      success: true,
+      message: 'Offer accepted - the settlement agreement is ready to sign',
+      offer: accepted,
+      case: settlement.case,
+      agreement: settlement.agreement
+    });
+
+  } catch (error) {
+    console.error('Accept offer error:', error);
+    res.status(500).json({
+      error: 'Failed to accept offer',
+      code: 'OFFER_ERROR'
+    });
+  }
+});
+
+// Reject an offer from the other party
+router.post('/:offerId/reject', [
+  body('reason').optional().trim().isLength({ max: 2000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { case_, role } = await loadCaseForUser(req);
+
+    if (!case_ || !isCaseParty(role)) {
+      return res.status(404).json({
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    await expireStaleOffers(req, case_);
+
+    const { offer, error: offerError } = await loadPendingOffer(req, case_, role);
+
+    if (offerError) {
+      return res.status(offerError.status).json({
+        error: offerError.error,
+        code: offerError.code
+      });
+    }
+
+    const rejected = await closeOffer(req, offer, 'rejected', req.body.reason || null);
+
+    if (!rejected) {
+      return res.status(409).json({
+        error: 'Failed to reject offer - it may have just changed',
+        code: 'OFFER_NOT_PENDING'
+      });
+    }
+
+    await recordCaseUpdate(req.supabase, {
+      caseId: case_.id,
+      updatedBy: req.user.id,
+      updateType: 'offer_rejected',
+      oldValue: describeOffer(rejected),
+      notes: req.body.reason
+    });
+
+    notifyOfferEvent(req, case_, rejected, 'rejected');
+
+    res.json({
+      success: true,
+      message: 'Offer rejected',
+      offer: rejected
+    });
+
+  } catch (error) {
+    console.error('Reject offer error:', error);
+    res.status(500).json({
+      error: 'Failed to reject offer',
+      code: 'OFFER_ERROR'
+    });
+  }
+});
+
+// Answer an offer from the other party with a counter-offer
+router.post('/:offerId/counter', validateOffer, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { case_, role } = await loadCaseForUser(req);
+
+    if (!case_ || !isCaseParty(role)) {
+      return res.status(404).json({
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    await expireStaleOffers(req, case_);
+
+    const { offer, error: offerError } = await loadPendingOffer(req, case_, role);
+
+    if (offerError) {
+      return res.status(offerError.status).json({
+        error: offerError.error,
+        code: offerError.code
+      });
+    }
+
+    const built = buildOffer(req, case_, role, offer.id);
+
+    if (built.error) {
+      return res.status(400).json({
+        error: built.error,
+        code: 'OFFER_TERMS_REQUIRED'
+      });
+    }
+
+    // Closing the offer and making the counter-offer happen together, or not at all
+    const { data: counterOffer, error } = await req.supabase
+      .rpc('counter_settlement_offer', {
+        p_offer_id: offer.id,
+        p_amount: built.offer.amount,
+        p_terms: built.offer.terms,
+        p_expires_at: built.offer.expires_at
+      })
+      .single();
+
+    if (error && error.message === 'OFFER_NOT_PENDING') {
+      return res.status(409).json({
+        error: 'Failed to counter offer - it may have just changed',
+        code: 'OFFER_NOT_PENDING'
+      });
+    }
+
+    if (error || !counterOffer) {
+      console.error('Failed to make counter-offer:', error);
+      return res.status(400).json({
+        error: 'Failed to make counter-offer',
+        code: 'OFFER_ERROR'
+      });
+    }
+
+    await recordCaseUpdate(req.supabase, {
+      caseId: case_.id,
+      updatedBy: req.user.id,
+      updateType: 'offer_countered',
+      oldValue: describeOffer(offer),
+      newValue: describeOffer(counterOffer)
+    });
+
+    notifyOfferEvent(req, case_, counterOffer, 'countered');
+
+    res.status(201).json({
+      success: true,
+      message: `Counter-offer sent to the ${otherParty(role)}`,
+      offer: counterOffer
+    });
+
+  } catch (error) {
+    console.error('Counter offer error:', error);
+    res.status(500).json({
+      error: 'Failed to make counter-offer',
+      code: 'OFFER_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,37 +1,244 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const multer = require('multer');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { getCaseRole, isCaseParty } = require('../utils/caseAccess');
+const { recordCaseUpdate } = require('../utils/caseHistory');
+const { loadFileForDownload, streamFile } = require('../utils/fileAccess');
+const { createDownloadLink } = require('../utils/downloadLinks');
+const { getStorage } = require('../utils/storage');
+const { hashContent, createContentHasher, verifyCustodyChain } = require('../utils/custody');
+const { verifyFileSignature } = require('../utils/fileSignature');
+const { getLargestFileSize, checkUploadQuota } = require('../utils/uploadPolicy');
+const { getScanner, scanFile } = require('../utils/malwareScan');
+const { groupFileVersions, toVersionError } = require('../utils/fileVersions');
+const { canHaveThumbnail, storeThumbnail } = require('../utils/thumbnails');
+const { canExtractText, storeExtractedText } = require('../utils/textExtraction');
+const {
+  getPartSize,
+  getSessionTtlHours,
+  getPartPath,
+  getPartPaths,
+  getExpectedPartSize,
+  isSessionExpired,
+  loadUploadSession,
+  readParts
+} = require('../utils/chunkedUpload');
 const router = express.Router();
 
+const ALLOWED_FILE_TYPES = [
+  'image/jpeg',
+  'image/jpg', 
+  'image/png',
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'text/plain'
+];
+
+// Names a client may give a file it stages for /case/:caseId/record
+const STAGED_FILE_NAME = /^[\w-][\w.-]*$/;
+
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
 
+// A first pass on the declared type; the contents are checked against it once received
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = [
-    'image/jpeg',
-    'image/jpg', 
-    'image/png',
-    'application/pdf',
-    'application/msword',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'text/plain'
-  ];
-
-  if (allowedTypes.includes(file.mimetype)) {
+  if (ALLOWED_FILE_TYPES.includes(file.mimetype)) {
     cb(null, true);
   } else {
     cb(new Error('Invalid file type. Only JPG, PNG, PDF, DOC, DOCX, and TXT files are allowed.'), false);
   }
 };
 
+// Stop reading a body beyond what any department allows; the case's own
+// limits are checked once we know which case the file is for
 const upload = multer({
   storage,
   fileFilter,
+  limits: {
+    fileSize: getLargestFileSize(),
+    files: 1
+  }
 });
 
-// Upload file to case (handles actual file upload to Supabase Storage)
-router.post('/case/:caseId', upload.single('file'), async (req, res) => {
+// Keep a file the malware scanner flagged out of the case: its bytes go under
+// quarantine/ in storage and it is listed in quarantined_files for an admin to
+// review, never in case_files. Returns the message telling the uploader why.
+// store(path) writes the file's bytes to the given storage path.
+const quarantineFile = async (req, { caseId, store, fileName, fileType, fileSize, contentHash, signature }) => {
+  const quarantinePath = `quarantine/${caseId}/${uuidv4()}${path.extname(fileName)}`;
+
+  // Losing the quarantined copy only loses it for review; the file is still refused
+  const { error: storageError } = await store(quarantinePath);
+  if (storageError) {
+    console.error('Quarantine storage error:', storageError);
+  }
+
+  const { error: dbError } = await req.supabase
+    .from('quarantined_files')
+    .insert({
+      case_id: caseId,
+      file_name: fileName,
+      file_size: fileSize,
+      file_type: fileType,
+      content_hash: contentHash,
+      storage_path: storageError ? null : quarantinePath,
+      scanner: getScanner().name,
+      signature,
+      uploaded_by: req.user.id
+    });
+  if (dbError) {
+    console.error('Failed to record quarantined file:', dbError);
+  }
+
+  return `${fileName} was not added to the case: the malware scan flagged it as ${signature}. ` +
+    'It has been quarantined for review. If you believe this is a mistake, contact support.';
+};
+
+// Scan a file before it is recorded. Returns 'clean', or sends the response and
+// returns 'quarantined' (flagged as malware) or 'unavailable' (could not be
+// scanned, so the upload can be retried later).
+// file.source is a Buffer or an async iterable of parts, as malwareScan expects.
+const runMalwareScan = async (req, res, file) => {
+  const result = await scanFile(file.source, file.fileName);
+
+  if (result.error) {
+    res.status(result.error.status).json({
+      error: result.error.error,
+      code: result.error.code
+    });
+    return 'unavailable';
+  }
+
+  if (!result.clean) {
+    const message = await quarantineFile(req, { ...file, signature: result.signature });
+    res.status(422).json({
+      error: message,
+      code: 'MALWARE_DETECTED',
+      signature: result.signature
+    });
+    return 'quarantined';
+  }
+
+  return 'clean';
+};
+
+// Once a file is in case_files: touch the case, and note the upload in its
+// history (the database adds it to the chain of custody). previousVersion is the
+// file it replaced, if any.
+const recordFileAdded = async (req, fileRecord, previousVersion = null) => {
+  await req.supabase
+    .from('cases')
+    .update({ last_updated: new Date().toISOString() })
+    .eq('id', fileRecord.case_id);
+
+  await recordCaseUpdate(req.supabase, {
+    caseId: fileRecord.case_id,
+    updatedBy: req.user.id,
+    updateType: previousVersion ? 'file_replaced' : 'file_uploaded',
+    oldValue: previousVersion ? `${previousVersion.file_name} (v${previousVersion.version})` : null,
+    newValue: previousVersion ? `${fileRecord.file_name} (v${fileRecord.version})` : fileRecord.file_name
+  });
+};
+
+// Check a file received by multer and add it to the case: signature, quota and
+// malware checks, then storage and the case_files row. With previousVersion the
+// file is recorded as that file's next version. Returns the new row, or null
+// once a response has been sent.
+const addUploadedFile = async (req, res, next, { case_, file, previousVersion = null }) => {
+  const signatureError = verifyFileSignature(file.buffer, file.mimetype, file.originalname);
+  if (signatureError) {
+    res.status(signatureError.status).json({
+      error: signatureError.error,
+      code: signatureError.code
+    });
+    return null;
+  }
+
+  const quotaError = await checkUploadQuota(req.supabase, case_, req.user.id, file.size);
+  if (quotaError) {
+    next(quotaError);
+    return null;
+  }
+
+  // Fingerprint the evidence as received, before it touches storage
+  const contentHash = hashContent(file.buffer);
+
+  const storage = getStorage(req.supabase);
+
+  const scan = await runMalwareScan(req, res, {
+    caseId: case_.id,
+    source: file.buffer,
+    store: (quarantinePath) => storage.upload(quarantinePath, file.buffer, { contentType: file.mimetype }),
+    fileName: file.originalname,
+    fileType: file.mimetype,
+    fileSize: file.size,
+    contentHash
+  });
+  if (scan !== 'clean') return null;
+
+  // Generate unique filename
+  const fileExtension = path.extname(file.originalname);
+  const uniqueFilename = `${uuidv4()}${fileExtension}`;
+  const filePath = `case-files/${case_.id}/${uniqueFilename}`;
+
+  // Upload file to storage
+  const { data: uploadData, error: uploadError } = await storage
+    .upload(filePath, file.buffer, {
+      contentType: file.mimetype
+    });
+
+  if (uploadError) {
+    console.error('Storage upload error:', uploadError);
+    res.status(400).json({
+      error: 'Failed to upload file to storage',
+      details: uploadError.message,
+      code: 'STORAGE_UPLOAD_ERROR'
+    });
+    return null;
+  }
+
+  const thumbnailPath = await storeThumbnail(storage, uploadData.path, file.buffer, file.mimetype);
+
+  // Record file metadata in database
+  const { data: fileRecord, error: dbError } = await req.supabase
+    .from('case_files')
+    .insert({
+      case_id: case_.id,
+      file_name: file.originalname,
+      file_path: uploadData.path,
+      file_size: file.size,
+      file_type: file.mimetype,
+      content_hash: contentHash,
+      thumbnail_path: thumbnailPath,
+      previous_version_id: previousVersion ? previousVersion.id : null,
+      uploaded_by: req.user.id
+    })
+    .select()
+    .single();
+
+  if (dbError) {
+    // If database insert fails, try to clean up the uploaded file
+    await storage.remove([uploadData.path, thumbnailPath].filter(Boolean));
+
+    const versionError = toVersionError(dbError);
+    res.status(versionError.status).json({
+      error: versionError.error,
+      code: versionError.code
+    });
+    return null;
+  }
+
+  await storeExtractedText(req.supabase, fileRecord, file.buffer);
+  await recordFileAdded(req, fileRecord, previousVersion);
+
+  return fileRecord;
+};
+
+// Upload file to case (stores the file through the configured storage backend)
+router.post('/case/:caseId', upload.single('file'), async (req, res, next) => {
   try {
     const { caseId } = req.params;
     const file = req.file;
@@ -43,85 +250,105 @@ router.post('/case/:caseId', upload.single('file'), async (req, res) => {
       });
     }
 
-    // Validate case ownership
+    // Validate that the user is a party to the case (claimant or respondent)
     const { data: case_, error: caseError } = await req.supabase
       .from('cases')
-      .select('id, user_id')
+      .select('id, user_id, respondent_id, case_type, assigned_department')
       .eq('id', caseId)
-      .eq('user_id', req.user.id)
       .single();
 
-    if (caseError || !case_) {
+    const role = getCaseRole(case_, req.user);
+
+    if (caseError || !case_ || !isCaseParty(role)) {
       return res.status(404).json({
         error: 'Case not found or access denied',
         code: 'CASE_NOT_FOUND'
       });
     }
 
-    // Generate unique filename
-    const fileExtension = path.extname(file.originalname);
-    const uniqueFilename = `${uuidv4()}${fileExtension}`;
-    const filePath = `case-files/${caseId}/${uniqueFilename}`;
+    const fileRecord = await addUploadedFile(req, res, next, { case_, file });
+    if (!fileRecord) return;
 
-    // Upload file to Supabase Storage
-    const { data: uploadData, error: uploadError } = await req.supabase.storage
-      .from('case-files')
-      .upload(filePath, file.buffer, {
-        contentType: file.mimetype,
-        upsert: false
-      });
+    res.json({
+      success: true,
+      message: 'File uploaded successfully',
+      file: fileRecord
+    });
 
-    if (uploadError) {
-      console.error('Supabase storage upload error:', uploadError);
+  } catch (error) {
+    console.error('File upload error:', error);
+    res.status(500).json({
+      error: 'Failed to upload file',
+      code: 'UPLOAD_ERROR'
+    });
+  }
+});
+
+// Replace a file with a corrected version. The old file stays on the case as an
+// earlier version, marked superseded by the new one.
+router.post('/file/:fileId/replace', upload.single('file'), async (req, res, next) => {
+  try {
+    const file = req.file;
+
+    if (!file) {
       return res.status(400).json({
-        error: 'Failed to upload file to storage',
-        details: uploadError.message,
-        code: 'STORAGE_UPLOAD_ERROR'
+        error: 'No file provided',
+        code: 'NO_FILE'
       });
     }
 
-    // Record file metadata in database
-    const { data: fileRecord, error: dbError } = await req.supabase
+    const { data: previous, error: fileError } = await req.supabase
       .from('case_files')
-      .insert({
-        case_id: caseId,
-        file_name: file.originalname,
-        file_path: uploadData.path,
-        file_size: file.size,
-        file_type: file.mimetype,
-        uploaded_by: req.user.id
-      })
-      .select()
+      .select(`
+        *,
+        case:cases!case_files_case_id_fkey(id, user_id, respondent_id, case_type, assigned_department)
+      `)
+      .eq('id', req.params.fileId)
       .single();
 
-    if (dbError) {
-      // If database insert fails, try to clean up the uploaded file
-      await req.supabase.storage
-        .from('case-files')
-        .remove([uploadData.path]);
-        
-      return res.status(400).json({
-        error: 'Failed to record file upload',
-        code: 'RECORD_ERROR'
+    if (fileError || !previous || !previous.case) {
+      return res.status(404).json({
+        error: 'File not found',
+        code: 'FILE_NOT_FOUND'
       });
     }
 
-    // Update case timestamp
-    await req.supabase
-      .from('cases')
-      .update({ last_updated: new Date().toISOString() })
-      .eq('id', caseId);
+    // Same rule as deleting: the claimant, or whoever uploaded the file
+    const role = getCaseRole(previous.case, req.user);
+    const canReplace = isCaseParty(role) &&
+      (previous.case.user_id === req.user.id || previous.uploaded_by === req.user.id);
+
+    if (!canReplace) {
+      return res.status(403).json({
+        error: 'Access denied',
+        code: 'ACCESS_DENIED'
+      });
+    }
+
+    if (previous.superseded_by) {
+      return res.status(409).json({
+        error: 'Only the latest version of a file can be replaced',
+        code: 'FILE_SUPERSEDED'
+      });
+    }
+
+    const fileRecord = await addUploadedFile(req, res, next, { case_: previous.case, file, previousVersion: previous });
+    if (!fileRecord) return;
 
     res.json({
       success: true,
-      message: 'File uploaded successfully',
-      file: fileRecord
+      message: `File replaced with version ${fileRecord.version}`,
+      file: fileRecord,
+      replaced: {
+        id: previous.id,
+        version: previous.version
+      }
     });
 
   } catch (error) {
-    console.error('File upload error:', error);
+    console.error('File replace error:', error);
     res.status(500).json({
-      error: 'Failed to upload file',
+      error: 'Failed to replace file',
       code: 'UPLOAD_ERROR'
     });
   }
@@ -135,7 +362,7 @@ router.get('/case/:caseId/files', async (req, res) => {
     // Verify case exists and user has access
     const { data: case_, error: caseError } = await req.supabase
       .from('cases')
-      .select('id, user_id')
+      .select('id, user_id, respondent_id, assigned_mediator_id')
       .eq('id', caseId)
       .single();
 
@@ -146,8 +373,8 @@ router.get('/case/:caseId/files', async (req, res) => {
       });
     }
 
-    // Check if user owns case or is admin
-    const hasAccess = case_.user_id === req.user.id || req.user.user_type === 'admin';
+    // Check if user is a party to the case, its mediator or an admin
+    const hasAccess = getCaseRole(case_, req.user) !== null;
     
     if (!hasAccess) {
       return res.status(403).json({
@@ -161,7 +388,7 @@ router.get('/case/:caseId/files', async (req, res) => {
       .from('case_files')
       .select('*')
       .eq('case_id', caseId)
-      .order('uploaded_at', { ascending: false });
+      .order('created_at', { ascending: false });
 
     if (filesError) {
       return res.status(400).json({
@@ -170,9 +397,10 @@ router.get('/case/:caseId/files', async (req, res) => {
       });
     }
 
+    // Current versions, each with its earlier versions
     res.json({
       success: true,
-      files: files || []
+      files: groupFileVersions(files || [])
     });
 
   } catch (error) {
@@ -184,23 +412,41 @@ router.get('/case/:caseId/files', async (req, res) => {
   }
 });
 
-// Record file upload (after client-side upload to Supabase Storage)
-router.post('/case/:caseId/record', async (req, res) => {
+// Record file upload (after client-side upload to Supabase Storage). The client
+// stages the file under the case's own folder; it is then checked and stored
+// exactly like a direct upload, and the staged copy is removed.
+router.post('/case/:caseId/record', async (req, res, next) => {
   try {
     const { caseId } = req.params;
-    const { fileName, filePath, fileUrl, fileSize, fileType } = req.body;
+    const { fileName, filePath, fileType } = req.body;
 
-    if (!fileName || !filePath || !fileUrl) {
+    if (!fileName || !filePath) {
       return res.status(400).json({
         error: 'Missing required file information',
         code: 'MISSING_FILE_INFO'
       });
     }
 
+    if (!ALLOWED_FILE_TYPES.includes(fileType)) {
+      return res.status(400).json({
+        error: 'Invalid file type. Only JPG, PNG, PDF, DOC, DOCX, and TXT files are allowed.',
+        code: 'INVALID_FILE_TYPE'
+      });
+    }
+
+    // Only an object directly in this case's folder may be recorded (and later removed)
+    const folder = `case-files/${caseId}/`;
+    if (!filePath.startsWith(folder) || !STAGED_FILE_NAME.test(filePath.slice(folder.length))) {
+      return res.status(400).json({
+        error: 'Files must be staged in the case\'s own folder',
+        code: 'INVALID_FILE_PATH'
+      });
+    }
+
     // Verify case exists and user owns it
     const { data: case_, error: caseError } = await req.supabase
       .from('cases')
-      .select('id, user_id')
+      .select('id, user_id, case_type, assigned_department')
       .eq('id', caseId)
       .eq('user_id', req.user.id)
       .single();
@@ -212,100 +458,534 @@ router.post('/case/:caseId/record', async (req, res) => {
       });
     }
 
-    // Record file in database
-    const { data: fileRecord, error: dbError } = await req.supabase
+    // A path already on the case is evidence, not a staged upload
+    const { data: recorded } = await req.supabase
       .from('case_files')
+      .select('id')
+      .eq('case_id', caseId)
+      .or(`file_path.eq."${filePath}",thumbnail_path.eq."${filePath}"`);
+
+    if (!recorded || recorded.length > 0) {
+      return res.status(409).json({
+        error: 'This file has already been recorded',
+        code: 'FILE_ALREADY_RECORDED'
+      });
+    }
+
+    const storage = getStorage(req.supabase);
+    const { data: buffer, error: downloadError } = await storage.download(filePath);
+
+    if (downloadError || !buffer) {
+      return res.status(404).json({
+        error: 'File not found in storage',
+        code: 'STORAGE_DOWNLOAD_ERROR'
+      });
+    }
+
+    const fileRecord = await addUploadedFile(req, res, next, {
+      case_,
+      file: { buffer, mimetype: fileType, originalname: fileName, size: buffer.length }
+    });
+
+    // Recorded or refused, the file is no longer needed where the client staged it
+    await storage.remove([filePath]);
+
+    if (!fileRecord) return;
+
+    res.json({
+      success: true,
+      message: 'File upload recorded successfully',
+      file: fileRecord
+    });
+
+  } catch (error) {
+    console.error('Record file error:', error);
+    res.status(500).json({
+      error: 'Failed to record file upload',
+      code: 'RECORD_ERROR'
+    });
+  }
+});
+
+// Resumable uploads: open a session, PUT each part, then complete (or abort) it.
+// A client that loses its connection fetches the session to see which parts
+// arrived and sends only the rest.
+
+// Finish with a session: remove its stored parts and record how it ended
+const closeUploadSession = async (req, session, status, fileId = null) => {
+  const { error: storageError } = await getStorage(req.supabase).remove(getPartPaths(session));
+  if (storageError) {
+    console.error(`Failed to remove parts of upload session ${session.id}:`, storageError);
+  }
+
+  const { error } = await req.supabase
+    .from('upload_sessions')
+    .update({ status, file_id: fileId, closed_at: new Date().toISOString() })
+    .eq('id', session.id);
+
+  if (error) {
+    console.error(`Failed to close upload session ${session.id}:`, error);
+  }
+};
+
+// Check a session can still take parts. Returns null, or { status, code, error }.
+const checkSessionOpen = (session) => {
+  if (!session) {
+    return { status: 404, code: 'UPLOAD_SESSION_NOT_FOUND', error: 'Upload session not found' };
+  }
+  if (session.status !== 'active') {
+    return { status: 409, code: 'UPLOAD_SESSION_CLOSED', error: `This upload has already been ${session.status}` };
+  }
+  if (isSessionExpired(session)) {
+    return { status: 410, code: 'UPLOAD_SESSION_EXPIRED', error: 'This upload has expired. Please start it again.' };
+  }
+  return null;
+};
+
+// Start a resumable upload
+router.post('/case/:caseId/sessions', [
+  body('fileName').trim().isLength({ min: 1, max: 255 }),
+  body('fileType').isIn(ALLOWED_FILE_TYPES).withMessage('Only JPG, PNG, PDF, DOC, DOCX, and TXT files are allowed'),
+  body('fileSize').isInt({ min: 1 }).toInt()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { caseId } = req.params;
+    const { fileName, fileType, fileSize } = req.body;
+
+    const { data: case_, error: caseError } = await req.supabase
+      .from('cases')
+      .select('id, user_id, respondent_id, case_type, assigned_department')
+      .eq('id', caseId)
+      .single();
+
+    if (caseError || !case_ || !isCaseParty(getCaseRole(case_, req.user))) {
+      return res.status(404).json({
+        error: 'Case not found or access denied',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    const quotaError = await checkUploadQuota(req.supabase, case_, req.user.id, fileSize, { resumable: true });
+    if (quotaError) {
+      return next(quotaError);
+    }
+
+    // Sessions the user walked away from are cleaned up as new ones start
+    const { data: abandoned } = await req.supabase
+      .from('upload_sessions')
+      .select('id, case_id, total_parts')
+      .eq('uploaded_by', req.user.id)
+      .eq('status', 'active')
+      .lt('expires_at', new Date().toISOString());
+
+    for (const session of abandoned || []) {
+      await closeUploadSession(req, session, 'aborted');
+    }
+
+    const partSize = getPartSize();
+    const expiresAt = new Date(Date.now() + getSessionTtlHours() * 60 * 60 * 1000);
+
+    const { data: session, error } = await req.supabase
+      .from('upload_sessions')
       .insert({
         case_id: caseId,
+        uploaded_by: req.user.id,
         file_name: fileName,
-        file_path: filePath,
-        file_url: fileUrl,
-        file_size: fileSize,
         file_type: fileType,
-        uploaded_by: req.user.id
+        file_size: fileSize,
+        part_size: partSize,
+        total_parts: Math.ceil(fileSize / partSize),
+        expires_at: expiresAt.toISOString()
       })
       .select()
       .single();
 
-    if (dbError) {
+    if (error) {
+      console.error('Create upload session error:', error);
       return res.status(400).json({
-        error: 'Failed to record file upload',
-        code: 'RECORD_ERROR'
+        error: 'Failed to start upload',
+        code: 'UPLOAD_SESSION_ERROR'
       });
     }
 
-    // Update case timestamp
-    await req.supabase
-      .from('cases')
-      .update({ last_updated: new Date().toISOString() })
-      .eq('id', caseId);
+    res.status(201).json({
+      success: true,
+      session: { ...session, received_parts: [] }
+    });
+
+  } catch (error) {
+    console.error('Start upload error:', error);
+    res.status(500).json({
+      error: 'Failed to start upload',
+      code: 'UPLOAD_SESSION_ERROR'
+    });
+  }
+});
+
+// Get an upload session with the parts received so far, to resume it
+router.get('/sessions/:sessionId', async (req, res) => {
+  try {
+    const session = await loadUploadSession(req.supabase, req.params.sessionId, req.user.id);
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Upload session not found',
+        code: 'UPLOAD_SESSION_NOT_FOUND'
+      });
+    }
 
     res.json({
       success: true,
-      message: 'File upload recorded successfully',
-      file: fileRecord
+      session
     });
 
   } catch (error) {
-    console.error('Record file error:', error);
+    console.error('Get upload session error:', error);
     res.status(500).json({
-      error: 'Failed to record file upload',
-      code: 'RECORD_ERROR'
+      error: 'Failed to fetch upload session',
+      code: 'FETCH_ERROR'
     });
   }
 });
 
-// Delete a file
-router.delete('/file/:fileId', async (req, res) => {
+// Upload one part as the raw request body. Sending a part again is harmless,
+// so a client unsure whether a part arrived can simply resend it.
+router.put('/sessions/:sessionId/parts/:partNumber', express.raw({ type: () => true, limit: getPartSize() }), async (req, res) => {
   try {
-    const { fileId } = req.params;
+    const session = await loadUploadSession(req.supabase, req.params.sessionId, req.user.id);
+    const closed = checkSessionOpen(session);
 
-    // Get file record with case info
-    const { data: file, error: fileError } = await req.supabase
-      .from('case_files')
-      .select(`
-        *,
-        case:cases!case_files_case_id_fkey(user_id)
-      `)
-      .eq('id', fileId)
+    if (closed) {
+      return res.status(closed.status).json({
+        error: closed.error,
+        code: closed.code
+      });
+    }
+
+    const partNumber = parseInt(req.params.partNumber);
+
+    if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > session.total_parts) {
+      return res.status(400).json({
+        error: `Part number must be between 1 and ${session.total_parts}`,
+        code: 'INVALID_PART'
+      });
+    }
+
+    const part = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const expectedSize = getExpectedPartSize(session, partNumber);
+
+    if (part.length !== expectedSize) {
+      return res.status(400).json({
+        error: `Part ${partNumber} should be ${expectedSize} bytes but was ${part.length}`,
+        code: 'PART_SIZE_MISMATCH'
+      });
+    }
+
+    if (!session.received_parts.includes(partNumber)) {
+      // Clear out anything left by an earlier attempt that stored the part but was never recorded
+      const storage = getStorage(req.supabase);
+      const partPath = getPartPath(session, partNumber);
+      await storage.remove([partPath]);
+
+      const { error: uploadError } = await storage.upload(partPath, part, { contentType: 'application/octet-stream' });
+
+      if (uploadError) {
+        console.error('Storage part upload error:', uploadError);
+        return res.status(400).json({
+          error: 'Failed to upload part to storage',
+          details: uploadError.message,
+          code: 'STORAGE_UPLOAD_ERROR'
+        });
+      }
+
+      const { error } = await req.supabase
+        .from('upload_parts')
+        .upsert({ session_id: session.id, part_number: partNumber, size: part.length });
+
+      if (error) {
+        return res.status(400).json({
+          error: 'Failed to record part',
+          code: 'RECORD_ERROR'
+        });
+      }
+
+      session.received_parts = [...session.received_parts, partNumber].sort((a, b) => a - b);
+    }
+
+    res.json({
+      success: true,
+      part_number: partNumber,
+      received_parts: session.received_parts
+    });
+
+  } catch (error) {
+    console.error('Upload part error:', error);
+    res.status(500).json({
+      error: 'Failed to upload part',
+      code: 'UPLOAD_ERROR'
+    });
+  }
+});
+
+// Complete an upload: join the parts in storage and run the same checks as a
+// single upload before the file is added to the case
+router.post('/sessions/:sessionId/complete', async (req, res, next) => {
+  try {
+    const session = await loadUploadSession(req.supabase, req.params.sessionId, req.user.id);
+    const closed = checkSessionOpen(session);
+
+    if (closed) {
+      return res.status(closed.status).json({
+        error: closed.error,
+        code: closed.code
+      });
+    }
+
+    const missingParts = Array.from({ length: session.total_parts }, (_, i) => i + 1)
+      .filter(partNumber => !session.received_parts.includes(partNumber));
+
+    if (missingParts.length > 0) {
+      return res.status(400).json({
+        error: `${missingParts.length} part(s) have not been uploaded yet`,
+        code: 'UPLOAD_INCOMPLETE',
+        missing_parts: missingParts
+      });
+    }
+
+    const { data: case_, error: caseError } = await req.supabase
+      .from('cases')
+      .select('id, user_id, respondent_id, case_type, assigned_department')
+      .eq('id', session.case_id)
       .single();
 
-    if (fileError || !file) {
+    const role = getCaseRole(case_, req.user);
+
+    if (caseError || !case_ || !isCaseParty(role)) {
       return res.status(404).json({
-        error: 'File not found',
-        code: 'FILE_NOT_FOUND'
+        error: 'Case not found or access denied',
+        code: 'CASE_NOT_FOUND'
       });
     }
 
-    // Check if user owns the case or uploaded the file
-    const canDelete = file.case.user_id === req.user.id || 
-                     file.uploaded_by === req.user.id || 
-                     req.user.user_type === 'admin';
+    // First pass over the parts: fingerprint the whole file and keep the start
+    // of it for the file signature check
+    const storage = getStorage(req.supabase);
+    const hasher = createContentHasher();
+    let firstPart = null;
 
-    if (!canDelete) {
-      return res.status(403).json({
-        error: 'Access denied',
-        code: 'ACCESS_DENIED'
+    try {
+      for await (const part of readParts(storage, session)) {
+        hasher.update(part);
+        firstPart = firstPart || part;
+      }
+    } catch (error) {
+      console.error('Read upload parts error:', error);
+      return res.status(404).json({
+        error: 'Uploaded parts are missing from storage. Please start the upload again.',
+        code: 'STORAGE_DOWNLOAD_ERROR'
       });
     }
 
-    // Delete from database (client should handle Supabase Storage deletion)
-    const { error: dbError } = await req.supabase
+    const contentHash = hasher.digest('hex');
+
+    const signatureError = verifyFileSignature(firstPart, session.file_type, session.file_name);
+    if (signatureError) {
+      await closeUploadSession(req, session, 'aborted');
+      return res.status(signatureError.status).json({
+        error: signatureError.error,
+        code: signatureError.code
+      });
+    }
+
+    // Other uploads may have used up the quota since the session started
+    const quotaError = await checkUploadQuota(req.supabase, case_, req.user.id, session.file_size, { resumable: true });
+    if (quotaError) {
+      await closeUploadSession(req, session, 'aborted');
+      return next(quotaError);
+    }
+
+    const scan = await runMalwareScan(req, res, {
+      caseId: case_.id,
+      source: readParts(storage, session),
+      store: (quarantinePath) => storage.compose(quarantinePath, getPartPaths(session), { contentType: session.file_type }),
+      fileName: session.file_name,
+      fileType: session.file_type,
+      fileSize: session.file_size,
+      contentHash
+    });
+    if (scan !== 'clean') {
+      // When the scanner was unavailable the session stays open to complete later
+      if (scan === 'quarantined') await closeUploadSession(req, session, 'quarantined');
+      return;
+    }
+
+    const filePath = `case-files/${case_.id}/${uuidv4()}${path.extname(session.file_name)}`;
+    const { data: uploadData, error: uploadError } = await storage
+      .compose(filePath, getPartPaths(session), { contentType: session.file_type });
+
+    if (uploadError) {
+      console.error('Storage compose error:', uploadError);
+      return res.status(400).json({
+        error: 'Failed to upload file to storage',
+        details: uploadError.message,
+        code: 'STORAGE_UPLOAD_ERROR'
+      });
+    }
+
+    // Only files small enough to preview or index are read back whole
+    let fileBuffer = null;
+    if (canHaveThumbnail(session.file_type, session.file_size) || canExtractText(session.file_type, session.file_size)) {
+      const parts = [];
+      for await (const part of readParts(storage, session)) parts.push(part);
+      fileBuffer = Buffer.concat(parts);
+    }
+
+    const thumbnailPath = fileBuffer
+      ? await storeThumbnail(storage, uploadData.path, fileBuffer, session.file_type)
+      : null;
+
+    const { data: fileRecord, error: dbError } = await req.supabase
       .from('case_files')
-      .delete()
-      .eq('id', fileId);
+      .insert({
+        case_id: case_.id,
+        file_name: session.file_name,
+        file_path: uploadData.path,
+        file_size: session.file_size,
+        file_type: session.file_type,
+        content_hash: contentHash,
+        thumbnail_path: thumbnailPath,
+        uploaded_by: req.user.id
+      })
+      .select()
+      .single();
 
     if (dbError) {
+      await storage.remove([uploadData.path, thumbnailPath].filter(Boolean));
+
+      return res.status(400).json({
+        error: 'Failed to record file upload',
+        code: 'RECORD_ERROR'
+      });
+    }
+
+    if (fileBuffer) await storeExtractedText(req.supabase, fileRecord, fileBuffer);
+    await recordFileAdded(req, fileRecord);
+    await closeUploadSession(req, session, 'completed', fileRecord.id);
+
+    res.json({
+      success: true,
+      message: 'File uploaded successfully',
+      file: fileRecord
+    });
+
+  } catch (error) {
+    console.error('Complete upload error:', error);
+    res.status(500).json({
+      error: 'Failed to complete upload',
+      code: 'UPLOAD_ERROR'
+    });
+  }
+});
+
+// Abort an upload and discard its parts
+router.delete('/sessions/:sessionId', async (req, res) => {
+  try {
+    const session = await loadUploadSession(req.supabase, req.params.sessionId, req.user.id);
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Upload session not found',
+        code: 'UPLOAD_SESSION_NOT_FOUND'
+      });
+    }
+
+    if (session.status !== 'active') {
+      return res.status(409).json({
+        error: `This upload has already been ${session.status}`,
+        code: 'UPLOAD_SESSION_CLOSED'
+      });
+    }
+
+    await closeUploadSession(req, session, 'aborted');
+
+    res.json({
+      success: true,
+      message: 'Upload aborted'
+    });
+
+  } catch (error) {
+    console.error('Abort upload error:', error);
+    res.status(500).json({
+      error: 'Failed to abort upload',
+      code: 'UPLOAD_ERROR'
+    });
+  }
+});
+
+// Refusals from delete_case_file()
+const DELETE_FILE_ERRORS = {
+  FILE_NOT_FOUND: { status: 404, error: 'File not found' },
+  ACCESS_DENIED: { status: 403, error: 'Access denied' },
+  FILE_SUPERSEDED: { status: 409, error: 'Earlier versions of a file cannot be deleted' }
+};
+
+// Delete a file
+router.delete('/file/:fileId', async (req, res) => {
+  try {
+    const { fileId } = req.params;
+
+    // The database checks who may delete the file and removes its record, so the
+    // stored file is only removed once its record is gone
+    const { data: deleted, error: deleteError } = await req.supabase
+      .rpc('delete_case_file', { p_file_id: fileId });
+
+    if (deleteError) {
+      const failure = DELETE_FILE_ERRORS[deleteError.message];
+      if (failure) {
+        return res.status(failure.status).json({
+          error: failure.error,
+          code: deleteError.message
+        });
+      }
       return res.status(400).json({
         error: 'Failed to delete file record',
         code: 'DELETE_ERROR'
       });
     }
 
+    const file = deleted && deleted[0];
+    if (!file) {
+      return res.status(404).json({
+        error: 'File not found',
+        code: 'FILE_NOT_FOUND'
+      });
+    }
+
+    // A stored file left behind is only logged; the record is already gone
+    const { error: storageError } = await getStorage(req.supabase).remove([file.file_path, file.thumbnail_path].filter(Boolean));
+    if (storageError) {
+      console.error('Storage delete error:', storageError);
+    }
+
+    await recordCaseUpdate(req.supabase, {
+      caseId: file.case_id,
+      updatedBy: req.user.id,
+      updateType: 'file_deleted',
+      oldValue: file.file_name
+    });
+
     res.json({
       success: true,
-      message: 'File record deleted successfully',
-      filePath: file.file_path // Return path for client-side storage deletion
+      message: 'File deleted successfully',
+      filePath: file.file_path
     });
 
   } catch (error) {
@@ -317,84 +997,295 @@ router.delete('/file/:fileId', async (req, res) => {
   }
 });
 
-// Get file download URL (return file info for client-side access)
+// Download a file - streams it straight to an authenticated API client
 router.get('/file/:fileId/download', async (req, res) => {
   try {
-    const { fileId } = req.params;
+    const { file, role, error } = await loadFileForDownload(req, req.params.fileId);
 
-    // Get file record with case info
-    const { data: file, error: fileError } = await req.supabase
-      .from('case_files')
-      .select(`
-        *,
-        case:cases!case_files_case_id_fkey(user_id)
-      `)
-      .eq('id', fileId)
-      .single();
+    if (error) {
+      return res.status(error.status).json({
+        error: error.error,
+        code: error.code
+      });
+    }
+
+    await streamFile(req, res, file, role, 'stream', { inline: req.query.inline === 'true' });
+
+  } catch (error) {
+    console.error('Download file error:', error);
+    res.status(500).json({
+      error: 'Failed to download file',
+      code: 'DOWNLOAD_ERROR'
+    });
+  }
+});
+
+// Get a file's preview image. Previews are not evidence, so unlike downloads
+// they are not recorded in the download log or chain of custody.
+router.get('/file/:fileId/thumbnail', async (req, res) => {
+  try {
+    const { file, error } = await loadFileForDownload(req, req.params.fileId);
 
-    if (fileError || !file) {
+    if (error) {
+      return res.status(error.status).json({
+        error: error.error,
+        code: error.code
+      });
+    }
+
+    if (!file.thumbnail_path) {
       return res.status(404).json({
-        error: 'File not found',
-        code: 'FILE_NOT_FOUND'
+        error: 'No preview is available for this file',
+        code: 'THUMBNAIL_NOT_FOUND'
       });
     }
 
-    // Check access permissions
-    const hasAccess = file.case.user_id === req.user.id || 
-                     req.user.user_type === 'admin';
+    const { data: thumbnail, error: storageError } = await getStorage(req.supabase).download(file.thumbnail_path);
 
-    if (!hasAccess) {
-      return res.status(403).json({
-        error: 'Access denied',
-        code: 'ACCESS_DENIED'
+    if (storageError || !thumbnail) {
+      return res.status(404).json({
+        error: 'No preview is available for this file',
+        code: 'THUMBNAIL_NOT_FOUND'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'image/webp',
+      'Content-Length': thumbnail.length,
+      'Cache-Control': 'private, max-age=3600'
+    });
+    res.send(thumbnail);
+
+  } catch (error) {
+    console.error('Thumbnail error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch preview',
+      code: 'THUMBNAIL_ERROR'
+    });
+  }
+});
+
+// Issue a short-lived signed download link the browser can open directly
+router.post('/file/:fileId/link', async (req, res) => {
+  try {
+    const { file, error } = await loadFileForDownload(req, req.params.fileId);
+
+    if (error) {
+      return res.status(error.status).json({
+        error: error.error,
+        code: error.code
       });
     }
 
-    // Return file information for client-side download
+    const { url, expiresAt } = createDownloadLink(file.id, req.user.id);
+
     res.json({
       success: true,
       file: {
         id: file.id,
         name: file.file_name,
-        path: file.file_path,
-        url: file.file_url,
         size: file.file_size,
         type: file.file_type,
-        uploadedAt: file.uploaded_at
+        uploadedAt: file.created_at
       },
-      downloadInstructions: {
-        bucket: 'case-files',
-        path: file.file_path,
-        note: 'Use Supabase client to create signed URL for download'
-      }
+      url,
+      expiresAt
     });
 
   } catch (error) {
-    console.error('Download info error:', error);
+    console.error('Download link error:', error);
     res.status(500).json({
-      error: 'Failed to get download information',
+      error: 'Failed to create download link',
       code: 'DOWNLOAD_ERROR'
     });
   }
 });
 
+// Load a case for the custody routes; anyone on the case may read its custody log
+const loadCaseForCustody = async (req) => {
+  const { data: case_, error } = await req.supabase
+    .from('cases')
+    .select('id, case_title, user_id, respondent_id, assigned_mediator_id')
+    .eq('id', req.params.caseId)
+    .single();
+
+  if (error || !case_ || getCaseRole(case_, req.user) === null) {
+    return null;
+  }
+
+  return case_;
+};
+
+const getCustodyLog = async (req, caseId) => {
+  const { data: entries, error } = await req.supabase
+    .from('custody_log')
+    .select('*')
+    .eq('case_id', caseId)
+    .order('sequence', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch custody log: ${error.message}`);
+  }
+
+  return entries || [];
+};
+
+const CUSTODY_CSV_COLUMNS = ['sequence', 'created_at', 'event', 'file_name', 'file_id', 'actor_id', 'actor_role', 'content_hash', 'previous_hash', 'entry_hash'];
+
+const toCsvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Export the chain of custody for a case as JSON, or CSV with ?format=csv
+router.get('/case/:caseId/custody', async (req, res) => {
+  try {
+    const case_ = await loadCaseForCustody(req);
+
+    if (!case_) {
+      return res.status(404).json({
+        error: 'Case not found or access denied',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    const entries = await getCustodyLog(req, case_.id);
+    const chain = verifyCustodyChain(entries);
+
+    if (req.query.format === 'csv') {
+      const rows = [
+        CUSTODY_CSV_COLUMNS.join(','),
+        ...entries.map(entry => CUSTODY_CSV_COLUMNS.map(column => toCsvValue(entry[column])).join(','))
+      ];
+
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="custody-log-${case_.id}.csv"`
+      });
+      return res.send(rows.join('\n'));
+    }
+
+    res.json({
+      success: true,
+      case: { id: case_.id, title: case_.case_title },
+      exportedAt: new Date().toISOString(),
+      chain,
+      entries
+    });
+
+  } catch (error) {
+    console.error('Export custody log error:', error);
+    res.status(500).json({
+      error: 'Failed to export custody log',
+      code: 'CUSTODY_ERROR'
+    });
+  }
+});
+
+// Verify a case's evidence: re-hash every stored file against the hash taken on
+// upload, and check the custody chain has not been altered
+router.get('/case/:caseId/verify', async (req, res) => {
+  try {
+    const case_ = await loadCaseForCustody(req);
+
+    if (!case_) {
+      return res.status(404).json({
+        error: 'Case not found or access denied',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    const { data: files, error: filesError } = await req.supabase
+      .from('case_files')
+      .select('id, file_name, file_path, content_hash')
+      .eq('case_id', case_.id)
+      .order('created_at', { ascending: true });
+
+    if (filesError) {
+      return res.status(400).json({
+        error: 'Failed to fetch files',
+        code: 'FETCH_ERROR'
+      });
+    }
+
+    const entries = await getCustodyLog(req, case_.id);
+    const storage = getStorage(req.supabase);
+
+    // Check files one at a time to keep memory use to a single file
+    const results = [];
+    for (const file of files || []) {
+      // The hash recorded in the custody log at upload must agree with case_files too
+      const uploadEntry = entries.find(entry => entry.file_id === file.id && entry.event === 'uploaded');
+      const result = {
+        id: file.id,
+        name: file.file_name,
+        expected_hash: file.content_hash,
+        actual_hash: null
+      };
+
+      if (!file.content_hash) {
+        results.push({ ...result, status: 'unhashed' });
+        continue;
+      }
+
+      const { data: buffer, error } = await storage.download(file.file_path);
+
+      if (error || !buffer) {
+        results.push({ ...result, status: 'missing' });
+        continue;
+      }
+
+      result.actual_hash = hashContent(buffer);
+      const matches = result.actual_hash === file.content_hash &&
+        (!uploadEntry || uploadEntry.content_hash === file.content_hash);
+
+      results.push({ ...result, status: matches ? 'ok' : 'mismatch' });
+    }
+
+    const chain = verifyCustodyChain(entries);
+
+    res.json({
+      success: true,
+      verified: chain.valid && results.every(result => result.status === 'ok' || result.status === 'unhashed'),
+      verifiedAt: new Date().toISOString(),
+      chain,
+      files: results
+    });
+
+  } catch (error) {
+    console.error('Verify evidence error:', error);
+    res.status(500).json({
+      error: 'Failed to verify evidence',
+      code: 'VERIFY_ERROR'
+    });
+  }
+});
+
 // Error handling middleware for multer
 router.use((error, req, res, next) => {
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
-        error: 'File too large. Maximum size is 10MB.',
+        error: `File too large. Maximum size is ${Math.round(getLargestFileSize() / (1024 * 1024))}MB.`,
         code: 'FILE_TOO_LARGE'
       });
     }
     if (error.code === 'LIMIT_FILE_COUNT') {
       return res.status(400).json({
-        error: 'Too many files. Maximum is 5 files per upload.',
+        error: 'Too many files. Upload one file at a time.',
         code: 'TOO_MANY_FILES'
       });
     }
   }
 
+  // A part larger than UPLOAD_PART_SIZE
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({
+      error: 'Upload part is too large',
+      code: 'PART_TOO_LARGE'
+    });
+  }
+
   if (error.message.includes('Invalid file type')) {
     return res.status(400).json({
       error: error.message,
@@ -81,11 +81,12 @@ class WebSocketManager {
 
             // Verify JWT token
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            const userId = decoded.userId;
+            // Supabase access tokens carry the user id in `sub` and the role in user metadata
+            const userId = decoded.userId || decoded.sub;
 
             // Set client info
             ws.userId = userId;
-            ws.isAdmin = decoded.role === 'admin';
+            ws.isAdmin = decoded.role === 'admin' || decoded.user_metadata?.user_type === 'admin';
             ws.isAuthenticated = true;
 
             // Add to appropriate client collections
@@ -180,10 +181,10 @@ class WebSocketManager {
             timestamp: new Date().toISOString()
         };
 
-        // Send to case owner
-        if (caseData.user_id && caseData.user_id !== excludeUserId) {
-            this.sendToUser(caseData.user_id, message);
-        }
+        // Send to everyone on the case
+        [caseData.user_id, caseData.respondent_id, caseData.assigned_mediator_id]
+            .filter(userId => userId && userId !== excludeUserId)
+            .forEach(userId => this.sendToUser(userId, message));
 
         // Send to all admin clients
         this.broadcastToAdmins(message);
@@ -246,10 +247,10 @@ class WebSocketManager {
             timestamp: new Date().toISOString()
         };
 
-        // Send to case owner
-        if (caseData.user_id) {
-            this.sendToUser(caseData.user_id, message);
-        }
+        // Send to everyone on the case
+        [caseData.user_id, caseData.respondent_id, caseData.assigned_mediator_id]
+            .filter(Boolean)
+            .forEach(userId => this.sendToUser(userId, message));
 
         // Send to admins
         this.broadcastToAdmins(message);
@@ -257,6 +258,50 @@ class WebSocketManager {
         console.log(`Broadcasted status change for case ${caseData.id}: ${oldStatus} → ${newStatus}`);
     }
 
+    broadcastSettlementOffer(offer, event, recipientIds = []) {
+        const message = {
+            type: 'settlement_offer',
+            event,
+            caseId: offer.case_id,
+            offer,
+            timestamp: new Date().toISOString()
+        };
+
+        recipientIds.forEach(userId => this.sendToUser(userId, message));
+        this.broadcastToAdmins(message);
+    }
+
+    broadcastBlindBidUpdate(session, recipientIds = []) {
+        const message = {
+            type: 'blind_bid_update',
+            caseId: session.case_id,
+            session,
+            timestamp: new Date().toISOString()
+        };
+
+        recipientIds.forEach(userId => this.sendToUser(userId, message));
+        this.broadcastToAdmins(message);
+    }
+
+    broadcastCaseMessage(caseMessage, recipientIds = []) {
+        const message = {
+            type: 'case_message',
+            caseId: caseMessage.case_id,
+            message: caseMessage,
+            timestamp: new Date().toISOString()
+        };
+
+        // Only the participants allowed to see the message receive it
+        recipientIds.forEach(userId => {
+            this.sendToUser(userId, message);
+        });
+
+        // Admins supervise all case communication
+        this.broadcastToAdmins(message);
+
+        console.log(`Broadcasted message ${caseMessage.id} for case ${caseMessage.case_id}`);
+    }
+
     // Helper methods
 
     sendToUser(userId, message) {
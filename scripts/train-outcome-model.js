@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+const { trainOutcomeModel, getModelPath } = require('../utils/outcomePrediction');
+
+// Retrain the outcome prediction model from exported case data:
+//   npm run train:outcomes -- <export.json> [--out <model.json>]
+// The export is the file from GET /api/admin/outcome-model/training-data, or any
+// JSON array of resolved cases with the same fields.
+function trainFromExport(args) {
+  const outIndex = args.indexOf('--out');
+  const outPath = outIndex !== -1 ? args[outIndex + 1] : getModelPath();
+  const inputPath = args.find((arg, i) => !arg.startsWith('--') && (outIndex === -1 || i !== outIndex + 1));
+
+  if (!inputPath || !outPath) {
+    console.error('Usage: npm run train:outcomes -- <export.json> [--out <model.json>]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const data = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+  const cases = Array.isArray(data) ? data : data.cases;
+
+  console.log(`📋 Training on ${(cases || []).length} cases from ${inputPath}...`);
+  const { model, error } = trainOutcomeModel(cases);
+
+  if (error) {
+    console.error(`❌ ${error}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  fs.mkdirSync(path.dirname(path.resolve(outPath)), { recursive: true });
+  fs.writeFileSync(outPath, JSON.stringify(model, null, 2));
+
+  console.log(`✅ Model saved to ${outPath}`);
+  console.log(`   Cases by outcome: ${Object.entries(model.category_counts).map(([name, count]) => `${name} ${count}`).join(', ')}`);
+  if (model.evaluation) {
+    const { holdout_cases: holdout, category_accuracy: accuracy, settlement_in_range: inRange } = model.evaluation;
+    console.log(`   On the ${holdout} most recent cases: outcome right ${Math.round(accuracy * 100)}%` +
+      (inRange !== null ? `, settlement within range ${Math.round(inRange * 100)}%` : ''));
+  } else {
+    console.log('   Too few cases to hold some back for evaluation');
+  }
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+  trainFromExport(process.argv.slice(2));
+}
+
+module.exports = { trainFromExport };
@@ -15,6 +15,11 @@ const userRoutes = require('./routes/users');
 const caseRoutes = require('./routes/cases');
 const adminRoutes = require('./routes/admin');
 const uploadRoutes = require('./routes/upload');
+const messageRoutes = require('./routes/messages');
+const mediatorRoutes = require('./routes/mediator');
+const offerRoutes = require('./routes/offers');
+const blindBiddingRoutes = require('./routes/blindBidding');
+const downloadRoutes = require('./routes/downloads');
 
 // Import WebSocket and middleware
 const WebSocketManager = require('./routes/websocket');
@@ -22,7 +27,8 @@ const websocketIntegration = require('./middleware/websocket-integration');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
-const { authenticateToken } = require('./middleware/auth');
+const { authenticateToken, authenticateTokenOrCookie } = require('./middleware/auth');
+const { getScanner, getScannerWarning } = require('./utils/malwareScan');
 
 // Initialize Express app and HTTP server
 const app = express();
@@ -84,8 +90,14 @@ app.use(cookieParser());
 // WebSocket integration middleware (adds broadcast methods to req object)
 app.use(websocketIntegration(wsManager));
 
-// Serve static files (HTML pages only)
-app.use(express.static(path.join(__dirname, '.')));
+// Serve the frontend only: its pages, scripts and images and the root index.html
+// and styles.css. The rest of the project directory - stored evidence under
+// uploads/, trained models, the server code - is never served.
+['js', 'pages', 'images'].forEach(dir => {
+  app.use(`/${dir}`, express.static(path.join(__dirname, dir)));
+});
+app.get(['/', '/index.html'], (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
+app.get('/styles.css', (req, res, next) => res.sendFile(path.join(__dirname, 'styles.css'), error => error && next(error)));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -104,9 +116,14 @@ app.get('/api/health', (req, res) => {
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', authenticateToken, userRoutes);
+app.use('/api/cases/:caseId/messages', authenticateToken, messageRoutes);
+app.use('/api/cases/:caseId/offers', authenticateToken, offerRoutes);
+app.use('/api/cases/:caseId/blind-bidding', authenticateToken, blindBiddingRoutes);
 app.use('/api/cases', authenticateToken, caseRoutes);
 app.use('/api/admin', authenticateToken, adminRoutes);
+app.use('/api/mediator', authenticateToken, mediatorRoutes);
 app.use('/api/upload', authenticateToken, uploadRoutes);
+app.use('/api/downloads', authenticateTokenOrCookie, downloadRoutes);
 
 // Serve frontend for all other routes (SPA support)
 app.get('*', (req, res) => {
@@ -141,6 +158,11 @@ server.listen(PORT, () => {
   console.log(`WebSocket URL: ws://localhost:${PORT}/ws/dashboard`);
   console.log(`Supabase URL: ${process.env.SUPABASE_URL ? 'Configured' : 'NOT CONFIGURED'}`);
   console.log(`Supabase Key: ${process.env.SUPABASE_ANON_KEY ? 'Configured' : 'NOT CONFIGURED'}`);
+  console.log(`Malware scanner: ${getScanner().name}`);
+  const scannerWarning = getScannerWarning();
+  if (scannerWarning) {
+    console.warn(`WARNING: ${scannerWarning}`);
+  }
   console.log(`Health check: http://localhost:${PORT}/api/health`);
   console.log(`WebSocket Stats: ${JSON.stringify(wsManager.getStats())}`);
 });
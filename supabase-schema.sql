@@ -9,6 +9,7 @@ CREATE TABLE IF NOT EXISTS public.users (
     address TEXT,
     user_type VARCHAR(50) NOT NULL CHECK (user_type IN ('individual', 'lawyer', 'mediator', 'organization', 'admin')),
     department VARCHAR(100),
+    specializations TEXT[] DEFAULT '{}',
     license_number VARCHAR(100),
     is_active BOOLEAN DEFAULT TRUE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
@@ -28,9 +29,26 @@ CREATE TABLE IF NOT EXISTS public.cases (
     preferred_resolution VARCHAR(100),
     urgency_level VARCHAR(50) DEFAULT 'Medium',
     status VARCHAR(50) DEFAULT 'Pending' CHECK (status IN ('Pending', 'In Review', 'In Mediation', 'Resolved', 'Closed')),
+    respondent_name VARCHAR(255),
+    respondent_email VARCHAR(255),
+    respondent_phone VARCHAR(20),
+    respondent_id UUID REFERENCES public.users(id),
+    respondent_invited_at TIMESTAMP WITH TIME ZONE,
+    respondent_joined_at TIMESTAMP WITH TIME ZONE,
+    respondent_response VARCHAR(30) CHECK (respondent_response IN ('accept_liability', 'dispute', 'counter_claim')),
+    respondent_statement TEXT,
+    counter_claim_amount DECIMAL(15,2),
+    respondent_responded_at TIMESTAMP WITH TIME ZONE,
     assigned_mediator_id UUID REFERENCES public.users(id),
+    assigned_department VARCHAR(100),
     resolution_notes TEXT,
+    admin_notes TEXT,
+    resolved_by UUID REFERENCES public.users(id),
+    settlement_amount DECIMAL(15,2),
+    settlement_terms TEXT,
+    settled_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     last_updated TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     resolved_at TIMESTAMP WITH TIME ZONE
 );
@@ -43,6 +61,12 @@ CREATE TABLE IF NOT EXISTS public.case_files (
     file_path VARCHAR(500) NOT NULL,
     file_size INTEGER,
     file_type VARCHAR(100),
+    content_hash VARCHAR(64),
+    thumbnail_path VARCHAR(500),
+    version INTEGER DEFAULT 1 NOT NULL,
+    previous_version_id UUID REFERENCES public.case_files(id) ON DELETE SET NULL,
+    superseded_by UUID REFERENCES public.case_files(id) ON DELETE SET NULL,
+    superseded_at TIMESTAMP WITH TIME ZONE,
     uploaded_by UUID REFERENCES public.users(id) NOT NULL,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -59,20 +83,306 @@ CREATE TABLE IF NOT EXISTS public.case_updates (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Create case_messages table for threaded case messaging
+-- visibility 'shared' is seen by everyone on the case; 'caucus' is a private
+-- channel between the mediator and one party (caucus_party)
+CREATE TABLE IF NOT EXISTS public.case_messages (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    case_id UUID REFERENCES public.cases(id) ON DELETE CASCADE NOT NULL,
+    sender_id UUID REFERENCES public.users(id) NOT NULL,
+    sender_role VARCHAR(20) NOT NULL CHECK (sender_role IN ('claimant', 'respondent', 'mediator', 'admin')),
+    parent_id UUID REFERENCES public.case_messages(id) ON DELETE CASCADE,
+    visibility VARCHAR(20) NOT NULL DEFAULT 'shared' CHECK (visibility IN ('shared', 'caucus')),
+    caucus_party VARCHAR(20) CHECK (caucus_party IN ('claimant', 'respondent')),
+    body TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK ((visibility = 'caucus') = (caucus_party IS NOT NULL))
+);
+
+-- Create mediator_notes table for private mediator working notes
+CREATE TABLE IF NOT EXISTS public.mediator_notes (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    case_id UUID REFERENCES public.cases(id) ON DELETE CASCADE NOT NULL,
+    mediator_id UUID REFERENCES public.users(id) NOT NULL,
+    note TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create mediator_declarations table - a mediator's conflict-of-interest declaration per case
+CREATE TABLE IF NOT EXISTS public.mediator_declarations (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    case_id UUID REFERENCES public.cases(id) ON DELETE CASCADE NOT NULL,
+    mediator_id UUID REFERENCES public.users(id) NOT NULL,
+    declaration VARCHAR(20) NOT NULL CHECK (declaration IN ('no_conflict', 'recused')),
+    statement TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (case_id, mediator_id)
+);
+
+-- Create conflict_overrides table - admin decisions to assign a flagged mediator anyway
+CREATE TABLE IF NOT EXISTS public.conflict_overrides (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    case_id UUID REFERENCES public.cases(id) ON DELETE CASCADE NOT NULL,
+    mediator_id UUID REFERENCES public.users(id) NOT NULL,
+    admin_id UUID REFERENCES public.users(id) NOT NULL,
+    conflicts TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create outcome_proposals table for outcomes proposed by the mediator
+CREATE TABLE IF NOT EXISTS public.outcome_proposals (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    case_id UUID REFERENCES public.cases(id) ON DELETE CASCADE NOT NULL,
+    mediator_id UUID REFERENCES public.users(id) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    terms TEXT NOT NULL,
+    amount DECIMAL(15,2),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create settlement_offers table for offers exchanged between the parties
+CREATE TABLE IF NOT EXISTS public.settlement_offers (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    case_id UUID REFERENCES public.cases(id) ON DELETE CASCADE NOT NULL,
+    offered_by UUID REFERENCES public.users(id) NOT NULL,
+    offered_by_role VARCHAR(20) NOT NULL CHECK (offered_by_role IN ('claimant', 'respondent')),
+    parent_offer_id UUID REFERENCES public.settlement_offers(id),
+    amount DECIMAL(15,2),
+    terms TEXT,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'rejected', 'countered', 'expired')),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    responded_by UUID REFERENCES public.users(id),
+    responded_at TIMESTAMP WITH TIME ZONE,
+    response_note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (amount IS NOT NULL OR terms IS NOT NULL)
+);
+
+-- Create blind_bid_sessions table for automated blind-bid settlement of monetary disputes
+CREATE TABLE IF NOT EXISTS public.blind_bid_sessions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    case_id UUID REFERENCES public.cases(id) ON DELETE CASCADE NOT NULL,
+    started_by UUID REFERENCES public.users(id) NOT NULL,
+    tolerance_percent DECIMAL(5,2) NOT NULL CHECK (tolerance_percent >= 0 AND tolerance_percent <= 50),
+    max_rounds INTEGER NOT NULL CHECK (max_rounds BETWEEN 1 AND 10),
+    current_round INTEGER DEFAULT 1 NOT NULL,
+    claimant_submitted BOOLEAN DEFAULT FALSE NOT NULL,
+    respondent_submitted BOOLEAN DEFAULT FALSE NOT NULL,
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'settled', 'failed', 'cancelled')),
+    settlement_amount DECIMAL(15,2),
+    settled_round INTEGER,
+    ended_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create blind_bids table; bids are only ever written by submit_blind_bid
+CREATE TABLE IF NOT EXISTS public.blind_bids (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    session_id UUID REFERENCES public.blind_bid_sessions(id) ON DELETE CASCADE NOT NULL,
+    case_id UUID REFERENCES public.cases(id) ON DELETE CASCADE NOT NULL,
+    bidder_id UUID REFERENCES public.users(id) NOT NULL,
+    bidder_role VARCHAR(20) NOT NULL CHECK (bidder_role IN ('claimant', 'respondent')),
+    round INTEGER NOT NULL,
+    amount DECIMAL(15,2) NOT NULL CHECK (amount >= 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (session_id, bidder_role, round)
+);
+
+-- Create file_downloads table recording every evidence download
+CREATE TABLE IF NOT EXISTS public.file_downloads (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    file_id UUID REFERENCES public.case_files(id) ON DELETE SET NULL,
+    case_id UUID REFERENCES public.cases(id) ON DELETE CASCADE NOT NULL,
+    downloaded_by UUID REFERENCES public.users(id) NOT NULL,
+    downloader_role VARCHAR(20) NOT NULL,
+    method VARCHAR(20) NOT NULL CHECK (method IN ('stream', 'signed_link', 'bundle')),
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create custody_log table: a hash-chained chain of custody for each case's evidence.
+-- Entries are never updated or deleted; each stores the hash of the one before it.
+-- file_id is hashed into the entry, so it is plain data rather than a foreign key
+-- and outlives the file it names.
+CREATE TABLE IF NOT EXISTS public.custody_log (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    case_id UUID REFERENCES public.cases(id) ON DELETE CASCADE NOT NULL,
+    sequence INTEGER NOT NULL,
+    file_id UUID,
+    file_name VARCHAR(255),
+    event VARCHAR(20) NOT NULL CHECK (event IN ('uploaded', 'viewed', 'downloaded', 'deleted', 'quarantined', 'superseded')),
+    actor_id UUID REFERENCES public.users(id) NOT NULL,
+    actor_role VARCHAR(20),
+    content_hash VARCHAR(64),
+    previous_hash VARCHAR(64) NOT NULL,
+    entry_hash VARCHAR(64) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    UNIQUE (case_id, sequence)
+);
+
+-- Create quarantined_files table: uploads flagged by the malware scanner. They are
+-- kept apart from case_files (under quarantine/ in storage) for an admin to review.
+CREATE TABLE IF NOT EXISTS public.quarantined_files (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    case_id UUID REFERENCES public.cases(id) ON DELETE CASCADE NOT NULL,
+    file_name VARCHAR(255) NOT NULL,
+    file_size INTEGER,
+    file_type VARCHAR(100),
+    content_hash VARCHAR(64),
+    storage_path TEXT,
+    scanner VARCHAR(20) NOT NULL,
+    signature TEXT NOT NULL,
+    uploaded_by UUID REFERENCES public.users(id) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create case_file_text table: the text extracted from TXT, PDF and DOCX evidence,
+-- indexed for full-text search by admins
+CREATE TABLE IF NOT EXISTS public.case_file_text (
+    file_id UUID REFERENCES public.case_files(id) ON DELETE CASCADE PRIMARY KEY,
+    case_id UUID REFERENCES public.cases(id) ON DELETE CASCADE NOT NULL,
+    content TEXT NOT NULL,
+    search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', content)) STORED,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create case_analyses table: automated triage of a case when it is submitted.
+-- The suggested type and urgency are advisory; the case keeps what the claimant chose.
+CREATE TABLE IF NOT EXISTS public.case_analyses (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    case_id UUID REFERENCES public.cases(id) ON DELETE CASCADE NOT NULL,
+    provider VARCHAR(30) NOT NULL,
+    model VARCHAR(100),
+    dispute_type VARCHAR(100) NOT NULL,
+    type_confidence DECIMAL(4,3),
+    urgency VARCHAR(10) NOT NULL CHECK (urgency IN ('low', 'medium', 'high')),
+    urgency_reasons JSONB DEFAULT '[]'::jsonb NOT NULL,
+    entities JSONB DEFAULT '{}'::jsonb NOT NULL,
+    created_by UUID REFERENCES public.users(id) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create settlement_agreements table for agreements drafted from templates when a
+-- case is settled. Every draft is a new version; content holds the filled-in
+-- document (parties, numbered clauses, blanks still to complete). signers lists
+-- who must sign, in order, and resolution the case fields applied once they all have.
+CREATE TABLE IF NOT EXISTS public.settlement_agreements (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    case_id UUID REFERENCES public.cases(id) ON DELETE CASCADE NOT NULL,
+    version INTEGER NOT NULL,
+    template VARCHAR(50) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    content JSONB NOT NULL,
+    content_hash VARCHAR(64) NOT NULL,
+    signers JSONB NOT NULL DEFAULT '[]',
+    resolution JSONB NOT NULL DEFAULT '{}',
+    created_by UUID REFERENCES public.users(id) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (case_id, version)
+);
+
+-- Create agreement_signatures table: one signature per signer role on an agreement
+-- version, with the hash of the content that was signed. Never updated or deleted.
+CREATE TABLE IF NOT EXISTS public.agreement_signatures (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    agreement_id UUID REFERENCES public.settlement_agreements(id) ON DELETE CASCADE NOT NULL,
+    case_id UUID REFERENCES public.cases(id) ON DELETE CASCADE NOT NULL,
+    signer_id UUID REFERENCES public.users(id) NOT NULL,
+    signer_role VARCHAR(20) NOT NULL CHECK (signer_role IN ('claimant', 'respondent', 'mediator')),
+    signer_name VARCHAR(255) NOT NULL,
+    signer_email VARCHAR(255),
+    signature_type VARCHAR(10) NOT NULL CHECK (signature_type IN ('typed', 'drawn')),
+    signature_text VARCHAR(255),
+    signature_image TEXT,
+    content_hash VARCHAR(64) NOT NULL,
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    signed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (agreement_id, signer_role)
+);
+
+-- Create upload_sessions table for resumable uploads. Parts are stored under
+-- chunks/ until the session is completed and they are joined into one file.
+CREATE TABLE IF NOT EXISTS public.upload_sessions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    case_id UUID REFERENCES public.cases(id) ON DELETE CASCADE NOT NULL,
+    uploaded_by UUID REFERENCES public.users(id) NOT NULL,
+    file_name VARCHAR(255) NOT NULL,
+    file_type VARCHAR(100) NOT NULL,
+    file_size BIGINT NOT NULL CHECK (file_size > 0),
+    part_size INTEGER NOT NULL CHECK (part_size > 0),
+    total_parts INTEGER NOT NULL CHECK (total_parts > 0),
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'completed', 'aborted', 'quarantined')),
+    file_id UUID REFERENCES public.case_files(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    closed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create upload_parts table: one row per part received for an upload session
+CREATE TABLE IF NOT EXISTS public.upload_parts (
+    session_id UUID REFERENCES public.upload_sessions(id) ON DELETE CASCADE NOT NULL,
+    part_number INTEGER NOT NULL CHECK (part_number > 0),
+    size INTEGER NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (session_id, part_number)
+);
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_users_email ON public.users(email);
 CREATE INDEX IF NOT EXISTS idx_users_user_type ON public.users(user_type);
+CREATE INDEX IF NOT EXISTS idx_users_specializations ON public.users USING GIN (specializations);
 CREATE INDEX IF NOT EXISTS idx_cases_user_id ON public.cases(user_id);
+CREATE INDEX IF NOT EXISTS idx_cases_respondent_id ON public.cases(respondent_id);
+CREATE INDEX IF NOT EXISTS idx_cases_respondent_email ON public.cases(respondent_email);
 CREATE INDEX IF NOT EXISTS idx_cases_status ON public.cases(status);
 CREATE INDEX IF NOT EXISTS idx_cases_created_at ON public.cases(created_at);
 CREATE INDEX IF NOT EXISTS idx_case_files_case_id ON public.case_files(case_id);
-CREATE INDEX IF NOT EXISTS idx_case_updates_case_id ON public.case_updates(case_id);
+CREATE INDEX IF NOT EXISTS idx_case_files_previous_version_id ON public.case_files(previous_version_id);
+CREATE INDEX IF NOT EXISTS idx_case_updates_case_id ON public.case_updates(case_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_case_messages_case_id ON public.case_messages(case_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_case_messages_parent_id ON public.case_messages(parent_id);
+CREATE INDEX IF NOT EXISTS idx_cases_assigned_mediator_id ON public.cases(assigned_mediator_id);
+CREATE INDEX IF NOT EXISTS idx_mediator_notes_case_id ON public.mediator_notes(case_id);
+CREATE INDEX IF NOT EXISTS idx_outcome_proposals_case_id ON public.outcome_proposals(case_id);
+CREATE INDEX IF NOT EXISTS idx_conflict_overrides_case_mediator ON public.conflict_overrides(case_id, mediator_id);
+CREATE INDEX IF NOT EXISTS idx_settlement_offers_case_id ON public.settlement_offers(case_id, created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_blind_bid_sessions_active ON public.blind_bid_sessions(case_id) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_blind_bids_session_id ON public.blind_bids(session_id, round);
+CREATE INDEX IF NOT EXISTS idx_file_downloads_file_id ON public.file_downloads(file_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_file_downloads_case_id ON public.file_downloads(case_id);
+CREATE INDEX IF NOT EXISTS idx_quarantined_files_case_id ON public.quarantined_files(case_id);
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_uploaded_by ON public.upload_sessions(uploaded_by, status);
+CREATE INDEX IF NOT EXISTS idx_case_file_text_case_id ON public.case_file_text(case_id);
+CREATE INDEX IF NOT EXISTS idx_case_file_text_search ON public.case_file_text USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_case_analyses_case_id ON public.case_analyses(case_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_settlement_agreements_case_id ON public.settlement_agreements(case_id, version);
+CREATE INDEX IF NOT EXISTS idx_agreement_signatures_agreement_id ON public.agreement_signatures(agreement_id);
 
 -- Enable Row Level Security (RLS)
 ALTER TABLE public.users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.cases ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.case_files ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.case_updates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.case_messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.mediator_notes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.outcome_proposals ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.mediator_declarations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.conflict_overrides ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.settlement_offers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.blind_bid_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.blind_bids ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.file_downloads ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.custody_log ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.quarantined_files ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.upload_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.upload_parts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.case_file_text ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.case_analyses ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.settlement_agreements ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.agreement_signatures ENABLE ROW LEVEL SECURITY;
 
 -- RLS Policies for users table
 CREATE POLICY "Users can view own profile" ON public.users
@@ -81,6 +391,9 @@ CREATE POLICY "Users can update own profile" ON public.users
     FOR UPDATE USING (auth.uid() = id);
 CREATE POLICY "Enable insert for authenticated users" ON public.users
     FOR INSERT WITH CHECK (auth.uid() = id);
+-- Read the role from the JWT rather than public.users to avoid a recursive policy
+CREATE POLICY "Admins can view all users" ON public.users
+    FOR SELECT USING ((auth.jwt() -> 'user_metadata' ->> 'user_type') = 'admin');
 
 -- RLS Policies for cases table
 CREATE POLICY "Users can view own cases" ON public.cases
@@ -89,6 +402,11 @@ CREATE POLICY "Users can insert own cases" ON public.cases
     FOR INSERT WITH CHECK (auth.uid() = user_id);
 CREATE POLICY "Users can update own cases" ON public.cases
     FOR UPDATE USING (auth.uid() = user_id);
+CREATE POLICY "Respondents can view their cases" ON public.cases
+    FOR SELECT USING (auth.uid() = respondent_id);
+-- What the parties and the mediator may change is limited by guard_case_update()
+CREATE POLICY "Respondents can update their cases" ON public.cases
+    FOR UPDATE USING (auth.uid() = respondent_id);
 CREATE POLICY "Admins can view all cases" ON public.cases
     FOR SELECT USING (
         EXISTS (
@@ -97,9 +415,21 @@ CREATE POLICY "Admins can view all cases" ON public.cases
             AND users.user_type = 'admin'
         )
     );
+CREATE POLICY "Admins can update all cases" ON public.cases
+    FOR UPDATE USING (
+        EXISTS (
+            SELECT 1 FROM public.users 
+            WHERE users.id = auth.uid() 
+            AND users.user_type = 'admin'
+        )
+    );
 -- CORRECTED POLICY: Mediators can only view cases specifically assigned to them.
 CREATE POLICY "Mediators can view assigned cases" ON public.cases
     FOR SELECT USING (auth.uid() = assigned_mediator_id);
+-- A mediator cannot hand the case to someone else; recusal is recuse_mediator()
+CREATE POLICY "Mediators can update assigned cases" ON public.cases
+    FOR UPDATE USING (auth.uid() = assigned_mediator_id)
+    WITH CHECK (assigned_mediator_id = auth.uid());
 
 -- RLS Policies for case_files table
 CREATE POLICY "Users can view files for their cases" ON public.case_files
@@ -118,6 +448,221 @@ CREATE POLICY "Users can upload files to their cases" ON public.case_files
             AND cases.user_id = auth.uid()
         )
     );
+CREATE POLICY "Respondents can view files for their cases" ON public.case_files
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.cases 
+            WHERE cases.id = case_files.case_id 
+            AND cases.respondent_id = auth.uid()
+        )
+    );
+CREATE POLICY "Respondents can upload files to their cases" ON public.case_files
+    FOR INSERT WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM public.cases 
+            WHERE cases.id = case_files.case_id 
+            AND cases.respondent_id = auth.uid()
+        )
+    );
+CREATE POLICY "Mediators can view files for assigned cases" ON public.case_files
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.cases 
+            WHERE cases.id = case_files.case_id 
+            AND cases.assigned_mediator_id = auth.uid()
+        )
+    );
+CREATE POLICY "Admins can view files for department cases" ON public.case_files
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.cases 
+            JOIN public.users ON users.id = auth.uid()
+            WHERE cases.id = case_files.case_id 
+            AND users.user_type = 'admin'
+            AND cases.assigned_department = users.department
+        )
+    );
+
+-- Storage policy for the case-files bucket: an object (a file or its preview)
+-- can be read by anyone who can see its case_files row, so file access follows
+-- the case policies above
+CREATE POLICY "Case participants can read case files" ON storage.objects
+    FOR SELECT USING (
+        bucket_id = 'case-files'
+        AND EXISTS (
+            SELECT 1 FROM public.case_files 
+            WHERE case_files.file_path = storage.objects.name
+            OR case_files.thumbnail_path = storage.objects.name
+        )
+    );
+
+-- RLS Policies for custody_log table (read-only: entries are appended by append_custody_entry())
+CREATE POLICY "Case participants can view custody log" ON public.custody_log
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.cases 
+            WHERE cases.id = custody_log.case_id 
+            AND (
+                cases.user_id = auth.uid()
+                OR cases.respondent_id = auth.uid()
+                OR cases.assigned_mediator_id = auth.uid()
+            )
+        )
+        OR EXISTS (
+            SELECT 1 FROM public.users 
+            WHERE users.id = auth.uid() 
+            AND users.user_type = 'admin'
+        )
+    );
+
+-- RLS Policies for file_downloads table
+CREATE POLICY "Users can record own downloads" ON public.file_downloads
+    FOR INSERT WITH CHECK (auth.uid() = downloaded_by);
+CREATE POLICY "Users can view own downloads" ON public.file_downloads
+    FOR SELECT USING (auth.uid() = downloaded_by);
+CREATE POLICY "Admins can view all downloads" ON public.file_downloads
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.users 
+            WHERE users.id = auth.uid() 
+            AND users.user_type = 'admin'
+        )
+    );
+
+-- RLS Policies for quarantined_files table
+CREATE POLICY "Users can quarantine own uploads" ON public.quarantined_files
+    FOR INSERT WITH CHECK (auth.uid() = uploaded_by);
+CREATE POLICY "Users can view own quarantined uploads" ON public.quarantined_files
+    FOR SELECT USING (auth.uid() = uploaded_by);
+CREATE POLICY "Admins can view quarantined files for department cases" ON public.quarantined_files
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.cases 
+            JOIN public.users ON users.id = auth.uid()
+            WHERE cases.id = quarantined_files.case_id 
+            AND users.user_type = 'admin'
+            AND cases.assigned_department = users.department
+        )
+    );
+
+-- RLS Policies for case_file_text table: written by whoever uploaded the file,
+-- searched by admins
+CREATE POLICY "Users can index text of own uploads" ON public.case_file_text
+    FOR INSERT WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM public.case_files 
+            WHERE case_files.id = case_file_text.file_id 
+            AND case_files.case_id = case_file_text.case_id 
+            AND case_files.uploaded_by = auth.uid()
+        )
+    );
+CREATE POLICY "Admins can search text of files for department cases" ON public.case_file_text
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.cases 
+            JOIN public.users ON users.id = auth.uid()
+            WHERE cases.id = case_file_text.case_id 
+            AND users.user_type = 'admin'
+            AND cases.assigned_department = users.department
+        )
+    );
+
+-- RLS Policies for case_analyses table: the claimant triggers triage on submission;
+-- the claimant, assigned mediator and department admins can read it
+CREATE POLICY "Users can triage own cases" ON public.case_analyses
+    FOR INSERT WITH CHECK (
+        auth.uid() = created_by
+        AND EXISTS (
+            SELECT 1 FROM public.cases 
+            WHERE cases.id = case_analyses.case_id 
+            AND cases.user_id = auth.uid()
+        )
+    );
+CREATE POLICY "Users can view analyses of own cases" ON public.case_analyses
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.cases 
+            WHERE cases.id = case_analyses.case_id 
+            AND cases.user_id = auth.uid()
+        )
+    );
+CREATE POLICY "Mediators can view analyses of assigned cases" ON public.case_analyses
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.cases 
+            WHERE cases.id = case_analyses.case_id 
+            AND cases.assigned_mediator_id = auth.uid()
+        )
+    );
+CREATE POLICY "Admins can view analyses of department cases" ON public.case_analyses
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.cases 
+            JOIN public.users ON users.id = auth.uid()
+            WHERE cases.id = case_analyses.case_id 
+            AND users.user_type = 'admin'
+            AND cases.assigned_department = users.department
+        )
+    );
+
+-- RLS Policies for settlement_agreements: the parties, the mediator and department
+-- admins can read them. Drafts are only written by draft_settlement_agreement(),
+-- and no one edits one
+CREATE POLICY "Case members can view settlement agreements" ON public.settlement_agreements
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.cases 
+            WHERE cases.id = settlement_agreements.case_id 
+            AND auth.uid() IN (cases.user_id, cases.respondent_id, cases.assigned_mediator_id)
+        )
+    );
+CREATE POLICY "Admins can view settlement agreements of department cases" ON public.settlement_agreements
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.cases 
+            JOIN public.users ON users.id = auth.uid()
+            WHERE cases.id = settlement_agreements.case_id 
+            AND users.user_type = 'admin'
+            AND cases.assigned_department = users.department
+        )
+    );
+
+-- RLS Policies for agreement_signatures: anyone who can see the case sees who has
+-- signed. Signatures are only added by sign_settlement_agreement()
+CREATE POLICY "Case members can view agreement signatures" ON public.agreement_signatures
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.cases 
+            WHERE cases.id = agreement_signatures.case_id 
+            AND auth.uid() IN (cases.user_id, cases.respondent_id, cases.assigned_mediator_id)
+        )
+    );
+CREATE POLICY "Admins can view agreement signatures of department cases" ON public.agreement_signatures
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.cases 
+            JOIN public.users ON users.id = auth.uid()
+            WHERE cases.id = agreement_signatures.case_id 
+            AND users.user_type = 'admin'
+            AND cases.assigned_department = users.department
+        )
+    );
+
+-- RLS Policies for upload_sessions and upload_parts: only the uploader sees or changes them
+CREATE POLICY "Users can view own upload sessions" ON public.upload_sessions
+    FOR SELECT USING (auth.uid() = uploaded_by);
+CREATE POLICY "Users can start own upload sessions" ON public.upload_sessions
+    FOR INSERT WITH CHECK (auth.uid() = uploaded_by);
+CREATE POLICY "Users can update own upload sessions" ON public.upload_sessions
+    FOR UPDATE USING (auth.uid() = uploaded_by);
+CREATE POLICY "Users can manage parts of own upload sessions" ON public.upload_parts
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM public.upload_sessions 
+            WHERE upload_sessions.id = upload_parts.session_id 
+            AND upload_sessions.uploaded_by = auth.uid()
+        )
+    );
 
 -- RLS Policies for case_updates table
 CREATE POLICY "Users can view updates for their cases" ON public.case_updates
@@ -128,34 +673,332 @@ CREATE POLICY "Users can view updates for their cases" ON public.case_updates
             AND cases.user_id = auth.uid()
         )
     );
+CREATE POLICY "Respondents can view updates for their cases" ON public.case_updates
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.cases 
+            WHERE cases.id = case_updates.case_id 
+            AND cases.respondent_id = auth.uid()
+        )
+    );
+CREATE POLICY "Mediators can view updates for assigned cases" ON public.case_updates
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.cases 
+            WHERE cases.id = case_updates.case_id 
+            AND cases.assigned_mediator_id = auth.uid()
+        )
+    );
+CREATE POLICY "Admins can view all case updates" ON public.case_updates
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.users 
+            WHERE users.id = auth.uid() 
+            AND users.user_type = 'admin'
+        )
+    );
 CREATE POLICY "Authenticated users can insert case updates" ON public.case_updates
     FOR INSERT WITH CHECK (auth.uid() = updated_by);
 
--- Create functions for updating timestamps
-CREATE OR REPLACE FUNCTION update_updated_at_column()
-RETURNS TRIGGER AS $$
-BEGIN
-    NEW.updated_at = NOW();
-    RETURN NEW;
-END;
-$$ language 'plpgsql';
-
--- Create triggers for automatic timestamp updates
-CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON public.users
-    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
-CREATE TRIGGER update_cases_updated_at BEFORE UPDATE ON public.cases
-    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+-- RLS Policies for case_messages table
+-- Parties see shared messages and their own caucus; the mediator sees everything on
+-- their cases; admins can review all messages
+CREATE POLICY "Case participants can view messages" ON public.case_messages
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.cases 
+            WHERE cases.id = case_messages.case_id 
+            AND (
+                cases.assigned_mediator_id = auth.uid()
+                OR (cases.user_id = auth.uid() AND (case_messages.visibility = 'shared' OR case_messages.caucus_party = 'claimant'))
+                OR (cases.respondent_id = auth.uid() AND (case_messages.visibility = 'shared' OR case_messages.caucus_party = 'respondent'))
+            )
+        )
+        OR EXISTS (
+            SELECT 1 FROM public.users 
+            WHERE users.id = auth.uid() 
+            AND users.user_type = 'admin'
+        )
+    );
+CREATE POLICY "Case participants can send messages" ON public.case_messages
+    FOR INSERT WITH CHECK (
+        auth.uid() = sender_id
+        AND (
+            EXISTS (
+                SELECT 1 FROM public.cases 
+                WHERE cases.id = case_messages.case_id 
+                AND (
+                    cases.assigned_mediator_id = auth.uid()
+                    OR (cases.user_id = auth.uid() AND (case_messages.visibility = 'shared' OR case_messages.caucus_party = 'claimant'))
+                    OR (cases.respondent_id = auth.uid() AND (case_messages.visibility = 'shared' OR case_messages.caucus_party = 'respondent'))
+                )
+            )
+            OR EXISTS (
+                SELECT 1 FROM public.users 
+                WHERE users.id = auth.uid() 
+                AND users.user_type = 'admin'
+            )
+        )
+    );
 
--- Create function to handle user creation
-CREATE OR REPLACE FUNCTION public.handle_new_user()
-RETURNS TRIGGER AS $$
+-- RLS Policies for mediator_notes table
+-- Notes are the mediator's private working notes and are never shown to the parties
+CREATE POLICY "Mediators can view notes on assigned cases" ON public.mediator_notes
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.cases 
+            WHERE cases.id = mediator_notes.case_id 
+            AND cases.assigned_mediator_id = auth.uid()
+        )
+    );
+CREATE POLICY "Mediators can add notes to assigned cases" ON public.mediator_notes
+    FOR INSERT WITH CHECK (
+        auth.uid() = mediator_id
+        AND EXISTS (
+            SELECT 1 FROM public.cases 
+            WHERE cases.id = mediator_notes.case_id 
+            AND cases.assigned_mediator_id = auth.uid()
+        )
+    );
+
+-- RLS Policies for mediator_declarations table
+CREATE POLICY "Mediators can view own declarations" ON public.mediator_declarations
+    FOR SELECT USING (auth.uid() = mediator_id);
+-- Recusals go through recuse_mediator(), which also hands the case back
+CREATE POLICY "Mediators can declare on assigned cases" ON public.mediator_declarations
+    FOR INSERT WITH CHECK (
+        auth.uid() = mediator_id
+        AND declaration = 'no_conflict'
+        AND EXISTS (
+            SELECT 1 FROM public.cases 
+            WHERE cases.id = mediator_declarations.case_id 
+            AND cases.assigned_mediator_id = auth.uid()
+        )
+    );
+CREATE POLICY "Admins can view all declarations" ON public.mediator_declarations
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.users 
+            WHERE users.id = auth.uid() 
+            AND users.user_type = 'admin'
+        )
+    );
+
+-- RLS Policies for conflict_overrides table
+CREATE POLICY "Mediators can view overrides for themselves" ON public.conflict_overrides
+    FOR SELECT USING (auth.uid() = mediator_id);
+CREATE POLICY "Admins can view conflict overrides" ON public.conflict_overrides
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.users 
+            WHERE users.id = auth.uid() 
+            AND users.user_type = 'admin'
+        )
+    );
+CREATE POLICY "Admins can record conflict overrides" ON public.conflict_overrides
+    FOR INSERT WITH CHECK (
+        auth.uid() = admin_id
+        AND EXISTS (
+            SELECT 1 FROM public.users 
+            WHERE users.id = auth.uid() 
+            AND users.user_type = 'admin'
+        )
+    );
+
+-- RLS Policies for outcome_proposals table
+CREATE POLICY "Case participants can view outcome proposals" ON public.outcome_proposals
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.cases 
+            WHERE cases.id = outcome_proposals.case_id 
+            AND (
+                cases.user_id = auth.uid()
+                OR cases.respondent_id = auth.uid()
+                OR cases.assigned_mediator_id = auth.uid()
+            )
+        )
+    );
+CREATE POLICY "Mediators can propose outcomes on assigned cases" ON public.outcome_proposals
+    FOR INSERT WITH CHECK (
+        auth.uid() = mediator_id
+        AND EXISTS (
+            SELECT 1 FROM public.cases 
+            WHERE cases.id = outcome_proposals.case_id 
+            AND cases.assigned_mediator_id = auth.uid()
+        )
+    );
+
+-- RLS Policies for settlement_offers table
+CREATE POLICY "Case participants can view settlement offers" ON public.settlement_offers
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.cases 
+            WHERE cases.id = settlement_offers.case_id 
+            AND (
+                cases.user_id = auth.uid()
+                OR cases.respondent_id = auth.uid()
+                OR cases.assigned_mediator_id = auth.uid()
+            )
+        )
+    );
+CREATE POLICY "Admins can view all settlement offers" ON public.settlement_offers
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.users 
+            WHERE users.id = auth.uid() 
+            AND users.user_type = 'admin'
+        )
+    );
+-- A new offer starts pending; it is answered through respond_to_settlement_offer()
+CREATE POLICY "Parties can make settlement offers" ON public.settlement_offers
+    FOR INSERT WITH CHECK (
+        auth.uid() = offered_by
+        AND status = 'pending'
+        AND responded_by IS NULL
+        AND responded_at IS NULL
+        AND EXISTS (
+            SELECT 1 FROM public.cases 
+            WHERE cases.id = settlement_offers.case_id 
+            AND auth.uid() = CASE settlement_offers.offered_by_role
+                WHEN 'claimant' THEN cases.user_id
+                ELSE cases.respondent_id
+            END
+        )
+    );
+
+-- RLS Policies for blind_bid_sessions table
+CREATE POLICY "Case participants can view blind bid sessions" ON public.blind_bid_sessions
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.cases 
+            WHERE cases.id = blind_bid_sessions.case_id 
+            AND (
+                cases.user_id = auth.uid()
+                OR cases.respondent_id = auth.uid()
+                OR cases.assigned_mediator_id = auth.uid()
+            )
+        )
+    );
+CREATE POLICY "Admins can view all blind bid sessions" ON public.blind_bid_sessions
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.users 
+            WHERE users.id = auth.uid() 
+            AND users.user_type = 'admin'
+        )
+    );
+CREATE POLICY "Claimants can start blind bidding on their cases" ON public.blind_bid_sessions
+    FOR INSERT WITH CHECK (
+        auth.uid() = started_by
+        AND status = 'active'
+        AND current_round = 1
+        AND EXISTS (
+            SELECT 1 FROM public.cases 
+            WHERE cases.id = blind_bid_sessions.case_id 
+            AND cases.user_id = auth.uid()
+        )
+    );
+CREATE POLICY "Admins can manage blind bid sessions" ON public.blind_bid_sessions
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM public.users 
+            WHERE users.id = auth.uid() 
+            AND users.user_type = 'admin'
+        )
+    );
+
+-- RLS Policies for blind_bids table
+-- Bidders only ever see their own numbers; there is no insert policy because
+-- bids go through submit_blind_bid
+CREATE POLICY "Bidders can view own bids" ON public.blind_bids
+    FOR SELECT USING (auth.uid() = bidder_id);
+CREATE POLICY "Admins can view all bids" ON public.blind_bids
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM public.users 
+            WHERE users.id = auth.uid() 
+            AND users.user_type = 'admin'
+        )
+    );
+
+-- Create functions for updating timestamps
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Create triggers for automatic timestamp updates
+CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON public.users
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_cases_updated_at BEFORE UPDATE ON public.cases
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Direct updates to a case by its parties and its mediator, as opposed to admins
+-- and the definer functions below (which run as their owner). Each may only change
+-- their own columns, and the status only along the moves the state machine
+-- (utils/caseStatus.js) gives them. Settlement fields are only ever set by
+-- resolve_case_from_agreement(), once everyone has signed.
+CREATE OR REPLACE FUNCTION public.guard_case_update()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_columns TEXT[] := ARRAY['status', 'last_updated', 'updated_at'];
 BEGIN
-    INSERT INTO public.users (id, email, full_name, user_type)
+    IF current_user NOT IN ('authenticated', 'anon') OR EXISTS (
+        SELECT 1 FROM public.users WHERE users.id = auth.uid() AND users.user_type = 'admin'
+    ) THEN
+        RETURN NEW;
+    END IF;
+
+    IF auth.uid() = OLD.user_id THEN
+        v_columns := v_columns || ARRAY['description', 'preferred_resolution', 'respondent_name', 'respondent_email', 'respondent_phone', 'respondent_invited_at'];
+    END IF;
+    IF auth.uid() = OLD.respondent_id THEN
+        v_columns := v_columns || ARRAY['respondent_response', 'respondent_statement', 'counter_claim_amount', 'respondent_responded_at'];
+    END IF;
+
+    IF to_jsonb(NEW) - v_columns IS DISTINCT FROM to_jsonb(OLD) - v_columns THEN
+        RAISE EXCEPTION 'CASE_UPDATE_NOT_PERMITTED';
+    END IF;
+
+    IF NEW.status IS DISTINCT FROM OLD.status AND NOT (
+        -- The claimant withdraws a case before it is reviewed
+        (auth.uid() = OLD.user_id AND OLD.status = 'Pending' AND NEW.status = 'Closed')
+        -- The mediator opens the mediation and may close it
+        OR (auth.uid() = OLD.assigned_mediator_id AND OLD.status = 'In Review' AND NEW.status = 'In Mediation')
+        OR (auth.uid() = OLD.assigned_mediator_id AND OLD.status = 'In Mediation' AND NEW.status = 'Closed')
+        -- A settlement the parties agreed between them takes a pending case into review
+        OR (auth.uid() IN (OLD.user_id, OLD.respondent_id) AND OLD.status = 'Pending' AND NEW.status = 'In Review'
+            AND (EXISTS (SELECT 1 FROM public.settlement_offers WHERE case_id = OLD.id AND status = 'accepted')
+                OR EXISTS (SELECT 1 FROM public.blind_bid_sessions WHERE case_id = OLD.id AND status = 'settled')))
+    ) THEN
+        RAISE EXCEPTION 'CASE_UPDATE_NOT_PERMITTED';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER guard_case_update BEFORE UPDATE ON public.cases
+    FOR EACH ROW EXECUTE FUNCTION public.guard_case_update();
+
+-- Create function to handle user creation
+CREATE OR REPLACE FUNCTION public.handle_new_user()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO public.users (id, email, full_name, user_type, department, specializations)
     VALUES (
         NEW.id,
         NEW.email,
         COALESCE(NEW.raw_user_meta_data->>'full_name', ''),
-        COALESCE(NEW.raw_user_meta_data->>'user_type', 'individual')
+        COALESCE(NEW.raw_user_meta_data->>'user_type', 'individual'),
+        NEW.raw_user_meta_data->>'department',
+        COALESCE(
+            ARRAY(SELECT jsonb_array_elements_text(NEW.raw_user_meta_data->'specializations')),
+            '{}'
+        )
     );
     RETURN NEW;
 END;
@@ -166,7 +1009,1057 @@ CREATE TRIGGER on_auth_user_created
     AFTER INSERT ON auth.users
     FOR EACH ROW EXECUTE FUNCTION public.handle_new_user();
 
+-- Link the authenticated user to a case as its respondent. Runs as definer because
+-- the respondent cannot see the case until respondent_id is set; the invited email
+-- must match the caller's auth email.
+CREATE OR REPLACE FUNCTION public.accept_case_invitation(p_case_id UUID)
+RETURNS SETOF public.cases AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE public.cases
+    SET respondent_id = auth.uid(),
+        respondent_joined_at = NOW()
+    WHERE id = p_case_id
+      AND user_id <> auth.uid()
+      AND LOWER(respondent_email) = LOWER(auth.jwt() ->> 'email')
+      AND (respondent_id IS NULL OR respondent_id = auth.uid())
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Organizations a user is linked to in their auth metadata ('organization' and/or an
+-- 'organizations' array), normalised for comparison. Internal helper for the conflict check.
+CREATE OR REPLACE FUNCTION public.user_organizations(p_user_ids UUID[])
+RETURNS TABLE (user_id UUID, organization TEXT) AS $$
+    SELECT u.id, LOWER(TRIM(o.name))
+    FROM auth.users u
+    CROSS JOIN LATERAL (
+        SELECT u.raw_user_meta_data ->> 'organization'
+        UNION
+        SELECT jsonb_array_elements_text(COALESCE(u.raw_user_meta_data -> 'organizations', '[]'::jsonb))
+    ) AS o(name)
+    WHERE u.id = ANY(p_user_ids)
+      AND COALESCE(TRIM(o.name), '') <> '';
+$$ LANGUAGE sql SECURITY DEFINER;
+
+-- Conflicts of interest between mediators and the parties to a case, one row per reason.
+-- Runs as definer because it looks at cases and users the caller cannot see; only
+-- admins, or a mediator checking themselves, may call it.
+CREATE OR REPLACE FUNCTION public.check_mediator_conflicts(p_case_id UUID, p_mediator_ids UUID[])
+RETURNS TABLE (conflicted_mediator_id UUID, reason TEXT) AS $$
+DECLARE
+    v_case public.cases%ROWTYPE;
+    v_parties UUID[];
+BEGIN
+    IF NOT (
+        p_mediator_ids = ARRAY[auth.uid()]
+        OR EXISTS (SELECT 1 FROM public.users WHERE users.id = auth.uid() AND users.user_type = 'admin')
+    ) THEN
+        RAISE EXCEPTION 'Not permitted to check conflicts for these mediators';
+    END IF;
+
+    SELECT * INTO v_case FROM public.cases WHERE cases.id = p_case_id;
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    v_parties := array_remove(ARRAY[v_case.user_id, v_case.respondent_id], NULL);
+
+    RETURN QUERY
+    -- The mediator is one of the parties
+    SELECT u.id, 'is a party to this case'::TEXT
+    FROM public.users u
+    WHERE u.id = ANY(p_mediator_ids)
+      AND (u.id = ANY(v_parties) OR LOWER(u.email) = LOWER(v_case.respondent_email))
+
+    UNION ALL
+    -- The mediator has been on the other side of a dispute with one of the parties
+    SELECT m.id, 'has a prior dispute with one of the parties'::TEXT
+    FROM unnest(p_mediator_ids) AS m(id)
+    WHERE EXISTS (
+        SELECT 1 FROM public.cases c
+        WHERE c.id <> p_case_id
+          AND ((c.user_id = m.id AND c.respondent_id = ANY(v_parties))
+            OR (c.respondent_id = m.id AND c.user_id = ANY(v_parties)))
+    )
+
+    UNION ALL
+    -- The mediator has mediated for one of the parties before
+    SELECT m.id, 'has previously mediated a case involving one of the parties'::TEXT
+    FROM unnest(p_mediator_ids) AS m(id)
+    WHERE EXISTS (
+        SELECT 1 FROM public.cases c
+        WHERE c.id <> p_case_id
+          AND c.assigned_mediator_id = m.id
+          AND (c.user_id = ANY(v_parties) OR c.respondent_id = ANY(v_parties))
+    )
+
+    UNION ALL
+    -- The mediator and a party are linked to the same organization
+    SELECT DISTINCT mo.user_id, 'is linked to the same organization as one of the parties'::TEXT
+    FROM public.user_organizations(p_mediator_ids) mo
+    JOIN public.user_organizations(v_parties) po ON po.organization = mo.organization
+
+    UNION ALL
+    -- The mediator has already recused themselves
+    SELECT d.mediator_id, 'has recused from this case'::TEXT
+    FROM public.mediator_declarations d
+    WHERE d.case_id = p_case_id
+      AND d.mediator_id = ANY(p_mediator_ids)
+      AND d.declaration = 'recused';
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Record the calling mediator's recusal from a case and unassign them, together.
+-- Runs as definer because once unassigned the mediator can no longer see the case.
+CREATE OR REPLACE FUNCTION public.recuse_mediator(p_case_id UUID, p_statement TEXT)
+RETURNS SETOF public.mediator_declarations AS $$
+DECLARE
+    v_case public.cases%ROWTYPE;
+BEGIN
+    SELECT * INTO v_case FROM public.cases WHERE cases.id = p_case_id FOR UPDATE;
+
+    IF NOT FOUND OR v_case.assigned_mediator_id IS DISTINCT FROM auth.uid() THEN
+        RAISE EXCEPTION 'NOT_ASSIGNED';
+    END IF;
+
+    UPDATE public.cases
+    SET assigned_mediator_id = NULL,
+        last_updated = NOW()
+    WHERE id = p_case_id;
+
+    RETURN QUERY
+    INSERT INTO public.mediator_declarations (case_id, mediator_id, declaration, statement)
+    VALUES (p_case_id, auth.uid(), 'recused', p_statement)
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Offers are answered only through the functions below; settlement_offers has no
+-- UPDATE policy. Each one changes just the offer's status and response, and only
+-- for the party the offer was made to, while the case is open and the offer
+-- pending and unexpired.
+
+-- Accept or reject a pending offer from the other party
+CREATE OR REPLACE FUNCTION public.respond_to_settlement_offer(
+    p_offer_id UUID,
+    p_status VARCHAR,
+    p_response_note TEXT
+)
+RETURNS SETOF public.settlement_offers AS $$
+BEGIN
+    IF p_status NOT IN ('accepted', 'rejected') THEN
+        RAISE EXCEPTION 'INVALID_RESPONSE';
+    END IF;
+
+    RETURN QUERY
+    UPDATE public.settlement_offers o
+    SET status = p_status,
+        responded_by = auth.uid(),
+        responded_at = NOW(),
+        response_note = p_response_note
+    FROM public.cases c
+    WHERE o.id = p_offer_id
+      AND o.status = 'pending'
+      AND o.expires_at > NOW()
+      AND c.id = o.case_id
+      AND c.status IN ('Pending', 'In Review', 'In Mediation')
+      AND auth.uid() = CASE o.offered_by_role WHEN 'claimant' THEN c.respondent_id ELSE c.user_id END
+    RETURNING o.*;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'OFFER_NOT_PENDING';
+    END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Close a pending offer as countered and make the caller's counter-offer, together,
+-- so an offer is never closed without its counter
+CREATE OR REPLACE FUNCTION public.counter_settlement_offer(
+    p_offer_id UUID,
+    p_amount DECIMAL,
+    p_terms TEXT,
+    p_expires_at TIMESTAMP WITH TIME ZONE
+)
+RETURNS SETOF public.settlement_offers AS $$
+DECLARE
+    v_offer public.settlement_offers%ROWTYPE;
+BEGIN
+    UPDATE public.settlement_offers o
+    SET status = 'countered',
+        responded_by = auth.uid(),
+        responded_at = NOW()
+    FROM public.cases c
+    WHERE o.id = p_offer_id
+      AND o.status = 'pending'
+      AND o.expires_at > NOW()
+      AND c.id = o.case_id
+      AND c.status IN ('Pending', 'In Review', 'In Mediation')
+      AND auth.uid() = CASE o.offered_by_role WHEN 'claimant' THEN c.respondent_id ELSE c.user_id END
+    RETURNING o.* INTO v_offer;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'OFFER_NOT_PENDING';
+    END IF;
+
+    RETURN QUERY
+    INSERT INTO public.settlement_offers (case_id, offered_by, offered_by_role, parent_offer_id, amount, terms, expires_at)
+    VALUES (
+        v_offer.case_id,
+        auth.uid(),
+        CASE WHEN v_offer.offered_by_role = 'claimant' THEN 'respondent' ELSE 'claimant' END,
+        v_offer.id,
+        p_amount,
+        p_terms,
+        p_expires_at
+    )
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Put back an offer the caller accepted when no agreement could be drafted from
+-- it, so it can be accepted again. An acceptance with an agreement drafted since
+-- stands.
+CREATE OR REPLACE FUNCTION public.reopen_settlement_offer(p_offer_id UUID)
+RETURNS SETOF public.settlement_offers AS $$
+    UPDATE public.settlement_offers o
+    SET status = 'pending',
+        responded_by = NULL,
+        responded_at = NULL
+    WHERE o.id = p_offer_id
+      AND o.status = 'accepted'
+      AND o.responded_by = auth.uid()
+      AND NOT EXISTS (
+          SELECT 1 FROM public.settlement_agreements a
+          WHERE a.case_id = o.case_id AND a.created_at >= o.responded_at
+      )
+    RETURNING o.*;
+$$ LANGUAGE sql SECURITY DEFINER;
+
+-- Close off a case's pending offers that are past their expiry. Anyone who can
+-- see the case's offers may do this; it returns the offers it expired.
+CREATE OR REPLACE FUNCTION public.expire_settlement_offers(p_case_id UUID)
+RETURNS SETOF public.settlement_offers AS $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM public.cases
+        WHERE cases.id = p_case_id
+        AND (
+            auth.uid() IN (cases.user_id, cases.respondent_id, cases.assigned_mediator_id)
+            OR EXISTS (SELECT 1 FROM public.users WHERE users.id = auth.uid() AND users.user_type = 'admin')
+        )
+    ) THEN
+        RAISE EXCEPTION 'CASE_NOT_FOUND';
+    END IF;
+
+    RETURN QUERY
+    UPDATE public.settlement_offers
+    SET status = 'expired'
+    WHERE case_id = p_case_id
+      AND status = 'pending'
+      AND expires_at < NOW()
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Submit the caller's bid for the current round of a case's blind bidding and,
+-- once both sides have bid, compare them. Runs as definer so the comparison can
+-- read the other party's bid without it ever reaching the caller: the result is
+-- only the session state (settled with an amount, next round, or failed).
+-- A claimant's bid is the least they will accept, a respondent's the most they will pay.
+-- The settlement amount is rounded so it does not give the other bid away either.
+CREATE OR REPLACE FUNCTION public.submit_blind_bid(p_case_id UUID, p_amount DECIMAL)
+RETURNS SETOF public.blind_bid_sessions AS $$
+DECLARE
+    v_case public.cases%ROWTYPE;
+    v_session public.blind_bid_sessions%ROWTYPE;
+    v_role VARCHAR(20);
+    v_demand DECIMAL(15,2);
+    v_offer DECIMAL(15,2);
+    v_midpoint NUMERIC;
+    v_step NUMERIC;
+BEGIN
+    SELECT * INTO v_case FROM public.cases WHERE cases.id = p_case_id;
+
+    IF v_case.user_id = auth.uid() THEN
+        v_role := 'claimant';
+    ELSIF v_case.respondent_id = auth.uid() THEN
+        v_role := 'respondent';
+    ELSE
+        RAISE EXCEPTION 'NOT_A_PARTY';
+    END IF;
+
+    IF v_case.status NOT IN ('Pending', 'In Review', 'In Mediation') THEN
+        RAISE EXCEPTION 'CASE_NOT_OPEN';
+    END IF;
+
+    IF p_amount IS NULL OR p_amount < 0 THEN
+        RAISE EXCEPTION 'INVALID_BID';
+    END IF;
+
+    SELECT * INTO v_session FROM public.blind_bid_sessions
+    WHERE case_id = p_case_id AND status = 'active'
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'NO_ACTIVE_SESSION';
+    END IF;
+
+    IF (v_role = 'claimant' AND v_session.claimant_submitted)
+        OR (v_role = 'respondent' AND v_session.respondent_submitted) THEN
+        RAISE EXCEPTION 'BID_ALREADY_SUBMITTED';
+    END IF;
+
+    INSERT INTO public.blind_bids (session_id, case_id, bidder_id, bidder_role, round, amount)
+    VALUES (v_session.id, p_case_id, auth.uid(), v_role, v_session.current_round, p_amount);
+
+    IF v_role = 'claimant' THEN
+        v_session.claimant_submitted := TRUE;
+    ELSE
+        v_session.respondent_submitted := TRUE;
+    END IF;
+
+    IF v_session.claimant_submitted AND v_session.respondent_submitted THEN
+        SELECT amount INTO v_demand FROM public.blind_bids
+        WHERE session_id = v_session.id AND round = v_session.current_round AND bidder_role = 'claimant';
+        SELECT amount INTO v_offer FROM public.blind_bids
+        WHERE session_id = v_session.id AND round = v_session.current_round AND bidder_role = 'respondent';
+
+        IF v_offer >= v_demand
+            OR (v_demand > 0 AND (v_demand - v_offer) / v_demand * 100 <= v_session.tolerance_percent) THEN
+            -- The bids meet or are close enough: settle between them, at the midpoint
+            -- rounded to two significant figures. An exact midpoint (or either bid)
+            -- would let each party work out the other's bid from their own. The
+            -- rounding never goes past either bid.
+            v_session.status := 'settled';
+            v_midpoint := (v_demand + v_offer) / 2;
+            IF v_midpoint > 0 THEN
+                v_step := POWER(10::NUMERIC, FLOOR(LOG(v_midpoint)) - 1);
+                v_session.settlement_amount := LEAST(
+                    GREATEST(ROUND(v_midpoint / v_step) * v_step, LEAST(v_demand, v_offer)),
+                    GREATEST(v_demand, v_offer)
+                );
+            ELSE
+                v_session.settlement_amount := 0;
+            END IF;
+        ELSIF v_session.current_round >= v_session.max_rounds THEN
+            v_session.status := 'failed';
+        ELSE
+            v_session.current_round := v_session.current_round + 1;
+            v_session.claimant_submitted := FALSE;
+            v_session.respondent_submitted := FALSE;
+        END IF;
+
+        IF v_session.status = 'settled' THEN
+            v_session.settled_round := v_session.current_round;
+        END IF;
+        IF v_session.status <> 'active' THEN
+            v_session.ended_at := NOW();
+        END IF;
+    END IF;
+
+    RETURN QUERY
+    UPDATE public.blind_bid_sessions
+    SET current_round = v_session.current_round,
+        claimant_submitted = v_session.claimant_submitted,
+        respondent_submitted = v_session.respondent_submitted,
+        status = v_session.status,
+        settlement_amount = v_session.settlement_amount,
+        settled_round = v_session.settled_round,
+        ended_at = v_session.ended_at
+    WHERE id = v_session.id
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- File versions: a row inserted with previous_version_id replaces that file. It
+-- takes the next version number, and the replaced row is marked superseded in the
+-- same transaction. Replacing a file that already has a newer version fails with
+-- FILE_SUPERSEDED, so two replacements of one file cannot both succeed.
+CREATE OR REPLACE FUNCTION public.set_case_file_version()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_previous public.case_files%ROWTYPE;
+BEGIN
+    IF NEW.previous_version_id IS NULL THEN
+        NEW.version := 1;
+        RETURN NEW;
+    END IF;
+
+    SELECT * INTO v_previous FROM public.case_files WHERE id = NEW.previous_version_id;
+
+    IF NOT FOUND OR v_previous.case_id <> NEW.case_id THEN
+        RAISE EXCEPTION 'FILE_NOT_FOUND';
+    END IF;
+
+    NEW.version := v_previous.version + 1;
+    NEW.superseded_by := NULL;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION public.supersede_previous_case_file()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE public.case_files
+    SET superseded_by = NEW.id, superseded_at = NOW()
+    WHERE id = NEW.previous_version_id
+    AND superseded_by IS NULL;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'FILE_SUPERSEDED';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER set_case_file_version
+    BEFORE INSERT ON public.case_files
+    FOR EACH ROW EXECUTE FUNCTION public.set_case_file_version();
+
+CREATE TRIGGER supersede_previous_case_file
+    AFTER INSERT ON public.case_files
+    FOR EACH ROW WHEN (NEW.previous_version_id IS NOT NULL)
+    EXECUTE FUNCTION public.supersede_previous_case_file();
+
+-- Delete a file's record as the case's claimant, the file's uploader or an admin
+-- of the case's department, returning the deleted row. case_files has no DELETE
+-- policy, so this is the only way to remove one. Only admins may delete an
+-- earlier version of a file.
+-- The deletion goes in the case's chain of custody.
+CREATE OR REPLACE FUNCTION public.delete_case_file(p_file_id UUID)
+RETURNS SETOF public.case_files AS $$
+DECLARE
+    v_file public.case_files%ROWTYPE;
+    v_case public.cases%ROWTYPE;
+    v_is_admin BOOLEAN;
+BEGIN
+    SELECT * INTO v_file FROM public.case_files WHERE case_files.id = p_file_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'FILE_NOT_FOUND';
+    END IF;
+
+    SELECT * INTO v_case FROM public.cases WHERE cases.id = v_file.case_id;
+
+    v_is_admin := EXISTS (
+        SELECT 1 FROM public.users
+        WHERE users.id = auth.uid()
+        AND users.user_type = 'admin'
+        AND users.department = v_case.assigned_department
+    );
+
+    IF NOT (v_is_admin OR v_case.user_id = auth.uid() OR v_file.uploaded_by = auth.uid()) THEN
+        RAISE EXCEPTION 'ACCESS_DENIED';
+    END IF;
+
+    IF v_file.superseded_by IS NOT NULL AND NOT v_is_admin THEN
+        RAISE EXCEPTION 'FILE_SUPERSEDED';
+    END IF;
+
+    PERFORM public.append_custody_entry(v_file.case_id, v_file.id, v_file.file_name, 'deleted', v_file.content_hash);
+
+    RETURN QUERY
+    DELETE FROM public.case_files WHERE case_files.id = p_file_id
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Append an entry to a case's chain of custody as the caller. The database picks
+-- the sequence, time and role and computes the hashes, the same way as
+-- computeEntryHash in utils/custody.js, so nothing in an entry is taken on trust.
+-- Appends to one case are serialised so two cannot take the same place in the chain.
+-- Clients cannot call it: entries are written by the triggers below, by
+-- delete_case_file() and by record_file_access(), which take the event from what
+-- happened and the file's details from its record.
+CREATE OR REPLACE FUNCTION public.append_custody_entry(
+    p_case_id UUID,
+    p_file_id UUID,
+    p_file_name VARCHAR,
+    p_event VARCHAR,
+    p_content_hash VARCHAR
+)
+RETURNS SETOF public.custody_log AS $$
+DECLARE
+    v_case public.cases%ROWTYPE;
+    v_role VARCHAR(20);
+    v_last public.custody_log%ROWTYPE;
+    v_sequence INTEGER;
+    v_previous_hash VARCHAR(64);
+    v_created_at TIMESTAMP WITH TIME ZONE := DATE_TRUNC('milliseconds', NOW());
+BEGIN
+    SELECT * INTO v_case FROM public.cases WHERE cases.id = p_case_id;
+
+    IF v_case.user_id = auth.uid() THEN
+        v_role := 'claimant';
+    ELSIF v_case.respondent_id = auth.uid() THEN
+        v_role := 'respondent';
+    ELSIF v_case.assigned_mediator_id = auth.uid() THEN
+        v_role := 'mediator';
+    ELSIF FOUND AND EXISTS (
+        SELECT 1 FROM public.users WHERE users.id = auth.uid() AND users.user_type = 'admin'
+    ) THEN
+        v_role := 'admin';
+    ELSE
+        RAISE EXCEPTION 'Not permitted to record custody of this case''s evidence';
+    END IF;
+
+    IF p_file_id IS NOT NULL AND NOT EXISTS (
+        SELECT 1 FROM public.case_files WHERE case_files.id = p_file_id AND case_files.case_id = p_case_id
+    ) THEN
+        RAISE EXCEPTION 'FILE_NOT_FOUND';
+    END IF;
+
+    PERFORM pg_advisory_xact_lock(hashtext('custody_log:' || p_case_id::TEXT));
+
+    SELECT * INTO v_last FROM public.custody_log
+    WHERE case_id = p_case_id
+    ORDER BY sequence DESC
+    LIMIT 1;
+
+    IF FOUND THEN
+        v_sequence := v_last.sequence + 1;
+        v_previous_hash := v_last.entry_hash;
+    ELSE
+        v_sequence := 1;
+        v_previous_hash := REPEAT('0', 64);
+    END IF;
+
+    RETURN QUERY
+    INSERT INTO public.custody_log (
+        case_id, sequence, file_id, file_name, event, actor_id, actor_role,
+        content_hash, previous_hash, entry_hash, created_at
+    )
+    VALUES (
+        p_case_id, v_sequence, p_file_id, p_file_name, p_event, auth.uid(), v_role,
+        p_content_hash, v_previous_hash,
+        encode(sha256(convert_to(concat_ws('|',
+            v_sequence,
+            p_case_id,
+            COALESCE(p_file_id::TEXT, ''),
+            COALESCE(p_file_name, ''),
+            p_event,
+            auth.uid(),
+            v_role,
+            COALESCE(p_content_hash, ''),
+            to_char(v_created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"'),
+            v_previous_hash
+        ), 'UTF8')), 'hex'),
+        v_created_at
+    )
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Custody of uploads, replaced versions and quarantined files follows their
+-- records: an entry is appended when the record is inserted
+CREATE OR REPLACE FUNCTION public.record_case_file_custody()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_previous public.case_files%ROWTYPE;
+BEGIN
+    PERFORM public.append_custody_entry(NEW.case_id, NEW.id, NEW.file_name, 'uploaded', NEW.content_hash);
+
+    IF NEW.previous_version_id IS NOT NULL THEN
+        SELECT * INTO v_previous FROM public.case_files WHERE id = NEW.previous_version_id;
+        PERFORM public.append_custody_entry(
+            v_previous.case_id, v_previous.id, v_previous.file_name, 'superseded', v_previous.content_hash
+        );
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION public.record_quarantine_custody()
+RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM public.append_custody_entry(NEW.case_id, NULL, NEW.file_name, 'quarantined', NEW.content_hash);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER record_case_file_custody
+    AFTER INSERT ON public.case_files
+    FOR EACH ROW EXECUTE FUNCTION public.record_case_file_custody();
+
+CREATE TRIGGER record_quarantine_custody
+    AFTER INSERT ON public.quarantined_files
+    FOR EACH ROW EXECUTE FUNCTION public.record_quarantine_custody();
+
+-- Record that the caller viewed or downloaded a file, with the file's name and
+-- content hash from its record
+CREATE OR REPLACE FUNCTION public.record_file_access(p_file_id UUID, p_event VARCHAR)
+RETURNS SETOF public.custody_log AS $$
+DECLARE
+    v_file public.case_files%ROWTYPE;
+BEGIN
+    IF p_event NOT IN ('viewed', 'downloaded') THEN
+        RAISE EXCEPTION 'INVALID_EVENT';
+    END IF;
+
+    SELECT * INTO v_file FROM public.case_files WHERE case_files.id = p_file_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'FILE_NOT_FOUND';
+    END IF;
+
+    RETURN QUERY
+    SELECT * FROM public.append_custody_entry(v_file.case_id, v_file.id, v_file.file_name, p_event, v_file.content_hash);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Evidence matching an admin's case search, best matches first, with an extract
+-- around the matched words (marked with p_start_sel/p_stop_sel). The search
+-- accepts web-search syntax: "quoted phrases", OR and -excluded words. Runs with
+-- the caller's permissions, so only text they may see is searched.
+CREATE OR REPLACE FUNCTION public.search_case_evidence(
+    p_query TEXT,
+    p_case_types TEXT[],
+    p_start_sel TEXT,
+    p_stop_sel TEXT
+)
+RETURNS TABLE (case_id UUID, file_id UUID, file_name VARCHAR, snippet TEXT) AS $$
+    SELECT f.case_id, f.id, f.file_name,
+        ts_headline('english', t.content, q.query, format(
+            'StartSel=%s, StopSel=%s, MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" ... "',
+            p_start_sel, p_stop_sel
+        ))
+    FROM public.case_file_text t
+    JOIN public.case_files f ON f.id = t.file_id
+    JOIN public.cases c ON c.id = t.case_id
+    CROSS JOIN websearch_to_tsquery('english', p_query) AS q(query)
+    WHERE c.case_type = ANY(p_case_types)
+      AND t.search_vector @@ q.query
+    ORDER BY ts_rank(t.search_vector, q.query) DESC
+    LIMIT 100;
+$$ LANGUAGE sql STABLE;
+
+-- Resolved cases as precedent for the similar-case search (utils/similarCases.js).
+-- Runs as definer because mediators can only see their own cases; it returns what
+-- the dispute was about and how it ended, never who the parties were. Only
+-- mediators and admins may call it.
+CREATE OR REPLACE FUNCTION public.resolved_case_precedents()
+RETURNS TABLE (
+    id UUID,
+    case_title VARCHAR,
+    case_type VARCHAR,
+    description TEXT,
+    amount_involved DECIMAL,
+    status VARCHAR,
+    respondent_response VARCHAR,
+    resolution_notes TEXT,
+    settlement_amount DECIMAL,
+    settlement_terms TEXT,
+    resolved_at TIMESTAMP WITH TIME ZONE
+) AS $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM public.users
+        WHERE users.id = auth.uid() AND users.user_type IN ('mediator', 'admin')
+    ) THEN
+        RAISE EXCEPTION 'Not permitted to read case precedents';
+    END IF;
+
+    RETURN QUERY
+    SELECT c.id, c.case_title, c.case_type, c.description, c.amount_involved, c.status,
+        c.respondent_response, c.resolution_notes, c.settlement_amount, c.settlement_terms, c.resolved_at
+    FROM public.cases c
+    WHERE c.status = 'Resolved';
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Names and contact details of the people on a case, for its settlement agreement.
+-- Runs as definer because the parties cannot see each other's profiles; only the
+-- parties, the mediator and admins may call it.
+CREATE OR REPLACE FUNCTION public.settlement_agreement_parties(p_case_id UUID)
+RETURNS TABLE (role TEXT, full_name VARCHAR, email VARCHAR, address TEXT) AS $$
+DECLARE
+    v_case public.cases%ROWTYPE;
+BEGIN
+    SELECT * INTO v_case FROM public.cases WHERE cases.id = p_case_id;
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    IF NOT (
+        auth.uid() IN (v_case.user_id, v_case.respondent_id, v_case.assigned_mediator_id)
+        OR EXISTS (SELECT 1 FROM public.users WHERE users.id = auth.uid() AND users.user_type = 'admin')
+    ) THEN
+        RAISE EXCEPTION 'Not permitted to read the parties to this case';
+    END IF;
+
+    RETURN QUERY
+    SELECT 'claimant'::TEXT, u.full_name, u.email, u.address FROM public.users u WHERE u.id = v_case.user_id
+    UNION ALL
+    SELECT 'respondent'::TEXT, u.full_name, u.email, u.address FROM public.users u WHERE u.id = v_case.respondent_id
+    UNION ALL
+    SELECT 'mediator'::TEXT, u.full_name, u.email, NULL::TEXT FROM public.users u WHERE u.id = v_case.assigned_mediator_id;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Whether everyone listed on an agreement version has signed exactly its content.
+-- A draft with blanks still to complete (content.missing) never counts as signed.
+CREATE OR REPLACE FUNCTION public.agreement_fully_signed(p_agreement_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT jsonb_array_length(a.signers) > 0
+        AND jsonb_array_length(COALESCE(a.content -> 'missing', '[]'::jsonb)) = 0
+        AND NOT EXISTS (
+            SELECT 1 FROM jsonb_array_elements(a.signers) AS s(signer)
+            WHERE NOT EXISTS (
+                SELECT 1 FROM public.agreement_signatures sig
+                WHERE sig.agreement_id = a.id
+                  AND sig.signer_role = s.signer ->> 'role'
+                  AND sig.content_hash = a.content_hash
+            )
+        )
+    FROM public.settlement_agreements a
+    WHERE a.id = p_agreement_id;
+$$ LANGUAGE sql STABLE;
+
+-- Store a new draft of a case's settlement agreement, rendered by the server from a
+-- template (utils/agreementTemplates.js). Who signs, the content hash and the case
+-- fields applied once everyone has signed are worked out here, never taken from
+-- the caller: the mediator and department admins set the resolution (NULL keeps
+-- the previous draft's), while for the parties it is the settlement they agreed -
+-- the latest accepted offer or settled blind bidding - drafted once. The content
+-- is stored as sent; the server checks it against its template before anyone
+-- signs (verifyAgreementContent in utils/settlementAgreement.js).
+CREATE OR REPLACE FUNCTION public.draft_settlement_agreement(
+    p_case_id UUID,
+    p_template VARCHAR,
+    p_title VARCHAR,
+    p_content JSONB,
+    p_resolution JSONB
+)
+RETURNS SETOF public.settlement_agreements AS $$
+DECLARE
+    v_case public.cases%ROWTYPE;
+    v_latest public.settlement_agreements%ROWTYPE;
+    v_offer public.settlement_offers%ROWTYPE;
+    v_session public.blind_bid_sessions%ROWTYPE;
+    v_resolution JSONB;
+    v_signers JSONB;
+    v_notes TEXT;
+    v_settled_at TIMESTAMP WITH TIME ZONE;
+BEGIN
+    -- Lock the case so two drafts cannot take the same version
+    SELECT * INTO v_case FROM public.cases WHERE cases.id = p_case_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'CASE_NOT_FOUND';
+    END IF;
+
+    SELECT * INTO v_latest FROM public.settlement_agreements
+    WHERE case_id = p_case_id
+    ORDER BY version DESC
+    LIMIT 1;
+
+    -- A signed agreement resolves the case (resolve_case_from_agreement); it is never replaced
+    IF v_latest.id IS NOT NULL AND public.agreement_fully_signed(v_latest.id) THEN
+        RAISE EXCEPTION 'AGREEMENT_SIGNED';
+    END IF;
+
+    IF auth.uid() = v_case.assigned_mediator_id OR EXISTS (
+        SELECT 1 FROM public.users
+        WHERE users.id = auth.uid()
+        AND users.user_type = 'admin'
+        AND users.department = v_case.assigned_department
+    ) THEN
+        v_resolution := COALESCE(p_resolution, v_latest.resolution, '{}'::jsonb);
+    ELSIF auth.uid() IN (v_case.user_id, v_case.respondent_id) THEN
+        SELECT * INTO v_offer FROM public.settlement_offers
+        WHERE case_id = p_case_id AND status = 'accepted'
+        ORDER BY responded_at DESC
+        LIMIT 1;
+
+        SELECT * INTO v_session FROM public.blind_bid_sessions
+        WHERE case_id = p_case_id AND status = 'settled'
+        ORDER BY ended_at DESC
+        LIMIT 1;
+
+        IF v_offer.id IS NOT NULL AND (v_session.id IS NULL OR v_offer.responded_at >= v_session.ended_at) THEN
+            v_settled_at := v_offer.responded_at;
+            v_notes := 'Settlement accepted: ' || concat_ws(' + ', '$' || to_char(v_offer.amount, 'FM999,999,999,990.00'), v_offer.terms);
+            v_resolution := jsonb_build_object(
+                'fields', jsonb_build_object(
+                    'settlement_amount', v_offer.amount,
+                    'settlement_terms', v_offer.terms,
+                    'settled_at', v_offer.responded_at,
+                    'resolution_notes', v_notes,
+                    'resolved_by', v_offer.responded_by
+                ),
+                'notes', v_notes
+            );
+        ELSIF v_session.id IS NOT NULL THEN
+            v_settled_at := v_session.ended_at;
+            v_notes := format('Settled by blind bidding at $%s in round %s',
+                to_char(v_session.settlement_amount, 'FM999,999,999,990.00'), v_session.settled_round);
+            v_resolution := jsonb_build_object(
+                'fields', jsonb_build_object(
+                    'settlement_amount', v_session.settlement_amount,
+                    'settled_at', v_session.ended_at,
+                    'resolution_notes', v_notes
+                ),
+                'notes', v_notes
+            );
+        ELSE
+            RAISE EXCEPTION 'NO_AGREED_SETTLEMENT';
+        END IF;
+
+        -- Blanks are filled in by hand only by the mediator or an admin; a party's
+        -- draft keeps the previous draft's
+        IF COALESCE(p_content -> 'details', '{}'::jsonb) <> COALESCE(v_latest.content -> 'details', '{}'::jsonb) THEN
+            RAISE EXCEPTION 'DETAILS_NOT_PERMITTED';
+        END IF;
+
+        -- The agreed settlement already has its draft; only the mediator or an admin redrafts
+        IF v_latest.id IS NOT NULL AND v_latest.created_at >= v_settled_at THEN
+            RAISE EXCEPTION 'AGREEMENT_ALREADY_DRAFTED';
+        END IF;
+    ELSE
+        RAISE EXCEPTION 'Not permitted to draft an agreement for this case';
+    END IF;
+
+    -- Only the settlement fields of the case are ever set by an agreement
+    v_resolution := jsonb_build_object(
+        'fields', (
+            SELECT COALESCE(jsonb_object_agg(key, value), '{}'::jsonb)
+            FROM jsonb_each(COALESCE(v_resolution -> 'fields', '{}'::jsonb))
+            WHERE key IN ('settlement_amount', 'settlement_terms', 'settled_at', 'resolution_notes', 'resolved_by', 'admin_notes')
+        ),
+        'notes', v_resolution -> 'notes'
+    );
+
+    -- Both parties sign, then the mediator, if there is one, as witness
+    SELECT jsonb_agg(jsonb_build_object(
+        'role', s.role,
+        'name', COALESCE(u.full_name, s.fallback_name),
+        'email', COALESCE(u.email, s.fallback_email)
+    ) ORDER BY s.position)
+    INTO v_signers
+    FROM (VALUES
+        (1, 'claimant', v_case.user_id, v_case.user_email, v_case.user_email),
+        (2, 'respondent', v_case.respondent_id, v_case.respondent_name, v_case.respondent_email),
+        (3, 'mediator', v_case.assigned_mediator_id, NULL::VARCHAR, NULL::VARCHAR)
+    ) AS s(position, role, user_id, fallback_name, fallback_email)
+    LEFT JOIN public.users u ON u.id = s.user_id
+    WHERE s.role <> 'mediator' OR s.user_id IS NOT NULL;
+
+    RETURN QUERY
+    INSERT INTO public.settlement_agreements
+        (case_id, version, template, title, content, content_hash, signers, resolution, created_by)
+    VALUES (
+        p_case_id,
+        COALESCE(v_latest.version, 0) + 1,
+        p_template,
+        p_title,
+        p_content,
+        encode(sha256(convert_to(p_content::TEXT, 'UTF8')), 'hex'),
+        v_signers,
+        v_resolution,
+        auth.uid()
+    )
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Sign the latest draft of a case's settlement agreement as the caller, in their
+-- role on the case. agreement_signatures has no INSERT policy, so this is the only
+-- way to sign: it enforces the signing order, takes the signer's name from their
+-- profile and stamps the time itself. p_content_hash is the hash of the content
+-- the signer reviewed, which must still be the latest draft's.
+CREATE OR REPLACE FUNCTION public.sign_settlement_agreement(
+    p_agreement_id UUID,
+    p_signature_type VARCHAR,
+    p_signature_text VARCHAR,
+    p_signature_image TEXT,
+    p_content_hash VARCHAR,
+    p_ip_address VARCHAR,
+    p_user_agent TEXT
+)
+RETURNS SETOF public.agreement_signatures AS $$
+DECLARE
+    v_agreement public.settlement_agreements%ROWTYPE;
+    v_case public.cases%ROWTYPE;
+    v_user public.users%ROWTYPE;
+    v_role VARCHAR(20);
+    v_next VARCHAR(20);
+BEGIN
+    SELECT * INTO v_agreement FROM public.settlement_agreements WHERE settlement_agreements.id = p_agreement_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'AGREEMENT_NOT_FOUND';
+    END IF;
+
+    -- Lock the case so signatures, new drafts and the resolution happen one at a time
+    SELECT * INTO v_case FROM public.cases WHERE cases.id = v_agreement.case_id FOR UPDATE;
+
+    v_role := CASE auth.uid()
+        WHEN v_case.user_id THEN 'claimant'
+        WHEN v_case.respondent_id THEN 'respondent'
+        WHEN v_case.assigned_mediator_id THEN 'mediator'
+    END;
+
+    IF v_role IS NULL OR NOT EXISTS (
+        SELECT 1 FROM jsonb_array_elements(v_agreement.signers) AS s(signer)
+        WHERE s.signer ->> 'role' = v_role
+    ) THEN
+        RAISE EXCEPTION 'NOT_A_SIGNER';
+    END IF;
+
+    IF public.agreement_fully_signed(v_agreement.id) THEN
+        RAISE EXCEPTION 'AGREEMENT_SIGNED';
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM public.agreement_signatures
+        WHERE agreement_id = v_agreement.id AND signer_role = v_role
+    ) THEN
+        RAISE EXCEPTION 'ALREADY_SIGNED';
+    END IF;
+
+    IF jsonb_array_length(COALESCE(v_agreement.content -> 'missing', '[]'::jsonb)) > 0 THEN
+        RAISE EXCEPTION 'AGREEMENT_INCOMPLETE';
+    END IF;
+
+    -- Signers sign in the order they are listed
+    SELECT s.signer ->> 'role' INTO v_next
+    FROM jsonb_array_elements(v_agreement.signers) WITH ORDINALITY AS s(signer, position)
+    WHERE NOT EXISTS (
+        SELECT 1 FROM public.agreement_signatures sig
+        WHERE sig.agreement_id = v_agreement.id AND sig.signer_role = s.signer ->> 'role'
+    )
+    ORDER BY s.position
+    LIMIT 1;
+
+    IF v_next <> v_role THEN
+        RAISE EXCEPTION 'NOT_YOUR_TURN';
+    END IF;
+
+    -- Only the latest draft can be signed, and only as it was reviewed
+    IF p_content_hash IS DISTINCT FROM v_agreement.content_hash OR EXISTS (
+        SELECT 1 FROM public.settlement_agreements
+        WHERE case_id = v_agreement.case_id AND version > v_agreement.version
+    ) THEN
+        RAISE EXCEPTION 'AGREEMENT_CHANGED';
+    END IF;
+
+    IF p_signature_type = 'typed' AND COALESCE(TRIM(p_signature_text), '') = '' THEN
+        RAISE EXCEPTION 'SIGNATURE_REQUIRED';
+    END IF;
+
+    IF p_signature_type = 'drawn' AND p_signature_image IS NULL THEN
+        RAISE EXCEPTION 'INVALID_SIGNATURE';
+    END IF;
+
+    SELECT * INTO v_user FROM public.users WHERE users.id = auth.uid();
+
+    RETURN QUERY
+    INSERT INTO public.agreement_signatures (
+        agreement_id, case_id, signer_id, signer_role, signer_name, signer_email,
+        signature_type, signature_text, signature_image, content_hash, ip_address, user_agent, signed_at
+    )
+    VALUES (
+        v_agreement.id,
+        v_case.id,
+        auth.uid(),
+        v_role,
+        COALESCE(v_user.full_name, v_user.email),
+        v_user.email,
+        p_signature_type,
+        CASE WHEN p_signature_type = 'typed' THEN p_signature_text END,
+        CASE WHEN p_signature_type = 'drawn' THEN p_signature_image END,
+        v_agreement.content_hash,
+        p_ip_address,
+        p_user_agent,
+        NOW()
+    )
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Resolve a case with the fields stored on its agreement once everyone has signed
+-- the latest draft. Runs as definer because the last signer may not be allowed to
+-- change the case themselves. Safe to retry: it returns the resolved case, or
+-- nothing if the case had already been resolved.
+CREATE OR REPLACE FUNCTION public.resolve_case_from_agreement(p_case_id UUID)
+RETURNS SETOF public.cases AS $$
+DECLARE
+    v_case public.cases%ROWTYPE;
+    v_agreement public.settlement_agreements%ROWTYPE;
+    v_from VARCHAR(50);
+BEGIN
+    SELECT * INTO v_case FROM public.cases WHERE cases.id = p_case_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'CASE_NOT_FOUND';
+    END IF;
+
+    IF NOT (
+        auth.uid() IN (v_case.user_id, v_case.respondent_id, v_case.assigned_mediator_id)
+        OR EXISTS (
+            SELECT 1 FROM public.users
+            WHERE users.id = auth.uid()
+            AND users.user_type = 'admin'
+            AND users.department = v_case.assigned_department
+        )
+    ) THEN
+        RAISE EXCEPTION 'Not permitted to resolve this case';
+    END IF;
+
+    IF v_case.status = 'Resolved' THEN
+        RETURN;
+    END IF;
+
+    SELECT * INTO v_agreement FROM public.settlement_agreements
+    WHERE case_id = p_case_id
+    ORDER BY version DESC
+    LIMIT 1;
+
+    IF v_agreement.id IS NULL OR NOT public.agreement_fully_signed(v_agreement.id) THEN
+        RAISE EXCEPTION 'AGREEMENT_NOT_SIGNED';
+    END IF;
+
+    -- The state machine (utils/caseStatus.js) resolves reviewed and mediated cases only
+    IF v_case.status NOT IN ('In Review', 'In Mediation') THEN
+        RAISE EXCEPTION 'INVALID_TRANSITION';
+    END IF;
+
+    v_from := v_case.status;
+    v_case := jsonb_populate_record(v_case, COALESCE(v_agreement.resolution -> 'fields', '{}'::jsonb));
+
+    UPDATE public.cases
+    SET settlement_amount = v_case.settlement_amount,
+        settlement_terms = v_case.settlement_terms,
+        settled_at = v_case.settled_at,
+        resolution_notes = v_case.resolution_notes,
+        resolved_by = v_case.resolved_by,
+        admin_notes = v_case.admin_notes,
+        status = 'Resolved',
+        resolved_at = NOW(),
+        last_updated = NOW()
+    WHERE id = p_case_id;
+
+    INSERT INTO public.case_updates (case_id, updated_by, update_type, old_value, new_value, notes)
+    VALUES (
+        p_case_id,
+        auth.uid(),
+        'status_change',
+        v_from,
+        'Resolved',
+        COALESCE(v_agreement.resolution ->> 'notes', 'Settlement agreement signed by everyone')
+    );
+
+    RETURN QUERY SELECT * FROM public.cases WHERE id = p_case_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
 -- Grant necessary permissions
 GRANT USAGE ON SCHEMA public TO anon, authenticated;
 GRANT ALL ON ALL TABLES IN SCHEMA public TO anon, authenticated;
-GRANT ALL ON ALL SEQUENCES IN SCHEMA public TO anon, authenticated;
\ No newline at end of file
+GRANT ALL ON ALL SEQUENCES IN SCHEMA public TO anon, authenticated;
+
+-- The organization helper exposes auth metadata and is only called from check_mediator_conflicts
+REVOKE EXECUTE ON FUNCTION public.user_organizations(UUID[]) FROM PUBLIC, anon, authenticated;
+
+-- Custody entries are only appended for what actually happened to a file (see append_custody_entry)
+REVOKE EXECUTE ON FUNCTION public.append_custody_entry(UUID, UUID, VARCHAR, VARCHAR, VARCHAR) FROM PUBLIC, anon, authenticated;
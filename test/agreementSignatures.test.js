@@ -0,0 +1,92 @@
+const { USERS, CASE_ID, createDatabase, as } = require('./database');
+
+describe('sign_settlement_agreement', () => {
+  let db;
+  let agreement;
+
+  beforeAll(async () => {
+    db = await createDatabase();
+  });
+
+  afterAll(() => db.close());
+
+  // A fresh draft for the claimant, then the respondent, then the mediator to sign
+  beforeEach(async () => {
+    await db.query('DELETE FROM public.settlement_agreements');
+    ({ rows: [agreement] } = await db.query(
+      `INSERT INTO public.settlement_agreements (case_id, version, template, title, content, content_hash, signers, created_by)
+       VALUES ($1, 1, 'general', 'Settlement agreement', '{}', 'hash-1', $2, $3) RETURNING *`,
+      [CASE_ID, JSON.stringify([{ role: 'claimant' }, { role: 'respondent' }, { role: 'mediator' }]), USERS.mediator]
+    ));
+  });
+
+  const sign = (userId, { contentHash = 'hash-1', type = 'typed', text = 'Signed' } = {}) => as(db, userId,
+    'SELECT * FROM public.sign_settlement_agreement($1, $2, $3, NULL, $4, $5, $6)',
+    [agreement.id, type, text, contentHash, '203.0.113.9', 'jest']
+  );
+
+  it('signs as the caller\'s role, with their name and the time of signing', async () => {
+    const { rows: [signature] } = await sign(USERS.claimant);
+
+    expect(signature).toMatchObject({
+      signer_id: USERS.claimant,
+      signer_role: 'claimant',
+      signer_name: 'Claire Claimant',
+      content_hash: 'hash-1',
+      ip_address: '203.0.113.9'
+    });
+    expect(Math.abs(new Date(signature.signed_at) - Date.now())).toBeLessThan(60 * 1000);
+  });
+
+  it('keeps to the signing order', async () => {
+    await expect(sign(USERS.respondent)).rejects.toThrow('NOT_YOUR_TURN');
+    await sign(USERS.claimant);
+    await expect(sign(USERS.mediator)).rejects.toThrow('NOT_YOUR_TURN');
+    await sign(USERS.respondent);
+    await sign(USERS.mediator);
+    await expect(sign(USERS.claimant)).rejects.toThrow('AGREEMENT_SIGNED');
+  });
+
+  it('refuses a second signature, other users and content that was not reviewed', async () => {
+    await sign(USERS.claimant);
+
+    await expect(sign(USERS.claimant)).rejects.toThrow('ALREADY_SIGNED');
+    await expect(sign(USERS.stranger)).rejects.toThrow('NOT_A_SIGNER');
+    await expect(sign(USERS.respondent, { contentHash: 'hash-0' })).rejects.toThrow('AGREEMENT_CHANGED');
+    await expect(sign(USERS.respondent, { text: ' ' })).rejects.toThrow('SIGNATURE_REQUIRED');
+  });
+
+  it('only signs the latest draft', async () => {
+    await db.query(
+      `INSERT INTO public.settlement_agreements (case_id, version, template, title, content, content_hash, signers, created_by)
+       VALUES ($1, 2, 'general', 'Settlement agreement', '{}', 'hash-1', $2, $3)`,
+      [CASE_ID, agreement.signers, USERS.mediator]
+    );
+
+    await expect(sign(USERS.claimant)).rejects.toThrow('AGREEMENT_CHANGED');
+  });
+
+  it('does not let a party fill in blanks by hand when drafting', async () => {
+    await db.query(
+      `INSERT INTO public.settlement_offers (case_id, offered_by, offered_by_role, amount, status, expires_at, responded_by, responded_at)
+       VALUES ($1, $2, 'claimant', 400, 'accepted', NOW() + INTERVAL '7 days', $3, NOW())`,
+      [CASE_ID, USERS.claimant, USERS.respondent]
+    );
+    const draft = (details) => as(db, USERS.respondent,
+      "SELECT * FROM public.draft_settlement_agreement($1, 'general', 'Settlement agreement', $2, NULL)",
+      [CASE_ID, JSON.stringify({ clauses: [], details })]
+    );
+
+    await expect(draft({ 'claimant.name': 'Someone Else' })).rejects.toThrow('DETAILS_NOT_PERMITTED');
+    await expect(draft({})).resolves.toMatchObject({ rows: [expect.objectContaining({ version: 2 })] });
+  });
+
+  it('is the only way to sign', async () => {
+    await expect(as(db, USERS.claimant,
+      `INSERT INTO public.agreement_signatures (agreement_id, case_id, signer_id, signer_role, signer_name,
+         signature_type, signature_text, content_hash, signed_at)
+       VALUES ($1, $2, $3, 'claimant', 'Claire Claimant', 'typed', 'Signed', 'hash-1', '2020-01-01')`,
+      [agreement.id, CASE_ID, USERS.claimant]
+    )).rejects.toThrow('row-level security');
+  });
+});
@@ -0,0 +1,48 @@
+const { USERS, CASE_ID, createDatabase, as } = require('./database');
+
+describe('submit_blind_bid', () => {
+  let db;
+
+  beforeAll(async () => {
+    db = await createDatabase();
+  });
+
+  afterAll(() => db.close());
+
+  // Open a one-round session, bid on both sides and return the session
+  const bid = async (demand, offer, tolerancePercent = 10) => {
+    await db.query('DELETE FROM public.blind_bid_sessions');
+    await db.query(
+      'INSERT INTO public.blind_bid_sessions (case_id, started_by, tolerance_percent, max_rounds) VALUES ($1, $2, $3, 1)',
+      [CASE_ID, USERS.claimant, tolerancePercent]
+    );
+    await as(db, USERS.claimant, 'SELECT * FROM public.submit_blind_bid($1, $2)', [CASE_ID, demand]);
+    const { rows: [session] } = await as(db, USERS.respondent, 'SELECT * FROM public.submit_blind_bid($1, $2)', [CASE_ID, offer]);
+    return { ...session, settlement_amount: session.settlement_amount === null ? null : Number(session.settlement_amount) };
+  };
+
+  it('settles at the midpoint rounded to two significant figures', async () => {
+    await expect(bid(5000, 4750)).resolves.toMatchObject({ status: 'settled', settlement_amount: 4900 });
+    await expect(bid(100, 10000)).resolves.toMatchObject({ status: 'settled', settlement_amount: 5100 });
+    await expect(bid(123456, 120000)).resolves.toMatchObject({ status: 'settled', settlement_amount: 120000 });
+  });
+
+  it('never rounds above the higher bid', async () => {
+    // The rounded midpoint, 150000, is more than either bid
+    await expect(bid(149000, 142000)).resolves.toMatchObject({ status: 'settled', settlement_amount: 149000 });
+  });
+
+  it('never rounds below the lower bid', async () => {
+    // The rounded midpoint, 1000, is less than either bid
+    await expect(bid(1010, 1040)).resolves.toMatchObject({ status: 'settled', settlement_amount: 1010 });
+  });
+
+  it('settles small and zero bids', async () => {
+    await expect(bid(9.99, 9.5)).resolves.toMatchObject({ status: 'settled', settlement_amount: 9.7 });
+    await expect(bid(0, 0)).resolves.toMatchObject({ status: 'settled', settlement_amount: 0 });
+  });
+
+  it('fails when the bids are too far apart in the last round', async () => {
+    await expect(bid(1000, 500)).resolves.toMatchObject({ status: 'failed', settlement_amount: null });
+  });
+});
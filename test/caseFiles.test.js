@@ -0,0 +1,142 @@
+const { USERS, CASE_ID, createDatabase, as } = require('./database');
+const { verifyCustodyChain } = require('../utils/custody');
+
+let db;
+
+beforeAll(async () => {
+  db = await createDatabase();
+});
+
+afterAll(() => db.close());
+
+const addFile = async (uploadedBy = USERS.respondent, previousVersionId = null) => {
+  const { rows: [file] } = await as(db, uploadedBy,
+    `INSERT INTO public.case_files (case_id, file_name, file_path, content_hash, uploaded_by, previous_version_id)
+     VALUES ($1, 'receipt.pdf', 'case-files/receipt.pdf', 'abc123', $2, $3) RETURNING *`,
+    [CASE_ID, uploadedBy, previousVersionId]
+  );
+  return file;
+};
+
+const fileExists = async (fileId) => {
+  const { rows } = await db.query('SELECT 1 FROM public.case_files WHERE id = $1', [fileId]);
+  return rows.length === 1;
+};
+
+const deleteAs = (userId, fileId) => as(db, userId, 'SELECT * FROM public.delete_case_file($1)', [fileId]);
+
+const custodyLog = async () => {
+  const { rows } = await db.query('SELECT * FROM public.custody_log WHERE case_id = $1 ORDER BY sequence', [CASE_ID]);
+  return rows;
+};
+
+describe('delete_case_file', () => {
+  it('lets the uploader delete their file and returns its record', async () => {
+    const file = await addFile();
+
+    const { rows } = await deleteAs(USERS.respondent, file.id);
+
+    expect(rows).toEqual([expect.objectContaining({ id: file.id, file_path: 'case-files/receipt.pdf' })]);
+    await expect(fileExists(file.id)).resolves.toBe(false);
+  });
+
+  it('lets the claimant and department admins delete any file on the case', async () => {
+    const first = await addFile();
+    const second = await addFile();
+
+    await deleteAs(USERS.claimant, first.id);
+    await deleteAs(USERS.admin, second.id);
+
+    await expect(fileExists(first.id)).resolves.toBe(false);
+    await expect(fileExists(second.id)).resolves.toBe(false);
+  });
+
+  it('refuses anyone else', async () => {
+    const file = await addFile(USERS.claimant);
+
+    await expect(deleteAs(USERS.respondent, file.id)).rejects.toThrow('ACCESS_DENIED');
+    await expect(deleteAs(USERS.mediator, file.id)).rejects.toThrow('ACCESS_DENIED');
+    await expect(deleteAs(USERS.stranger, file.id)).rejects.toThrow('ACCESS_DENIED');
+    await expect(fileExists(file.id)).resolves.toBe(true);
+  });
+
+  it('only lets admins delete an earlier version', async () => {
+    const original = await addFile();
+    await addFile(USERS.respondent, original.id);
+
+    await expect(deleteAs(USERS.respondent, original.id)).rejects.toThrow('FILE_SUPERSEDED');
+    await deleteAs(USERS.admin, original.id);
+    await expect(fileExists(original.id)).resolves.toBe(false);
+  });
+
+  it('reports a file that does not exist', async () => {
+    await expect(deleteAs(USERS.claimant, '22222222-2222-2222-2222-222222222222')).rejects.toThrow('FILE_NOT_FOUND');
+  });
+
+  it('is the only way to delete a record', async () => {
+    const file = await addFile();
+
+    await as(db, USERS.respondent, 'DELETE FROM public.case_files WHERE id = $1', [file.id]);
+
+    await expect(fileExists(file.id)).resolves.toBe(true);
+  });
+});
+
+describe('chain of custody', () => {
+  beforeEach(async () => {
+    await db.query('DELETE FROM public.custody_log');
+    await db.query('DELETE FROM public.case_files');
+  });
+
+  it('records uploads, replacements, accesses and deletions from the file records', async () => {
+    const original = await addFile();
+    const replacement = await addFile(USERS.respondent, original.id);
+    await as(db, USERS.claimant, "SELECT * FROM public.record_file_access($1, 'downloaded')", [replacement.id]);
+    await deleteAs(USERS.claimant, replacement.id);
+
+    const entries = await custodyLog();
+
+    expect(entries.map(({ event, file_id, actor_role }) => [event, file_id, actor_role])).toEqual([
+      ['uploaded', original.id, 'respondent'],
+      ['uploaded', replacement.id, 'respondent'],
+      ['superseded', original.id, 'respondent'],
+      ['downloaded', replacement.id, 'claimant'],
+      ['deleted', replacement.id, 'claimant']
+    ]);
+    expect(entries.every(entry => entry.content_hash === 'abc123')).toBe(true);
+  });
+
+  it('still verifies once a file in it has been deleted', async () => {
+    const file = await addFile();
+    await deleteAs(USERS.respondent, file.id);
+
+    const entries = await custodyLog();
+
+    expect(entries.map(entry => entry.file_id)).toEqual([file.id, file.id]);
+    expect(verifyCustodyChain(entries)).toEqual({ valid: true, entries: 2 });
+  });
+
+  it('records quarantined uploads', async () => {
+    await as(db, USERS.claimant,
+      `INSERT INTO public.quarantined_files (case_id, file_name, content_hash, scanner, signature, uploaded_by)
+       VALUES ($1, 'invoice.exe', 'def456', 'clamav', 'Eicar-Test-Signature', $2)`,
+      [CASE_ID, USERS.claimant]
+    );
+
+    await expect(custodyLog()).resolves.toEqual([
+      expect.objectContaining({ event: 'quarantined', file_id: null, file_name: 'invoice.exe', content_hash: 'def456' })
+    ]);
+  });
+
+  it('only lets clients record views and downloads', async () => {
+    const file = await addFile();
+
+    await expect(as(db, USERS.claimant, "SELECT * FROM public.record_file_access($1, 'deleted')", [file.id]))
+      .rejects.toThrow('INVALID_EVENT');
+    await expect(as(db, USERS.claimant,
+      "SELECT * FROM public.append_custody_entry($1, $2, 'receipt.pdf', 'deleted', 'forged')",
+      [CASE_ID, file.id]
+    )).rejects.toThrow('permission denied');
+    await expect(custodyLog()).resolves.toHaveLength(1);
+  });
+});
@@ -0,0 +1,82 @@
+// Database tests: supabase-schema.sql loaded into PGlite (Postgres compiled to
+// WebAssembly), with just enough of Supabase's auth and storage schemas for it.
+// auth.uid() reads the user set by as(), so queries run under RLS like a
+// signed-in user's would through PostgREST.
+const fs = require('fs');
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+
+const SUPABASE_STUBS = `
+CREATE ROLE anon NOLOGIN;
+CREATE ROLE authenticated NOLOGIN;
+CREATE SCHEMA auth;
+CREATE SCHEMA storage;
+CREATE TABLE auth.users (id UUID PRIMARY KEY, email TEXT, raw_user_meta_data JSONB DEFAULT '{}');
+CREATE FUNCTION auth.uid() RETURNS UUID AS $$
+    SELECT NULLIF(current_setting('test.uid', true), '')::UUID
+$$ LANGUAGE sql STABLE;
+CREATE FUNCTION auth.jwt() RETURNS JSONB AS $$
+    SELECT COALESCE(NULLIF(current_setting('test.jwt', true), ''), '{}')::JSONB
+$$ LANGUAGE sql STABLE;
+CREATE TABLE storage.objects (id UUID DEFAULT gen_random_uuid(), bucket_id TEXT, name TEXT);
+ALTER TABLE storage.objects ENABLE ROW LEVEL SECURITY;
+GRANT USAGE ON SCHEMA auth, storage TO anon, authenticated;
+GRANT EXECUTE ON ALL FUNCTIONS IN SCHEMA auth TO anon, authenticated;
+`;
+
+const USERS = {
+  claimant: '00000000-0000-0000-0000-00000000000c',
+  respondent: '00000000-0000-0000-0000-00000000000e',
+  mediator: '00000000-0000-0000-0000-00000000000d',
+  admin: '00000000-0000-0000-0000-00000000000a',
+  stranger: '00000000-0000-0000-0000-000000000099'
+};
+
+const CASE_ID = '11111111-1111-1111-1111-111111111111';
+
+// A database with the schema, a user for each role and one case In Review
+// between them, assigned to the mediator and the admin's department
+const createDatabase = async () => {
+  const db = new PGlite();
+  await db.exec(SUPABASE_STUBS);
+  await db.exec(fs.readFileSync(path.join(__dirname, '..', 'supabase-schema.sql'), 'utf8'));
+
+  const users = [
+    [USERS.claimant, 'claimant@example.com', 'Claire Claimant', 'individual', null],
+    [USERS.respondent, 'respondent@example.com', 'Ray Respondent', 'individual', null],
+    [USERS.mediator, 'mediator@example.com', 'Mo Mediator', 'mediator', null],
+    [USERS.admin, 'admin@example.com', 'Ada Admin', 'admin', 'Consumer Affairs'],
+    [USERS.stranger, 'stranger@example.com', 'Sam Stranger', 'individual', null]
+  ];
+  for (const [id, email, fullName, userType, department] of users) {
+    await db.query('INSERT INTO auth.users (id, email, raw_user_meta_data) VALUES ($1, $2, $3)', [
+      id, email, JSON.stringify({ full_name: fullName, user_type: userType, department })
+    ]);
+  }
+
+  await db.query(`
+    INSERT INTO public.cases (id, user_id, user_email, case_title, case_type, description, status, respondent_id,
+      respondent_name, respondent_email, assigned_mediator_id, assigned_department, amount_involved)
+    VALUES ($1, $2, 'claimant@example.com', 'Faulty washing machine', 'consumer', 'It leaks', 'In Review', $3,
+      'Ray Respondent', 'respondent@example.com', $4, 'Consumer Affairs', 500)
+  `, [CASE_ID, USERS.claimant, USERS.respondent, USERS.mediator]);
+
+  return db;
+};
+
+// Run a query as the given user, under RLS
+const as = async (db, userId, sql, params = []) => {
+  await db.exec(`SET ROLE authenticated; SELECT set_config('test.uid', '${userId}', false);`);
+  try {
+    return await db.query(sql, params);
+  } finally {
+    await db.exec('RESET ROLE');
+  }
+};
+
+module.exports = {
+  USERS,
+  CASE_ID,
+  createDatabase,
+  as
+};
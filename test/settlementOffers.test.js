@@ -0,0 +1,126 @@
+const { USERS, CASE_ID, createDatabase, as } = require('./database');
+
+describe('settlement offer responses', () => {
+  let db;
+
+  beforeAll(async () => {
+    db = await createDatabase();
+  });
+
+  afterAll(() => db.close());
+
+  beforeEach(async () => {
+    await db.query('DELETE FROM public.settlement_agreements');
+    await db.query('DELETE FROM public.settlement_offers');
+  });
+
+  // An offer of 400 from the claimant to the respondent
+  const makeOffer = async (expiresIn = '7 days') => {
+    const { rows: [offer] } = await as(db, USERS.claimant,
+      `INSERT INTO public.settlement_offers (case_id, offered_by, offered_by_role, amount, expires_at)
+       VALUES ($1, $2, 'claimant', 400, NOW() + $3::INTERVAL) RETURNING *`,
+      [CASE_ID, USERS.claimant, expiresIn]
+    );
+    return offer;
+  };
+
+  const getOffer = async (offerId) => {
+    const { rows: [offer] } = await db.query('SELECT * FROM public.settlement_offers WHERE id = $1', [offerId]);
+    return offer;
+  };
+
+  const respond = (userId, offerId, status) => as(db, userId,
+    'SELECT * FROM public.respond_to_settlement_offer($1, $2, NULL)', [offerId, status]
+  );
+
+  it('lets the party the offer was made to accept or reject it', async () => {
+    const first = await makeOffer();
+    const { rows: [accepted] } = await respond(USERS.respondent, first.id, 'accepted');
+    expect(accepted).toMatchObject({ status: 'accepted', responded_by: USERS.respondent });
+
+    const second = await makeOffer();
+    await respond(USERS.respondent, second.id, 'rejected');
+    await expect(getOffer(second.id)).resolves.toMatchObject({ status: 'rejected' });
+  });
+
+  it('does not let the party who made the offer or anyone else answer it', async () => {
+    const offer = await makeOffer();
+
+    await expect(respond(USERS.claimant, offer.id, 'accepted')).rejects.toThrow('OFFER_NOT_PENDING');
+    await expect(respond(USERS.mediator, offer.id, 'accepted')).rejects.toThrow('OFFER_NOT_PENDING');
+    await expect(respond(USERS.stranger, offer.id, 'accepted')).rejects.toThrow('OFFER_NOT_PENDING');
+    await expect(getOffer(offer.id)).resolves.toMatchObject({ status: 'pending' });
+  });
+
+  it('only answers pending, unexpired offers', async () => {
+    const offer = await makeOffer();
+    await respond(USERS.respondent, offer.id, 'rejected');
+    await expect(respond(USERS.respondent, offer.id, 'accepted')).rejects.toThrow('OFFER_NOT_PENDING');
+
+    const stale = await makeOffer('-1 day');
+    await expect(respond(USERS.respondent, stale.id, 'accepted')).rejects.toThrow('OFFER_NOT_PENDING');
+    await expect(respond(USERS.respondent, stale.id, 'countered')).rejects.toThrow('INVALID_RESPONSE');
+  });
+
+  it('cannot be bypassed by updating or inserting offers directly', async () => {
+    const offer = await makeOffer();
+
+    await as(db, USERS.claimant, "UPDATE public.settlement_offers SET status = 'accepted', amount = 900 WHERE id = $1", [offer.id]);
+    await expect(getOffer(offer.id)).resolves.toMatchObject({ status: 'pending', amount: '400.00' });
+
+    await expect(as(db, USERS.claimant,
+      `INSERT INTO public.settlement_offers (case_id, offered_by, offered_by_role, amount, status, expires_at)
+       VALUES ($1, $2, 'claimant', 900, 'accepted', NOW() + INTERVAL '7 days')`,
+      [CASE_ID, USERS.claimant]
+    )).rejects.toThrow('row-level security');
+  });
+
+  it('counters an offer with one from the other side', async () => {
+    const offer = await makeOffer();
+
+    const { rows: [counter] } = await as(db, USERS.respondent,
+      "SELECT * FROM public.counter_settlement_offer($1, 450, NULL, NOW() + INTERVAL '7 days')", [offer.id]
+    );
+
+    expect(counter).toMatchObject({ offered_by_role: 'respondent', parent_offer_id: offer.id, status: 'pending' });
+    await expect(getOffer(offer.id)).resolves.toMatchObject({ status: 'countered' });
+    await expect(as(db, USERS.claimant,
+      "SELECT * FROM public.counter_settlement_offer($1, 500, NULL, NOW() + INTERVAL '7 days')", [counter.id]
+    )).resolves.toBeDefined();
+    await expect(as(db, USERS.claimant,
+      "SELECT * FROM public.counter_settlement_offer($1, 500, NULL, NOW() + INTERVAL '7 days')", [offer.id]
+    )).rejects.toThrow('OFFER_NOT_PENDING');
+  });
+
+  it('reopens an acceptance only for its responder and only before an agreement is drafted', async () => {
+    const offer = await makeOffer();
+    await respond(USERS.respondent, offer.id, 'accepted');
+
+    await as(db, USERS.claimant, 'SELECT * FROM public.reopen_settlement_offer($1)', [offer.id]);
+    await expect(getOffer(offer.id)).resolves.toMatchObject({ status: 'accepted' });
+
+    await as(db, USERS.respondent, 'SELECT * FROM public.reopen_settlement_offer($1)', [offer.id]);
+    await expect(getOffer(offer.id)).resolves.toMatchObject({ status: 'pending' });
+
+    await respond(USERS.respondent, offer.id, 'accepted');
+    await db.query(
+      `INSERT INTO public.settlement_agreements (case_id, version, template, title, content, content_hash, created_by)
+       VALUES ($1, 1, 'general', 'Settlement agreement', '{}', 'hash-1', $2)`,
+      [CASE_ID, USERS.respondent]
+    );
+    await as(db, USERS.respondent, 'SELECT * FROM public.reopen_settlement_offer($1)', [offer.id]);
+    await expect(getOffer(offer.id)).resolves.toMatchObject({ status: 'accepted' });
+  });
+
+  it('expires stale offers for anyone on the case', async () => {
+    const stale = await makeOffer('-1 day');
+    const open = await makeOffer();
+
+    const { rows } = await as(db, USERS.mediator, 'SELECT * FROM public.expire_settlement_offers($1)', [CASE_ID]);
+
+    expect(rows.map(offer => offer.id)).toEqual([stale.id]);
+    await expect(getOffer(open.id)).resolves.toMatchObject({ status: 'pending' });
+    await expect(as(db, USERS.stranger, 'SELECT * FROM public.expire_settlement_offers($1)', [CASE_ID]))
+      .rejects.toThrow('CASE_NOT_FOUND');
+  });
+});
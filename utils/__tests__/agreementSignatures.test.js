@@ -0,0 +1,117 @@
+jest.mock('../email', () => ({ sendSignatureRequestEmail: jest.fn().mockResolvedValue(null) }));
+
+const { checkSignature, getSigningStatus, decodeSignatureImage } = require('../agreementSignatures');
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(32)]);
+const PNG_DATA_URL = `data:image/png;base64,${PNG.toString('base64')}`;
+
+const agreement = (overrides = {}) => ({
+  id: 'agreement-1',
+  version: 2,
+  content_hash: 'hash-2',
+  content: { missing: [] },
+  signers: [
+    { role: 'claimant', name: 'Claire Claimant' },
+    { role: 'respondent', name: 'Rob Respondent' },
+    { role: 'mediator', name: 'Mia Mediator' }
+  ],
+  ...overrides
+});
+
+const signature = (role, overrides = {}) => ({
+  signer_role: role,
+  signer_name: `${role} as signed`,
+  signature_type: 'typed',
+  signed_at: '2026-01-01T12:00:00.000Z',
+  ...overrides
+});
+
+describe('getSigningStatus', () => {
+  it('starts with the first signer and nobody signed', () => {
+    const status = getSigningStatus(agreement(), []);
+    expect(status.next_signer).toBe('claimant');
+    expect(status.complete).toBe(false);
+    expect(status.signers).toEqual([
+      { role: 'claimant', name: 'Claire Claimant', signature_type: null, signed_at: null },
+      { role: 'respondent', name: 'Rob Respondent', signature_type: null, signed_at: null },
+      { role: 'mediator', name: 'Mia Mediator', signature_type: null, signed_at: null }
+    ]);
+  });
+
+  it('moves to the next signer in order and shows the name each signed with', () => {
+    const status = getSigningStatus(agreement(), [signature('claimant', { signature_type: 'drawn' })]);
+    expect(status.next_signer).toBe('respondent');
+    expect(status.signers[0]).toMatchObject({ name: 'claimant as signed', signature_type: 'drawn', signed_at: '2026-01-01T12:00:00.000Z' });
+  });
+
+  it('is complete once every signer has signed', () => {
+    const status = getSigningStatus(agreement(), ['claimant', 'respondent', 'mediator'].map(role => signature(role)));
+    expect(status).toMatchObject({ next_signer: null, complete: true });
+  });
+
+  it('is never complete without signers', () => {
+    expect(getSigningStatus(agreement({ signers: [] }), [])).toMatchObject({ next_signer: null, complete: false });
+  });
+});
+
+describe('checkSignature', () => {
+  const typed = { role: 'claimant', signatureType: 'typed', signatureText: 'Claire Claimant', contentHash: 'hash-2' };
+  const check = (agreementValue, signatures, attempt) =>
+    checkSignature(agreementValue, getSigningStatus(agreementValue, signatures), attempt);
+
+  it('accepts the next signer signing the version they reviewed', () => {
+    expect(check(agreement(), [], typed)).toBeNull();
+    expect(check(agreement(), [signature('claimant')], {
+      role: 'respondent', signatureType: 'drawn', signatureImage: PNG_DATA_URL, contentHash: 'hash-2'
+    })).toBeNull();
+  });
+
+  it('refuses once everyone has signed', () => {
+    const all = ['claimant', 'respondent', 'mediator'].map(role => signature(role));
+    expect(check(agreement(), all, typed)).toMatchObject({ status: 409, code: 'AGREEMENT_SIGNED' });
+  });
+
+  it('refuses someone who is not a signer', () => {
+    expect(check(agreement(), [], { ...typed, role: 'admin' })).toMatchObject({ status: 403, code: 'NOT_A_SIGNER' });
+  });
+
+  it('refuses a second signature from the same signer', () => {
+    expect(check(agreement(), [signature('claimant')], typed)).toMatchObject({ status: 409, code: 'ALREADY_SIGNED' });
+  });
+
+  it('refuses a draft that still has blanks', () => {
+    const error = check(agreement({ content: { missing: ['Claimant address', 'Amount claimed'] } }), [], typed);
+    expect(error).toMatchObject({ status: 409, code: 'AGREEMENT_INCOMPLETE' });
+    expect(error.error).toContain('Claimant address, Amount claimed');
+  });
+
+  it('refuses a signer whose turn has not come', () => {
+    expect(check(agreement(), [], { ...typed, role: 'mediator' })).toMatchObject({ status: 409, code: 'NOT_YOUR_TURN' });
+  });
+
+  it('refuses a signature on a version other than the latest', () => {
+    expect(check(agreement(), [], { ...typed, contentHash: 'hash-1' })).toMatchObject({ status: 409, code: 'AGREEMENT_CHANGED' });
+  });
+
+  it('refuses a typed signature without a name', () => {
+    expect(check(agreement(), [], { ...typed, signatureText: '' })).toMatchObject({ status: 400, code: 'SIGNATURE_REQUIRED' });
+  });
+
+  it('refuses a drawn signature that is not a PNG', () => {
+    const drawn = { role: 'claimant', signatureType: 'drawn', contentHash: 'hash-2' };
+    expect(check(agreement(), [], { ...drawn, signatureImage: 'data:image/png;base64,AAAA' })).toMatchObject({ status: 400, code: 'INVALID_SIGNATURE' });
+    expect(check(agreement(), [], drawn)).toMatchObject({ code: 'INVALID_SIGNATURE' });
+  });
+});
+
+describe('decodeSignatureImage', () => {
+  it('returns the PNG bytes of a data URL', () => {
+    expect(decodeSignatureImage(PNG_DATA_URL).equals(PNG)).toBe(true);
+  });
+
+  it('rejects other formats and oversized images', () => {
+    expect(decodeSignatureImage(`data:image/jpeg;base64,${PNG.toString('base64')}`)).toBeNull();
+    const large = Buffer.concat([PNG, Buffer.alloc(200 * 1024)]);
+    expect(decodeSignatureImage(`data:image/png;base64,${large.toString('base64')}`)).toBeNull();
+  });
+});
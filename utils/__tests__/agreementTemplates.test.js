@@ -0,0 +1,94 @@
+const {
+  PLACEHOLDER_LABELS,
+  DETAIL_PLACEHOLDERS,
+  TEMPLATES,
+  getDefaultTemplateKey,
+  listTemplates,
+  renderTemplate
+} = require('../agreementTemplates');
+
+const context = (settlement = {}) => ({
+  case: { reference: 'RN-1001', title: 'Faulty washing machine', filed_date: '1 March 2026', amount_claimed: '$450.00' },
+  claimant: { name: 'Claire Claimant', address: '1 High Street' },
+  respondent: { name: 'Appliance Co', address: '2 Market Road' },
+  mediator: { name: 'Mia Mediator' },
+  settlement: { amount: '$400.00', terms: 'The machine is collected by 1 May.', payment_days: 14, source: 'a settlement offer', ...settlement },
+  agreement: { date: '20 April 2026' }
+});
+
+describe('renderTemplate', () => {
+  it('fills every placeholder from the context', () => {
+    const { title, clauses, missing } = renderTemplate('consumer_refund', context());
+
+    expect(title).toBe('Consumer Refund Settlement Agreement');
+    expect(missing).toEqual([]);
+    expect(clauses[0]).toEqual({
+      heading: 'Background',
+      text: 'Claire Claimant ("the Customer") raised a complaint with Appliance Co ("the Business") about "Faulty washing machine", filed on 1 March 2026 and claiming $450.00. The parties resolved the complaint through a settlement offer.'
+    });
+    expect(clauses.map(clause => clause.text).join('\n')).not.toMatch(/\{\{|\[/);
+  });
+
+  it('leaves unknown values as labelled blanks and lists each once', () => {
+    const value = context();
+    value.claimant.address = null;
+    value.case.amount_claimed = '';
+    delete value.respondent.name;
+
+    const { clauses, missing } = renderTemplate('consumer_refund', value);
+    const text = clauses.map(clause => clause.text).join('\n');
+
+    expect(missing).toEqual(['respondent name', 'amount claimed']);
+    expect(text).toContain('with [respondent name] ("the Business")');
+    expect(text).toContain('claiming [amount claimed]');
+  });
+
+  it('drops a clause whose `when` value is unknown instead of leaving a blank', () => {
+    const { clauses, missing } = renderTemplate('contract_settlement', context({ amount: null, terms: null }));
+    const headings = clauses.map(clause => clause.heading);
+
+    expect(headings).not.toContain('Payment');
+    expect(headings).not.toContain('Agreed terms');
+    expect(missing).toEqual([]);
+  });
+
+  it('keeps a clause without `when` as a blank', () => {
+    const { clauses, missing } = renderTemplate('general_settlement', context({ terms: null }));
+    expect(clauses.find(clause => clause.heading === 'Agreed terms').text).toBe('[agreed terms]');
+    expect(missing).toEqual(['agreed terms']);
+  });
+
+  it('renders zero amounts rather than treating them as unknown', () => {
+    const { clauses } = renderTemplate('contract_settlement', context({ amount: 0 }));
+    expect(clauses.find(clause => clause.heading === 'Payment').text).toContain('Claire Claimant 0 within 14 days');
+  });
+
+  it('renders every template without unknown placeholders', () => {
+    Object.keys(TEMPLATES).forEach(key => {
+      const { missing } = renderTemplate(key, context());
+      expect(missing).toEqual([]);
+    });
+  });
+});
+
+describe('templates', () => {
+  it('only use placeholders that have labels', () => {
+    const placeholders = Object.values(TEMPLATES)
+      .flatMap(template => template.clauses)
+      .flatMap(clause => [...clause.text.matchAll(/\{\{\s*([\w.]+)\s*\}\}/g)].map(match => match[1]));
+
+    placeholders.forEach(placeholder => expect(PLACEHOLDER_LABELS).toHaveProperty([placeholder]));
+    DETAIL_PLACEHOLDERS.forEach(placeholder => expect(PLACEHOLDER_LABELS).toHaveProperty([placeholder]));
+  });
+
+  it('pick the template for a case type, and the general one otherwise', () => {
+    expect(getDefaultTemplateKey('employment')).toBe('employment_severance');
+    expect(getDefaultTemplateKey('property')).toBe('tenancy_deposit');
+    expect(getDefaultTemplateKey('unknown')).toBe('general_settlement');
+  });
+
+  it('are listed with their case types', () => {
+    expect(listTemplates()).toContainEqual({ key: 'family_arrangement', name: 'Family arrangement', case_types: ['family'] });
+    expect(listTemplates()).toHaveLength(Object.keys(TEMPLATES).length);
+  });
+});
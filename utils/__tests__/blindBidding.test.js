@@ -0,0 +1,137 @@
+jest.mock('../caseHistory', () => ({ recordCaseUpdate: jest.fn().mockResolvedValue(null) }));
+
+const { recordCaseUpdate } = require('../caseHistory');
+const {
+  getBlindBidDefaults,
+  toBidError,
+  getLatestSession,
+  startBlindBidding,
+  cancelBlindBidding
+} = require('../blindBidding');
+
+// A Supabase query that resolves to result however it is built, recording the calls made
+const fakeSupabase = (result) => {
+  const calls = [];
+  const query = new Proxy({}, {
+    get: (target, method) => {
+      if (method === 'then') return (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+      return (...args) => {
+        calls.push([method, ...args]);
+        return query;
+      };
+    }
+  });
+  return { calls, from: (table) => { calls.push(['from', table]); return query; } };
+};
+
+const ENV_KEYS = ['BLIND_BID_TOLERANCE_PERCENT', 'BLIND_BID_MAX_ROUNDS'];
+
+describe('blind bidding', () => {
+  const saved = {};
+
+  beforeEach(() => {
+    ENV_KEYS.forEach(key => {
+      saved[key] = process.env[key];
+      delete process.env[key];
+    });
+    recordCaseUpdate.mockClear();
+  });
+
+  afterEach(() => {
+    ENV_KEYS.forEach(key => {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    });
+  });
+
+  describe('getBlindBidDefaults', () => {
+    it('settles within 10% over 3 rounds unless configured', () => {
+      expect(getBlindBidDefaults()).toEqual({ tolerancePercent: 10, maxRounds: 3 });
+
+      process.env.BLIND_BID_TOLERANCE_PERCENT = '5.5';
+      process.env.BLIND_BID_MAX_ROUNDS = '5';
+      expect(getBlindBidDefaults()).toEqual({ tolerancePercent: 5.5, maxRounds: 5 });
+    });
+  });
+
+  describe('toBidError', () => {
+    it('maps the exceptions raised by submit_blind_bid', () => {
+      expect(toBidError({ message: 'BID_ALREADY_SUBMITTED' })).toEqual({
+        status: 409,
+        error: 'You have already bid in this round',
+        code: 'BID_ALREADY_SUBMITTED'
+      });
+      expect(toBidError({ message: 'NOT_A_PARTY' })).toMatchObject({ status: 403, code: 'NOT_A_PARTY' });
+      expect(toBidError({ message: 'NO_ACTIVE_SESSION' })).toMatchObject({ status: 409, code: 'NO_ACTIVE_SESSION' });
+    });
+
+    it('falls back to a generic error', () => {
+      expect(toBidError({ message: 'connection reset' })).toEqual({ status: 400, error: 'Failed to submit bid', code: 'BID_ERROR' });
+      expect(toBidError({})).toMatchObject({ code: 'BID_ERROR' });
+    });
+  });
+
+  describe('getLatestSession', () => {
+    it('reads the newest session on the case', async () => {
+      const session = { id: 'session-2' };
+      const supabase = fakeSupabase({ data: session, error: null });
+
+      await expect(getLatestSession(supabase, 'case-1')).resolves.toBe(session);
+      expect(supabase.calls).toContainEqual(['eq', 'case_id', 'case-1']);
+      expect(supabase.calls).toContainEqual(['order', 'created_at', { ascending: false }]);
+    });
+
+    it('is null when the case has none', async () => {
+      await expect(getLatestSession(fakeSupabase({ data: null, error: null }), 'case-1')).resolves.toBeNull();
+    });
+  });
+
+  describe('startBlindBidding', () => {
+    it('opens a session with the given settings, or the defaults, and records it', async () => {
+      const session = { id: 'session-1', max_rounds: 3, tolerance_percent: 5 };
+      const supabase = fakeSupabase({ data: session, error: null });
+
+      await expect(startBlindBidding(supabase, { id: 'case-1' }, { actorId: 'user-1', tolerancePercent: 5 })).resolves.toBe(session);
+      expect(supabase.calls).toContainEqual(['insert', { case_id: 'case-1', started_by: 'user-1', tolerance_percent: 5, max_rounds: 3 }]);
+      expect(recordCaseUpdate).toHaveBeenCalledWith(supabase, expect.objectContaining({
+        caseId: 'case-1',
+        updateType: 'blind_bidding_started',
+        newValue: '3 rounds',
+        notes: 'Settles automatically when the bids are within 5% of each other'
+      }));
+    });
+
+    it('throws when the session cannot be opened', async () => {
+      const supabase = fakeSupabase({ data: null, error: { message: 'duplicate key' } });
+      await expect(startBlindBidding(supabase, { id: 'case-1' }, { actorId: 'user-1' }))
+        .rejects.toThrow('Failed to start blind bidding: duplicate key');
+      expect(recordCaseUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancelBlindBidding', () => {
+    it('cancels the active session and records why', async () => {
+      const cancelled = { id: 'session-1', status: 'cancelled' };
+      const supabase = fakeSupabase({ data: [cancelled], error: null });
+
+      await expect(cancelBlindBidding(supabase, { id: 'case-1' }, { actorId: 'admin-1', reason: 'Parties prefer mediation' }))
+        .resolves.toBe(cancelled);
+      expect(supabase.calls).toContainEqual(['eq', 'status', 'active']);
+      expect(recordCaseUpdate).toHaveBeenCalledWith(supabase, expect.objectContaining({
+        updateType: 'blind_bidding_cancelled',
+        notes: 'Parties prefer mediation'
+      }));
+    });
+
+    it('does nothing without an active session', async () => {
+      await expect(cancelBlindBidding(fakeSupabase({ data: [], error: null }), { id: 'case-1' }, { actorId: 'admin-1' }))
+        .resolves.toBeNull();
+      expect(recordCaseUpdate).not.toHaveBeenCalled();
+    });
+
+    it('throws when the session cannot be cancelled', async () => {
+      await expect(cancelBlindBidding(fakeSupabase({ data: null, error: { message: 'denied' } }), { id: 'case-1' }, { actorId: 'admin-1' }))
+        .rejects.toThrow('Failed to cancel blind bidding: denied');
+    });
+  });
+});
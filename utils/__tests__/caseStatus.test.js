@@ -0,0 +1,143 @@
+jest.mock('../caseHistory', () => ({ recordCaseUpdate: jest.fn().mockResolvedValue(null) }));
+
+const { recordCaseUpdate } = require('../caseHistory');
+const {
+  CASE_STATUSES,
+  normalizeStatus,
+  isOpenStatus,
+  toStatusKey,
+  getAllowedTransitions,
+  validateTransition,
+  changeCaseStatus
+} = require('../caseStatus');
+
+// A Supabase client whose cases update resolves to the given result, recording what it was asked
+const fakeSupabase = (result) => {
+  const calls = {};
+  const query = {
+    update: (data) => { calls.update = data; return query; },
+    eq: (column, value) => { calls[column] = value; return query; },
+    select: () => query,
+    single: async () => result
+  };
+  return { calls, from: () => query };
+};
+
+describe('normalizeStatus', () => {
+  it('keeps canonical statuses', () => {
+    expect(normalizeStatus('In Mediation')).toBe('In Mediation');
+  });
+
+  it('maps legacy values onto canonical statuses', () => {
+    expect(normalizeStatus('in_review')).toBe('In Review');
+    expect(normalizeStatus(' Rejected ')).toBe('Closed');
+  });
+
+  it('returns null for anything else', () => {
+    expect(normalizeStatus('archived')).toBeNull();
+    expect(normalizeStatus('')).toBeNull();
+    expect(normalizeStatus(3)).toBeNull();
+  });
+});
+
+describe('isOpenStatus and toStatusKey', () => {
+  it('treats only pending, in review and in mediation cases as open', () => {
+    expect(isOpenStatus('Pending')).toBe(true);
+    expect(isOpenStatus('In Mediation')).toBe(true);
+    expect(isOpenStatus('Resolved')).toBe(false);
+    expect(isOpenStatus('Closed')).toBe(false);
+  });
+
+  it('gives snake_case keys', () => {
+    expect(toStatusKey('In Review')).toBe('in_review');
+  });
+});
+
+describe('getAllowedTransitions', () => {
+  it('lists the moves a role may make', () => {
+    expect(getAllowedTransitions('In Review', 'mediator')).toEqual(['In Mediation']);
+    expect(getAllowedTransitions('Pending', 'claimant')).toEqual(['Closed']);
+    expect(getAllowedTransitions('Resolved', 'mediator')).toEqual([]);
+  });
+});
+
+describe('validateTransition', () => {
+  it('allows a permitted move and normalizes the requested status', () => {
+    expect(validateTransition('Pending', 'in_review', 'admin')).toEqual({ allowed: true, from: 'Pending', to: 'In Review' });
+  });
+
+  it('rejects unknown statuses', () => {
+    expect(validateTransition('Pending', 'archived', 'admin')).toMatchObject({ allowed: false, status: 400, code: 'INVALID_STATUS' });
+  });
+
+  it('rejects a move to the current status', () => {
+    expect(validateTransition('Closed', 'closed', 'admin')).toMatchObject({ allowed: false, status: 409, code: 'STATUS_UNCHANGED' });
+  });
+
+  it('rejects moves that are not in the state machine', () => {
+    expect(validateTransition('Pending', 'Resolved', 'admin')).toMatchObject({ allowed: false, status: 409, code: 'INVALID_TRANSITION' });
+    expect(validateTransition('Resolved', 'In Review', 'admin')).toMatchObject({ code: 'INVALID_TRANSITION' });
+  });
+
+  it('rejects moves the role may not make', () => {
+    expect(validateTransition('In Review', 'Resolved', 'mediator')).toMatchObject({ allowed: false, status: 403, code: 'TRANSITION_NOT_PERMITTED' });
+    expect(validateTransition('Pending', 'Closed', 'respondent')).toMatchObject({ code: 'TRANSITION_NOT_PERMITTED' });
+  });
+
+  it('lets automated moves resolve a case but not close it', () => {
+    expect(validateTransition('In Mediation', 'Resolved', 'system').allowed).toBe(true);
+    expect(validateTransition('In Mediation', 'Closed', 'system').allowed).toBe(false);
+  });
+});
+
+describe('changeCaseStatus', () => {
+  beforeEach(() => recordCaseUpdate.mockClear());
+
+  it('updates the case conditionally on its status and records the change', async () => {
+    const updated = { id: 'case-1', status: CASE_STATUSES.RESOLVED };
+    const supabase = fakeSupabase({ data: updated, error: null });
+
+    const result = await changeCaseStatus(supabase, { id: 'case-1', status: 'In Mediation' }, 'resolved', {
+      role: 'mediator',
+      actorId: 'user-1',
+      fields: { resolution_notes: 'Settled' },
+      notes: 'Settled'
+    });
+
+    expect(result).toEqual({ case: updated, from: 'In Mediation', to: 'Resolved' });
+    expect(supabase.calls.update).toMatchObject({ status: 'Resolved', resolution_notes: 'Settled' });
+    expect(supabase.calls.update.resolved_at).toBeDefined();
+    expect(supabase.calls).toMatchObject({ id: 'case-1', status: 'In Mediation' });
+    expect(recordCaseUpdate).toHaveBeenCalledWith(supabase, expect.objectContaining({
+      caseId: 'case-1',
+      updatedBy: 'user-1',
+      updateType: 'status_change',
+      oldValue: 'In Mediation',
+      newValue: 'Resolved',
+      notes: 'Settled'
+    }));
+  });
+
+  it('only sets resolved_at when resolving', async () => {
+    const supabase = fakeSupabase({ data: { id: 'case-1' }, error: null });
+    await changeCaseStatus(supabase, { id: 'case-1', status: 'Pending' }, 'In Review', { role: 'admin' });
+    expect(supabase.calls.update.resolved_at).toBeUndefined();
+  });
+
+  it('returns the validation error without touching the case', async () => {
+    const supabase = fakeSupabase({ data: null, error: null });
+    const result = await changeCaseStatus(supabase, { id: 'case-1', status: 'Pending' }, 'Resolved', { role: 'admin' });
+
+    expect(result.error).toMatchObject({ status: 409, code: 'INVALID_TRANSITION' });
+    expect(supabase.calls.update).toBeUndefined();
+    expect(recordCaseUpdate).not.toHaveBeenCalled();
+  });
+
+  it('reports a lost race as STATUS_CHANGE_FAILED', async () => {
+    const supabase = fakeSupabase({ data: null, error: { code: 'PGRST116' } });
+    const result = await changeCaseStatus(supabase, { id: 'case-1', status: 'Pending' }, 'In Review', { role: 'admin' });
+
+    expect(result.error).toMatchObject({ status: 409, code: 'STATUS_CHANGE_FAILED' });
+    expect(recordCaseUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const { hashContent, createContentHasher, recordFileAccess, verifyCustodyChain } = require('../custody');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const GENESIS_HASH = '0'.repeat(64);
+
+// The entry hash as append_custody_entry() computes it in the database
+const entryHash = (entry) => sha256([
+  entry.sequence, entry.case_id, entry.file_id || '', entry.file_name || '', entry.event,
+  entry.actor_id, entry.actor_role || '', entry.content_hash || '', entry.created_at, entry.previous_hash
+].join('|'));
+
+const buildChain = (events) => {
+  const entries = [];
+  events.forEach((event, i) => {
+    const entry = {
+      sequence: i + 1,
+      case_id: 'case-1',
+      file_id: 'file-1',
+      file_name: 'receipt.pdf',
+      event,
+      actor_id: 'user-1',
+      actor_role: 'claimant',
+      content_hash: hashContent(Buffer.from('receipt')),
+      created_at: new Date(Date.UTC(2026, 0, 1, 12, 0, i)).toISOString(),
+      previous_hash: i === 0 ? GENESIS_HASH : entries[i - 1].entry_hash
+    };
+    entry.entry_hash = entryHash(entry);
+    entries.push(entry);
+  });
+  return entries;
+};
+
+describe('content hashes', () => {
+  it('gives the same SHA-256 whole or in parts', () => {
+    const hasher = createContentHasher();
+    hasher.update(Buffer.from('rec'));
+    hasher.update(Buffer.from('eipt'));
+    expect(hasher.digest('hex')).toBe(hashContent(Buffer.from('receipt')));
+    expect(hashContent(Buffer.from('receipt'))).toBe(sha256('receipt'));
+  });
+});
+
+describe('verifyCustodyChain', () => {
+  it('accepts an intact chain, and an empty one', () => {
+    expect(verifyCustodyChain(buildChain(['uploaded', 'viewed', 'downloaded', 'deleted']))).toEqual({ valid: true, entries: 4 });
+    expect(verifyCustodyChain([])).toEqual({ valid: true, entries: 0 });
+  });
+
+  it('checks timestamps as the database returns them', () => {
+    const entries = buildChain(['uploaded', 'viewed']).map(entry => ({
+      ...entry,
+      created_at: entry.created_at.replace('Z', '+00:00')
+    }));
+    expect(verifyCustodyChain(entries).valid).toBe(true);
+  });
+
+  it('finds an altered entry', () => {
+    const entries = buildChain(['uploaded', 'viewed', 'downloaded']);
+    entries[1].actor_id = 'user-2';
+    expect(verifyCustodyChain(entries)).toEqual({ valid: false, brokenAt: 2, reason: 'Entry contents have been altered', entries: 3 });
+  });
+
+  it('finds a removed entry', () => {
+    const entries = buildChain(['uploaded', 'viewed', 'downloaded']);
+    entries.splice(1, 1);
+    expect(verifyCustodyChain(entries)).toMatchObject({ valid: false, brokenAt: 2, reason: 'Entry 2 is missing' });
+  });
+
+  it('finds an entry rewritten with a fresh hash', () => {
+    const entries = buildChain(['uploaded', 'viewed', 'downloaded']);
+    entries[0].actor_id = 'user-2';
+    entries[0].entry_hash = entryHash(entries[0]);
+    expect(verifyCustodyChain(entries)).toMatchObject({ valid: false, brokenAt: 2, reason: 'Link to the previous entry does not match' });
+  });
+
+  it('finds a chain that does not start from the genesis hash', () => {
+    const entries = buildChain(['uploaded']);
+    entries[0].previous_hash = 'f'.repeat(64);
+    expect(verifyCustodyChain(entries)).toMatchObject({ valid: false, brokenAt: 1 });
+  });
+});
+
+describe('recordFileAccess', () => {
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+  afterEach(() => console.error.mockRestore());
+
+  const fakeSupabase = (result) => ({
+    rpc: jest.fn(() => ({ single: async () => result }))
+  });
+
+  it('records the access through record_file_access and returns the saved entry', async () => {
+    const saved = { sequence: 3 };
+    const supabase = fakeSupabase({ data: saved, error: null });
+
+    await expect(recordFileAccess(supabase, 'file-1', 'viewed')).resolves.toBe(saved);
+    expect(supabase.rpc).toHaveBeenCalledWith('record_file_access', {
+      p_file_id: 'file-1',
+      p_event: 'viewed'
+    });
+  });
+
+  it('logs a failure instead of throwing', async () => {
+    const supabase = fakeSupabase({ data: null, error: { message: 'FILE_NOT_FOUND' } });
+    await expect(recordFileAccess(supabase, 'file-1', 'downloaded')).resolves.toBeNull();
+    expect(console.error).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,74 @@
+const { createDownloadLink, verifyDownloadLink } = require('../downloadLinks');
+
+const ENV_KEYS = ['DOWNLOAD_URL_SECRET', 'JWT_SECRET', 'DOWNLOAD_URL_TTL_SECONDS'];
+
+// The expires and signature query parameters of a link
+const parseLink = (url) => {
+  const params = new URL(url, 'http://localhost').searchParams;
+  return { expires: params.get('expires'), signature: params.get('signature') };
+};
+
+describe('download links', () => {
+  const saved = {};
+  const now = Date.UTC(2026, 0, 1, 12, 0, 0);
+
+  beforeEach(() => {
+    ENV_KEYS.forEach(key => {
+      saved[key] = process.env[key];
+      delete process.env[key];
+    });
+    process.env.DOWNLOAD_URL_SECRET = 'test-secret';
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+  });
+
+  afterEach(() => {
+    ENV_KEYS.forEach(key => {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    });
+    jest.restoreAllMocks();
+  });
+
+  it('creates a link that expires after the configured lifetime', () => {
+    process.env.DOWNLOAD_URL_TTL_SECONDS = '60';
+    const { url, expiresAt } = createDownloadLink('file-1', 'user-1');
+
+    expect(url).toMatch(/^\/api\/downloads\/file-1\?expires=\d+&signature=[0-9a-f]{64}$/);
+    expect(parseLink(url).expires).toBe(String(now / 1000 + 60));
+    expect(expiresAt).toBe(new Date(now + 60 * 1000).toISOString());
+  });
+
+  it('accepts a link for the file and user it was issued for', () => {
+    const { expires, signature } = parseLink(createDownloadLink('file-1', 'user-1').url);
+    expect(verifyDownloadLink('file-1', 'user-1', expires, signature)).toBeNull();
+  });
+
+  it('rejects a link used by someone else or for another file', () => {
+    const { expires, signature } = parseLink(createDownloadLink('file-1', 'user-1').url);
+    expect(verifyDownloadLink('file-1', 'user-2', expires, signature)).toMatchObject({ status: 403, code: 'INVALID_DOWNLOAD_LINK' });
+    expect(verifyDownloadLink('file-2', 'user-1', expires, signature)).toMatchObject({ code: 'INVALID_DOWNLOAD_LINK' });
+  });
+
+  it('rejects a link whose expiry or signature was altered, or is missing', () => {
+    const { expires, signature } = parseLink(createDownloadLink('file-1', 'user-1').url);
+    expect(verifyDownloadLink('file-1', 'user-1', String(parseInt(expires) + 3600), signature)).toMatchObject({ code: 'INVALID_DOWNLOAD_LINK' });
+    expect(verifyDownloadLink('file-1', 'user-1', expires, signature.slice(1))).toMatchObject({ code: 'INVALID_DOWNLOAD_LINK' });
+    expect(verifyDownloadLink('file-1', 'user-1', expires, undefined)).toMatchObject({ code: 'INVALID_DOWNLOAD_LINK' });
+  });
+
+  it('rejects a link once it has expired', () => {
+    const { expires, signature } = parseLink(createDownloadLink('file-1', 'user-1').url);
+    Date.now.mockReturnValue(now + 301 * 1000);
+    expect(verifyDownloadLink('file-1', 'user-1', expires, signature)).toMatchObject({ status: 410, code: 'DOWNLOAD_LINK_EXPIRED' });
+  });
+
+  it('falls back to JWT_SECRET, and refuses to sign without a secret', () => {
+    delete process.env.DOWNLOAD_URL_SECRET;
+    process.env.JWT_SECRET = 'jwt-secret';
+    const { expires, signature } = parseLink(createDownloadLink('file-1', 'user-1').url);
+    expect(verifyDownloadLink('file-1', 'user-1', expires, signature)).toBeNull();
+
+    delete process.env.JWT_SECRET;
+    expect(() => createDownloadLink('file-1', 'user-1')).toThrow('Missing DOWNLOAD_URL_SECRET or JWT_SECRET');
+  });
+});
@@ -0,0 +1,60 @@
+const { detectFileType, verifyFileSignature } = require('../fileSignature');
+
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const bytes = (...values) => Buffer.from(values);
+const PNG = Buffer.concat([bytes(0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A), Buffer.alloc(16)]);
+const JPEG = Buffer.concat([bytes(0xFF, 0xD8, 0xFF, 0xE0), Buffer.alloc(16)]);
+const PDF = Buffer.from('%PDF-1.7\n%...');
+const DOC = Buffer.concat([bytes(0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1), Buffer.alloc(16)]);
+const ZIP = Buffer.concat([bytes(0x50, 0x4B, 0x03, 0x04), Buffer.from('[Content_Types].xml')]);
+const DOCX = Buffer.concat([ZIP, Buffer.from('word/document.xml')]);
+
+describe('detectFileType', () => {
+  it('recognises each accepted type from its contents', () => {
+    expect(detectFileType(PNG)).toBe('image/png');
+    expect(detectFileType(JPEG)).toBe('image/jpeg');
+    expect(detectFileType(PDF)).toBe('application/pdf');
+    expect(detectFileType(DOC)).toBe('application/msword');
+    expect(detectFileType(DOCX)).toBe(DOCX_TYPE);
+    expect(detectFileType(Buffer.from('Receipt for order 1234, paid £20'))).toBe('text/plain');
+  });
+
+  it('rejects ZIP files that are not Word documents', () => {
+    expect(detectFileType(ZIP)).toBeNull();
+  });
+
+  it('rejects binary content that is not an accepted type', () => {
+    expect(detectFileType(bytes(0x4D, 0x5A, 0x90, 0x00))).toBeNull();
+    expect(detectFileType(bytes(0xC3, 0x28))).toBeNull();
+  });
+
+  it('keeps text whose last character is cut off by the sample', () => {
+    const text = Buffer.concat([Buffer.alloc(8191, 'a'), Buffer.from('é')]);
+    expect(detectFileType(text)).toBe('text/plain');
+  });
+});
+
+describe('verifyFileSignature', () => {
+  it('accepts contents matching the claimed type and extension', () => {
+    expect(verifyFileSignature(PDF, 'application/pdf', 'contract.PDF')).toBeNull();
+    expect(verifyFileSignature(JPEG, 'image/jpg', 'photo.jpeg')).toBeNull();
+    expect(verifyFileSignature(DOCX, DOCX_TYPE, 'letter.docx')).toBeNull();
+  });
+
+  it('rejects contents that are none of the accepted types', () => {
+    expect(verifyFileSignature(bytes(0x4D, 0x5A, 0x90, 0x00), 'application/pdf', 'a.pdf'))
+      .toMatchObject({ status: 400, code: 'INVALID_FILE_TYPE' });
+  });
+
+  it('rejects contents that do not match the claimed type', () => {
+    const error = verifyFileSignature(PNG, 'application/pdf', 'scan.pdf');
+    expect(error).toMatchObject({ status: 400, code: 'INVALID_FILE_TYPE' });
+    expect(error.error).toContain('image/png');
+  });
+
+  it('rejects a file name without an extension for its type', () => {
+    expect(verifyFileSignature(PNG, 'image/png', 'scan.pdf')).toMatchObject({ code: 'INVALID_FILE_TYPE' });
+    expect(verifyFileSignature(PNG, 'image/png', 'scan')).toMatchObject({ code: 'INVALID_FILE_TYPE' });
+  });
+});
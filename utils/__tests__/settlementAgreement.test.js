@@ -0,0 +1,94 @@
+const { draftSettlementAgreement, verifyAgreementContent } = require('../settlementAgreement');
+
+const CASE = {
+  id: '11111111-1111-1111-1111-111111111111',
+  case_title: 'Faulty washing machine',
+  case_type: 'consumer',
+  created_at: '2026-03-01T12:00:00Z',
+  amount_involved: 450,
+  user_email: 'claire@example.com',
+  respondent_name: 'Appliance Co',
+  respondent_email: 'accounts@appliance.example'
+};
+
+const PARTIES = [
+  { role: 'claimant', full_name: 'Claire Claimant', email: 'claire@example.com', address: '1 High Street' },
+  { role: 'respondent', full_name: 'Appliance Co', email: 'accounts@appliance.example', address: null }
+];
+
+const OFFER = { amount: 400, terms: 'The machine is collected by 1 May.', responded_at: '2026-04-20T09:00:00Z' };
+
+// Just enough of a Supabase client: each table answers every query with its row,
+// and draft_settlement_agreement() stores what it is sent with the resolution given
+const fakeSupabase = (resolution) => {
+  const rows = { cases: CASE, settlement_offers: OFFER };
+  const query = (table) => {
+    const result = Promise.resolve({ data: rows[table] || null, error: null });
+    const chain = new Proxy({}, {
+      get: (target, name) => (name === 'then' ? result.then.bind(result) : () => chain)
+    });
+    return chain;
+  };
+
+  return {
+    from: query,
+    rpc: jest.fn(async (name, params) => {
+      if (name === 'settlement_agreement_parties') return { data: PARTIES, error: null };
+      return {
+        data: [{
+          version: 1,
+          template: params.p_template,
+          title: params.p_title,
+          content: JSON.parse(JSON.stringify(params.p_content)),
+          resolution: resolution || params.p_resolution
+        }],
+        error: null
+      };
+    })
+  };
+};
+
+const RESOLUTION = {
+  fields: { settlement_amount: 400, settlement_terms: OFFER.terms, resolution_notes: 'Settlement accepted' },
+  notes: 'Settlement accepted'
+};
+
+const draft = async (options = {}) => {
+  const supabase = fakeSupabase(RESOLUTION);
+  const { agreement } = await draftSettlementAgreement(supabase, { id: CASE.id }, { actorId: 'user-1', resolution: RESOLUTION, ...options });
+  return { supabase, agreement };
+};
+
+describe('verifyAgreementContent', () => {
+  it('accepts a draft exactly as its template renders it', async () => {
+    const { supabase, agreement } = await draft();
+
+    expect(agreement.content.clauses[0].text).toContain('filed on March 1, 2026');
+    await expect(verifyAgreementContent(supabase, CASE, agreement)).resolves.toBe(true);
+  });
+
+  it('accepts blanks an admin filled in by hand', async () => {
+    const { supabase, agreement } = await draft({ details: { 'respondent.address': '2 Market Road' } });
+
+    await expect(verifyAgreementContent(supabase, CASE, agreement)).resolves.toBe(true);
+  });
+
+  it('refuses content that was changed after rendering', async () => {
+    const { supabase, agreement } = await draft();
+    agreement.content.clauses[1].text = agreement.content.clauses[1].text.replace('$400.00', '$4,000.00');
+
+    await expect(verifyAgreementContent(supabase, CASE, agreement)).resolves.toBe(false);
+  });
+
+  it('refuses content rendered for another settlement than the one stored', async () => {
+    const { supabase, agreement } = await draft({ resolution: { ...RESOLUTION, fields: { ...RESOLUTION.fields, settlement_amount: 4000 } } });
+
+    await expect(verifyAgreementContent(supabase, CASE, agreement)).resolves.toBe(false);
+  });
+
+  it('refuses details that are not blanks to fill in', async () => {
+    const { supabase, agreement } = await draft({ details: { 'settlement.amount': '$4,000.00' } });
+
+    await expect(verifyAgreementContent(supabase, CASE, agreement)).resolves.toBe(false);
+  });
+});
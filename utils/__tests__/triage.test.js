@@ -0,0 +1,125 @@
+const { analyzeWithRules, getTriageProvider } = require('../triage');
+
+const now = new Date('2026-03-01T00:00:00Z');
+
+describe('analyzeWithRules', () => {
+  const refund = {
+    title: 'Refund for faulty laptop',
+    description: 'I bought a laptop from Best Gadgets Ltd on January 5, 2026 for $1,299.99. It was defective and the seller ' +
+      'refused a refund. I also ordered a case on shop.example.com. Write to me at me@mail.example.com. ' +
+      'There was another charge of 50 euros on 03/04/2026.',
+    amount: 1299.99,
+    parties: [{ role: 'claimant', name: 'Jane Doe' }, { role: 'respondent', name: null }]
+  };
+
+  it('classifies the dispute type from its keywords', () => {
+    expect(analyzeWithRules(refund, now)).toMatchObject({ dispute_type: 'consumer', type_confidence: 1 });
+    expect(analyzeWithRules({ title: 'Unpaid overtime', description: 'My employer has not paid my wages for overtime.' }, now).dispute_type)
+      .toBe('employment');
+  });
+
+  it('falls back to other with no confidence when nothing matches', () => {
+    expect(analyzeWithRules({ title: 'Hello', description: 'Nothing to see' }, now)).toMatchObject({
+      dispute_type: 'other',
+      type_confidence: 0,
+      urgency: 'low',
+      urgency_reasons: []
+    });
+  });
+
+  it('extracts amounts with their currencies, once each', () => {
+    expect(analyzeWithRules(refund, now).entities.amounts).toEqual([
+      { text: '$1,299.99', value: 1299.99, currency: 'USD' },
+      { text: '50 euros', value: 50, currency: 'EUR' }
+    ]);
+  });
+
+  it('adds the amount claimed when the text does not mention it', () => {
+    const { entities } = analyzeWithRules({ title: 'Deposit', description: 'My landlord kept my deposit.', amount: 800 }, now);
+    expect(entities.amounts).toEqual([{ text: 'Amount claimed', value: 800, currency: 'USD' }]);
+  });
+
+  it('normalises written-out dates and keeps ambiguous numeric ones as text', () => {
+    expect(analyzeWithRules(refund, now).entities.dates).toEqual([
+      { text: 'January 5, 2026', date: '2026-01-05' },
+      { text: '03/04/2026', date: null }
+    ]);
+    expect(analyzeWithRules({ title: 'x', description: 'On 31 February 2026 and 2026-02-30.' }, now).entities.dates)
+      .toEqual([{ text: '2026-02-30', date: null }, { text: '31 February 2026', date: null }]);
+  });
+
+  it('picks out merchants but not email domains, and lists them with the known parties', () => {
+    const { entities } = analyzeWithRules(refund, now);
+    expect(entities.merchants).toEqual(['Best Gadgets Ltd', 'shop.example.com']);
+    expect(entities.parties).toEqual([
+      { role: 'claimant', name: 'Jane Doe' },
+      { role: 'merchant', name: 'Best Gadgets Ltd' },
+      { role: 'merchant', name: 'shop.example.com' }
+    ]);
+  });
+
+  it('rates a case with a medium amount and no other signals as medium', () => {
+    expect(analyzeWithRules(refund, now)).toMatchObject({ urgency: 'medium', urgency_reasons: [] });
+  });
+
+  it('rates a case as high with several signals or an imminent date', () => {
+    const eviction = analyzeWithRules({
+      title: 'Eviction',
+      description: 'My landlord wants to evict me. The hearing is on 2026-03-09.'
+    }, now);
+
+    expect(eviction.dispute_type).toBe('property');
+    expect(eviction.urgency).toBe('high');
+    expect(eviction.urgency_reasons).toEqual([
+      'Risk of losing housing or utilities',
+      'A deadline is mentioned',
+      'A date within the next 14 days is mentioned'
+    ]);
+  });
+
+  it('rates a safety concern or a large amount as high on its own', () => {
+    expect(analyzeWithRules({ title: 'x', description: 'I feel unsafe.' }, now).urgency).toBe('high');
+
+    const large = analyzeWithRules({ title: 'Unpaid invoice', description: 'They owe us $25,000.' }, now);
+    expect(large.urgency).toBe('high');
+    expect(large.urgency_reasons).toEqual(['Large amount in dispute (25,000)']);
+  });
+
+  it('ignores dates in the past', () => {
+    expect(analyzeWithRules({ title: 'x', description: 'It happened on 2026-02-20.' }, now).urgency).toBe('low');
+  });
+});
+
+describe('getTriageProvider', () => {
+  const saved = process.env.TRIAGE_PROVIDER;
+
+  afterEach(() => {
+    if (saved === undefined) delete process.env.TRIAGE_PROVIDER;
+    else process.env.TRIAGE_PROVIDER = saved;
+  });
+
+  it('uses the offline rules by default', async () => {
+    delete process.env.TRIAGE_PROVIDER;
+    const provider = getTriageProvider();
+
+    expect(provider).toMatchObject({ name: 'rules', model: null });
+    const { data, error } = await provider.analyze({ title: 'Refund', description: 'The product was faulty.' });
+    expect(error).toBeNull();
+    expect(data.dispute_type).toBe('consumer');
+  });
+
+  it('returns an error from the rules provider rather than throwing', async () => {
+    delete process.env.TRIAGE_PROVIDER;
+    const { data, error } = await getTriageProvider().analyze({ title: 'x', description: 'y', parties: null });
+    expect(data).toBeNull();
+    expect(error).toBeInstanceOf(Error);
+  });
+
+  it('selects the LLM provider, and refuses unknown ones', () => {
+    process.env.TRIAGE_PROVIDER = 'LLM';
+    expect(getTriageProvider().name).toBe('llm');
+
+    process.env.TRIAGE_PROVIDER = 'magic';
+    expect(() => getTriageProvider()).toThrow('Unknown TRIAGE_PROVIDER: magic');
+  });
+});
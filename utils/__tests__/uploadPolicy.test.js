@@ -0,0 +1,120 @@
+const { getUploadLimits, getLargestFileSize, checkUploadQuota } = require('../uploadPolicy');
+
+const MB = 1024 * 1024;
+const ENV_KEYS = ['MAX_FILE_SIZE', 'MAX_RESUMABLE_FILE_SIZE', 'MAX_FILES_PER_CASE', 'MAX_CASE_STORAGE_BYTES', 'MAX_USER_STORAGE_BYTES', 'UPLOAD_LIMITS_BY_DEPARTMENT'];
+
+// A Supabase client whose case_files reads return the case's files or the user's files
+const fakeSupabase = ({ caseFiles = [], userFiles = [], error = null }) => ({
+  from: () => ({
+    select: () => ({
+      eq: async (column) => ({
+        data: error ? null : (column === 'case_id' ? caseFiles : userFiles),
+        error
+      })
+    })
+  })
+});
+
+const files = (...sizes) => sizes.map(size => ({ file_size: size }));
+
+describe('upload policy', () => {
+  const saved = {};
+
+  beforeEach(() => {
+    ENV_KEYS.forEach(key => {
+      saved[key] = process.env[key];
+      delete process.env[key];
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    ENV_KEYS.forEach(key => {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    });
+    console.error.mockRestore();
+  });
+
+  describe('getUploadLimits', () => {
+    it('uses the defaults without overrides', () => {
+      expect(getUploadLimits({ case_type: 'consumer' })).toEqual({
+        maxFileSize: 10 * MB,
+        maxResumableFileSize: 100 * MB,
+        maxFilesPerCase: 20,
+        maxCaseBytes: 100 * MB,
+        maxUserBytes: 250 * MB
+      });
+    });
+
+    it('applies the overrides of the assigned department, or the one for the case type', () => {
+      process.env.UPLOAD_LIMITS_BY_DEPARTMENT = JSON.stringify({
+        Family: { maxFileSize: 20 * MB },
+        Legal: { maxFilesPerCase: 50 }
+      });
+
+      expect(getUploadLimits({ case_type: 'family' }).maxFileSize).toBe(20 * MB);
+      expect(getUploadLimits({ case_type: 'family', assigned_department: 'Legal' })).toMatchObject({
+        maxFileSize: 10 * MB,
+        maxFilesPerCase: 50
+      });
+    });
+
+    it('ignores overrides that are not valid JSON', () => {
+      process.env.UPLOAD_LIMITS_BY_DEPARTMENT = '{nope';
+      expect(getUploadLimits({ case_type: 'family' }).maxFileSize).toBe(10 * MB);
+    });
+  });
+
+  describe('getLargestFileSize', () => {
+    it('is the largest size any department allows', () => {
+      process.env.MAX_FILE_SIZE = String(5 * MB);
+      expect(getLargestFileSize()).toBe(5 * MB);
+
+      process.env.UPLOAD_LIMITS_BY_DEPARTMENT = JSON.stringify({ Family: { maxFileSize: 30 * MB }, Legal: { maxFilesPerCase: 5 } });
+      expect(getLargestFileSize()).toBe(30 * MB);
+    });
+  });
+
+  describe('checkUploadQuota', () => {
+    const case_ = { id: 'case-1', case_type: 'consumer' };
+
+    it('passes a file that fits every limit', async () => {
+      await expect(checkUploadQuota(fakeSupabase({ caseFiles: files(MB), userFiles: files(MB) }), case_, 'user-1', MB)).resolves.toBeNull();
+    });
+
+    it('refuses a file over the size limit with a 400', async () => {
+      const error = await checkUploadQuota(fakeSupabase({}), case_, 'user-1', 10 * MB + 1);
+      expect(error).toMatchObject({ code: 'FILE_TOO_LARGE', status: 400, details: { limit: 10 * MB } });
+    });
+
+    it('allows resumable uploads up to their own size limit', async () => {
+      await expect(checkUploadQuota(fakeSupabase({}), case_, 'user-1', 50 * MB, { resumable: true })).resolves.toBeNull();
+
+      process.env.MAX_RESUMABLE_FILE_SIZE = String(40 * MB);
+      const error = await checkUploadQuota(fakeSupabase({}), case_, 'user-1', 50 * MB, { resumable: true });
+      expect(error).toMatchObject({ code: 'FILE_TOO_LARGE', details: { limit: 40 * MB } });
+    });
+
+    it('refuses a file once the case has its maximum number of files', async () => {
+      process.env.MAX_FILES_PER_CASE = '2';
+      const error = await checkUploadQuota(fakeSupabase({ caseFiles: files(1, 1) }), case_, 'user-1', 1);
+      expect(error).toMatchObject({ code: 'QUOTA_EXCEEDED', status: 413, details: { quota: 'files_per_case', limit: 2 } });
+    });
+
+    it('refuses a file that would take the case over its storage limit', async () => {
+      const error = await checkUploadQuota(fakeSupabase({ caseFiles: files(95 * MB) }), case_, 'user-1', 6 * MB);
+      expect(error).toMatchObject({ code: 'QUOTA_EXCEEDED', details: { quota: 'case_storage', used: 95 * MB } });
+    });
+
+    it('refuses a file that would take the uploader over their storage limit', async () => {
+      const error = await checkUploadQuota(fakeSupabase({ userFiles: files(249 * MB) }), case_, 'user-1', 2 * MB);
+      expect(error).toMatchObject({ code: 'QUOTA_EXCEEDED', details: { quota: 'user_storage', used: 249 * MB } });
+    });
+
+    it('throws when the existing files cannot be read', async () => {
+      await expect(checkUploadQuota(fakeSupabase({ error: { message: 'down' } }), case_, 'user-1', 1))
+        .rejects.toThrow('Failed to check upload quota: down');
+    });
+  });
+});
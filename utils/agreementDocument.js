@@ -0,0 +1,352 @@
+// Settlement agreement documents: a drafted agreement (utils/settlementAgreement.js)
+// rendered as PDF or as DOCX for parties who want to mark it up in a word
+// processor. Both show the same thing: title, parties, numbered clauses, any
+// blanks still to complete, and a signature block per signer. The PDF is the
+// signed record: it carries the signatures and a signature certificate page.
+const zlib = require('zlib');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { MARGIN, CONTENT_WIDTH, MUTED_COLOR, PageWriter, toWinAnsi, formatDate, embedFonts, stampPageNumbers } = require('./pdfLayout');
+const { decodeSignatureImage } = require('./agreementSignatures');
+
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const ROLE_LABELS = { claimant: 'Claimant', respondent: 'Respondent', mediator: 'Mediator' };
+
+const WARNING_COLOR = rgb(0.7, 0.33, 0.04);
+const SIGNED_COLOR = rgb(0.08, 0.5, 0.24);
+
+const describeParty = (party) => [party.name || '[name]', party.address, party.email].filter(Boolean).join(', ');
+
+// Who signs, in order. Agreements drafted before signing existed list no
+// signers; they still get a block for each party.
+const signersOf = (agreement) => (agreement.signers && agreement.signers.length > 0
+  ? agreement.signers
+  : agreement.content.parties);
+
+const signingSummary = (agreement, signatures) => {
+  const signers = signersOf(agreement).map(signer => ({
+    ...signer,
+    signature: signatures.find(s => s.signer_role === signer.role) || null
+  }));
+  const signed = signers.filter(signer => signer.signature).length;
+
+  return { signers, signed, complete: signed > 0 && signed === signers.length };
+};
+
+const drawSignature = async (doc, writer, signature, signatureFont) => {
+  if (signature.signature_type === 'drawn') {
+    const bytes = decodeSignatureImage(signature.signature_image);
+    if (bytes) {
+      const image = await doc.embedPng(bytes);
+      const scale = Math.min(40 / image.height, 200 / image.width, 1);
+      writer.ensureSpace(image.height * scale + 8);
+      writer.page.drawImage(image, {
+        x: MARGIN,
+        y: writer.y - image.height * scale,
+        width: image.width * scale,
+        height: image.height * scale
+      });
+      writer.y -= image.height * scale + 4;
+      return;
+    }
+  }
+
+  writer.ensureSpace(30);
+  writer.page.drawText(toWinAnsi(signature.signature_text || signature.signer_name), {
+    x: MARGIN,
+    y: writer.y - 20,
+    size: 20,
+    font: signatureFont
+  });
+  writer.y -= 26;
+};
+
+// Last page of the PDF: who signed, when, from where, and the hash of the
+// content each of them signed
+const writeCertificate = (writer, agreement, summary) => {
+  const { content } = agreement;
+  const lastSigned = summary.signers
+    .map(signer => signer.signature && signer.signature.signed_at)
+    .filter(Boolean)
+    .sort()
+    .pop();
+
+  writer.newPage('Signature Certificate');
+  writer.text('This page records the electronic signatures on this agreement. Each signer was signed in to ResolveNOW as themselves and signed the text identified by the document hash below (SHA-256 of the agreement as drafted).', { color: MUTED_COLOR });
+  writer.y -= 8;
+
+  writer.field('Document', `${content.title} (draft ${agreement.version})`);
+  writer.field('Case', content.reference);
+  writer.field('Drafted', formatDate(agreement.created_at));
+  writer.field('Document hash', agreement.content_hash);
+  writer.field('Status', summary.complete
+    ? `Signed by all ${summary.signers.length} signers, completed ${formatDate(lastSigned)}`
+    : `${summary.signed} of ${summary.signers.length} signatures`);
+  writer.y -= 4;
+  writer.rule();
+
+  summary.signers.forEach((signer, i) => {
+    const { signature } = signer;
+    writer.ensureSpace(120);
+    writer.text(`${i + 1}. ${ROLE_LABELS[signer.role]}`, { font: writer.fonts.bold, size: 11 });
+    writer.y -= 2;
+
+    if (!signature) {
+      writer.field('Status', 'Not yet signed');
+    } else {
+      writer.field('Name', signature.signer_name);
+      writer.field('Email', signature.signer_email);
+      writer.field('User ID', signature.signer_id);
+      writer.field('Signature', signature.signature_type === 'typed' ? `Typed: ${signature.signature_text}` : 'Drawn');
+      writer.field('Signed at', formatDate(signature.signed_at));
+      writer.field('IP address', signature.ip_address);
+      writer.field('Device', signature.user_agent);
+      writer.field('Hash signed', signature.content_hash === agreement.content_hash
+        ? 'Matches the document hash'
+        : signature.content_hash);
+    }
+    writer.y -= 8;
+  });
+};
+
+const renderAgreementPdf = async (agreement, signatures = []) => {
+  const { content } = agreement;
+  const summary = signingSummary(agreement, signatures);
+  const doc = await PDFDocument.create();
+  doc.setTitle(content.title);
+  doc.setSubject(`Case ${agreement.case_id}, draft ${agreement.version}`);
+  doc.setCreator('ResolveNOW');
+
+  const fonts = await embedFonts(doc);
+  const signatureFont = await doc.embedFont(StandardFonts.TimesRomanItalic);
+  const writer = new PageWriter(doc, fonts);
+
+  writer.newPage();
+  if (summary.complete) {
+    writer.text('SIGNED BY ALL PARTIES', { font: fonts.bold, size: 9, color: SIGNED_COLOR });
+  } else if (summary.signed > 0) {
+    writer.text(`AWAITING SIGNATURES - ${summary.signed} OF ${summary.signers.length} SIGNED`, { font: fonts.bold, size: 9, color: WARNING_COLOR });
+  } else {
+    writer.text('DRAFT FOR REVIEW - NOT YET SIGNED', { font: fonts.bold, size: 9, color: WARNING_COLOR });
+  }
+  writer.y -= 6;
+  writer.heading(content.title);
+  writer.text(`Case ${content.reference} • ${content.date} • Draft ${agreement.version}`, { size: 10, color: MUTED_COLOR });
+  writer.y -= 12;
+
+  writer.text('Between', { font: fonts.bold, size: 11 });
+  writer.y -= 2;
+  content.parties.forEach((party, i) => {
+    writer.text(`(${i + 1}) ${describeParty(party)} ("the ${ROLE_LABELS[party.role]}")`);
+  });
+  if (content.mediator) {
+    writer.y -= 2;
+    writer.text(`Mediated by ${content.mediator}`, { color: MUTED_COLOR });
+  }
+  writer.y -= 8;
+  writer.rule();
+
+  if (content.missing.length > 0) {
+    writer.text('To be completed before signing', { font: fonts.bold, size: 10, color: WARNING_COLOR });
+    writer.text(content.missing.join(', '), { size: 10 });
+    writer.y -= 6;
+    writer.rule();
+  }
+
+  content.clauses.forEach((clause, i) => {
+    writer.ensureSpace(40);
+    writer.text(`${i + 1}. ${clause.heading}`, { font: fonts.bold, size: 11 });
+    writer.y -= 2;
+    writer.text(clause.text, { x: MARGIN + 16, width: CONTENT_WIDTH - 16 });
+    writer.y -= 10;
+  });
+
+  writer.y -= 10;
+  for (const signer of summary.signers) {
+    const { signature } = signer;
+    writer.ensureSpace(100);
+    writer.text(`Signed by the ${ROLE_LABELS[signer.role]}`, { font: fonts.bold, size: 10 });
+    if (signature) {
+      await drawSignature(doc, writer, signature, signatureFont);
+    } else {
+      writer.y -= 26;
+    }
+    writer.rule();
+    writer.text(`Name: ${signature ? signature.signer_name : signer.name || ''}`);
+    writer.text(`Date: ${signature ? formatDate(signature.signed_at) : ''}`);
+    writer.y -= 12;
+  }
+
+  if (agreement.signers && agreement.signers.length > 0) {
+    writeCertificate(writer, agreement, summary);
+  }
+
+  stampPageNumbers(doc, fonts, `Case ${content.reference} - ${content.title} (draft ${agreement.version})`);
+
+  return doc.save();
+};
+
+// Minimal WordprocessingML: one paragraph per line of the agreement, formatted directly
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  // Control characters are not allowed in XML 1.0
+  .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '');
+
+const paragraph = (text, { bold = false, size = 22, color = null, indent = 0, spacingAfter = 120 } = {}) => {
+  const runProperties = [
+    bold ? '<w:b/>' : '',
+    color ? `<w:color w:val="${color}"/>` : '',
+    `<w:sz w:val="${size}"/>`
+  ].join('');
+  const paragraphProperties = [
+    indent ? `<w:ind w:left="${indent}"/>` : '',
+    `<w:spacing w:after="${spacingAfter}"/>`
+  ].join('');
+
+  // Line breaks inside a clause become w:br so the text stays one paragraph
+  const runs = String(text).split('\n')
+    .map((line, i) => `${i > 0 ? '<w:br/>' : ''}<w:t xml:space="preserve">${escapeXml(line)}</w:t>`)
+    .join('');
+
+  return `<w:p><w:pPr>${paragraphProperties}</w:pPr><w:r><w:rPr>${runProperties}</w:rPr>${runs}</w:r></w:p>`;
+};
+
+const buildDocumentXml = (agreement, signatures) => {
+  const { content } = agreement;
+  const summary = signingSummary(agreement, signatures);
+  const body = [
+    summary.complete
+      ? paragraph('SIGNED BY ALL PARTIES - THE SIGNED RECORD IS THE PDF', { bold: true, size: 18, color: '15803D' })
+      : paragraph('DRAFT FOR REVIEW - NOT YET SIGNED BY EVERYONE', { bold: true, size: 18, color: 'B45309' }),
+    paragraph(content.title, { bold: true, size: 36, spacingAfter: 60 }),
+    paragraph(`Case ${content.reference} • ${content.date} • Draft ${agreement.version}`, { size: 20, color: '6B7280', spacingAfter: 240 }),
+    paragraph('Between', { bold: true }),
+    ...content.parties.map((party, i) => paragraph(`(${i + 1}) ${describeParty(party)} ("the ${ROLE_LABELS[party.role]}")`)),
+    content.mediator ? paragraph(`Mediated by ${content.mediator}`, { color: '6B7280' }) : '',
+    content.missing.length > 0 ? paragraph('To be completed before signing', { bold: true, size: 20, color: 'B45309', spacingAfter: 0 }) : '',
+    content.missing.length > 0 ? paragraph(content.missing.join(', '), { size: 20, spacingAfter: 240 }) : '',
+    ...content.clauses.flatMap((clause, i) => [
+      paragraph(`${i + 1}. ${clause.heading}`, { bold: true, spacingAfter: 60 }),
+      paragraph(clause.text, { indent: 360, spacingAfter: 200 })
+    ]),
+    ...summary.signers.flatMap(({ role, name, signature }) => [
+      paragraph(`Signed by the ${ROLE_LABELS[role]}`, { bold: true, spacingAfter: signature ? 120 : 480 }),
+      signature
+        ? paragraph(`Signed electronically (${signature.signature_type})`, { color: '6B7280', spacingAfter: 60 })
+        : paragraph('______________________________', { spacingAfter: 60 }),
+      paragraph(`Name: ${signature ? signature.signer_name : name || ''}`, { spacingAfter: 60 }),
+      paragraph(`Date: ${signature ? formatDate(signature.signed_at) : ''}`, { spacingAfter: 360 })
+    ])
+  ].join('');
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+    `<w:body>${body}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/>` +
+    '<w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="709" w:footer="709" w:gutter="0"/>' +
+    '</w:sectPr></w:body></w:document>';
+};
+
+const CONTENT_TYPES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+  '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+  '<Default Extension="xml" ContentType="application/xml"/>' +
+  '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+  '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+  '</Types>';
+
+const ROOT_RELS_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+  '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+  '</Relationships>';
+
+const buildCoreXml = (agreement) => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ' +
+  'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+  'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+  `<dc:title>${escapeXml(agreement.content.title)}</dc:title>` +
+  `<dc:subject>Case ${escapeXml(agreement.case_id)}, draft ${agreement.version}</dc:subject>` +
+  '<dc:creator>ResolveNOW</dc:creator>' +
+  `<dcterms:created xsi:type="dcterms:W3CDTF">${new Date(agreement.created_at || Date.now()).toISOString().slice(0, 19)}Z</dcterms:created>` +
+  '</cp:coreProperties>';
+
+// A DOCX is a ZIP archive. This writes one with deflated entries: a local header
+// and data per entry, then the central directory and its end record.
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const createZip = (entries) => {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const { name, data } of entries) {
+    const nameBytes = Buffer.from(name, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed to extract
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt32LE(0x00210000, 10); // 1980-01-01 00:00 (DOS time, date)
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(0x00210000, 12);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBytes, compressed);
+    centralParts.push(central, nameBytes);
+    offset += local.length + nameBytes.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+const renderAgreementDocx = (agreement, signatures = []) => createZip([
+  { name: '[Content_Types].xml', data: Buffer.from(CONTENT_TYPES_XML) },
+  { name: '_rels/.rels', data: Buffer.from(ROOT_RELS_XML) },
+  { name: 'docProps/core.xml', data: Buffer.from(buildCoreXml(agreement)) },
+  { name: 'word/document.xml', data: Buffer.from(buildDocumentXml(agreement, signatures)) }
+]);
+
+module.exports = {
+  DOCX_TYPE,
+  renderAgreementPdf,
+  renderAgreementDocx
+};
@@ -0,0 +1,240 @@
+// Electronic signatures on settlement agreements. The agreement's signers sign the
+// latest version one after another, each as the authenticated user holding that
+// role on the case, with a typed name or a drawn signature. Every signature keeps
+// the hash of the content that was signed, the time and the IP address. When the
+// last one is in, the case is resolved with the fields stored on the agreement.
+const { CASE_STATUSES } = require('./caseStatus');
+const { recordCaseUpdate } = require('./caseHistory');
+const { sendSignatureRequestEmail } = require('./email');
+const { verifyAgreementContent } = require('./settlementAgreement');
+
+const SIGNATURE_COLUMNS = 'id, agreement_id, signer_id, signer_role, signer_name, signer_email, signature_type, signature_text, signature_image, content_hash, ip_address, user_agent, signed_at';
+
+const SIGNATURE_TYPES = ['typed', 'drawn'];
+
+// Drawn signatures arrive as a PNG data URL from the signing pad
+const MAX_SIGNATURE_IMAGE_BYTES = 200 * 1024;
+const PNG_MAGIC = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Return the PNG bytes of a drawn signature, or null if it is not a usable PNG
+const decodeSignatureImage = (dataUrl) => {
+  const match = /^data:image\/png;base64,([A-Za-z0-9+/=]+)$/.exec(dataUrl || '');
+  if (!match) return null;
+
+  const bytes = Buffer.from(match[1], 'base64');
+  if (bytes.length > MAX_SIGNATURE_IMAGE_BYTES || !bytes.subarray(0, 8).equals(PNG_MAGIC)) {
+    return null;
+  }
+  return bytes;
+};
+
+const getSignatures = async (supabase, agreementId) => {
+  const { data, error } = await supabase
+    .from('agreement_signatures')
+    .select(SIGNATURE_COLUMNS)
+    .eq('agreement_id', agreementId)
+    .order('signed_at', { ascending: true });
+
+  if (error) {
+    return { error };
+  }
+
+  return { signatures: data || [] };
+};
+
+// Where signing has got to: each signer in order with when and how they signed,
+// whose turn it is, and whether everyone has signed
+const getSigningStatus = (agreement, signatures) => {
+  const signers = (agreement.signers || []).map(signer => {
+    const signature = signatures.find(s => s.signer_role === signer.role);
+    return {
+      role: signer.role,
+      name: signature ? signature.signer_name : signer.name,
+      signature_type: signature ? signature.signature_type : null,
+      signed_at: signature ? signature.signed_at : null
+    };
+  });
+  const next = signers.find(signer => !signer.signed_at);
+
+  return {
+    signers,
+    next_signer: next ? next.role : null,
+    complete: signers.length > 0 && !next
+  };
+};
+
+// Email whoever signs next. Best-effort; they also see it on the case page. No one
+// is asked to sign a draft that still has blanks to complete.
+const notifyNextSigner = (case_, agreement, status) => {
+  if ((agreement.content.missing || []).length > 0) return;
+
+  const signer = (agreement.signers || []).find(s => s.role === status.next_signer);
+  if (!signer || !signer.email) return;
+
+  const pagePath = signer.role === 'mediator'
+    ? `/pages/mediation.html?caseId=${case_.id}`
+    : `/pages/case-details.html?id=${case_.id}`;
+
+  sendSignatureRequestEmail(signer.email, signer.name, case_, agreement, pagePath).catch(console.error);
+};
+
+// Why a signature was refused, by code - from checkSignature or from
+// sign_settlement_agreement(), which checks again as it stores the signature
+const SIGNING_ERRORS = {
+  AGREEMENT_SIGNED: { status: 409, error: 'Everyone has already signed this agreement' },
+  NOT_A_SIGNER: { status: 403, error: 'You are not asked to sign this agreement' },
+  ALREADY_SIGNED: { status: 409, error: 'You have already signed this agreement' },
+  AGREEMENT_INCOMPLETE: { status: 409, error: 'The agreement cannot be signed until its missing details are completed' },
+  NOT_YOUR_TURN: { status: 409, error: 'Someone else has to sign before you' },
+  AGREEMENT_CHANGED: { status: 409, error: 'The agreement has changed since you opened it. Please review the latest draft before signing.' },
+  SIGNATURE_REQUIRED: { status: 400, error: 'Type your full name to sign' },
+  INVALID_SIGNATURE: { status: 400, error: 'The drawn signature must be a PNG image under 200 KB' },
+  AGREEMENT_UNVERIFIED: { status: 409, error: 'This draft does not match its template and the case details. A new draft is needed before it can be signed.' }
+};
+
+const signingError = (code, error = SIGNING_ERRORS[code].error) => ({ status: SIGNING_ERRORS[code].status, code, error });
+
+// Check a signature before it is stored; returns null or { status, code, error }
+const checkSignature = (agreement, status, { role, signatureType, signatureText, signatureImage, contentHash }) => {
+  if (status.complete) {
+    return signingError('AGREEMENT_SIGNED');
+  }
+
+  const signer = status.signers.find(s => s.role === role);
+  if (!signer) {
+    return signingError('NOT_A_SIGNER');
+  }
+
+  if (signer.signed_at) {
+    return signingError('ALREADY_SIGNED');
+  }
+
+  // Blanks in the draft are filled in by an admin drafting a new version
+  const missing = agreement.content.missing || [];
+  if (missing.length > 0) {
+    return signingError('AGREEMENT_INCOMPLETE', `The agreement cannot be signed until these details are completed: ${missing.join(', ')}`);
+  }
+
+  if (status.next_signer !== role) {
+    return signingError('NOT_YOUR_TURN', `The ${status.next_signer} has to sign before you`);
+  }
+
+  // The signer must have reviewed exactly this version
+  if (contentHash !== agreement.content_hash) {
+    return signingError('AGREEMENT_CHANGED');
+  }
+
+  if (signatureType === 'typed' && !signatureText) {
+    return signingError('SIGNATURE_REQUIRED');
+  }
+
+  if (signatureType === 'drawn' && !decodeSignatureImage(signatureImage)) {
+    return signingError('INVALID_SIGNATURE');
+  }
+
+  return null;
+};
+
+// Resolve the case from its agreement once everyone has signed. Safe to retry -
+// resolve_case_from_agreement() checks the signatures itself and leaves a case
+// that is already resolved alone. Returns { case, from, to } when this call
+// resolved it, {} when there was nothing to do, or { error }.
+const resolveFromAgreement = async (supabase, case_) => {
+  const { data, error } = await supabase.rpc('resolve_case_from_agreement', { p_case_id: case_.id });
+
+  if (error) {
+    console.error(`Failed to resolve case ${case_.id} from its signed agreement:`, error);
+    return {
+      error: {
+        status: 500,
+        code: 'RESOLUTION_FAILED',
+        error: 'Everyone has signed, but the case could not be resolved yet. Please try resolving it again from the agreement.'
+      }
+    };
+  }
+
+  if (!data || data.length === 0) {
+    return {};
+  }
+
+  return { case: data[0], from: case_.status, to: CASE_STATUSES.RESOLVED };
+};
+
+// Sign the agreement as the given user in their role on the case. The checks are
+// made again by sign_settlement_agreement() as it stores the signature. Returns
+// { signature, status, resolved } - resolved being the resolveFromAgreement
+// result when this was the last signature - or { error: { status, code, error } }.
+const signAgreement = async (supabase, case_, agreement, { user, role, signatureType, signatureText, signatureImage, contentHash, ipAddress, userAgent }) => {
+  const { signatures, error: fetchError } = await getSignatures(supabase, agreement.id);
+
+  if (fetchError) {
+    return { error: { status: 400, code: 'FETCH_ERROR', error: 'Failed to fetch signatures' } };
+  }
+
+  const problem = checkSignature(agreement, getSigningStatus(agreement, signatures), {
+    role, signatureType, signatureText, signatureImage, contentHash
+  });
+  if (problem) {
+    return { error: problem };
+  }
+
+  // Only a draft rendered from its template is signed
+  if (!await verifyAgreementContent(supabase, case_, agreement)) {
+    return { error: signingError('AGREEMENT_UNVERIFIED') };
+  }
+
+  const { data: signature, error } = await supabase
+    .rpc('sign_settlement_agreement', {
+      p_agreement_id: agreement.id,
+      p_signature_type: signatureType,
+      p_signature_text: signatureText || null,
+      p_signature_image: signatureImage || null,
+      p_content_hash: contentHash,
+      p_ip_address: ipAddress,
+      p_user_agent: userAgent
+    })
+    .select(SIGNATURE_COLUMNS)
+    .single();
+
+  if (error) {
+    if (SIGNING_ERRORS[error.message]) {
+      return { error: signingError(error.message) };
+    }
+    // Unique (agreement, role): the same signer in two tabs
+    if (error.code === '23505') {
+      return { error: signingError('ALREADY_SIGNED') };
+    }
+    console.error('Failed to store signature:', error);
+    return { error: { status: 400, code: 'SIGNATURE_ERROR', error: 'Failed to sign the agreement' } };
+  }
+
+  await recordCaseUpdate(supabase, {
+    caseId: case_.id,
+    updatedBy: user.id,
+    updateType: 'agreement_signed',
+    newValue: signature.signer_name,
+    notes: `Signed draft ${agreement.version} as ${role} (${signatureType} signature)`
+  });
+
+  const status = getSigningStatus(agreement, [...signatures, signature]);
+  let resolved = null;
+
+  if (!status.complete) {
+    notifyNextSigner(case_, agreement, status);
+  } else {
+    resolved = await resolveFromAgreement(supabase, case_);
+  }
+
+  return { signature, status, resolved };
+};
+
+module.exports = {
+  SIGNATURE_TYPES,
+  decodeSignatureImage,
+  getSignatures,
+  getSigningStatus,
+  notifyNextSigner,
+  checkSignature,
+  resolveFromAgreement,
+  signAgreement
+};
@@ -0,0 +1,235 @@
+// Settlement agreement templates, one per kind of dispute. A template is a title
+// and a list of clauses whose text has {{placeholders}} for the details of the
+// case (see buildAgreementContext in utils/settlementAgreement.js). A clause with
+// `when` is only included if that value is known. A placeholder with no value is
+// left as a visible blank for the parties to complete before signing, and listed
+// in the draft's `missing`.
+
+const PLACEHOLDER_LABELS = {
+  'case.reference': 'case reference',
+  'case.title': 'case title',
+  'case.filed_date': 'date the case was filed',
+  'case.amount_claimed': 'amount claimed',
+  'claimant.name': 'claimant name',
+  'claimant.address': 'claimant address',
+  'respondent.name': 'respondent name',
+  'respondent.address': 'respondent address',
+  'mediator.name': 'mediator name',
+  'settlement.amount': 'settlement amount',
+  'settlement.terms': 'agreed terms',
+  'settlement.payment_days': 'payment deadline',
+  'settlement.source': 'how the settlement was reached',
+  'agreement.date': 'date of the agreement'
+};
+
+// Blanks an admin can fill in by hand when the case has no value for them. The
+// settlement amount and terms are set on the agreement's resolution instead.
+const DETAIL_PLACEHOLDERS = ['case.amount_claimed', 'claimant.name', 'claimant.address', 'respondent.name', 'respondent.address'];
+
+// Clauses every agreement ends with
+const COMMON_CLAUSES = [
+  {
+    heading: 'Full and final settlement',
+    text: 'This agreement settles in full all claims between the parties arising from the matters described in case {{case.reference}}. Once its terms have been carried out, neither party will bring any further claim about those matters.'
+  },
+  {
+    heading: 'No admission of liability',
+    text: 'This agreement is a compromise. Nothing in it is an admission of liability or wrongdoing by either party.'
+  },
+  {
+    heading: 'Confidentiality',
+    text: 'The parties will keep the terms of this agreement confidential, except as required by law or to carry the agreement out.'
+  },
+  {
+    heading: 'Entire agreement',
+    text: 'This agreement is the whole agreement between the parties about the dispute and replaces any earlier offers or understandings. Any change must be in writing and accepted by both parties.'
+  }
+];
+
+const PAYMENT_CLAUSE = {
+  heading: 'Payment',
+  when: 'settlement.amount',
+  text: '{{respondent.name}} will pay {{claimant.name}} {{settlement.amount}} within {{settlement.payment_days}} days of the date of this agreement.'
+};
+
+const TERMS_CLAUSE = {
+  heading: 'Agreed terms',
+  when: 'settlement.terms',
+  text: '{{settlement.terms}}'
+};
+
+const TEMPLATES = {
+  consumer_refund: {
+    name: 'Consumer refund',
+    caseTypes: ['consumer'],
+    title: 'Consumer Refund Settlement Agreement',
+    clauses: [
+      {
+        heading: 'Background',
+        text: '{{claimant.name}} ("the Customer") raised a complaint with {{respondent.name}} ("the Business") about "{{case.title}}", filed on {{case.filed_date}} and claiming {{case.amount_claimed}}. The parties resolved the complaint through {{settlement.source}}.'
+      },
+      {
+        heading: 'Refund',
+        text: 'The Business will refund the Customer {{settlement.amount}} within {{settlement.payment_days}} days of the date of this agreement, by the original payment method or another method the Customer agrees to.'
+      },
+      {
+        heading: 'Goods',
+        text: 'Where goods were supplied, the Customer will make them available for collection or return within {{settlement.payment_days}} days of receiving the refund, unless the agreed terms say otherwise. The Business will bear the cost of any return.'
+      },
+      TERMS_CLAUSE,
+      ...COMMON_CLAUSES
+    ]
+  },
+
+  employment_severance: {
+    name: 'Employment severance',
+    caseTypes: ['employment'],
+    title: 'Employment Settlement and Severance Agreement',
+    clauses: [
+      {
+        heading: 'Background',
+        text: '{{claimant.name}} ("the Employee") raised a dispute with {{respondent.name}} ("the Employer") about "{{case.title}}", filed on {{case.filed_date}}. The parties resolved the dispute through {{settlement.source}}.'
+      },
+      {
+        heading: 'Severance payment',
+        text: 'The Employer will pay the Employee {{settlement.amount}} as a severance payment within {{settlement.payment_days}} days of the date of this agreement. The Employer will make any deductions for tax that the law requires.'
+      },
+      {
+        heading: 'Outstanding pay',
+        text: 'The severance payment is in addition to any salary, holiday pay or other sums the Employee has already earned, which the Employer will pay in the usual way.'
+      },
+      {
+        heading: 'Reference',
+        text: 'On request, the Employer will give prospective employers a factual reference confirming the Employee\'s role and dates of employment.'
+      },
+      TERMS_CLAUSE,
+      ...COMMON_CLAUSES
+    ]
+  },
+
+  tenancy_deposit: {
+    name: 'Tenancy deposit',
+    caseTypes: ['property'],
+    title: 'Tenancy Deposit Settlement Agreement',
+    clauses: [
+      {
+        heading: 'Background',
+        text: '{{claimant.name}} and {{respondent.name}} were in dispute about "{{case.title}}", filed on {{case.filed_date}} and concerning {{case.amount_claimed}}. The parties resolved the dispute through {{settlement.source}}.'
+      },
+      {
+        heading: 'Return of deposit',
+        text: '{{respondent.name}} will pay {{claimant.name}} {{settlement.amount}} of the deposit within {{settlement.payment_days}} days of the date of this agreement. Any part of the deposit not returned under this clause is retained for the deductions the parties have agreed.'
+      },
+      {
+        heading: 'Condition of the property',
+        text: 'Once this payment has been made, neither party will make any further claim about the condition of the property, rent or deposit for the tenancy concerned.'
+      },
+      TERMS_CLAUSE,
+      ...COMMON_CLAUSES
+    ]
+  },
+
+  contract_settlement: {
+    name: 'Contract dispute',
+    caseTypes: ['contract'],
+    title: 'Contract Dispute Settlement Agreement',
+    clauses: [
+      {
+        heading: 'Background',
+        text: '{{claimant.name}} and {{respondent.name}} were in dispute about their contract, "{{case.title}}", filed on {{case.filed_date}} and claiming {{case.amount_claimed}}. The parties resolved the dispute through {{settlement.source}}.'
+      },
+      PAYMENT_CLAUSE,
+      {
+        heading: 'Mutual release',
+        text: 'Once the terms of this agreement have been carried out, each party releases the other from all claims under the contract concerned, except for obligations that are stated to continue after it ends.'
+      },
+      TERMS_CLAUSE,
+      ...COMMON_CLAUSES
+    ]
+  },
+
+  family_arrangement: {
+    name: 'Family arrangement',
+    caseTypes: ['family'],
+    title: 'Family Mediation Agreement',
+    clauses: [
+      {
+        heading: 'Background',
+        text: '{{claimant.name}} and {{respondent.name}} took part in mediation about "{{case.title}}", filed on {{case.filed_date}}. They reached the arrangements below through {{settlement.source}}.'
+      },
+      {
+        heading: 'Arrangements',
+        text: '{{settlement.terms}}'
+      },
+      PAYMENT_CLAUSE,
+      {
+        heading: 'Review',
+        text: 'The parties will review these arrangements together if circumstances change, and will try mediation again before taking any other step.'
+      },
+      ...COMMON_CLAUSES.filter(clause => clause.heading !== 'Full and final settlement')
+    ]
+  },
+
+  general_settlement: {
+    name: 'General settlement',
+    caseTypes: ['other'],
+    title: 'Settlement Agreement',
+    clauses: [
+      {
+        heading: 'Background',
+        text: '{{claimant.name}} and {{respondent.name}} were in dispute about "{{case.title}}", filed on {{case.filed_date}}. The parties resolved the dispute through {{settlement.source}}.'
+      },
+      PAYMENT_CLAUSE,
+      {
+        heading: 'Agreed terms',
+        text: '{{settlement.terms}}'
+      },
+      ...COMMON_CLAUSES
+    ]
+  }
+};
+
+const getDefaultTemplateKey = (caseType) =>
+  Object.keys(TEMPLATES).find(key => TEMPLATES[key].caseTypes.includes(caseType)) || 'general_settlement';
+
+const listTemplates = () => Object.entries(TEMPLATES).map(([key, template]) => ({
+  key,
+  name: template.name,
+  case_types: template.caseTypes
+}));
+
+const lookup = (context, path) => {
+  const value = path.split('.').reduce((object, key) => (object ? object[key] : undefined), context);
+  return value === null || value === undefined || value === '' ? null : String(value);
+};
+
+// Fill a template from a context object. Returns the agreement's title and
+// clauses with the labels of any placeholders that had no value.
+const renderTemplate = (key, context) => {
+  const template = TEMPLATES[key];
+  const missing = new Set();
+
+  const fill = (text) => text.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (placeholder, path) => {
+    const value = lookup(context, path);
+    if (value !== null) return value;
+
+    const label = PLACEHOLDER_LABELS[path] || path;
+    missing.add(label);
+    return `[${label}]`;
+  });
+
+  const clauses = template.clauses
+    .filter(clause => !clause.when || lookup(context, clause.when) !== null)
+    .map(clause => ({ heading: clause.heading, text: fill(clause.text) }));
+
+  return { title: template.title, clauses, missing: [...missing] };
+};
+
+module.exports = {
+  PLACEHOLDER_LABELS,
+  DETAIL_PLACEHOLDERS,
+  TEMPLATES,
+  getDefaultTemplateKey,
+  listTemplates,
+  renderTemplate
+};
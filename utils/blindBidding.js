@@ -0,0 +1,101 @@
+// Blind bidding - automated settlement of monetary disputes.
+// Each party privately bids over several rounds; the bids themselves are only
+// compared inside the database (submit_blind_bid) so neither side sees the other's numbers.
+const { recordCaseUpdate } = require('./caseHistory');
+
+const getBlindBidDefaults = () => ({
+  tolerancePercent: parseFloat(process.env.BLIND_BID_TOLERANCE_PERCENT) || 10,
+  maxRounds: parseInt(process.env.BLIND_BID_MAX_ROUNDS) || 3
+});
+
+// Errors raised by submit_blind_bid, keyed by the exception message
+const BID_ERRORS = {
+  NOT_A_PARTY: { status: 403, error: 'Only the parties can bid' },
+  CASE_NOT_OPEN: { status: 400, error: 'Bids can only be made on open cases' },
+  INVALID_BID: { status: 400, error: 'Bid must be a positive amount' },
+  NO_ACTIVE_SESSION: { status: 409, error: 'Blind bidding is not active on this case' },
+  BID_ALREADY_SUBMITTED: { status: 409, error: 'You have already bid in this round' }
+};
+
+const toBidError = (error) => {
+  const code = Object.keys(BID_ERRORS).find(key => (error.message || '').includes(key));
+  return code
+    ? { ...BID_ERRORS[code], code }
+    : { status: 400, error: 'Failed to submit bid', code: 'BID_ERROR' };
+};
+
+// The most recent blind bidding session on a case, or null
+const getLatestSession = async (supabase, caseId) => {
+  const { data: session } = await supabase
+    .from('blind_bid_sessions')
+    .select('*')
+    .eq('case_id', caseId)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  return session || null;
+};
+
+// Open a blind bidding session on a case and record it in the case history
+const startBlindBidding = async (supabase, case_, { actorId, tolerancePercent, maxRounds }) => {
+  const defaults = getBlindBidDefaults();
+
+  const { data: session, error } = await supabase
+    .from('blind_bid_sessions')
+    .insert({
+      case_id: case_.id,
+      started_by: actorId,
+      tolerance_percent: tolerancePercent ?? defaults.tolerancePercent,
+      max_rounds: maxRounds ?? defaults.maxRounds
+    })
+    .select()
+    .single();
+
+  if (error || !session) {
+    throw new Error(`Failed to start blind bidding: ${error ? error.message : 'no session returned'}`);
+  }
+
+  await recordCaseUpdate(supabase, {
+    caseId: case_.id,
+    updatedBy: actorId,
+    updateType: 'blind_bidding_started',
+    newValue: `${session.max_rounds} rounds`,
+    notes: `Settles automatically when the bids are within ${session.tolerance_percent}% of each other`
+  });
+
+  return session;
+};
+
+// Cancel the active session on a case, if there is one. Returns the cancelled session or null.
+const cancelBlindBidding = async (supabase, case_, { actorId, reason }) => {
+  const { data: cancelled, error } = await supabase
+    .from('blind_bid_sessions')
+    .update({ status: 'cancelled', ended_at: new Date().toISOString() })
+    .eq('case_id', case_.id)
+    .eq('status', 'active')
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to cancel blind bidding: ${error.message}`);
+  }
+
+  if (!cancelled || cancelled.length === 0) return null;
+
+  await recordCaseUpdate(supabase, {
+    caseId: case_.id,
+    updatedBy: actorId,
+    updateType: 'blind_bidding_cancelled',
+    notes: reason
+  });
+
+  return cancelled[0];
+};
+
+module.exports = {
+  getBlindBidDefaults,
+  toBidError,
+  getLatestSession,
+  startBlindBidding,
+  cancelBlindBidding
+};
@@ -0,0 +1,21 @@
+// Helpers for working out how the current user relates to a case
+
+// Returns 'claimant', 'respondent', 'mediator', 'admin' or null
+const getCaseRole = (case_, user) => {
+  if (!case_ || !user) return null;
+
+  if (case_.user_id === user.id) return 'claimant';
+  if (case_.respondent_id && case_.respondent_id === user.id) return 'respondent';
+  if (case_.assigned_mediator_id && case_.assigned_mediator_id === user.id) return 'mediator';
+  if (user.user_type === 'admin') return 'admin';
+
+  return null;
+};
+
+// Parties are the two sides of the dispute (not mediators or admins)
+const isCaseParty = (role) => role === 'claimant' || role === 'respondent';
+
+module.exports = {
+  getCaseRole,
+  isCaseParty
+};
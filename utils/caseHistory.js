@@ -0,0 +1,76 @@
+// Case history - every change to a case is recorded in case_updates
+
+const formatValue = (value) => {
+  if (value === undefined || value === null) return null;
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// Record one history entry. History is best-effort: a failure is logged but
+// never fails the request that made the change.
+const recordCaseUpdate = async (supabase, { caseId, updatedBy, updateType, oldValue, newValue, notes }) => {
+  try {
+    const { error } = await supabase
+      .from('case_updates')
+      .insert({
+        case_id: caseId,
+        updated_by: updatedBy,
+        update_type: updateType,
+        old_value: formatValue(oldValue),
+        new_value: formatValue(newValue),
+        notes: notes || null
+      });
+
+    if (error) {
+      console.error(`Failed to record ${updateType} history for case ${caseId}:`, error);
+    }
+  } catch (error) {
+    console.error(`Failed to record ${updateType} history for case ${caseId}:`, error);
+  }
+};
+
+// Record one 'case_edited' entry per field whose value actually changed
+const recordFieldChanges = async (supabase, { caseId, updatedBy, before, after, fields }) => {
+  const changed = fields.filter(field => formatValue(before[field]) !== formatValue(after[field]));
+
+  await Promise.all(changed.map(field => recordCaseUpdate(supabase, {
+    caseId,
+    updatedBy,
+    updateType: 'case_edited',
+    oldValue: before[field],
+    newValue: after[field],
+    notes: field
+  })));
+};
+
+// A case's history, oldest first. Case creation predates the history table, so
+// it is always listed first. Returns { timeline } or { error }.
+const getCaseTimeline = async (supabase, case_) => {
+  const { data: updates, error } = await supabase
+    .from('case_updates')
+    .select('id, update_type, old_value, new_value, notes, created_at, updated_by_user:users!case_updates_updated_by_fkey(id, full_name)')
+    .eq('case_id', case_.id)
+    .order('created_at', { ascending: true });
+
+  if (error) return { error };
+
+  return {
+    timeline: [
+      {
+        id: `${case_.id}-created`,
+        update_type: 'case_created',
+        old_value: null,
+        new_value: null,
+        notes: null,
+        created_at: case_.created_at,
+        updated_by_user: null
+      },
+      ...(updates || [])
+    ]
+  };
+};
+
+module.exports = {
+  recordCaseUpdate,
+  recordFieldChanges,
+  getCaseTimeline
+};
@@ -0,0 +1,108 @@
+// Admin case search: matches in case titles and descriptions, and in the text
+// extracted from evidence (see utils/textExtraction.js). Each matching case gets
+// search_matches with an HTML snippet per match, the search terms wrapped in
+// <mark>. Snippets are escaped here, so clients can insert them as they are.
+
+// Postgres marks the terms in evidence snippets with these control characters,
+// which cannot clash with the text, and they become <mark> after escaping
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+
+const SNIPPET_CONTEXT = 80;
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const toHighlightedHtml = (text) => escapeHtml(text)
+  .split(MARK_START).join('<mark>')
+  .split(MARK_END).join('</mark>');
+
+// A value for a PostgREST or() filter: quoted, so commas and brackets in the
+// search are taken literally
+const quoteFilterValue = (value) => `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+// The PostgREST or() filter for a search: title or description contains it, or
+// the case is one of those whose evidence matched
+const buildSearchFilter = (search, evidenceCaseIds = []) => {
+  const pattern = quoteFilterValue(`%${search}%`);
+  const conditions = [`case_title.ilike.${pattern}`, `description.ilike.${pattern}`];
+
+  if (evidenceCaseIds.length > 0) {
+    conditions.push(`id.in.(${evidenceCaseIds.join(',')})`);
+  }
+
+  return conditions.join(',');
+};
+
+// Evidence matching the search in cases of the given types, grouped by case id.
+// Evidence search is an addition to the title/description search, so if it fails
+// the error is logged and the search goes on without it.
+const findEvidenceMatches = async (supabase, search, caseTypes) => {
+  const { data, error } = await supabase.rpc('search_case_evidence', {
+    p_query: search,
+    p_case_types: caseTypes,
+    p_start_sel: MARK_START,
+    p_stop_sel: MARK_END
+  });
+
+  const matchesByCase = new Map();
+
+  if (error) {
+    console.error('Evidence search error:', error);
+    return matchesByCase;
+  }
+
+  for (const row of data || []) {
+    if (!matchesByCase.has(row.case_id)) matchesByCase.set(row.case_id, []);
+    matchesByCase.get(row.case_id).push({
+      source: 'evidence',
+      file_id: row.file_id,
+      file_name: row.file_name,
+      snippet: toHighlightedHtml(row.snippet)
+    });
+  }
+
+  return matchesByCase;
+};
+
+// Snippet around the first occurrence of search in text, or null when it does not
+// occur. Matches the case-insensitive substring test the database filter uses.
+const highlightSubstring = (text, search) => {
+  if (!text) return null;
+
+  const index = text.toLowerCase().indexOf(search.toLowerCase());
+  if (index === -1) return null;
+
+  const start = Math.max(0, index - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, index + search.length + SNIPPET_CONTEXT);
+  const before = text.slice(start, index);
+  const match = text.slice(index, index + search.length);
+  const after = text.slice(index + search.length, end);
+
+  return (start > 0 ? '… ' : '') +
+    escapeHtml(before) + '<mark>' + escapeHtml(match) + '</mark>' + escapeHtml(after) +
+    (end < text.length ? ' …' : '');
+};
+
+// Everything that made a case match the search, title first
+const getSearchMatches = (case_, search, evidenceMatches = []) => {
+  const matches = [];
+
+  const title = highlightSubstring(case_.case_title, search);
+  if (title) matches.push({ source: 'title', snippet: title });
+
+  const description = highlightSubstring(case_.description, search);
+  if (description) matches.push({ source: 'description', snippet: description });
+
+  return matches.concat(evidenceMatches);
+};
+
+module.exports = {
+  buildSearchFilter,
+  findEvidenceMatches,
+  getSearchMatches
+};
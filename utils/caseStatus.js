@@ -0,0 +1,165 @@
+// Case state machine - the single source of truth for case statuses, the moves
+// between them and which roles may make each move.
+const { recordCaseUpdate } = require('./caseHistory');
+
+const CASE_STATUSES = {
+  PENDING: 'Pending',
+  IN_REVIEW: 'In Review',
+  IN_MEDIATION: 'In Mediation',
+  RESOLVED: 'Resolved',
+  CLOSED: 'Closed'
+};
+
+// Older clients sent lowercase snake_case values; map them onto the canonical states
+const STATUS_ALIASES = {
+  pending: CASE_STATUSES.PENDING,
+  in_review: CASE_STATUSES.IN_REVIEW,
+  in_mediation: CASE_STATUSES.IN_MEDIATION,
+  resolved: CASE_STATUSES.RESOLVED,
+  closed: CASE_STATUSES.CLOSED,
+  rejected: CASE_STATUSES.CLOSED
+};
+
+// Roles: claimant, respondent, mediator, admin, and 'system' for automated moves
+const TRANSITIONS = [
+  { from: CASE_STATUSES.PENDING, to: CASE_STATUSES.IN_REVIEW, roles: ['admin', 'system'] },
+  { from: CASE_STATUSES.PENDING, to: CASE_STATUSES.CLOSED, roles: ['admin', 'claimant'] },
+  { from: CASE_STATUSES.IN_REVIEW, to: CASE_STATUSES.PENDING, roles: ['admin'] },
+  { from: CASE_STATUSES.IN_REVIEW, to: CASE_STATUSES.IN_MEDIATION, roles: ['admin', 'mediator'] },
+  { from: CASE_STATUSES.IN_REVIEW, to: CASE_STATUSES.RESOLVED, roles: ['admin', 'system'] },
+  { from: CASE_STATUSES.IN_REVIEW, to: CASE_STATUSES.CLOSED, roles: ['admin'] },
+  { from: CASE_STATUSES.IN_MEDIATION, to: CASE_STATUSES.IN_REVIEW, roles: ['admin'] },
+  { from: CASE_STATUSES.IN_MEDIATION, to: CASE_STATUSES.RESOLVED, roles: ['admin', 'mediator', 'system'] },
+  { from: CASE_STATUSES.IN_MEDIATION, to: CASE_STATUSES.CLOSED, roles: ['admin', 'mediator'] },
+  { from: CASE_STATUSES.RESOLVED, to: CASE_STATUSES.CLOSED, roles: ['admin'] },
+  { from: CASE_STATUSES.CLOSED, to: CASE_STATUSES.IN_REVIEW, roles: ['admin'] }
+];
+
+const OPEN_STATUSES = [CASE_STATUSES.PENDING, CASE_STATUSES.IN_REVIEW, CASE_STATUSES.IN_MEDIATION];
+
+// Return the canonical status for a value (canonical or legacy alias), or null
+const normalizeStatus = (value) => {
+  if (!value || typeof value !== 'string') return null;
+  if (Object.values(CASE_STATUSES).includes(value)) return value;
+  return STATUS_ALIASES[value.trim().toLowerCase()] || null;
+};
+
+const isOpenStatus = (status) => OPEN_STATUSES.includes(status);
+
+// snake_case key for a status, as used by email templates and stats ('In Review' -> 'in_review')
+const toStatusKey = (status) => status.toLowerCase().replace(/ /g, '_');
+
+// Statuses the given role may move a case to from its current status
+const getAllowedTransitions = (from, role) => {
+  return TRANSITIONS
+    .filter(t => t.from === from && t.roles.includes(role))
+    .map(t => t.to);
+};
+
+// Check a move; returns { allowed: true, from, to } or { allowed: false, status, code, error }
+const validateTransition = (from, requestedStatus, role) => {
+  const to = normalizeStatus(requestedStatus);
+
+  if (!to) {
+    return {
+      allowed: false,
+      status: 400,
+      code: 'INVALID_STATUS',
+      error: `Unknown status "${requestedStatus}". Valid statuses: ${Object.values(CASE_STATUSES).join(', ')}`
+    };
+  }
+
+  if (from === to) {
+    return {
+      allowed: false,
+      status: 409,
+      code: 'STATUS_UNCHANGED',
+      error: `Case is already ${to}`
+    };
+  }
+
+  const transition = TRANSITIONS.find(t => t.from === from && t.to === to);
+
+  if (!transition) {
+    return {
+      allowed: false,
+      status: 409,
+      code: 'INVALID_TRANSITION',
+      error: `Cannot move a case from ${from} to ${to}`
+    };
+  }
+
+  if (!transition.roles.includes(role)) {
+    return {
+      allowed: false,
+      status: 403,
+      code: 'TRANSITION_NOT_PERMITTED',
+      error: `Your role (${role}) cannot move a case from ${from} to ${to}`
+    };
+  }
+
+  return { allowed: true, from, to };
+};
+
+// Validate and apply a status change. The update is conditional on the status we
+// validated against so two concurrent changes cannot both succeed. The change is
+// recorded in the case history against actorId.
+// Returns { case } on success or { error: { status, code, error } } on failure.
+const changeCaseStatus = async (supabase, case_, requestedStatus, { role, actorId, fields = {}, notes } = {}) => {
+  const check = validateTransition(case_.status, requestedStatus, role);
+
+  if (!check.allowed) {
+    return { error: check };
+  }
+
+  const now = new Date().toISOString();
+  const updateData = {
+    ...fields,
+    status: check.to,
+    last_updated: now
+  };
+
+  if (check.to === CASE_STATUSES.RESOLVED) {
+    updateData.resolved_at = now;
+  }
+
+  const { data: updatedCase, error } = await supabase
+    .from('cases')
+    .update(updateData)
+    .eq('id', case_.id)
+    .eq('status', case_.status)
+    .select()
+    .single();
+
+  if (error || !updatedCase) {
+    return {
+      error: {
+        status: 409,
+        code: 'STATUS_CHANGE_FAILED',
+        error: 'Failed to change case status - it may have been changed by someone else'
+      }
+    };
+  }
+
+  await recordCaseUpdate(supabase, {
+    caseId: case_.id,
+    updatedBy: actorId,
+    updateType: 'status_change',
+    oldValue: check.from,
+    newValue: check.to,
+    notes
+  });
+
+  return { case: updatedCase, from: check.from, to: check.to };
+};
+
+module.exports = {
+  CASE_STATUSES,
+  OPEN_STATUSES,
+  normalizeStatus,
+  isOpenStatus,
+  toStatusKey,
+  getAllowedTransitions,
+  validateTransition,
+  changeCaseStatus
+};
@@ -0,0 +1,62 @@
+// Resumable uploads for large evidence. The client opens an upload session,
+// sends the file in fixed-size parts (in any order, retrying any that fail),
+// then completes the session. Parts are stored under chunks/ in the storage
+// backend and joined there, so the server holds one part in memory at a time.
+const MB = 1024 * 1024;
+
+const getPartSize = () => parseInt(process.env.UPLOAD_PART_SIZE) || 5 * MB;
+
+const getSessionTtlHours = () => parseInt(process.env.UPLOAD_SESSION_TTL_HOURS) || 24;
+
+const getPartPath = (session, partNumber) => `chunks/${session.case_id}/${session.id}/${partNumber}`;
+
+const getPartPaths = (session) =>
+  Array.from({ length: session.total_parts }, (_, i) => getPartPath(session, i + 1));
+
+// The size a part must be: every part is part_size except a shorter last one
+const getExpectedPartSize = (session, partNumber) =>
+  partNumber < session.total_parts
+    ? session.part_size
+    : session.file_size - session.part_size * (session.total_parts - 1);
+
+const isSessionExpired = (session) => new Date(session.expires_at) < new Date();
+
+// Load one of the current user's upload sessions with the part numbers received so far
+const loadUploadSession = async (supabase, sessionId, userId) => {
+  const { data: session, error } = await supabase
+    .from('upload_sessions')
+    .select('*, parts:upload_parts(part_number)')
+    .eq('id', sessionId)
+    .eq('uploaded_by', userId)
+    .maybeSingle();
+
+  if (error || !session) return null;
+
+  const { parts, ...rest } = session;
+  return {
+    ...rest,
+    received_parts: (parts || []).map(part => part.part_number).sort((a, b) => a - b)
+  };
+};
+
+// Read the stored parts back in order, one at a time
+async function* readParts(storage, session) {
+  for (const partPath of getPartPaths(session)) {
+    const { data, error } = await storage.download(partPath);
+    if (error || !data) {
+      throw error || new Error(`Part not found: ${partPath}`);
+    }
+    yield data;
+  }
+}
+
+module.exports = {
+  getPartSize,
+  getSessionTtlHours,
+  getPartPath,
+  getPartPaths,
+  getExpectedPartSize,
+  isSessionExpired,
+  loadUploadSession,
+  readParts
+};
@@ -0,0 +1,84 @@
+// Conflict-of-interest checks between mediators and the parties to a case
+
+// Flagged conflicts keyed by mediator id, each a list of reasons.
+// The check itself runs in the database (check_mediator_conflicts) because it
+// needs cases and user metadata the caller cannot see.
+const findConflicts = async (supabase, mediatorIds, case_) => {
+  if (mediatorIds.length === 0) return {};
+
+  const { data: rows, error } = await supabase.rpc('check_mediator_conflicts', {
+    p_case_id: case_.id,
+    p_mediator_ids: mediatorIds
+  });
+
+  if (error) {
+    throw new Error(`Failed to check conflicts of interest: ${error.message}`);
+  }
+
+  return (rows || []).reduce((conflicts, row) => {
+    conflicts[row.conflicted_mediator_id] = [...(conflicts[row.conflicted_mediator_id] || []), row.reason];
+    return conflicts;
+  }, {});
+};
+
+const describeConflicts = (reasons) => reasons.join('; ');
+
+// Whether a mediator may work on a case: no unresolved conflicts and a
+// 'no_conflict' declaration on file.
+// Returns { cleared: true } or { cleared: false, status, code, error, conflicts }.
+const getMediatorClearance = async (supabase, case_, mediatorId) => {
+  const [conflicts, { data: declaration }, { data: overrides }] = await Promise.all([
+    findConflicts(supabase, [mediatorId], case_),
+    supabase
+      .from('mediator_declarations')
+      .select('declaration, statement, created_at')
+      .eq('case_id', case_.id)
+      .eq('mediator_id', mediatorId)
+      .maybeSingle(),
+    supabase
+      .from('conflict_overrides')
+      .select('id')
+      .eq('case_id', case_.id)
+      .eq('mediator_id', mediatorId)
+  ]);
+
+  const reasons = conflicts[mediatorId] || [];
+
+  if (declaration && declaration.declaration === 'recused') {
+    return {
+      cleared: false,
+      status: 403,
+      code: 'MEDIATOR_RECUSED',
+      error: 'You have recused yourself from this case',
+      conflicts: reasons
+    };
+  }
+
+  if (reasons.length > 0 && (!overrides || overrides.length === 0)) {
+    return {
+      cleared: false,
+      status: 409,
+      code: 'CONFLICT_OF_INTEREST',
+      error: `Possible conflict of interest: you ${describeConflicts(reasons)}. Please recuse or ask an administrator to review.`,
+      conflicts: reasons
+    };
+  }
+
+  if (!declaration) {
+    return {
+      cleared: false,
+      status: 403,
+      code: 'DECLARATION_REQUIRED',
+      error: 'Please declare any conflict of interest before opening this case',
+      conflicts: reasons
+    };
+  }
+
+  return { cleared: true, declaration };
+};
+
+module.exports = {
+  findConflicts,
+  describeConflicts,
+  getMediatorClearance
+};
@@ -0,0 +1,89 @@
+// Evidence integrity - content hashes and a hash-chained chain-of-custody log.
+// Each case has its own chain: every entry stores the hash of the entry before
+// it, so editing or removing any entry breaks every hash after it.
+const crypto = require('crypto');
+
+// The previous_hash of the first entry in a chain
+const GENESIS_HASH = '0'.repeat(64);
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// SHA-256 of a file's bytes
+const hashContent = (buffer) => sha256(buffer);
+
+// The same hash built up from a file read in parts: call update() per part, then digest('hex')
+const createContentHasher = () => crypto.createHash('sha256');
+
+// Hash of one entry over everything that identifies it, including its predecessor.
+// append_custody_entry() in the schema computes the same hash when it writes one.
+const computeEntryHash = (entry) => sha256([
+  entry.sequence,
+  entry.case_id,
+  entry.file_id || '',
+  entry.file_name || '',
+  entry.event,
+  entry.actor_id,
+  entry.actor_role || '',
+  entry.content_hash || '',
+  new Date(entry.created_at).toISOString(),
+  entry.previous_hash
+].join('|'));
+
+// Record in the custody chain that the current user viewed or downloaded a file.
+// Uploads, replacements, quarantines and deletions are recorded by the database
+// itself; for these the database takes the file's details from its record and
+// computes the hashes, so an entry cannot be forged from here. Like the case
+// history this never fails the request that triggered it; a failure is logged.
+const recordFileAccess = async (supabase, fileId, event) => {
+  try {
+    const { data: saved, error } = await supabase
+      .rpc('record_file_access', {
+        p_file_id: fileId,
+        p_event: event
+      })
+      .single();
+
+    if (error) {
+      console.error(`Failed to record ${event} custody entry for file ${fileId}:`, error);
+      return null;
+    }
+
+    return saved;
+  } catch (error) {
+    console.error(`Failed to record ${event} custody entry for file ${fileId}:`, error);
+    return null;
+  }
+};
+
+// Check a case's chain, ordered by sequence.
+// Returns { valid: true, entries } or { valid: false, brokenAt, reason, entries }.
+const verifyCustodyChain = (entries) => {
+  let previousHash = GENESIS_HASH;
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+
+    if (entry.sequence !== i + 1) {
+      return { valid: false, brokenAt: i + 1, reason: `Entry ${i + 1} is missing`, entries: entries.length };
+    }
+
+    if (entry.previous_hash !== previousHash) {
+      return { valid: false, brokenAt: entry.sequence, reason: 'Link to the previous entry does not match', entries: entries.length };
+    }
+
+    if (computeEntryHash(entry) !== entry.entry_hash) {
+      return { valid: false, brokenAt: entry.sequence, reason: 'Entry contents have been altered', entries: entries.length };
+    }
+
+    previousHash = entry.entry_hash;
+  }
+
+  return { valid: true, entries: entries.length };
+};
+
+module.exports = {
+  hashContent,
+  createContentHasher,
+  recordFileAccess,
+  verifyCustodyChain
+};
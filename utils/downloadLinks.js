@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+
+// Short-lived download links for evidence files. A link is an HMAC over the
+// file, the user it was issued to and its expiry, so it cannot be altered,
+// reused by someone else or kept past its lifetime. The access check is
+// repeated when the link is used.
+
+const getDownloadSecret = () => {
+  const secret = process.env.DOWNLOAD_URL_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('Missing DOWNLOAD_URL_SECRET or JWT_SECRET environment variable');
+  }
+  return secret;
+};
+
+const getDownloadTtlSeconds = () => parseInt(process.env.DOWNLOAD_URL_TTL_SECONDS) || 300;
+
+const sign = (fileId, userId, expires) =>
+  crypto
+    .createHmac('sha256', getDownloadSecret())
+    .update(`${fileId}.${userId}.${expires}`)
+    .digest('hex');
+
+// Create a signed download link for one user. Returns { url, expiresAt }.
+const createDownloadLink = (fileId, userId) => {
+  const expires = Math.floor(Date.now() / 1000) + getDownloadTtlSeconds();
+
+  return {
+    url: `/api/downloads/${fileId}?expires=${expires}&signature=${sign(fileId, userId, expires)}`,
+    expiresAt: new Date(expires * 1000).toISOString()
+  };
+};
+
+// Check a download link. Returns null when valid, otherwise { status, code, error }.
+const verifyDownloadLink = (fileId, userId, expires, signature) => {
+  const expected = sign(fileId, userId, expires);
+  const provided = Buffer.from(String(signature || ''), 'utf8');
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, Buffer.from(expected, 'utf8'))) {
+    return { status: 403, code: 'INVALID_DOWNLOAD_LINK', error: 'Invalid download link' };
+  }
+
+  if (!(parseInt(expires) > Math.floor(Date.now() / 1000))) {
+    return { status: 410, code: 'DOWNLOAD_LINK_EXPIRED', error: 'Download link has expired' };
+  }
+
+  return null;
+};
+
+module.exports = {
+  createDownloadLink,
+  verifyDownloadLink
+};
@@ -65,20 +65,28 @@ const emailTemplates = {
   caseStatus: (userName, case_, status) => {
     const statusMessages = {
       submitted: 'Your case has been successfully submitted and is now under review.',
+      respondent_responded: 'The other party has responded to your case. Log in to read their statement.',
+      pending: 'Your case has been returned to the queue and is awaiting review.',
       in_review: 'Your case is currently being reviewed by our team.',
+      in_mediation: 'Your case has moved into mediation. A mediator will be in touch through the case messages.',
       resolved: 'Great news! Your case has been resolved.',
+      closed: 'Your case has been closed.',
       rejected: 'Your case has been reviewed and unfortunately cannot be processed at this time.'
     };
 
     const statusColors = {
       submitted: '#2ca58d',
+      respondent_responded: '#2c5aa0',
+      pending: '#6c757d',
       in_review: '#ffa500',
+      in_mediation: '#2c5aa0',
       resolved: '#28a745',
+      closed: '#6c757d',
       rejected: '#dc3545'
     };
 
     return {
-      subject: `Case Update: ${case_.case_title} - ${status.charAt(0).toUpperCase() + status.slice(1)}`,
+      subject: `Case Update: ${case_.case_title} - ${(status.charAt(0).toUpperCase() + status.slice(1)).replace(/_/g, ' ')}`,
       html: `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
           <div style="background: linear-gradient(135deg, #2c5aa0 0%, #2ca58d 100%); padding: 40px 20px; text-align: center;">
@@ -87,7 +95,7 @@ const emailTemplates = {
           </div>
           
           <div style="padding: 40px 20px; background: #f8f9fa;">
-            <h2 style="color: #2c5aa0; margin-bottom: 20px;">Hello ${userName}!</h2>
+            <h2 style="color: #2c5aa0; margin-bottom: 20px;">Hello ${userName || 'there'}!</h2>
             
             <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid ${statusColors[status]};">
               <h3 style="color: ${statusColors[status]}; margin-top: 0;">Case Status Update</h3>
@@ -95,7 +103,7 @@ const emailTemplates = {
               <p style="color: #333; margin: 10px 0;"><strong>Case Title:</strong> ${case_.case_title}</p>
               <p style="color: #333; margin: 10px 0;"><strong>New Status:</strong> 
                 <span style="background: ${statusColors[status]}; color: white; padding: 4px 8px; border-radius: 4px; font-size: 12px; text-transform: uppercase;">
-                  ${status.replace('_', ' ')}
+                  ${status.replace(/_/g, ' ')}
                 </span>
               </p>
             </div>
@@ -104,10 +112,10 @@ const emailTemplates = {
               ${statusMessages[status]}
             </p>
             
-            ${case_.resolution ? `
+            ${case_.resolution_notes ? `
               <div style="background: #e8f5e8; padding: 15px; border-radius: 6px; margin: 20px 0;">
                 <h4 style="color: #28a745; margin-top: 0;">Resolution Details:</h4>
-                <p style="color: #333; margin: 0;">${case_.resolution}</p>
+                <p style="color: #333; margin: 0;">${case_.resolution_notes}</p>
               </div>
             ` : ''}
             
@@ -136,7 +144,143 @@ const emailTemplates = {
         </div>
       `
     };
-  }
+  },
+
+  caseInvitation: (respondentName, claimantName, case_, inviteUrl) => ({
+    subject: `You have been named in a dispute: ${case_.case_title}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #2c5aa0 0%, #2ca58d 100%); padding: 40px 20px; text-align: center;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">Invitation to Respond</h1>
+          <p style="color: #e8f4f8; margin: 10px 0 0 0; font-size: 16px;">ResolveNOW Dispute Resolution</p>
+        </div>
+        
+        <div style="padding: 40px 20px; background: #f8f9fa;">
+          <h2 style="color: #2c5aa0; margin-bottom: 20px;">Hello ${respondentName || 'there'}!</h2>
+          
+          <p style="color: #333; line-height: 1.6; margin-bottom: 20px;">
+            ${claimantName || 'Another party'} has submitted a dispute on ResolveNOW that names you as the other party.
+            You are invited to join the case, review the claim and give your side so the dispute can be resolved.
+          </p>
+          
+          <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #2ca58d;">
+            <p style="color: #333; margin: 10px 0;"><strong>Case ID:</strong> ${case_.id}</p>
+            <p style="color: #333; margin: 10px 0;"><strong>Case Title:</strong> ${case_.case_title}</p>
+          </div>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${inviteUrl}" 
+               style="background: #2ca58d; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold; display: inline-block;">
+              Join the Case
+            </a>
+          </div>
+          
+          <p style="color: #666; font-size: 14px; line-height: 1.6;">
+            Sign in or create an account using this email address to accept the invitation. The link expires in 14 days.
+          </p>
+        </div>
+        
+        <div style="background: #2c5aa0; color: white; padding: 20px; text-align: center; font-size: 14px;">
+          <p style="margin: 0;">© 2024 ResolveNOW. Democratizing Justice Through Technology.</p>
+        </div>
+      </div>
+    `
+  }),
+
+  settlementOffer: (userName, case_, offer, event) => {
+    const eventMessages = {
+      made: 'The other party has made a settlement offer on your case.',
+      countered: 'The other party has answered your settlement offer with a counter-offer.',
+      accepted: 'A settlement offer on your case has been accepted. The case is now moving to resolution.',
+      rejected: 'A settlement offer on your case has been rejected.'
+    };
+
+    const eventColors = {
+      made: '#2c5aa0',
+      countered: '#ffa500',
+      accepted: '#28a745',
+      rejected: '#dc3545'
+    };
+
+    const amount = offer.amount !== null && offer.amount !== undefined
+      ? new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(offer.amount)
+      : null;
+
+    return {
+      subject: `Settlement offer ${event}: ${case_.case_title}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #2c5aa0 0%, #2ca58d 100%); padding: 40px 20px; text-align: center;">
+            <h1 style="color: white; margin: 0; font-size: 28px;">Settlement Offer</h1>
+            <p style="color: #e8f4f8; margin: 10px 0 0 0; font-size: 16px;">ResolveNOW Dispute Resolution</p>
+          </div>
+          
+          <div style="padding: 40px 20px; background: #f8f9fa;">
+            <h2 style="color: #2c5aa0; margin-bottom: 20px;">Hello ${userName || 'there'}!</h2>
+            
+            <p style="color: #333; line-height: 1.6; margin-bottom: 20px;">
+              ${eventMessages[event]}
+            </p>
+            
+            <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid ${eventColors[event]};">
+              <p style="color: #333; margin: 10px 0;"><strong>Case Title:</strong> ${case_.case_title}</p>
+              ${amount ? `<p style="color: #333; margin: 10px 0;"><strong>Amount:</strong> ${amount}</p>` : ''}
+              ${offer.terms ? `<p style="color: #333; margin: 10px 0;"><strong>Terms:</strong> ${offer.terms}</p>` : ''}
+              ${event === 'made' || event === 'countered' ? `<p style="color: #333; margin: 10px 0;"><strong>Expires:</strong> ${new Date(offer.expires_at).toUTCString()}</p>` : ''}
+            </div>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${process.env.FRONTEND_URL}/pages/case-details.html?id=${case_.id}" 
+                 style="background: #2ca58d; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold; display: inline-block;">
+                View Offer
+              </a>
+            </div>
+          </div>
+          
+          <div style="background: #2c5aa0; color: white; padding: 20px; text-align: center; font-size: 14px;">
+            <p style="margin: 0;">© 2024 ResolveNOW. Democratizing Justice Through Technology.</p>
+          </div>
+        </div>
+      `
+    };
+  },
+
+  signatureRequest: (userName, case_, agreement, pagePath) => ({
+    subject: `Please sign the settlement agreement: ${case_.case_title}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #2c5aa0 0%, #2ca58d 100%); padding: 40px 20px; text-align: center;">
+          <h1 style="color: white; margin: 0; font-size: 28px;">Settlement Agreement</h1>
+          <p style="color: #e8f4f8; margin: 10px 0 0 0; font-size: 16px;">ResolveNOW Dispute Resolution</p>
+        </div>
+        
+        <div style="padding: 40px 20px; background: #f8f9fa;">
+          <h2 style="color: #2c5aa0; margin-bottom: 20px;">Hello ${userName || 'there'}!</h2>
+          
+          <p style="color: #333; line-height: 1.6; margin-bottom: 20px;">
+            The settlement agreement for your case is ready for your signature. Please review it carefully before signing.
+            The case will be resolved once everyone has signed.
+          </p>
+          
+          <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #2ca58d;">
+            <p style="color: #333; margin: 10px 0;"><strong>Case Title:</strong> ${case_.case_title}</p>
+            <p style="color: #333; margin: 10px 0;"><strong>Agreement:</strong> ${agreement.title} (draft ${agreement.version})</p>
+          </div>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${process.env.FRONTEND_URL}${pagePath}" 
+               style="background: #2ca58d; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold; display: inline-block;">
+              Review and Sign
+            </a>
+          </div>
+        </div>
+        
+        <div style="background: #2c5aa0; color: white; padding: 20px; text-align: center; font-size: 14px;">
+          <p style="margin: 0;">© 2024 ResolveNOW. Democratizing Justice Through Technology.</p>
+        </div>
+      </div>
+    `
+  })
 };
 
 // Send welcome email
@@ -187,6 +331,78 @@ const sendCaseStatusEmail = async (email, userName, case_, status) => {
   }
 };
 
+// Send respondent invitation email
+const sendCaseInvitationEmail = async (email, respondentName, claimantName, case_, inviteUrl) => {
+  try {
+    if (!process.env.SMTP_HOST || !process.env.SMTP_USER) {
+      console.log('Email not configured, skipping invitation email');
+      return;
+    }
+
+    const transporter = createTransporter();
+    const template = emailTemplates.caseInvitation(respondentName, claimantName, case_, inviteUrl);
+
+    await transporter.sendMail({
+      from: `"ResolveNOW" <${process.env.SMTP_USER}>`,
+      to: email,
+      subject: template.subject,
+      html: template.html
+    });
+
+    console.log(`Case invitation email sent to ${email} for case ${case_.id}`);
+  } catch (error) {
+    console.error('Failed to send case invitation email:', error);
+  }
+};
+
+// Send settlement offer notification email
+const sendSettlementOfferEmail = async (email, userName, case_, offer, event) => {
+  try {
+    if (!process.env.SMTP_HOST || !process.env.SMTP_USER) {
+      console.log('Email not configured, skipping settlement offer email');
+      return;
+    }
+
+    const transporter = createTransporter();
+    const template = emailTemplates.settlementOffer(userName, case_, offer, event);
+
+    await transporter.sendMail({
+      from: `"ResolveNOW" <${process.env.SMTP_USER}>`,
+      to: email,
+      subject: template.subject,
+      html: template.html
+    });
+
+    console.log(`Settlement offer email sent to ${email} for case ${case_.id}`);
+  } catch (error) {
+    console.error('Failed to send settlement offer email:', error);
+  }
+};
+
+// Send a request to sign a settlement agreement
+const sendSignatureRequestEmail = async (email, userName, case_, agreement, pagePath) => {
+  try {
+    if (!process.env.SMTP_HOST || !process.env.SMTP_USER) {
+      console.log('Email not configured, skipping signature request email');
+      return;
+    }
+
+    const transporter = createTransporter();
+    const template = emailTemplates.signatureRequest(userName, case_, agreement, pagePath);
+
+    await transporter.sendMail({
+      from: `"ResolveNOW" <${process.env.SMTP_USER}>`,
+      to: email,
+      subject: template.subject,
+      html: template.html
+    });
+
+    console.log(`Signature request email sent to ${email} for case ${case_.id}`);
+  } catch (error) {
+    console.error('Failed to send signature request email:', error);
+  }
+};
+
 // Send password reset email
 const sendPasswordResetEmail = async (email, resetToken) => {
   try {
@@ -244,5 +460,8 @@ const sendPasswordResetEmail = async (email, resetToken) => {
 module.exports = {
   sendWelcomeEmail,
   sendCaseStatusEmail,
+  sendCaseInvitationEmail,
+  sendSettlementOfferEmail,
+  sendSignatureRequestEmail,
   sendPasswordResetEmail
 };
@@ -0,0 +1,325 @@
+// Evidence bundles: one PDF with everything a mediator needs before a session.
+// A cover sheet with the case details, a numbered index of the case files, each
+// file as an exhibit (PDF pages copied in, images and text laid out on pages),
+// then the case timeline. Every page is stamped with its number in the bundle.
+const { PDFDocument, rgb } = require('pdf-lib');
+const sharp = require('sharp');
+const { hashContent } = require('./custody');
+const { extractText } = require('./textExtraction');
+const {
+  PAGE_WIDTH, PAGE_HEIGHT, MARGIN, CONTENT_WIDTH, TEXT_COLOR, MUTED_COLOR, RULE_COLOR,
+  formatDate, formatCurrency, fitText, wrapText, PageWriter, embedFonts, stampPageNumbers
+} = require('./pdfLayout');
+
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png'];
+const TEXT_TYPES = ['text/plain', DOCX_TYPE];
+
+const TYPE_LABELS = {
+  'application/pdf': 'PDF',
+  'image/jpeg': 'JPG',
+  'image/jpg': 'JPG',
+  'image/png': 'PNG',
+  'application/msword': 'DOC',
+  [DOCX_TYPE]: 'DOCX',
+  'text/plain': 'TXT'
+};
+
+const INDEX_ROWS_PER_PAGE = 28;
+const INDEX_ROW_HEIGHT = 22;
+
+// A text exhibit longer than this is cut short; the full file stays downloadable
+const MAX_TEXT_PAGES = 200;
+
+// Files larger than this in total are listed in the index but not reproduced
+const getMaxSourceBytes = () => parseInt(process.env.BUNDLE_MAX_SOURCE_BYTES) || 100 * 1024 * 1024;
+
+const describeTimelineEntry = (entry) => {
+  const descriptions = {
+    case_created: () => 'Case submitted',
+    status_change: () => `Status changed from ${entry.old_value} to ${entry.new_value}`,
+    department_assigned: () => `Assigned to ${entry.new_value} department`,
+    case_edited: () => `${entry.notes} updated`,
+    file_uploaded: () => `File uploaded: ${entry.new_value}`,
+    file_deleted: () => `File deleted: ${entry.old_value}`,
+    file_replaced: () => `File replaced: ${entry.old_value} -> ${entry.new_value}`,
+    mediator_assigned: () => `Mediator assigned: ${entry.new_value}`,
+    offer_made: () => `Settlement offer made: ${entry.new_value}`,
+    offer_countered: () => `Counter-offer made: ${entry.new_value}`,
+    offer_accepted: () => `Settlement offer accepted: ${entry.new_value}`,
+    outcome_proposed: () => `Mediator proposed an outcome: ${entry.new_value}`,
+    respondent_response: () => `Respondent response: ${entry.new_value}`
+  };
+
+  const describe = descriptions[entry.update_type];
+  return describe ? describe() : entry.update_type.replace(/_/g, ' ');
+};
+
+const drawCoverSheet = (writer, case_, files, generatedBy) => {
+  writer.newPage();
+  writer.y -= 80;
+  writer.heading('Evidence Bundle', 28);
+  writer.text(case_.case_title, { font: writer.fonts.bold, size: 16 });
+  writer.y -= 24;
+  writer.rule();
+
+  writer.field('Case ID', case_.id);
+  writer.field('Dispute type', case_.case_type);
+  writer.field('Status', case_.status);
+  writer.field('Department', case_.assigned_department);
+  writer.field('Urgency', case_.urgency_level);
+  writer.field('Amount involved', formatCurrency(case_.amount_involved));
+  writer.field('Preferred resolution', case_.preferred_resolution);
+  writer.field('Claimant', case_.user ? `${case_.user.full_name} <${case_.user.email}>` : case_.user_email);
+  writer.field('Respondent', [case_.respondent_name, case_.respondent_email && `<${case_.respondent_email}>`].filter(Boolean).join(' '));
+  if (case_.respondent_response) {
+    writer.field('Respondent response', case_.respondent_response);
+    if (case_.counter_claim_amount) writer.field('Counter-claim', formatCurrency(case_.counter_claim_amount));
+  }
+  writer.field('Filed', formatDate(case_.created_at));
+  writer.field('Exhibits', files.length);
+
+  writer.y -= 12;
+  writer.rule();
+  writer.heading('Description', 12);
+  writer.text(case_.description);
+  if (case_.respondent_statement) {
+    writer.y -= 12;
+    writer.heading('Respondent statement', 12);
+    writer.text(case_.respondent_statement);
+  }
+
+  writer.y -= 24;
+  writer.text(`Generated ${formatDate(new Date())}${generatedBy ? ` by ${generatedBy}` : ''}`, { size: 9, color: MUTED_COLOR });
+};
+
+const INDEX_COLUMNS = [
+  { label: 'No.', width: 32 },
+  { label: 'File', width: 190 },
+  { label: 'Type', width: 56 },
+  { label: 'Uploaded', width: 98 },
+  { label: 'SHA-256', width: 78 },
+  { label: 'Page', width: 29 }
+];
+
+const getIndexPageCount = (exhibitCount) => Math.max(1, Math.ceil(exhibitCount / INDEX_ROWS_PER_PAGE));
+
+// The index, drawn on pages already inserted after the cover sheet
+const drawIndex = (pages, fonts, exhibits) => {
+  pages.forEach((page, pageIndex) => {
+    let y = PAGE_HEIGHT - MARGIN;
+    page.drawText(pageIndex === 0 ? 'Index of Exhibits' : 'Index of Exhibits (continued)', { x: MARGIN, y: y - 18, size: 18, font: fonts.bold, color: TEXT_COLOR });
+    y -= 40;
+
+    let x = MARGIN;
+    for (const column of INDEX_COLUMNS) {
+      page.drawText(column.label, { x, y: y - 9, size: 9, font: fonts.bold, color: MUTED_COLOR });
+      x += column.width;
+    }
+    y -= 14;
+    page.drawLine({ start: { x: MARGIN, y }, end: { x: PAGE_WIDTH - MARGIN, y }, thickness: 0.5, color: RULE_COLOR });
+
+    const rows = exhibits.slice(pageIndex * INDEX_ROWS_PER_PAGE, (pageIndex + 1) * INDEX_ROWS_PER_PAGE);
+    if (rows.length === 0) {
+      page.drawText('No files have been uploaded to this case.', { x: MARGIN, y: y - 20, size: 10, font: fonts.regular, color: MUTED_COLOR });
+    }
+
+    for (const exhibit of rows) {
+      const { file } = exhibit;
+      const name = file.version > 1 ? `${file.file_name} (v${file.version})` : file.file_name;
+      const hash = exhibit.hashMismatch ? 'MISMATCH' : (file.content_hash || '—').slice(0, 12);
+      const cells = [
+        String(exhibit.number),
+        file.superseded_by ? `${name} - superseded` : name,
+        TYPE_LABELS[file.file_type] || file.file_type || '—',
+        formatDate(file.created_at).replace(' UTC', ''),
+        hash,
+        String(exhibit.startPage)
+      ];
+
+      y -= INDEX_ROW_HEIGHT;
+      x = MARGIN;
+      cells.forEach((cell, i) => {
+        const font = i === 4 ? fonts.mono : fonts.regular;
+        const color = i === 4 && exhibit.hashMismatch ? rgb(0.8, 0.1, 0.1) : TEXT_COLOR;
+        page.drawText(fitText(cell, font, 9, INDEX_COLUMNS[i].width - 6), { x, y: y + 7, size: 9, font, color });
+        x += INDEX_COLUMNS[i].width;
+      });
+    }
+  });
+};
+
+// Label stamped at the top of every exhibit page, on a white band so it stays
+// readable over the page's own content
+const stampExhibitLabel = (page, fonts, label) => {
+  const { width, height } = page.getSize();
+  const size = 9;
+  const text = fitText(label, fonts.bold, size, width - 48);
+  const textWidth = fonts.bold.widthOfTextAtSize(text, size);
+
+  page.drawRectangle({ x: width - textWidth - 30, y: height - 26, width: textWidth + 12, height: 16, color: rgb(1, 1, 1), opacity: 0.9 });
+  page.drawText(text, { x: width - textWidth - 24, y: height - 21, size, font: fonts.bold, color: TEXT_COLOR });
+};
+
+const addPlaceholderPage = (writer, exhibit, reason) => {
+  writer.newPage();
+  writer.y -= 200;
+  writer.heading(`Exhibit ${exhibit.number}`, 16);
+  writer.text(exhibit.file.file_name, { font: writer.fonts.bold });
+  writer.y -= 12;
+  writer.text(reason, { color: MUTED_COLOR });
+  writer.text('The file can be downloaded from the case page.', { color: MUTED_COLOR });
+  return 1;
+};
+
+const addPdfExhibit = async (doc, buffer) => {
+  const source = await PDFDocument.load(buffer);
+  const pages = await doc.copyPages(source, source.getPageIndices());
+  pages.forEach(page => doc.addPage(page));
+  return pages.length;
+};
+
+// Images are turned upright, flattened onto white and scaled to fit one page
+const addImageExhibit = async (doc, buffer) => {
+  const jpeg = await sharp(buffer)
+    .rotate()
+    .resize(2000, 2000, { fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality: 85 })
+    .toBuffer();
+
+  const image = await doc.embedJpg(jpeg);
+  const scale = Math.min(CONTENT_WIDTH / image.width, (PAGE_HEIGHT - MARGIN * 2 - 24) / image.height, 1);
+  const width = image.width * scale;
+  const height = image.height * scale;
+
+  const page = doc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+  page.drawImage(image, {
+    x: (PAGE_WIDTH - width) / 2,
+    y: PAGE_HEIGHT - MARGIN - 24 - height,
+    width,
+    height
+  });
+  return 1;
+};
+
+const addTextExhibit = async (writer, exhibit, buffer) => {
+  const text = exhibit.file.file_type === 'text/plain'
+    ? buffer.toString('utf8')
+    : await extractText(buffer, exhibit.file.file_type);
+
+  if (!text) return addPlaceholderPage(writer, exhibit, 'This document contains no text.');
+
+  const size = 9;
+  const lineHeight = size * 1.35;
+  const linesPerPage = Math.floor((PAGE_HEIGHT - MARGIN * 2 - 24) / lineHeight);
+  const lines = wrapText(text, writer.fonts.mono, size, CONTENT_WIDTH);
+  const pageCount = Math.min(Math.ceil(lines.length / linesPerPage), MAX_TEXT_PAGES);
+
+  for (let i = 0; i < pageCount; i++) {
+    const page = writer.newPage();
+    let y = PAGE_HEIGHT - MARGIN - 24;
+    for (const line of lines.slice(i * linesPerPage, (i + 1) * linesPerPage)) {
+      page.drawText(line, { x: MARGIN, y: y - size, size, font: writer.fonts.mono, color: TEXT_COLOR });
+      y -= lineHeight;
+    }
+  }
+
+  if (lines.length > pageCount * linesPerPage) {
+    writer.y = MARGIN + 40;
+    writer.text(`[Truncated after ${MAX_TEXT_PAGES} pages]`, { size: 9, color: MUTED_COLOR });
+  }
+
+  return pageCount;
+};
+
+// Add one exhibit's pages. Files that cannot be reproduced get a page saying why.
+const addExhibit = async (doc, writer, exhibit, buffer) => {
+  const { file } = exhibit;
+
+  if (!buffer) return addPlaceholderPage(writer, exhibit, exhibit.skipReason);
+
+  try {
+    if (file.file_type === 'application/pdf') return await addPdfExhibit(doc, buffer);
+    if (IMAGE_TYPES.includes(file.file_type)) return await addImageExhibit(doc, buffer);
+    if (TEXT_TYPES.includes(file.file_type)) return await addTextExhibit(writer, exhibit, buffer);
+  } catch (error) {
+    console.error(`Failed to add file ${file.id} to evidence bundle:`, error);
+    return addPlaceholderPage(writer, exhibit, 'This file could not be converted for the bundle (it may be damaged or password-protected).');
+  }
+
+  return addPlaceholderPage(writer, exhibit, 'Files of this type cannot be reproduced in the bundle.');
+};
+
+const drawTimeline = (writer, timeline) => {
+  writer.newPage('Case Timeline');
+
+  for (const entry of timeline) {
+    writer.ensureSpace(40, 'Case Timeline (continued)');
+    writer.text(describeTimelineEntry(entry), { font: writer.fonts.bold });
+    if (entry.notes && entry.update_type !== 'case_edited') writer.text(entry.notes);
+    writer.text(`${formatDate(entry.created_at)}${entry.updated_by_user ? ` - ${entry.updated_by_user.full_name}` : ''}`, { size: 9, color: MUTED_COLOR });
+    writer.y -= 8;
+  }
+};
+
+// Build the bundle. files are the case's case_files rows, oldest first, and
+// readFile(file) returns the file's bytes as Supabase-style { data, error }.
+// Returns the PDF bytes and the files whose contents were reproduced.
+const buildEvidenceBundle = async ({ case_, files, timeline, readFile, generatedBy = null }) => {
+  const doc = await PDFDocument.create();
+  doc.setTitle(`Evidence bundle - ${case_.case_title}`);
+  doc.setSubject(`Case ${case_.id}`);
+  doc.setCreator('ResolveNOW');
+
+  const fonts = await embedFonts(doc);
+  const writer = new PageWriter(doc, fonts);
+
+  drawCoverSheet(writer, case_, files, generatedBy);
+  const coverPageCount = doc.getPageCount();
+
+  // The index goes after the cover once exhibit page numbers are known; its
+  // length only depends on the number of files
+  const indexPageCount = getIndexPageCount(files.length);
+  const exhibits = [];
+  const included = [];
+  let remainingBytes = getMaxSourceBytes();
+
+  for (const [i, file] of files.entries()) {
+    const exhibit = { number: i + 1, file, startPage: doc.getPageCount() + indexPageCount + 1, hashMismatch: false };
+    exhibits.push(exhibit);
+
+    let buffer = null;
+    if (file.file_size > remainingBytes) {
+      exhibit.skipReason = 'This file is too large to include in the bundle.';
+    } else {
+      const { data, error } = await readFile(file);
+      if (error || !data) {
+        exhibit.skipReason = 'This file could not be read from storage.';
+      } else {
+        buffer = data;
+        remainingBytes -= buffer.length;
+        exhibit.hashMismatch = Boolean(file.content_hash) && hashContent(buffer) !== file.content_hash;
+        included.push(file);
+      }
+    }
+
+    const firstPage = doc.getPageCount();
+    const pageCount = await addExhibit(doc, writer, exhibit, buffer);
+    const label = `Exhibit ${exhibit.number}: ${file.file_name}`;
+    doc.getPages().slice(firstPage, firstPage + pageCount).forEach(page => stampExhibitLabel(page, fonts, label));
+  }
+
+  drawTimeline(writer, timeline);
+
+  const indexPages = Array.from({ length: indexPageCount }, (_, i) => doc.insertPage(coverPageCount + i, [PAGE_WIDTH, PAGE_HEIGHT]));
+  drawIndex(indexPages, fonts, exhibits);
+
+  stampPageNumbers(doc, fonts, `Case #${case_.id.slice(0, 8)} - Evidence bundle`);
+
+  return { pdf: await doc.save(), included };
+};
+
+module.exports = {
+  buildEvidenceBundle
+};
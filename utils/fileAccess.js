@@ -0,0 +1,107 @@
+// Access to evidence files - who may download them, and recording each download
+const { getCaseRole } = require('./caseAccess');
+const { getMediatorClearance } = require('./conflictOfInterest');
+const { getStorage } = require('./storage');
+const { recordFileAccess } = require('./custody');
+
+// Load a file with its case and check the current user may download it: the
+// claimant, the respondent, the assigned mediator once cleared of conflicts,
+// or an admin of the department handling the case.
+// Returns { file, role } or { error: { status, code, error } }.
+const loadFileForDownload = async (req, fileId) => {
+  const { data: file, error } = await req.supabase
+    .from('case_files')
+    .select(`
+      *,
+      case:cases!case_files_case_id_fkey(id, user_id, respondent_id, respondent_email, assigned_mediator_id, assigned_department)
+    `)
+    .eq('id', fileId)
+    .single();
+
+  if (error || !file || !file.case) {
+    return { error: { status: 404, code: 'FILE_NOT_FOUND', error: 'File not found' } };
+  }
+
+  const role = getCaseRole(file.case, req.user);
+
+  const denied = { error: { status: 403, code: 'ACCESS_DENIED', error: 'Access denied' } };
+
+  if (!role) return denied;
+
+  if (role === 'admin' && file.case.assigned_department !== req.user.department) {
+    return denied;
+  }
+
+  if (role === 'mediator') {
+    const clearance = await getMediatorClearance(req.supabase, file.case, req.user.id);
+    if (!clearance.cleared) {
+      return { error: { status: clearance.status, code: clearance.code, error: clearance.error } };
+    }
+  }
+
+  return { file, role };
+};
+
+// Record a download. Best-effort like the case history: a failure is logged
+// but never blocks the download itself.
+const recordDownload = async (req, file, role, method) => {
+  try {
+    const { error } = await req.supabase
+      .from('file_downloads')
+      .insert({
+        file_id: file.id,
+        case_id: file.case_id,
+        downloaded_by: req.user.id,
+        downloader_role: role,
+        method,
+        ip_address: req.ip,
+        user_agent: req.get('user-agent') || null
+      });
+
+    if (error) {
+      console.error(`Failed to record download of file ${file.id}:`, error);
+    }
+  } catch (error) {
+    console.error(`Failed to record download of file ${file.id}:`, error);
+  }
+};
+
+// Send the file's bytes and record the download. With inline the browser shows
+// the file instead of saving it, which goes in the custody log as a view.
+const streamFile = async (req, res, file, role, method, { inline = false } = {}) => {
+  const { data: buffer, error } = await getStorage(req.supabase).download(file.file_path);
+
+  if (error || !buffer) {
+    console.error('Storage download error:', error);
+    return res.status(404).json({
+      error: 'File content not found in storage',
+      code: 'STORAGE_DOWNLOAD_ERROR'
+    });
+  }
+
+  await recordDownload(req, file, role, method);
+  await recordFileAccess(req.supabase, file.id, inline ? 'viewed' : 'downloaded');
+
+  res.set({
+    'Content-Type': file.file_type || 'application/octet-stream',
+    'Content-Length': buffer.length,
+    'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename="${encodeURIComponent(file.file_name)}"; filename*=UTF-8''${encodeURIComponent(file.file_name)}`,
+    'Cache-Control': 'private, no-store'
+  });
+  res.send(buffer);
+};
+
+// Record the files copied into an evidence bundle as downloaded, one by one so
+// their custody entries chain in order
+const recordBundleDownload = async (req, files, role) => {
+  for (const file of files) {
+    await recordDownload(req, file, role, 'bundle');
+    await recordFileAccess(req.supabase, file.id, 'downloaded');
+  }
+};
+
+module.exports = {
+  loadFileForDownload,
+  streamFile,
+  recordBundleDownload
+};
@@ -0,0 +1,87 @@
+// File type detection from content ("magic bytes") rather than the
+// client-supplied MIME type, for the evidence types we accept
+const path = require('path');
+
+const SIGNATURES = [
+  { type: 'image/jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { type: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2D] }, // %PDF-
+  { type: 'application/msword', bytes: [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1] }, // OLE2 compound file
+  { type: 'application/zip', bytes: [0x50, 0x4B, 0x03, 0x04] }
+];
+
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// Client MIME types that name the same format
+const MIME_ALIASES = {
+  'image/jpg': 'image/jpeg'
+};
+
+const EXTENSIONS = {
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/png': ['.png'],
+  'application/pdf': ['.pdf'],
+  'application/msword': ['.doc'],
+  [DOCX_TYPE]: ['.docx'],
+  'text/plain': ['.txt']
+};
+
+const startsWith = (buffer, bytes) =>
+  buffer.length >= bytes.length && bytes.every((byte, i) => buffer[i] === byte);
+
+// Plain text: no NUL bytes and valid UTF-8 in the sample we look at
+const looksLikeText = (buffer) => {
+  const sample = buffer.subarray(0, 8192);
+  if (sample.includes(0x00)) return false;
+
+  try {
+    // Trim a multi-byte character cut off at the end of the sample
+    const end = sample.length === buffer.length ? sample.length : Math.max(0, sample.length - 3);
+    new TextDecoder('utf-8', { fatal: true }).decode(sample.subarray(0, end));
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// The MIME type the content actually is, or null if it is none of the accepted types
+const detectFileType = (buffer) => {
+  const match = SIGNATURES.find(signature => startsWith(buffer, signature.bytes));
+
+  if (match) {
+    // DOCX is a ZIP package containing a word/ part; any other ZIP is not accepted
+    if (match.type === 'application/zip') {
+      return buffer.includes('word/document.xml') ? DOCX_TYPE : null;
+    }
+    return match.type;
+  }
+
+  return looksLikeText(buffer) ? 'text/plain' : null;
+};
+
+// Check the content matches both the MIME type the client claimed and the
+// file name's extension. Returns null when it does, otherwise { status, code, error }.
+const verifyFileSignature = (buffer, claimedType, fileName) => {
+  const claimed = MIME_ALIASES[claimedType] || claimedType;
+  const detected = detectFileType(buffer);
+  const invalid = (error) => ({ status: 400, code: 'INVALID_FILE_TYPE', error });
+
+  if (!detected) {
+    return invalid('File contents are not a JPG, PNG, PDF, DOC, DOCX or TXT file');
+  }
+
+  if (detected !== claimed) {
+    return invalid(`File contents are ${detected}, not ${claimed} as its type claims`);
+  }
+
+  if (!EXTENSIONS[detected].includes(path.extname(fileName || '').toLowerCase())) {
+    return invalid(`File name ${fileName} does not have an extension for ${detected}`);
+  }
+
+  return null;
+};
+
+module.exports = {
+  detectFileType,
+  verifyFileSignature
+};
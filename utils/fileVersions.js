@@ -0,0 +1,36 @@
+// Evidence versions. Replacing a file adds a new case_files row pointing back at
+// the one it replaces (previous_version_id); the database then sets the old
+// row's superseded_by and bumps the version number.
+
+// Group a case's files into their current versions, each carrying its earlier
+// versions newest first
+const groupFileVersions = (files) => {
+  const byId = new Map((files || []).map(file => [file.id, file]));
+
+  return (files || [])
+    .filter(file => !file.superseded_by)
+    .map(current => {
+      const previousVersions = [];
+      let file = current;
+
+      while (file.previous_version_id && byId.has(file.previous_version_id)) {
+        file = byId.get(file.previous_version_id);
+        previousVersions.push(file);
+      }
+
+      return { ...current, previous_versions: previousVersions };
+    });
+};
+
+// Turn the error from inserting a replacement into { status, code, error }
+const toVersionError = (error) => {
+  if (error && error.message && error.message.includes('FILE_SUPERSEDED')) {
+    return { status: 409, code: 'FILE_SUPERSEDED', error: 'This file has already been replaced by a newer version' };
+  }
+  return { status: 400, code: 'RECORD_ERROR', error: 'Failed to record file upload' };
+};
+
+module.exports = {
+  groupFileVersions,
+  toVersionError
+};
@@ -0,0 +1,51 @@
+const jwt = require('jsonwebtoken');
+
+// Signed invitation links let a respondent join a case by email address.
+// The token only identifies the case and invited email; the database function
+// accept_case_invitation re-checks the email against the signed-in user.
+const INVITATION_PURPOSE = 'case_invitation';
+
+const getInvitationSecret = () => {
+  const secret = process.env.INVITATION_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('Missing INVITATION_SECRET or JWT_SECRET environment variable');
+  }
+  return secret;
+};
+
+// Create a signed invitation token for the respondent of a case
+const createInvitationToken = (case_) => {
+  return jwt.sign(
+    {
+      purpose: INVITATION_PURPOSE,
+      caseId: case_.id,
+      email: case_.respondent_email.toLowerCase()
+    },
+    getInvitationSecret(),
+    { expiresIn: process.env.INVITATION_EXPIRY || '14d' }
+  );
+};
+
+// Verify an invitation token and return its payload (throws on invalid/expired tokens)
+const verifyInvitationToken = (token) => {
+  const payload = jwt.verify(token, getInvitationSecret());
+
+  if (payload.purpose !== INVITATION_PURPOSE || !payload.caseId || !payload.email) {
+    const error = new Error('Invalid invitation token');
+    error.name = 'JsonWebTokenError';
+    throw error;
+  }
+
+  return payload;
+};
+
+// Build the link sent in the invitation email
+const buildInvitationUrl = (token) => {
+  return `${process.env.FRONTEND_URL}/pages/login.html?invite=${encodeURIComponent(token)}`;
+};
+
+module.exports = {
+  createInvitationToken,
+  verifyInvitationToken,
+  buildInvitationUrl
+};
@@ -0,0 +1,157 @@
+// Malware scanning for uploaded evidence. The scanner is chosen with MALWARE_SCANNER:
+//   none           - accepts every file; the default outside production
+//   clamav         - the default in production: a ClamAV daemon (clamd) over TCP (CLAMAV_HOST/CLAMAV_PORT) or a
+//                    Unix socket (CLAMAV_SOCKET)
+//   test           - flags only the EICAR test file, for exercising the quarantine path
+// Every scanner has scan(source) returning Supabase-style { data, error }, where
+// data is { clean, signature } and signature names what was found. The source is
+// a Buffer or, for files uploaded in parts, an async iterable of Buffers.
+const net = require('net');
+
+// Standard anti-virus test file (https://www.eicar.org)
+const EICAR_SIGNATURE = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+const toChunks = (source) => Buffer.isBuffer(source) ? [source] : source;
+
+const createNoopScanner = () => ({
+  name: 'none',
+  scan: async () => ({ data: { clean: true, signature: null }, error: null })
+});
+
+const createTestScanner = () => ({
+  name: 'test',
+  scan: async (source) => {
+    try {
+      // Carry the end of each chunk over so a signature split across parts is still found
+      let tail = Buffer.alloc(0);
+      for await (const chunk of toChunks(source)) {
+        const window = Buffer.concat([tail, chunk]);
+        if (window.includes(EICAR_SIGNATURE)) {
+          return { data: { clean: false, signature: 'Eicar-Test-Signature' }, error: null };
+        }
+        tail = window.subarray(Math.max(0, window.length - EICAR_SIGNATURE.length));
+      }
+      return { data: { clean: true, signature: null }, error: null };
+    } catch (error) {
+      return { data: null, error };
+    }
+  }
+});
+
+// clamd's INSTREAM command: the file goes as length-prefixed chunks ended by a
+// zero-length chunk, and the reply is "stream: OK" or "stream: <name> FOUND"
+const CHUNK_SIZE = 64 * 1024;
+
+const createClamAvScanner = ({ host, port, socketPath, timeout }) => ({
+  name: 'clamav',
+  scan: (source) => new Promise((resolve) => {
+    const socket = socketPath ? net.createConnection(socketPath) : net.createConnection(port, host);
+    const reply = [];
+    let settled = false;
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      resolve(result);
+    };
+
+    socket.setTimeout(timeout, () => finish({ data: null, error: new Error('ClamAV scan timed out') }));
+    socket.on('error', (error) => finish({ data: null, error }));
+    socket.on('data', (chunk) => reply.push(chunk));
+    socket.on('end', () => {
+      const response = Buffer.concat(reply).toString('utf8').replace(/\0/g, '').trim();
+      const found = response.match(/^stream: (.+) FOUND$/);
+
+      if (response === 'stream: OK') {
+        finish({ data: { clean: true, signature: null }, error: null });
+      } else if (found) {
+        finish({ data: { clean: false, signature: found[1] }, error: null });
+      } else {
+        finish({ data: null, error: new Error(`Unexpected ClamAV response: ${response}`) });
+      }
+    });
+
+    // Wait for the socket to drain between writes so a large file is never queued in memory
+    const write = (data) => new Promise((resolveWrite) => {
+      if (socket.write(data)) resolveWrite();
+      else socket.once('drain', resolveWrite);
+    });
+
+    socket.on('connect', async () => {
+      try {
+        await write('zINSTREAM\0');
+        for await (const buffer of toChunks(source)) {
+          if (settled) return;
+          for (let offset = 0; offset < buffer.length && !settled; offset += CHUNK_SIZE) {
+            const chunk = buffer.subarray(offset, offset + CHUNK_SIZE);
+            const length = Buffer.alloc(4);
+            length.writeUInt32BE(chunk.length);
+            await write(length);
+            await write(chunk);
+          }
+        }
+        socket.end(Buffer.alloc(4));
+      } catch (error) {
+        finish({ data: null, error });
+      }
+    });
+  })
+});
+
+// Unset, production fails closed: uploads wait for a ClamAV daemon rather than go unscanned
+const getScannerBackend = () =>
+  (process.env.MALWARE_SCANNER || (process.env.NODE_ENV === 'production' ? 'clamav' : 'none')).toLowerCase();
+
+const getScanner = () => {
+  const backend = getScannerBackend();
+
+  if (backend === 'none') return createNoopScanner();
+  if (backend === 'test') return createTestScanner();
+
+  if (backend === 'clamav') {
+    return createClamAvScanner({
+      host: process.env.CLAMAV_HOST || '127.0.0.1',
+      port: parseInt(process.env.CLAMAV_PORT) || 3310,
+      socketPath: process.env.CLAMAV_SOCKET || null,
+      timeout: parseInt(process.env.CLAMAV_TIMEOUT_MS) || 30000
+    });
+  }
+
+  throw new Error(`Unknown MALWARE_SCANNER: ${backend}`);
+};
+
+// A warning to log at startup when production is configured to accept files unscanned, or null
+const getScannerWarning = () => {
+  if (process.env.NODE_ENV === 'production' && getScannerBackend() === 'none') {
+    return 'MALWARE_SCANNER is none: uploaded files are NOT being scanned for malware';
+  }
+  return null;
+};
+
+// Scan a file before it is stored. Returns { clean: true }, { clean: false, signature }
+// or { error: { status, code, error } } when the scanner could not give an answer -
+// in which case the upload is refused rather than let through unscanned.
+const scanFile = async (source, fileName) => {
+  const scanner = getScanner();
+  const { data, error } = await scanner.scan(source);
+
+  if (error || !data) {
+    console.error(`Malware scan of ${fileName} failed (${scanner.name}):`, error);
+    return {
+      error: {
+        status: 503,
+        code: 'SCAN_UNAVAILABLE',
+        error: 'Files cannot be checked for malware right now. Please try again later.'
+      }
+    };
+  }
+
+  return data;
+};
+
+module.exports = {
+  getScanner,
+  getScannerWarning,
+  scanFile
+};
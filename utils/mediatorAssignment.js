@@ -0,0 +1,172 @@
+// Mediator assignment - picks the best available mediator for a case
+const { OPEN_STATUSES } = require('./caseStatus');
+const { recordCaseUpdate } = require('./caseHistory');
+const { findConflicts, describeConflicts } = require('./conflictOfInterest');
+
+// Map mediator department to the case types it handles
+const departmentToCaseTypes = {
+  'Consumer Affairs': ['consumer'],
+  'Employment': ['employment'],
+  'Legal': ['contract'],
+  'Property': ['property'],
+  'Family': ['family'],
+  'General': ['other']
+};
+
+const SPECIALISATION_WEIGHT = 4;
+const DEPARTMENT_WEIGHT = 3;
+const LOAD_WEIGHT = 1;
+
+const getMaxOpenCases = () => parseInt(process.env.MEDIATOR_MAX_OPEN_CASES) || 15;
+
+// Count open cases currently assigned to each mediator
+const getOpenCaseLoads = async (supabase, mediators) => {
+  const { data: openCases, error } = await supabase
+    .from('cases')
+    .select('assigned_mediator_id')
+    .in('assigned_mediator_id', mediators.map(m => m.id))
+    .in('status', OPEN_STATUSES);
+
+  if (error) {
+    throw new Error(`Failed to count open cases: ${error.message}`);
+  }
+
+  return (openCases || []).reduce((loads, c) => {
+    loads[c.assigned_mediator_id] = (loads[c.assigned_mediator_id] || 0) + 1;
+    return loads;
+  }, {});
+};
+
+const scoreMediator = (mediator, case_, openCases) => {
+  const specialises = (mediator.specializations || []).includes(case_.case_type);
+  const inDepartment = (departmentToCaseTypes[mediator.department] || []).includes(case_.case_type);
+
+  return {
+    mediator,
+    specialises,
+    inDepartment,
+    openCases,
+    score: (specialises ? SPECIALISATION_WEIGHT : 0) +
+      (inDepartment ? DEPARTMENT_WEIGHT : 0) -
+      openCases * LOAD_WEIGHT
+  };
+};
+
+const describeCandidate = (candidate) => {
+  const reasons = [];
+  if (candidate.specialises) reasons.push(`specialises in ${candidate.mediator.specializations.join(', ')}`);
+  if (candidate.inDepartment) reasons.push(`works in the ${candidate.mediator.department} department`);
+  reasons.push(`${candidate.openCases} open case${candidate.openCases === 1 ? '' : 's'}`);
+  return reasons.join('; ');
+};
+
+// Rank the active mediators for a case.
+// Returns { mediator, reasoning } - mediator is null when nobody is eligible.
+const selectMediator = async (supabase, case_) => {
+  const { data: mediators, error } = await supabase
+    .from('users')
+    .select('id, full_name, email, department, specializations, is_active')
+    .eq('user_type', 'mediator')
+    .eq('is_active', true);
+
+  if (error) {
+    throw new Error(`Failed to load mediators: ${error.message}`);
+  }
+
+  if (!mediators || mediators.length === 0) {
+    return { mediator: null, reasoning: 'No active mediators are available' };
+  }
+
+  const [conflicts, loads] = await Promise.all([
+    findConflicts(supabase, mediators.map(m => m.id), case_),
+    getOpenCaseLoads(supabase, mediators)
+  ]);
+
+  const maxOpenCases = getMaxOpenCases();
+  const excluded = [];
+  const candidates = [];
+
+  mediators.forEach(mediator => {
+    const openCases = loads[mediator.id] || 0;
+
+    if (conflicts[mediator.id]) {
+      excluded.push(`${mediator.full_name} ${describeConflicts(conflicts[mediator.id])}`);
+    } else if (openCases >= maxOpenCases) {
+      excluded.push(`${mediator.full_name} is at capacity (${openCases} open cases)`);
+    } else {
+      candidates.push(scoreMediator(mediator, case_, openCases));
+    }
+  });
+
+  if (candidates.length === 0) {
+    return {
+      mediator: null,
+      reasoning: `No eligible mediator: ${excluded.join('; ')}`
+    };
+  }
+
+  // Highest score wins; ties go to the mediator with the lighter load
+  candidates.sort((a, b) => b.score - a.score || a.openCases - b.openCases);
+  const [chosen] = candidates;
+
+  const reasoning = [
+    `Selected ${chosen.mediator.full_name} (${describeCandidate(chosen)}) from ${candidates.length} eligible mediator${candidates.length === 1 ? '' : 's'}`,
+    ...(excluded.length > 0 ? [`Excluded: ${excluded.join('; ')}`] : [])
+  ].join('. ');
+
+  return { mediator: chosen.mediator, reasoning };
+};
+
+// Assign a mediator to a case and record who made the choice and why
+const setCaseMediator = async (supabase, case_, mediator, { actorId, reasoning }) => {
+  const { data: updatedCase, error } = await supabase
+    .from('cases')
+    .update({
+      assigned_mediator_id: mediator.id,
+      last_updated: new Date().toISOString()
+    })
+    .eq('id', case_.id)
+    .select()
+    .single();
+
+  if (error || !updatedCase) {
+    throw new Error('Failed to assign mediator');
+  }
+
+  await recordCaseUpdate(supabase, {
+    caseId: case_.id,
+    updatedBy: actorId,
+    updateType: 'mediator_assigned',
+    oldValue: case_.assigned_mediator_id,
+    newValue: mediator.full_name,
+    notes: reasoning
+  });
+
+  return updatedCase;
+};
+
+// Pick a mediator for the case, assign them and record the decision in the case history.
+// Returns { mediator, reasoning, case } - mediator is null when nobody could be assigned.
+const assignMediator = async (supabase, case_, { actorId }) => {
+  const { mediator, reasoning } = await selectMediator(supabase, case_);
+
+  if (!mediator) {
+    await recordCaseUpdate(supabase, {
+      caseId: case_.id,
+      updatedBy: actorId,
+      updateType: 'mediator_assignment_failed',
+      notes: reasoning
+    });
+    return { mediator: null, reasoning, case: case_ };
+  }
+
+  const updatedCase = await setCaseMediator(supabase, case_, mediator, { actorId, reasoning });
+
+  return { mediator, reasoning, case: updatedCase };
+};
+
+module.exports = {
+  selectMediator,
+  assignMediator,
+  setCaseMediator
+};
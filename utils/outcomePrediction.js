@@ -0,0 +1,383 @@
+// Outcome prediction for open cases, learned from resolved ones. Two small models
+// share one set of features:
+//   category   - softmax regression over how resolved cases ended: paid in full
+//                (at least 90% of the claim), paid in part, or nothing paid
+//   settlement - linear regression on the settlement as a share of the claim; the
+//                range around its estimate comes from the 10th and 90th percentile
+//                errors on the training cases, so about 8 in 10 land inside it
+// Both train locally with gradient descent (npm run train:outcomes) and are saved
+// as JSON at OUTCOME_MODEL_PATH; predictions are made in process from that file.
+// Each prediction lists the factors that pushed it towards its category most.
+const fs = require('fs');
+const path = require('path');
+const { tokenize } = require('./similarCases');
+
+const CATEGORIES = ['full_payment', 'partial_payment', 'no_payment'];
+
+// A settlement this close to the claim counts as paid in full
+const FULL_PAYMENT_SHARE = 0.9;
+// Settlements above the claim (interest, costs) are capped at this share
+const MAX_SHARE = 1.5;
+
+const MIN_TRAINING_CASES = 10;
+const VOCABULARY_SIZE = 40;
+const ITERATIONS = 1500;
+const LEARNING_RATE = 0.5;
+const L2 = 0.001;
+
+const MODEL_VERSION = 1;
+
+const getModelPath = () => process.env.OUTCOME_MODEL_PATH ||
+  path.join(__dirname, '..', 'models', 'outcome-model.json');
+
+const toAmount = (value) => {
+  const amount = parseFloat(value);
+  return amount > 0 ? amount : null;
+};
+
+// How a resolved case ended, or null when that cannot be told (money was paid
+// but the claim had no amount to compare it with)
+const categorize = (case_) => {
+  const settlement = toAmount(case_.settlement_amount);
+  const claimed = toAmount(case_.amount_involved);
+
+  if (!settlement) return 'no_payment';
+  if (!claimed) return null;
+  return settlement >= claimed * FULL_PAYMENT_SHARE ? 'full_payment' : 'partial_payment';
+};
+
+const settlementShare = (case_) => {
+  const claimed = toAmount(case_.amount_involved);
+  if (!claimed) return null;
+  return Math.min((toAmount(case_.settlement_amount) || 0) / claimed, MAX_SHARE);
+};
+
+const logAmount = (case_) => Math.log10(toAmount(case_.amount_involved) || 1);
+
+// The words of the title and description, each counted once
+const caseTerms = (case_) => new Set(tokenize(`${case_.case_title || ''} ${case_.description || ''}`));
+
+// Feature names and how to read them off a case. Terms are the most common
+// words among the training cases, kept with the word they usually appear as.
+const buildFeatureSpace = (cases) => {
+  const values = (field) => [...new Set(cases.map(c => (c[field] || 'none').toLowerCase()))].sort();
+
+  const documentFrequency = new Map();
+  const wordForms = new Map();
+  for (const case_ of cases) {
+    for (const term of caseTerms(case_)) documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    for (const word of `${case_.case_title || ''} ${case_.description || ''}`.toLowerCase().split(/[^a-z0-9]+/)) {
+      const [term] = tokenize(word);
+      if (term && !wordForms.has(term)) wordForms.set(term, word);
+    }
+  }
+
+  const vocabulary = [...documentFrequency]
+    .filter(([, frequency]) => frequency >= 2 && frequency < cases.length)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, VOCABULARY_SIZE)
+    .map(([term]) => ({ term, word: wordForms.get(term) || term }));
+
+  const amounts = cases.filter(c => toAmount(c.amount_involved)).map(logAmount);
+  const mean = amounts.length ? amounts.reduce((sum, x) => sum + x, 0) / amounts.length : 0;
+  const variance = amounts.length ? amounts.reduce((sum, x) => sum + (x - mean) ** 2, 0) / amounts.length : 0;
+
+  return {
+    features: [
+      'bias',
+      ...values('case_type').map(value => `type:${value}`),
+      ...values('respondent_response').map(value => `response:${value}`),
+      ...values('urgency_level').map(value => `urgency:${value}`),
+      'amount',
+      'no_amount',
+      'counter_claim',
+      ...vocabulary.map(({ term }) => `term:${term}`)
+    ],
+    vocabulary,
+    amount: { mean, std: Math.sqrt(variance) || 1 }
+  };
+};
+
+// A case as sparse [featureIndex, value] pairs
+const featurize = (space, case_) => {
+  const index = new Map(space.features.map((name, i) => [name, i]));
+  const active = [['bias', 1]];
+
+  active.push([`type:${(case_.case_type || 'none').toLowerCase()}`, 1]);
+  active.push([`response:${(case_.respondent_response || 'none').toLowerCase()}`, 1]);
+  active.push([`urgency:${(case_.urgency_level || 'none').toLowerCase()}`, 1]);
+
+  if (toAmount(case_.amount_involved)) {
+    active.push(['amount', (logAmount(case_) - space.amount.mean) / space.amount.std]);
+  } else {
+    active.push(['no_amount', 1]);
+  }
+
+  if (toAmount(case_.counter_claim_amount)) active.push(['counter_claim', 1]);
+
+  const terms = caseTerms(case_);
+  for (const { term } of space.vocabulary) {
+    if (terms.has(term)) active.push([`term:${term}`, 1]);
+  }
+
+  // Values never seen in training (a new case type) have no weight to apply
+  return active.filter(([name]) => index.has(name)).map(([name, value]) => [index.get(name), value]);
+};
+
+const dot = (weights, x) => x.reduce((sum, [i, value]) => sum + weights[i] * value, 0);
+
+const softmax = (scores) => {
+  const max = Math.max(...scores);
+  const exps = scores.map(score => Math.exp(score - max));
+  const total = exps.reduce((sum, x) => sum + x, 0);
+  return exps.map(x => x / total);
+};
+
+// Full-batch gradient descent with L2 on everything but the bias.
+// gradientFor(x, y) returns the error for each output.
+const descend = (rows, outputs, featureCount, gradientFor) => {
+  const weights = Array.from({ length: outputs }, () => new Array(featureCount).fill(0));
+
+  for (let iteration = 0; iteration < ITERATIONS; iteration++) {
+    const gradient = Array.from({ length: outputs }, () => new Array(featureCount).fill(0));
+
+    for (const { x, y } of rows) {
+      const errors = gradientFor(weights, x, y);
+      for (let k = 0; k < outputs; k++) {
+        for (const [i, value] of x) gradient[k][i] += errors[k] * value;
+      }
+    }
+
+    for (let k = 0; k < outputs; k++) {
+      for (let i = 0; i < featureCount; i++) {
+        const penalty = i === 0 ? 0 : L2 * weights[k][i];
+        weights[k][i] -= LEARNING_RATE * (gradient[k][i] / rows.length + penalty);
+      }
+    }
+  }
+
+  return weights;
+};
+
+const quantile = (sorted, q) => {
+  if (sorted.length === 0) return 0;
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+const fit = (cases) => {
+  const space = buildFeatureSpace(cases);
+  const featureCount = space.features.length;
+
+  const categoryRows = cases
+    .map(case_ => ({ x: featurize(space, case_), y: CATEGORIES.indexOf(categorize(case_)) }))
+    .filter(row => row.y !== -1);
+
+  const categoryWeights = descend(categoryRows, CATEGORIES.length, featureCount, (weights, x, y) =>
+    softmax(weights.map(w => dot(w, x))).map((p, k) => p - (k === y ? 1 : 0)));
+
+  const shareRows = cases
+    .filter(case_ => settlementShare(case_) !== null)
+    .map(case_ => ({ x: featurize(space, case_), y: settlementShare(case_) }));
+
+  const [shareWeights] = shareRows.length > 0
+    ? descend(shareRows, 1, featureCount, ([w], x, y) => [dot(w, x) - y])
+    : [new Array(featureCount).fill(0)];
+
+  const residuals = shareRows.map(({ x, y }) => y - dot(shareWeights, x)).sort((a, b) => a - b);
+
+  return {
+    version: MODEL_VERSION,
+    categories: CATEGORIES,
+    features: space.features,
+    vocabulary: space.vocabulary,
+    amount: space.amount,
+    category_weights: categoryWeights,
+    settlement: {
+      weights: shareWeights,
+      error_low: quantile(residuals, 0.1),
+      error_high: quantile(residuals, 0.9),
+      training_cases: shareRows.length
+    }
+  };
+};
+
+const predictWith = (model, case_) => {
+  const x = featurize(model, case_);
+  const scores = model.category_weights.map(w => dot(w, x));
+  const probabilities = softmax(scores);
+  const best = probabilities.indexOf(Math.max(...probabilities));
+
+  const claimed = toAmount(case_.amount_involved);
+  let settlementRange = null;
+
+  if (claimed && model.settlement.training_cases > 0) {
+    const clamp = (share) => Math.min(Math.max(share, 0), MAX_SHARE);
+    const share = dot(model.settlement.weights, x);
+    const toMoney = (value) => Math.round(clamp(value) * claimed * 100) / 100;
+
+    settlementRange = {
+      low: toMoney(share + model.settlement.error_low),
+      expected: toMoney(share),
+      high: toMoney(share + model.settlement.error_high)
+    };
+  }
+
+  return { category: model.categories[best], probabilities, x, settlementRange };
+};
+
+// Hold out the most recently resolved fifth of the cases, train on the rest and
+// see how the predictions compare with what happened
+const evaluate = (cases) => {
+  const sorted = [...cases].sort((a, b) => new Date(a.resolved_at || 0) - new Date(b.resolved_at || 0));
+  const split = Math.floor(sorted.length * 0.8);
+  const model = fit(sorted.slice(0, split));
+  const holdout = sorted.slice(split).filter(case_ => categorize(case_) !== null);
+  if (holdout.length === 0) return null;
+
+  let correct = 0;
+  let inRange = 0;
+  let ranged = 0;
+
+  for (const case_ of holdout) {
+    const { category, settlementRange } = predictWith(model, case_);
+    if (category === categorize(case_)) correct++;
+    if (settlementRange) {
+      const actual = toAmount(case_.settlement_amount) || 0;
+      ranged++;
+      if (actual >= settlementRange.low && actual <= settlementRange.high) inRange++;
+    }
+  }
+
+  return {
+    holdout_cases: holdout.length,
+    category_accuracy: Math.round((correct / holdout.length) * 1000) / 1000,
+    settlement_in_range: ranged > 0 ? Math.round((inRange / ranged) * 1000) / 1000 : null
+  };
+};
+
+// Train on resolved cases (as exported by GET /api/admin/outcome-model/training-data).
+// Returns { model } or { error }.
+const trainOutcomeModel = (cases) => {
+  const usable = (cases || []).filter(case_ => case_.status === undefined || case_.status === 'Resolved');
+  const labelled = usable.filter(case_ => categorize(case_) !== null);
+
+  if (labelled.length < MIN_TRAINING_CASES) {
+    return { error: `At least ${MIN_TRAINING_CASES} resolved cases are needed to train, found ${labelled.length}` };
+  }
+
+  return {
+    model: {
+      ...fit(usable),
+      trained_at: new Date().toISOString(),
+      training_cases: labelled.length,
+      category_counts: Object.fromEntries(CATEGORIES.map(category =>
+        [category, labelled.filter(case_ => categorize(case_) === category).length])),
+      evaluation: labelled.length >= 25 ? evaluate(usable) : null
+    }
+  };
+};
+
+const RESPONSE_LABELS = {
+  accept_liability: 'Respondent accepted liability',
+  dispute: 'Respondent disputes the claim',
+  counter_claim: 'Respondent made a counter-claim',
+  none: 'Respondent has not responded'
+};
+
+const describeFeature = (model, name, value) => {
+  const [kind, detail] = name.split(/:(.*)/);
+  if (kind === 'type') return `Case type: ${detail}`;
+  if (kind === 'response') return RESPONSE_LABELS[detail] || `Respondent response: ${detail}`;
+  if (kind === 'urgency') return `Urgency: ${detail}`;
+  if (kind === 'amount') return value >= 0 ? 'Amount claimed is above the usual' : 'Amount claimed is below the usual';
+  if (kind === 'no_amount') return 'No amount claimed';
+  if (kind === 'counter_claim') return 'Counter-claim amount stated';
+  const entry = model.vocabulary.find(({ term }) => term === detail);
+  return `Mentions "${entry ? entry.word : detail}"`;
+};
+
+// The features that moved the predicted category furthest from the others,
+// largest first
+const explain = (model, x, categoryIndex) => x
+  .filter(([i]) => model.features[i] !== 'bias')
+  .map(([i, value]) => {
+    const weights = model.category_weights.map(w => w[i]);
+    const average = weights.reduce((sum, w) => sum + w, 0) / weights.length;
+    return { i, value, effect: (weights[categoryIndex] - average) * value };
+  })
+  .filter(({ effect }) => Math.abs(effect) >= 0.05)
+  .sort((a, b) => Math.abs(b.effect) - Math.abs(a.effect))
+  .slice(0, 5)
+  .map(({ i, value, effect }) => ({
+    factor: describeFeature(model, model.features[i], value),
+    direction: effect > 0 ? 'towards' : 'against',
+    weight: Math.round(effect * 100) / 100
+  }));
+
+// The model file is read once and again whenever it changes, so a retrain
+// takes effect without restarting the server
+let loaded = null;
+
+const loadModel = () => {
+  const modelPath = getModelPath();
+  let modifiedAt;
+
+  try {
+    modifiedAt = fs.statSync(modelPath).mtimeMs;
+  } catch (error) {
+    return null;
+  }
+
+  if (!loaded || loaded.path !== modelPath || loaded.modifiedAt !== modifiedAt) {
+    const model = JSON.parse(fs.readFileSync(modelPath, 'utf8'));
+    if (model.version !== MODEL_VERSION) {
+      throw new Error(`Outcome model at ${modelPath} is version ${model.version}, expected ${MODEL_VERSION}; retrain it`);
+    }
+    loaded = { path: modelPath, modifiedAt, model };
+  }
+
+  return loaded.model;
+};
+
+// The likely outcome of a case and the settlement range to expect.
+// Returns { prediction } or { error: { status, code, error } }.
+const predictOutcome = (case_) => {
+  let model;
+
+  try {
+    model = loadModel();
+  } catch (error) {
+    console.error('Failed to load outcome model:', error);
+    return { error: { status: 500, code: 'MODEL_ERROR', error: 'The outcome model could not be loaded' } };
+  }
+
+  if (!model) {
+    return { error: { status: 503, code: 'MODEL_NOT_TRAINED', error: 'No outcome model has been trained yet' } };
+  }
+
+  const { category, probabilities, x, settlementRange } = predictWith(model, case_);
+
+  return {
+    prediction: {
+      category,
+      probabilities: Object.fromEntries(model.categories.map((name, k) => [name, Math.round(probabilities[k] * 1000) / 1000])),
+      settlement_range: settlementRange,
+      factors: explain(model, x, model.categories.indexOf(category)),
+      model: {
+        trained_at: model.trained_at,
+        training_cases: model.training_cases,
+        evaluation: model.evaluation
+      }
+    }
+  };
+};
+
+module.exports = {
+  CATEGORIES,
+  getModelPath,
+  trainOutcomeModel,
+  predictOutcome
+};
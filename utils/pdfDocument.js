@@ -0,0 +1,28 @@
+// Server-side pdf.js, shared by evidence previews and text extraction
+const path = require('path');
+
+// Loaded on first use; most uploads never need it. pdf.js looks for these
+// browser globals when it loads, so they come from @napi-rs/canvas first.
+const loadPdfjs = () => {
+  const { DOMMatrix, Path2D, ImageData } = require('@napi-rs/canvas');
+  global.DOMMatrix = global.DOMMatrix || DOMMatrix;
+  global.Path2D = global.Path2D || Path2D;
+  global.ImageData = global.ImageData || ImageData;
+
+  return require('pdfjs-dist/legacy/build/pdf.js');
+};
+
+// Open a PDF from its bytes. The caller must destroy() the document when done.
+const openPdf = (buffer, options = {}) => loadPdfjs().getDocument({
+  data: new Uint8Array(buffer),
+  isEvalSupported: false,
+  disableFontFace: true,
+  // Metrics for the 14 standard PDF fonts, which documents use without embedding
+  standardFontDataUrl: path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep,
+  verbosity: 0,
+  ...options
+}).promise;
+
+module.exports = {
+  openPdf
+};
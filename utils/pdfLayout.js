@@ -0,0 +1,163 @@
+// Page layout for the PDFs the server generates (evidence bundles, settlement
+// agreements), using pdf-lib and the standard PDF fonts
+const { StandardFonts, rgb } = require('pdf-lib');
+
+// A4 in points
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 56;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+const TEXT_COLOR = rgb(0.12, 0.16, 0.23);
+const MUTED_COLOR = rgb(0.42, 0.45, 0.5);
+const RULE_COLOR = rgb(0.85, 0.87, 0.9);
+
+// The standard PDF fonts only cover Windows-1252; anything else is shown as '?'
+const WIN_ANSI_EXTRAS = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+
+const toWinAnsi = (text) => String(text === undefined || text === null ? '' : text)
+  .replace(/\t/g, '    ')
+  .replace(/[^\x20-\x7e\xa0-\xff\n]/g, (char) => (WIN_ANSI_EXTRAS.includes(char) ? char : '?'));
+
+const formatDate = (value) => value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '—';
+
+const formatCurrency = (amount) => amount === null || amount === undefined
+  ? '—'
+  : new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount);
+
+// Shorten text with an ellipsis until it fits in maxWidth
+const fitText = (text, font, size, maxWidth) => {
+  let fitted = toWinAnsi(text).replace(/\n/g, ' ');
+  if (font.widthOfTextAtSize(fitted, size) <= maxWidth) return fitted;
+
+  while (fitted.length > 0 && font.widthOfTextAtSize(`${fitted}…`, size) > maxWidth) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted}…`;
+};
+
+// Break text into lines no wider than maxWidth, splitting words only when one
+// word is wider than a whole line
+const wrapText = (text, font, size, maxWidth) => {
+  const lines = [];
+
+  for (const paragraph of toWinAnsi(text).split('\n')) {
+    let line = '';
+
+    for (const word of paragraph.split(' ')) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (font.widthOfTextAtSize(candidate, size) <= maxWidth) {
+        line = candidate;
+        continue;
+      }
+
+      if (line) lines.push(line);
+      line = word;
+
+      while (font.widthOfTextAtSize(line, size) > maxWidth) {
+        let cut = line.length - 1;
+        while (cut > 1 && font.widthOfTextAtSize(line.slice(0, cut), size) > maxWidth) cut--;
+        lines.push(line.slice(0, cut));
+        line = line.slice(cut);
+      }
+    }
+
+    lines.push(line);
+  }
+
+  return lines;
+};
+
+const embedFonts = async (doc) => ({
+  regular: await doc.embedFont(StandardFonts.Helvetica),
+  bold: await doc.embedFont(StandardFonts.HelveticaBold),
+  mono: await doc.embedFont(StandardFonts.Courier)
+});
+
+// Lays pages out top to bottom, starting a new page when one is full
+class PageWriter {
+  constructor(doc, fonts) {
+    this.doc = doc;
+    this.fonts = fonts;
+    this.page = null;
+    this.y = 0;
+  }
+
+  newPage(heading = null) {
+    this.page = this.doc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+    this.y = PAGE_HEIGHT - MARGIN;
+    if (heading) this.heading(heading);
+    return this.page;
+  }
+
+  ensureSpace(height, heading = null) {
+    if (!this.page || this.y - height < MARGIN + 24) this.newPage(heading);
+  }
+
+  heading(text, size = 18) {
+    this.text(text, { font: this.fonts.bold, size });
+    this.y -= size * 0.5;
+  }
+
+  text(text, { font = this.fonts.regular, size = 10, color = TEXT_COLOR, x = MARGIN, width = CONTENT_WIDTH } = {}) {
+    for (const line of wrapText(text, font, size, width)) {
+      this.ensureSpace(size * 1.4);
+      this.page.drawText(line, { x, y: this.y - size, size, font, color });
+      this.y -= size * 1.4;
+    }
+  }
+
+  field(label, value) {
+    const labelWidth = 150;
+    this.ensureSpace(14);
+    this.page.drawText(toWinAnsi(label), { x: MARGIN, y: this.y - 10, size: 10, font: this.fonts.bold, color: MUTED_COLOR });
+    this.text(value === null || value === undefined || value === '' ? '—' : String(value), {
+      x: MARGIN + labelWidth,
+      width: CONTENT_WIDTH - labelWidth
+    });
+    this.y -= 4;
+  }
+
+  rule() {
+    this.page.drawLine({
+      start: { x: MARGIN, y: this.y },
+      end: { x: PAGE_WIDTH - MARGIN, y: this.y },
+      thickness: 0.5,
+      color: RULE_COLOR
+    });
+    this.y -= 8;
+  }
+}
+
+// Page numbers and a reference (which document this is) along the bottom of every page
+const stampPageNumbers = (doc, fonts, reference) => {
+  const pages = doc.getPages();
+
+  pages.forEach((page, i) => {
+    const { width } = page.getSize();
+    const label = `Page ${i + 1} of ${pages.length}`;
+    const labelWidth = fonts.regular.widthOfTextAtSize(label, 9);
+
+    page.drawRectangle({ x: 0, y: 12, width, height: 20, color: rgb(1, 1, 1), opacity: 0.9 });
+    page.drawText(toWinAnsi(reference), { x: 36, y: 18, size: 9, font: fonts.regular, color: MUTED_COLOR });
+    page.drawText(label, { x: width - 36 - labelWidth, y: 18, size: 9, font: fonts.regular, color: MUTED_COLOR });
+  });
+};
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  MARGIN,
+  CONTENT_WIDTH,
+  TEXT_COLOR,
+  MUTED_COLOR,
+  RULE_COLOR,
+  toWinAnsi,
+  formatDate,
+  formatCurrency,
+  fitText,
+  wrapText,
+  embedFonts,
+  PageWriter,
+  stampPageNumbers
+};
@@ -0,0 +1,81 @@
+// Settlement - recording the terms the parties have agreed for them to sign
+const { CASE_STATUSES, changeCaseStatus } = require('./caseStatus');
+const { draftSettlementAgreement } = require('./settlementAgreement');
+const { notifyNextSigner } = require('./agreementSignatures');
+
+const formatAmount = (amount) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount);
+
+// Draft the settlement agreement for signature. The case stays open and is
+// resolved with the given fields once everyone has signed
+// (utils/agreementSignatures.js). Returns { agreement } or { error }.
+const sendForSignature = async (supabase, case_, { actorId, fields, notes }) => {
+  const { agreement, error } = await draftSettlementAgreement(supabase, case_, {
+    actorId,
+    resolution: { fields, notes }
+  });
+
+  // Everyone has signed the current draft, which resolves the case; it is not replaced
+  if (error && error.message === 'AGREEMENT_SIGNED') {
+    return {
+      error: {
+        status: 409,
+        code: 'AGREEMENT_SIGNED',
+        error: 'Everyone has signed the current settlement agreement - the case is resolved from it'
+      }
+    };
+  }
+
+  if (error) {
+    console.error(`Failed to draft settlement agreement for case ${case_.id}:`, error);
+    return {
+      error: {
+        status: 400,
+        code: 'AGREEMENT_ERROR',
+        error: 'Failed to draft the settlement agreement'
+      }
+    };
+  }
+
+  notifyNextSigner(case_, agreement, { next_signer: agreement.signers[0].role });
+  return { agreement };
+};
+
+// Record an agreed settlement and send it for signature. A case that was never
+// reviewed passes through In Review first, so it can be resolved once signed.
+// Returns { case, agreement } or { error }.
+const settleWithAgreement = async (supabase, case_, { actorId, amount = null, terms = null, summary, resolvedBy = null }) => {
+  let current = case_;
+
+  if (current.status === CASE_STATUSES.PENDING) {
+    const reviewed = await changeCaseStatus(supabase, current, CASE_STATUSES.IN_REVIEW, {
+      role: 'system',
+      actorId,
+      notes: summary
+    });
+    if (reviewed.error) return reviewed;
+    current = reviewed.case;
+  }
+
+  const { agreement, error } = await sendForSignature(supabase, current, {
+    actorId,
+    fields: {
+      settlement_amount: amount,
+      settlement_terms: terms,
+      settled_at: new Date().toISOString(),
+      resolution_notes: summary,
+      resolved_by: resolvedBy
+    },
+    notes: summary
+  });
+
+  if (error) return { error };
+
+  return { case: current, agreement };
+};
+
+module.exports = {
+  formatAmount,
+  sendForSignature,
+  settleWithAgreement
+};
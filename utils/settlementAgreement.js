@@ -0,0 +1,227 @@
+// Settlement agreements drafted from templates (utils/agreementTemplates.js) when
+// a case is settled. Each draft is a new version in settlement_agreements; the
+// parties review the latest one, download it as PDF or DOCX
+// (utils/agreementDocument.js) and sign it (utils/agreementSignatures.js).
+// Drafts are never edited in place, so what was signed can always be shown again.
+const { isDeepStrictEqual } = require('util');
+const { recordCaseUpdate } = require('./caseHistory');
+const { TEMPLATES, DETAIL_PLACEHOLDERS, getDefaultTemplateKey, renderTemplate } = require('./agreementTemplates');
+
+// Days the paying party has to pay, unless the agreed terms say otherwise
+const PAYMENT_DAYS = 14;
+
+const AGREEMENT_COLUMNS = 'id, case_id, version, template, title, content, content_hash, signers, resolution, created_by, created_at';
+
+const formatAmount = (amount) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount);
+
+const formatDay = (value) => new Date(value).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+// Everything a template can refer to. Party details come from
+// settlement_agreement_parties() because the parties cannot see each other's
+// profiles; the amount and terms from the case, or failing that the
+// negotiation that settled it.
+const buildAgreementContext = async (supabase, case_) => {
+  const [{ data: parties, error: partiesError }, { data: offer }, { data: session }] = await Promise.all([
+    supabase.rpc('settlement_agreement_parties', { p_case_id: case_.id }),
+    supabase
+      .from('settlement_offers')
+      .select('amount, terms, responded_at')
+      .eq('case_id', case_.id)
+      .eq('status', 'accepted')
+      .order('responded_at', { ascending: false })
+      .limit(1)
+      .maybeSingle(),
+    supabase
+      .from('blind_bid_sessions')
+      .select('settlement_amount, ended_at')
+      .eq('case_id', case_.id)
+      .eq('status', 'settled')
+      .order('ended_at', { ascending: false })
+      .limit(1)
+      .maybeSingle()
+  ]);
+
+  if (partiesError) {
+    console.error(`Failed to load parties for the agreement on case ${case_.id}:`, partiesError);
+  }
+
+  const person = (role) => (parties || []).find(party => party.role === role) || {};
+  const claimant = person('claimant');
+  const respondent = person('respondent');
+  const mediator = person('mediator');
+
+  const amount = case_.settlement_amount ?? (offer && offer.amount) ?? (session && session.settlement_amount) ?? null;
+
+  let source = 'negotiation between the parties';
+  if (offer) source = `a settlement offer accepted on ${formatDay(offer.responded_at)}`;
+  else if (session) source = `blind bidding, which settled on ${formatDay(session.ended_at)}`;
+  else if (mediator.full_name) source = `mediation with ${mediator.full_name}`;
+
+  return {
+    case: {
+      reference: `#${case_.id.slice(0, 8)}`,
+      title: case_.case_title,
+      filed_date: formatDay(case_.created_at),
+      amount_claimed: case_.amount_involved ? formatAmount(case_.amount_involved) : null
+    },
+    claimant: {
+      name: claimant.full_name || case_.user_email,
+      email: claimant.email || case_.user_email,
+      address: claimant.address || null
+    },
+    respondent: {
+      name: respondent.full_name || case_.respondent_name || null,
+      email: respondent.email || case_.respondent_email || null,
+      address: respondent.address || null
+    },
+    mediator: {
+      name: mediator.full_name || null
+    },
+    settlement: {
+      amount: amount !== null ? formatAmount(amount) : null,
+      terms: case_.settlement_terms || (offer && offer.terms) || case_.resolution_notes || null,
+      payment_days: PAYMENT_DAYS,
+      source
+    },
+    agreement: {
+      date: formatDay(new Date())
+    }
+  };
+};
+
+// Fill in blanks by hand: details maps placeholders ('respondent.address') to values
+const applyDetails = (context, details) => {
+  Object.entries(details).forEach(([path, value]) => {
+    const [group, field] = path.split('.');
+    if (context[group] && value) {
+      context[group][field] = value;
+    }
+  });
+};
+
+// The agreement a template renders for the case. The resolution's fields stand in
+// for the case's own, details fill blanks by hand and date is the agreement's date
+// (today for a new draft). Returns { title, content }.
+const renderAgreementContent = async (supabase, case_, { templateKey, resolution, details, date = null }) => {
+  const context = await buildAgreementContext(supabase, { ...case_, ...resolution.fields });
+  applyDetails(context, details);
+  const { title, clauses, missing } = renderTemplate(templateKey, context);
+
+  const content = {
+    title,
+    reference: context.case.reference,
+    date: date || context.agreement.date,
+    parties: [
+      { role: 'claimant', ...context.claimant },
+      { role: 'respondent', ...context.respondent }
+    ],
+    mediator: context.mediator.name,
+    clauses,
+    missing,
+    details
+  };
+
+  // As it comes back from the database, without undefined values
+  return { title, content: JSON.parse(JSON.stringify(content)) };
+};
+
+// Draft a new version of the case's agreement, with the given template or the
+// default one for the case type. resolution holds the case fields (and history
+// notes) to apply once everyone has signed, and details any blanks an admin has
+// filled in by hand; a redraft keeps the previous version's of both.
+// draft_settlement_agreement() stores it, working out the signers and, when a
+// party drafts, the resolution itself. Returns { agreement } or { error }.
+const draftSettlementAgreement = async (supabase, case_, { actorId, templateKey = null, resolution = null, details = null }) => {
+  const [{ data: latest }, { data: storedCase }] = await Promise.all([
+    supabase
+      .from('settlement_agreements')
+      .select('resolution, content')
+      .eq('case_id', case_.id)
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle(),
+    // Rendered from the whole case row, as verifyAgreementContent renders it
+    supabase
+      .from('cases')
+      .select('*')
+      .eq('id', case_.id)
+      .maybeSingle()
+  ]);
+
+  const agreedResolution = resolution || (latest && latest.resolution) || {};
+  const key = templateKey || getDefaultTemplateKey(case_.case_type);
+  const { title, content } = await renderAgreementContent(supabase, { ...case_, ...storedCase }, {
+    templateKey: key,
+    resolution: agreedResolution,
+    details: details || (latest && latest.content.details) || {}
+  });
+
+  const { data: drafted, error } = await supabase.rpc('draft_settlement_agreement', {
+    p_case_id: case_.id,
+    p_template: key,
+    p_title: title,
+    p_content: content,
+    p_resolution: resolution
+  });
+  const agreement = drafted && drafted[0];
+
+  if (error || !agreement) {
+    return { error: error || new Error('No agreement was drafted') };
+  }
+
+  await recordCaseUpdate(supabase, {
+    caseId: case_.id,
+    updatedBy: actorId,
+    updateType: 'agreement_drafted',
+    newValue: `Draft ${agreement.version}`,
+    notes: TEMPLATES[key].name
+  });
+
+  return { agreement };
+};
+
+// Whether a stored draft is exactly what its template renders for the case, with
+// the resolution the database stored for it. draft_settlement_agreement() keeps
+// the content it is sent, so this is checked before anyone signs: a draft written
+// by hand, or one the case has since moved on from, does not match.
+const verifyAgreementContent = async (supabase, case_, agreement) => {
+  const details = agreement.content.details || {};
+
+  if (!TEMPLATES[agreement.template] || Object.keys(details).some(path => !DETAIL_PLACEHOLDERS.includes(path))) {
+    return false;
+  }
+
+  const { title, content } = await renderAgreementContent(supabase, case_, {
+    templateKey: agreement.template,
+    resolution: agreement.resolution,
+    details,
+    date: agreement.content.date
+  });
+
+  return title === agreement.title && isDeepStrictEqual(content, agreement.content);
+};
+
+// The latest draft of a case's agreement, or null if none has been drafted
+const getLatestAgreement = async (supabase, caseId) => {
+  const { data, error } = await supabase
+    .from('settlement_agreements')
+    .select(AGREEMENT_COLUMNS)
+    .eq('case_id', caseId)
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    return { error };
+  }
+
+  return { agreement: data };
+};
+
+module.exports = {
+  buildAgreementContext,
+  draftSettlementAgreement,
+  verifyAgreementContent,
+  getLatestAgreement
+};
@@ -0,0 +1,229 @@
+// Precedent for mediators: the resolved cases most like a given case. The index
+// is built in memory from the resolved_case_precedents() function and queried
+// here, so no case text leaves the server. Cases are compared on:
+//   text   - TF-IDF cosine similarity of title and description (title counts double)
+//   type   - whether the case type is the same
+//   amount - how close the amounts are, on a log scale (10x apart scores 0.5)
+// A component that cannot be compared (a case with no amount) is left out and the
+// others are weighted up to make up for it.
+
+const WEIGHTS = { text: 0.6, type: 0.25, amount: 0.15 };
+
+// Results below this score are not shown as precedent at all
+const MIN_SCORE = 0.15;
+
+const STOP_WORDS = new Set((
+  'about above after again against all also and any are because been before being below between both but ' +
+  'can could did does doing down during each few for from further had has have having her here hers him his ' +
+  'how into its itself just more most not now off once only other our ours out over own same she should ' +
+  'some such than that the their theirs them then there these they this those through too under until very ' +
+  'was were what when where which while who whom why will with would you your yours ' +
+  'case dispute claim claimant respondent issue regarding'
+).split(' '));
+
+// Cut common endings so 'charge', 'charges', 'charged' and 'charging' count as one term
+const stem = (word) => {
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 4 && word.endsWith('es')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  if (word.length > 4 && word.endsWith('e')) return word.slice(0, -1);
+  return word;
+};
+
+const toWords = (text) => (text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(word => word.length > 2 && !STOP_WORDS.has(word) && !/^\d+$/.test(word));
+
+const tokenize = (text) => toWords(text).map(stem);
+
+const caseTerms = (case_) => {
+  const title = tokenize(case_.case_title);
+  return title.concat(title, tokenize(case_.description));
+};
+
+const countTerms = (terms) => {
+  const counts = new Map();
+  for (const term of terms) counts.set(term, (counts.get(term) || 0) + 1);
+  return counts;
+};
+
+// A unit-length TF-IDF vector (sublinear term frequency) as a Map of term to weight
+const toVector = (counts, idf) => {
+  const vector = new Map();
+  let norm = 0;
+
+  for (const [term, count] of counts) {
+    const weight = (1 + Math.log(count)) * (idf.get(term) || 0);
+    if (weight > 0) {
+      vector.set(term, weight);
+      norm += weight * weight;
+    }
+  }
+
+  norm = Math.sqrt(norm);
+  for (const [term, weight] of vector) vector.set(term, weight / norm);
+  return vector;
+};
+
+const buildIndex = (cases) => {
+  const documents = cases.map(case_ => ({ case_, counts: countTerms(caseTerms(case_)) }));
+
+  const documentFrequency = new Map();
+  for (const { counts } of documents) {
+    for (const term of counts.keys()) documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+  }
+
+  // Smoothed so a term in every case still counts a little, and a term no
+  // resolved case has (only in the query) still gets a weight
+  const idf = new Map();
+  for (const [term, frequency] of documentFrequency) {
+    idf.set(term, Math.log((1 + documents.length) / (1 + frequency)) + 1);
+  }
+
+  return {
+    idf,
+    size: documents.length,
+    unseenIdf: Math.log(1 + documents.length) + 1,
+    entries: documents.map(({ case_, counts }) => ({ case_, vector: toVector(counts, idf) }))
+  };
+};
+
+const queryVector = (index, case_) => {
+  const counts = countTerms(caseTerms(case_));
+  const idf = new Map([...counts.keys()].map(term => [term, index.idf.get(term) || index.unseenIdf]));
+  return toVector(counts, idf);
+};
+
+// The word each stem first appears as in a case, to show shared terms readably
+const surfaceForms = (case_) => {
+  const forms = new Map();
+  for (const word of toWords(`${case_.case_title} ${case_.description}`)) {
+    if (!forms.has(stem(word))) forms.set(stem(word), word);
+  }
+  return forms;
+};
+
+const amountSimilarity = (a, b) => {
+  const x = parseFloat(a);
+  const y = parseFloat(b);
+  if (!(x > 0) || !(y > 0)) return null;
+  return Math.max(0, 1 - Math.abs(Math.log10(x) - Math.log10(y)) / 2);
+};
+
+const round = (value) => value === null ? null : Math.round(value * 1000) / 1000;
+
+const compare = (queryCase, query, entry) => {
+  let text = 0;
+  const shared = [];
+
+  for (const [term, weight] of query) {
+    const other = entry.vector.get(term);
+    if (other) {
+      text += weight * other;
+      shared.push([term, weight * other]);
+    }
+  }
+
+  const components = {
+    text,
+    type: queryCase.case_type && entry.case_.case_type
+      ? (queryCase.case_type.toLowerCase() === entry.case_.case_type.toLowerCase() ? 1 : 0)
+      : null,
+    amount: amountSimilarity(queryCase.amount_involved, entry.case_.amount_involved)
+  };
+
+  let total = 0;
+  let weights = 0;
+  for (const [name, value] of Object.entries(components)) {
+    if (value === null) continue;
+    total += WEIGHTS[name] * value;
+    weights += WEIGHTS[name];
+  }
+
+  return {
+    score: weights > 0 ? total / weights : 0,
+    components,
+    sharedTerms: shared.sort((a, b) => b[1] - a[1]).slice(0, 5).map(([term]) => term)
+  };
+};
+
+// The index is shared by every request and rebuilt once it is older than this;
+// a case resolved in the meantime shows up as precedent after the next rebuild
+const getRefreshMs = () => (parseInt(process.env.SIMILAR_CASES_REFRESH_MINUTES) || 10) * 60 * 1000;
+
+let cached = null;
+let building = null;
+
+const loadIndex = async (supabase) => {
+  const { data, error } = await supabase.rpc('resolved_case_precedents');
+  if (error) return { data: null, error };
+  return { data: { index: buildIndex(data || []), builtAt: Date.now() }, error: null };
+};
+
+// The current index, rebuilding it when it is stale. Concurrent requests share
+// one rebuild; if the rebuild fails a stale index is still used.
+const getIndex = async (supabase) => {
+  if (cached && Date.now() - cached.builtAt < getRefreshMs()) {
+    return { data: cached.index, error: null };
+  }
+
+  if (!building) {
+    building = loadIndex(supabase).finally(() => { building = null; });
+  }
+
+  const { data, error } = await building;
+  if (!error) {
+    cached = data;
+    return { data: data.index, error: null };
+  }
+
+  console.error('Failed to build similar case index:', error);
+  return cached ? { data: cached.index, error: null } : { data: null, error };
+};
+
+// The resolved cases most similar to case_, best first, each with its resolution
+// and how it compared. Returns Supabase-style { data, error }.
+const findSimilarCases = async (supabase, case_, { limit = 5 } = {}) => {
+  const { data: index, error } = await getIndex(supabase);
+  if (error) return { data: null, error };
+
+  const query = queryVector(index, case_);
+  const forms = surfaceForms(case_);
+
+  const results = index.entries
+    .filter(entry => entry.case_.id !== case_.id)
+    .map(entry => ({ entry, ...compare(case_, query, entry) }))
+    .filter(result => result.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ entry, score, components, sharedTerms }) => ({
+      id: entry.case_.id,
+      case_title: entry.case_.case_title,
+      case_type: entry.case_.case_type,
+      amount_involved: entry.case_.amount_involved,
+      resolution_notes: entry.case_.resolution_notes,
+      outcome: {
+        status: entry.case_.status,
+        settlement_amount: entry.case_.settlement_amount,
+        settlement_terms: entry.case_.settlement_terms,
+        respondent_response: entry.case_.respondent_response,
+        resolved_at: entry.case_.resolved_at
+      },
+      similarity: {
+        score: round(score),
+        text: round(components.text),
+        type: components.type,
+        amount: round(components.amount),
+        shared_terms: sharedTerms.map(term => forms.get(term) || term)
+      }
+    }));
+
+  return { data: { results, indexed: index.size }, error: null };
+};
+
+module.exports = {
+  tokenize,
+  findSimilarCases
+};
@@ -0,0 +1,124 @@
+// File storage for case evidence. The backend is chosen with STORAGE_BACKEND:
+//   supabase (default) - the 'case-files' Supabase Storage bucket, as the signed-in user
+//   local              - a directory on disk (LOCAL_STORAGE_DIR), for development and tests
+// Both adapters return Supabase-style { data, error } results so callers handle
+// either backend the same way.
+const fs = require('fs/promises');
+const path = require('path');
+const { Readable } = require('stream');
+
+const BUCKET = 'case-files';
+
+const createSupabaseStorage = (supabase) => {
+  const bucket = () => supabase.storage.from(BUCKET);
+
+  return {
+    upload: (filePath, buffer, { contentType }) =>
+      bucket().upload(filePath, buffer, { contentType, upsert: false }),
+
+    download: async (filePath) => {
+      const { data: blob, error } = await bucket().download(filePath);
+      if (error || !blob) {
+        return { data: null, error: error || new Error('File not found') };
+      }
+      return { data: Buffer.from(await blob.arrayBuffer()), error: null };
+    },
+
+    remove: (filePaths) => bucket().remove(filePaths),
+
+    // Join stored parts into one object, streaming one part at a time
+    compose: (filePath, partPaths, { contentType }) => {
+      async function* readParts() {
+        for (const partPath of partPaths) {
+          const { data: blob, error } = await bucket().download(partPath);
+          if (error || !blob) {
+            throw error || new Error(`Part not found: ${partPath}`);
+          }
+          yield Buffer.from(await blob.arrayBuffer());
+        }
+      }
+
+      return bucket().upload(filePath, Readable.from(readParts()), { contentType, upsert: false, duplex: 'half' });
+    }
+  };
+};
+
+const createLocalStorage = (rootDir) => {
+  const root = path.resolve(rootDir);
+
+  // Keep every path inside the storage directory
+  const resolve = (filePath) => {
+    const fullPath = path.resolve(root, filePath);
+    if (fullPath !== root && !fullPath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage path: ${filePath}`);
+    }
+    return fullPath;
+  };
+
+  return {
+    upload: async (filePath, buffer) => {
+      try {
+        const fullPath = resolve(filePath);
+        await fs.mkdir(path.dirname(fullPath), { recursive: true });
+        // 'wx' fails if the file exists, matching upsert: false
+        await fs.writeFile(fullPath, buffer, { flag: 'wx' });
+        return { data: { path: filePath }, error: null };
+      } catch (error) {
+        return { data: null, error };
+      }
+    },
+
+    download: async (filePath) => {
+      try {
+        return { data: await fs.readFile(resolve(filePath)), error: null };
+      } catch (error) {
+        return { data: null, error };
+      }
+    },
+
+    remove: async (filePaths) => {
+      try {
+        await Promise.all(filePaths.map(filePath => fs.rm(resolve(filePath), { force: true })));
+        return { data: filePaths.map(filePath => ({ name: filePath })), error: null };
+      } catch (error) {
+        return { data: null, error };
+      }
+    },
+
+    compose: async (filePath, partPaths) => {
+      let handle = null;
+      try {
+        const fullPath = resolve(filePath);
+        await fs.mkdir(path.dirname(fullPath), { recursive: true });
+        handle = await fs.open(fullPath, 'wx');
+        for (const partPath of partPaths) {
+          await handle.write(await fs.readFile(resolve(partPath)));
+        }
+        return { data: { path: filePath }, error: null };
+      } catch (error) {
+        return { data: null, error };
+      } finally {
+        if (handle) await handle.close();
+      }
+    }
+  };
+};
+
+// Storage for the current request; the Supabase adapter acts as the signed-in user
+const getStorage = (supabase) => {
+  const backend = (process.env.STORAGE_BACKEND || 'supabase').toLowerCase();
+
+  if (backend === 'local') {
+    return createLocalStorage(process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', 'uploads'));
+  }
+
+  if (backend !== 'supabase') {
+    throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+  }
+
+  return createSupabaseStorage(supabase);
+};
+
+module.exports = {
+  getStorage
+};
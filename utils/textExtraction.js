@@ -0,0 +1,162 @@
+// Text extraction for evidence search. The text of each TXT, PDF and DOCX upload
+// is stored in case_file_text, where Postgres indexes it for full-text search,
+// so admins can find cases by what their evidence says.
+const zlib = require('zlib');
+const { openPdf } = require('./pdfDocument');
+
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const EXTRACTABLE_TYPES = ['text/plain', 'application/pdf', DOCX_TYPE];
+
+// Larger files are not loaded into memory just to index them
+const getMaxSourceBytes = () => parseInt(process.env.TEXT_EXTRACTION_MAX_SOURCE_BYTES) || 25 * 1024 * 1024;
+
+// Only the start of very long documents is indexed (Postgres caps a tsvector at 1MB)
+const getMaxTextLength = () => parseInt(process.env.EXTRACTED_TEXT_MAX_CHARS) || 200000;
+
+const canExtractText = (fileType, fileSize) =>
+  EXTRACTABLE_TYPES.includes(fileType) && fileSize <= getMaxSourceBytes();
+
+const extractPdfText = async (buffer) => {
+  const pdf = await openPdf(buffer);
+  const maxLength = getMaxTextLength();
+
+  try {
+    let text = '';
+    for (let pageNumber = 1; pageNumber <= pdf.numPages && text.length < maxLength; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      text += content.items.map(item => item.str + (item.hasEOL ? '\n' : '')).join('') + '\n';
+      page.cleanup();
+    }
+    return text;
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+// Read one entry out of a ZIP archive (a DOCX is one) via its central directory.
+// Returns null when the entry is missing or not stored/deflated.
+const readZipEntry = (buffer, entryName) => {
+  // The end-of-central-directory record is in the last 64KB (its comment is at most that long)
+  let end = -1;
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 65557); offset--) {
+    if (buffer.readUInt32LE(offset) === 0x06054b50) {
+      end = offset;
+      break;
+    }
+  }
+  if (end === -1) return null;
+
+  const entryCount = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let i = 0; i < entryCount && offset + 46 <= buffer.length; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) return null;
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    if (name === entryName) {
+      const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+      if (method === 0) return data;
+      // The output cap stops a small upload inflating into gigabytes
+      if (method === 8) return zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+      return null;
+    }
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return null;
+};
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXmlEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+  if (name[0] !== '#') return XML_ENTITIES[name] || entity;
+  const codePoint = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+  return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+});
+
+// The body text of a DOCX is the w:t runs of word/document.xml, with paragraph
+// ends, breaks and tabs kept so words from neighbouring paragraphs stay apart
+const extractDocxText = (buffer) => {
+  const documentXml = readZipEntry(buffer, 'word/document.xml');
+  if (!documentXml) return null;
+
+  const xml = documentXml.toString('utf8');
+  const parts = [];
+  const pattern = /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:(?:br|cr)(?:\s[^>]*)?\/>|<\/w:p>/g;
+  let match;
+
+  while ((match = pattern.exec(xml)) !== null) {
+    if (match[1] !== undefined) parts.push(decodeXmlEntities(match[1]));
+    else if (match[0] === '<w:tab/>') parts.push('\t');
+    else parts.push('\n');
+  }
+
+  return parts.join('');
+};
+
+// Tidy whitespace and trim to the indexed length. Postgres text cannot hold NUL.
+const normalizeText = (text) => text
+  .replace(/^\uFEFF/, '')
+  .replace(/\0/g, '')
+  .replace(/\r\n?/g, '\n')
+  .replace(/[ \t\f\v\u00a0]+/g, ' ')
+  .replace(/ *\n\s*/g, '\n')
+  .trim()
+  .slice(0, getMaxTextLength());
+
+// The searchable text of a file's bytes, or null if it has none
+const extractText = async (buffer, fileType) => {
+  let text = null;
+
+  if (fileType === 'text/plain') text = buffer.toString('utf8');
+  if (fileType === 'application/pdf') text = await extractPdfText(buffer);
+  if (fileType === DOCX_TYPE) text = extractDocxText(buffer);
+
+  if (!text) return null;
+  const normalized = normalizeText(text);
+  return normalized || null;
+};
+
+// Extract and index the text of a file that has just been recorded in case_files.
+// Best-effort like the case history: a file whose text cannot be read is still
+// uploaded, it just cannot be found by what it says.
+const storeExtractedText = async (supabase, fileRecord, buffer) => {
+  if (!canExtractText(fileRecord.file_type, buffer.length)) return;
+
+  try {
+    const content = await extractText(buffer, fileRecord.file_type);
+    if (!content) return;
+
+    const { error } = await supabase
+      .from('case_file_text')
+      .insert({
+        file_id: fileRecord.id,
+        case_id: fileRecord.case_id,
+        content
+      });
+
+    if (error) {
+      console.error(`Failed to store extracted text for file ${fileRecord.id}:`, error);
+    }
+  } catch (error) {
+    console.error(`Failed to extract text from file ${fileRecord.id}:`, error);
+  }
+};
+
+module.exports = {
+  canExtractText,
+  extractText,
+  storeExtractedText
+};
@@ -0,0 +1,98 @@
+// Evidence previews: a scaled-down copy of each JPG/PNG and a render of the
+// first page of each PDF, stored as WebP next to the original file
+// (<file_path>.thumb.webp) so reviewers can see what a file is without
+// downloading it.
+const sharp = require('sharp');
+const { openPdf } = require('./pdfDocument');
+
+const PREVIEWABLE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'application/pdf'];
+
+const getThumbnailSize = () => parseInt(process.env.THUMBNAIL_SIZE) || 320;
+
+// Larger files are not loaded into memory just for a preview
+const getMaxSourceBytes = () => parseInt(process.env.THUMBNAIL_MAX_SOURCE_BYTES) || 50 * 1024 * 1024;
+
+const canHaveThumbnail = (fileType, fileSize) =>
+  PREVIEWABLE_TYPES.includes(fileType) && fileSize <= getMaxSourceBytes();
+
+const getThumbnailPath = (filePath) => `${filePath}.thumb.webp`;
+
+// pdf.js draws onto canvases it asks this factory for; @napi-rs/canvas stands in
+// for the browser's
+const createCanvasFactory = (createCanvas) => ({
+  create: (width, height) => {
+    const canvas = createCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d') };
+  },
+  reset: (canvasAndContext, width, height) => {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  },
+  destroy: (canvasAndContext) => {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+  }
+});
+
+// Render page 1 of a PDF to PNG at twice the thumbnail size, for sharp to scale down
+const renderPdfFirstPage = async (buffer) => {
+  const { createCanvas } = require('@napi-rs/canvas');
+  const canvasFactory = createCanvasFactory(createCanvas);
+  const pdf = await openPdf(buffer, { canvasFactory });
+
+  try {
+    const page = await pdf.getPage(1);
+    const { width, height } = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: (getThumbnailSize() * 2) / Math.max(width, height) });
+
+    const { canvas, context } = canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    await page.render({ canvasContext: context, viewport, canvasFactory }).promise;
+    return canvas.toBuffer('image/png');
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+// Make the preview image for a file's bytes
+const createThumbnail = async (buffer, fileType) => {
+  const source = fileType === 'application/pdf' ? await renderPdfFirstPage(buffer) : buffer;
+  const size = getThumbnailSize();
+
+  return sharp(source)
+    .rotate() // honour EXIF orientation from phone photos
+    .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 75 })
+    .toBuffer();
+};
+
+// Generate and store the preview for a file that has just been stored at filePath.
+// Best-effort like the case history: returns the preview's path, or null when the
+// file has no preview or it could not be made, which never fails the upload.
+const storeThumbnail = async (storage, filePath, buffer, fileType) => {
+  if (!canHaveThumbnail(fileType, buffer.length)) return null;
+
+  try {
+    const thumbnail = await createThumbnail(buffer, fileType);
+    const thumbnailPath = getThumbnailPath(filePath);
+    const { error } = await storage.upload(thumbnailPath, thumbnail, { contentType: 'image/webp' });
+
+    if (error) {
+      console.error(`Failed to store thumbnail for ${filePath}:`, error);
+      return null;
+    }
+
+    return thumbnailPath;
+  } catch (error) {
+    console.error(`Failed to create thumbnail for ${filePath}:`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  canHaveThumbnail,
+  createThumbnail,
+  storeThumbnail
+};
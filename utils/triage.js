@@ -0,0 +1,389 @@
+// Case triage at submission: suggests the dispute type, estimates urgency and
+// picks out the parties, amounts, dates and merchants a case mentions. The
+// provider is chosen with TRIAGE_PROVIDER:
+//   rules (default) - keyword and pattern rules; deterministic and fully offline
+//   llm             - an OpenAI-compatible chat completions API (TRIAGE_API_URL,
+//                     TRIAGE_API_KEY, TRIAGE_MODEL), falling back to the rules
+//                     whenever it fails or answers with something unusable
+// Every provider has analyze(input) returning Supabase-style { data, error },
+// where input is { title, description, amount, disputeType, parties }.
+
+const DISPUTE_TYPES = ['consumer', 'employment', 'contract', 'property', 'family', 'other'];
+const URGENCY_LEVELS = ['low', 'medium', 'high'];
+
+// Words that point to each dispute type. Each entry matches at the start of a
+// word, so 'refund' also matches 'refunded' and 'refunds'.
+const TYPE_KEYWORDS = {
+  consumer: [
+    'refund', 'purchase', 'purchased', 'bought', 'order', 'product', 'item', 'defective', 'faulty',
+    'warranty', 'merchant', 'seller', 'store', 'shop', 'delivery', 'delivered', 'shipping', 'charged',
+    'overcharg', 'subscription', 'cancel', 'receipt', 'invoice', 'customer service', 'chargeback', 'online'
+  ],
+  employment: [
+    'employer', 'employee', 'salary', 'wage', 'paycheck', 'payslip', 'overtime', 'fired', 'terminat',
+    'dismiss', 'laid off', 'layoff', 'resign', 'manager', 'supervisor', 'harass', 'discriminat',
+    'workplace', 'hr department', 'human resources', 'bonus', 'severance', 'promotion', 'job'
+  ],
+  contract: [
+    'contract', 'agreement', 'breach', 'clause', 'terms', 'signed', 'obligation', 'deliverable',
+    'milestone', 'vendor', 'supplier', 'client', 'contractor', 'freelanc', 'scope of work',
+    'penalty', 'statement of work', 'purchase order', 'service agreement'
+  ],
+  property: [
+    'landlord', 'tenant', 'lease', 'rent', 'deposit', 'evict', 'apartment', 'house', 'property',
+    'repair', 'maintenance', 'neighbo', 'boundary', 'fence', 'mortgage', 'premises', 'mold', 'leak'
+  ],
+  family: [
+    'divorce', 'custody', 'child support', 'alimony', 'spouse', 'husband', 'wife', 'marriage',
+    'separation', 'visitation', 'parenting', 'inheritance', 'estate', 'last will', 'sibling', 'guardian'
+  ]
+};
+
+// Signs that a case needs attention soon, each with the reason shown for it
+const URGENCY_SIGNALS = [
+  { pattern: /\b(urgent|urgently|emergency|immediately|asap)\b/i, reason: 'Described as urgent' },
+  { pattern: /\b(evict\w*|lock(ed)? out|shut ?off|disconnect\w*)\b/i, reason: 'Risk of losing housing or utilities' },
+  { pattern: /\b(threat\w*|unsafe|danger\w*|violen\w*|assault\w*|stalk\w*)\b/i, reason: 'Safety concern' },
+  { pattern: /\b(harass\w*|discriminat\w*|retaliat\w*)\b/i, reason: 'Harassment or discrimination' },
+  { pattern: /\b(deadline|court date|hearing|expires?|expiring|time limit|statute of limitations)\b/i, reason: 'A deadline is mentioned' },
+  { pattern: /\b(medical|hospital|disab\w*|pregnan\w*)\b/i, reason: 'Health circumstances' },
+  { pattern: /\b(custody|child(ren)?)\b/i, reason: 'Children are involved' }
+];
+
+const HIGH_AMOUNT = 10000;
+const MEDIUM_AMOUNT = 1000;
+const IMMINENT_DAYS = 14;
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH_PATTERN = '(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\\.?';
+
+const CURRENCY_SYMBOLS = { '$': 'USD', 'US$': 'USD', 'USD': 'USD', '€': 'EUR', 'EUR': 'EUR', '£': 'GBP', 'GBP': 'GBP', '₹': 'INR', 'Rs': 'INR', 'Rs.': 'INR', 'INR': 'INR' };
+const CURRENCY_WORDS = { dollar: 'USD', dollars: 'USD', euro: 'EUR', euros: 'EUR', pound: 'GBP', pounds: 'GBP', rupee: 'INR', rupees: 'INR' };
+
+const COMPANY_SUFFIX = '(?:Inc|LLC|L\\.L\\.C|Ltd|Limited|Corp|Corporation|Co|Company|GmbH|PLC|Pvt|LLP|Bank|Stores?|Motors|Airlines?|Insurance)\\b\\.?';
+
+// Capitalised words that start sentences or name months/days rather than merchants
+const NOT_NAMES = new Set([
+  'I', 'We', 'They', 'He', 'She', 'It', 'The', 'This', 'That', 'My', 'Our', 'Their', 'His', 'Her', 'A', 'An',
+  'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday',
+  ...MONTHS.map(month => month[0].toUpperCase() + month.slice(1))
+]);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const unique = (items, key = (item) => item) => {
+  const seen = new Set();
+  return items.filter(item => {
+    const k = key(item);
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+};
+
+const parseAmount = (digits) => parseFloat(digits.replace(/,/g, ''));
+
+const extractAmounts = (text) => {
+  const amounts = [];
+  const symbolFirst = /(US\$|USD|EUR|GBP|INR|Rs\.?|[$€£₹])\s?(\d{1,3}(?:,\d{3})+|\d+)(\.\d{1,2})?(?!\d)/g;
+  const wordAfter = /\b(\d{1,3}(?:,\d{3})+|\d+)(\.\d{1,2})?\s?(dollars?|euros?|pounds?|rupees?|USD|EUR|GBP|INR)\b/gi;
+  let match;
+
+  while ((match = symbolFirst.exec(text)) !== null) {
+    amounts.push({ text: match[0], value: parseAmount(match[2] + (match[3] || '')), currency: CURRENCY_SYMBOLS[match[1]] || 'USD' });
+  }
+  while ((match = wordAfter.exec(text)) !== null) {
+    const unit = match[3];
+    amounts.push({ text: match[0], value: parseAmount(match[1] + (match[2] || '')), currency: CURRENCY_WORDS[unit.toLowerCase()] || unit.toUpperCase() });
+  }
+
+  return unique(amounts, amount => `${amount.value}-${amount.currency}`);
+};
+
+const toIsoDate = (year, monthIndex, day) => {
+  const date = new Date(Date.UTC(year, monthIndex, day));
+  if (date.getUTCMonth() !== monthIndex || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+};
+
+const monthIndexOf = (name) => MONTHS.findIndex(month => month.startsWith(name.toLowerCase().replace('.', '').slice(0, 3)));
+
+// Dates written out or in ISO form get a normalised date; numeric dates such as
+// 03/04/2024 are ambiguous between day and month order and keep only their text
+const extractDates = (text) => {
+  const dates = [];
+  const patterns = [
+    { regex: /\b(\d{4})-(\d{2})-(\d{2})\b/g, toDate: (m) => toIsoDate(+m[1], +m[2] - 1, +m[3]) },
+    { regex: new RegExp(`\\b${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, 'gi'), toDate: (m) => toIsoDate(+m[3], monthIndexOf(m[1]), +m[2]) },
+    { regex: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN},?\\s+(\\d{4})\\b`, 'gi'), toDate: (m) => toIsoDate(+m[3], monthIndexOf(m[2]), +m[1]) },
+    { regex: /\b(\d{1,2})[/.](\d{1,2})[/.](\d{2,4})\b/g, toDate: () => null }
+  ];
+
+  for (const { regex, toDate } of patterns) {
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      dates.push({ text: match[0], date: toDate(match) });
+    }
+  }
+
+  return unique(dates, date => date.text);
+};
+
+// Merchants are names with a company suffix ("Acme Widgets Ltd"), web shops
+// ("shop.example.com") and capitalised names after buying/ordering from or at
+const extractMerchants = (text) => {
+  const names = [];
+  const name = "[A-Z][\\w&'-]*(?:\\s+(?:[A-Z][\\w&'-]*|&|of|and))*";
+  const patterns = [
+    new RegExp(`\\b(${name}\\s+${COMPANY_SUFFIX})`, 'g'),
+    /\b((?:[a-z0-9-]+\.)+(?:com|net|org|co|in|io|shop|store)(?:\.[a-z]{2})?)\b/gi,
+    new RegExp(`\\b(?:bought|purchased|ordered|paid|shopped|booked|subscribed)\\b[^.!?\\n]{0,60}?\\b(?:from|at|with|to)\\s+(${name})`, 'g')
+  ];
+
+  for (const pattern of patterns) {
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      // Domains of email addresses name a mailbox, not a shop
+      if (text[match.index - 1] === '@') continue;
+
+      const candidate = match[1].trim().replace(/\s+(?:and|of|&)$/i, '');
+      if (!NOT_NAMES.has(candidate.split(/\s+/)[0])) names.push(candidate);
+    }
+  }
+
+  return unique(names, merchant => merchant.toLowerCase());
+};
+
+const extractParties = (parties, merchants) => unique([
+  ...parties.filter(party => party.name),
+  ...merchants.map(merchant => ({ role: 'merchant', name: merchant }))
+], party => party.name.toLowerCase());
+
+const classifyDisputeType = (text) => {
+  const lower = text.toLowerCase();
+  const scores = {};
+
+  for (const [type, keywords] of Object.entries(TYPE_KEYWORDS)) {
+    scores[type] = keywords.reduce((score, keyword) => {
+      const matches = lower.match(new RegExp(`\\b${escapeRegex(keyword)}`, 'g'));
+      return score + (matches ? matches.length : 0);
+    }, 0);
+  }
+
+  const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+  if (total === 0) return { type: 'other', confidence: 0, scores };
+
+  // Ties go to the type listed first, so the result never depends on object order
+  const [type, best] = Object.entries(scores).reduce((top, entry) => (entry[1] > top[1] ? entry : top));
+  return { type, confidence: Math.round((best / total) * 1000) / 1000, scores };
+};
+
+const estimateUrgency = (text, amounts, dates, now = new Date()) => {
+  const reasons = URGENCY_SIGNALS.filter(signal => signal.pattern.test(text)).map(signal => signal.reason);
+
+  const largest = Math.max(0, ...amounts.map(amount => amount.value));
+  if (largest >= HIGH_AMOUNT) reasons.push(`Large amount in dispute (${largest.toLocaleString('en-US')})`);
+
+  const soon = dates.some(({ date }) => {
+    if (!date) return false;
+    const days = (new Date(date) - now) / (24 * 60 * 60 * 1000);
+    return days >= 0 && days <= IMMINENT_DAYS;
+  });
+  if (soon) reasons.push(`A date within the next ${IMMINENT_DAYS} days is mentioned`);
+
+  let urgency = 'low';
+  if (reasons.length >= 2 || soon || largest >= HIGH_AMOUNT || reasons.includes('Safety concern')) {
+    urgency = 'high';
+  } else if (reasons.length === 1 || largest >= MEDIUM_AMOUNT) {
+    urgency = 'medium';
+  }
+
+  return { urgency, reasons };
+};
+
+const analyzeWithRules = ({ title, description, amount, parties = [] }, now = new Date()) => {
+  const text = `${title || ''}\n${description || ''}`;
+
+  const amounts = extractAmounts(text);
+  if (amount && !amounts.some(found => found.value === amount)) {
+    amounts.unshift({ text: 'Amount claimed', value: amount, currency: 'USD' });
+  }
+  const dates = extractDates(text);
+  const merchants = extractMerchants(text);
+  const classification = classifyDisputeType(text);
+  const { urgency, reasons } = estimateUrgency(text, amounts, dates, now);
+
+  return {
+    dispute_type: classification.type,
+    type_confidence: classification.confidence,
+    urgency,
+    urgency_reasons: reasons,
+    entities: {
+      parties: extractParties(parties, merchants),
+      amounts,
+      dates,
+      merchants
+    }
+  };
+};
+
+const createRulesProvider = () => ({
+  name: 'rules',
+  model: null,
+  analyze: async (input) => {
+    try {
+      return { data: analyzeWithRules(input), error: null };
+    } catch (error) {
+      return { data: null, error };
+    }
+  }
+});
+
+// Keep only well-formed fields from a model's answer; anything missing makes it unusable
+const normalizeAnalysis = (raw) => {
+  if (!raw || !DISPUTE_TYPES.includes(raw.dispute_type) || !URGENCY_LEVELS.includes(raw.urgency)) return null;
+
+  const list = (value) => (Array.isArray(value) ? value : []);
+  const entities = raw.entities || {};
+  const confidence = Number(raw.type_confidence);
+
+  return {
+    dispute_type: raw.dispute_type,
+    type_confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : null,
+    urgency: raw.urgency,
+    urgency_reasons: list(raw.urgency_reasons).filter(reason => typeof reason === 'string'),
+    entities: {
+      parties: list(entities.parties).filter(party => party && typeof party.name === 'string'),
+      amounts: list(entities.amounts).filter(amount => amount && Number.isFinite(Number(amount.value))),
+      dates: list(entities.dates).filter(date => date && typeof date.text === 'string'),
+      merchants: list(entities.merchants).filter(merchant => typeof merchant === 'string')
+    }
+  };
+};
+
+const LLM_INSTRUCTIONS = `You triage disputes submitted to an online dispute resolution service.
+Reply with one JSON object and nothing else, with these fields:
+- dispute_type: one of ${DISPUTE_TYPES.join(', ')}
+- type_confidence: number from 0 to 1
+- urgency: one of ${URGENCY_LEVELS.join(', ')}
+- urgency_reasons: array of short strings
+- entities: { parties: [{ role, name }], amounts: [{ text, value, currency }], dates: [{ text, date }] (date as YYYY-MM-DD or null), merchants: [string] }`;
+
+const createLlmProvider = ({ url, apiKey, model, timeout }) => ({
+  name: 'llm',
+  model,
+  analyze: async ({ title, description, amount, disputeType, parties = [] }) => {
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({
+          model,
+          temperature: 0,
+          response_format: { type: 'json_object' },
+          messages: [
+            { role: 'system', content: LLM_INSTRUCTIONS },
+            {
+              role: 'user',
+              content: JSON.stringify({ title, description, amount_claimed: amount, type_chosen_by_claimant: disputeType, known_parties: parties })
+            }
+          ]
+        }),
+        signal: AbortSignal.timeout(timeout)
+      });
+
+      if (!response.ok) {
+        return { data: null, error: new Error(`Triage API responded ${response.status}`) };
+      }
+
+      const body = await response.json();
+      const content = body.choices && body.choices[0] && body.choices[0].message && body.choices[0].message.content;
+      const analysis = normalizeAnalysis(JSON.parse(content));
+
+      if (!analysis) {
+        return { data: null, error: new Error('Triage API returned an unusable analysis') };
+      }
+
+      return { data: analysis, error: null };
+    } catch (error) {
+      return { data: null, error };
+    }
+  }
+});
+
+const getTriageProvider = () => {
+  const provider = (process.env.TRIAGE_PROVIDER || 'rules').toLowerCase();
+
+  if (provider === 'rules') return createRulesProvider();
+
+  if (provider === 'llm') {
+    return createLlmProvider({
+      url: process.env.TRIAGE_API_URL || 'https://api.openai.com/v1/chat/completions',
+      apiKey: process.env.TRIAGE_API_KEY || null,
+      model: process.env.TRIAGE_MODEL || 'gpt-4o-mini',
+      timeout: parseInt(process.env.TRIAGE_TIMEOUT_MS) || 15000
+    });
+  }
+
+  throw new Error(`Unknown TRIAGE_PROVIDER: ${provider}`);
+};
+
+// Triage a newly submitted case and store the analysis in case_analyses.
+// Best-effort like the case history: returns the stored analysis, or null when
+// it could not be made or saved, which never fails the submission.
+const triageCase = async (supabase, case_, { actorId, claimantName = null }) => {
+  const input = {
+    title: case_.case_title,
+    description: case_.description,
+    amount: case_.amount_involved ? Number(case_.amount_involved) : null,
+    disputeType: case_.case_type,
+    parties: [
+      { role: 'claimant', name: claimantName },
+      { role: 'respondent', name: case_.respondent_name }
+    ]
+  };
+
+  try {
+    let provider = getTriageProvider();
+    let { data: analysis, error } = await provider.analyze(input);
+
+    if (error && provider.name !== 'rules') {
+      console.error(`Case triage with ${provider.name} failed, using rules instead:`, error);
+      provider = createRulesProvider();
+      ({ data: analysis, error } = await provider.analyze(input));
+    }
+
+    if (error) throw error;
+
+    const { data: record, error: dbError } = await supabase
+      .from('case_analyses')
+      .insert({
+        case_id: case_.id,
+        provider: provider.name,
+        model: provider.model,
+        ...analysis,
+        created_by: actorId
+      })
+      .select()
+      .single();
+
+    if (dbError) {
+      console.error(`Failed to store triage for case ${case_.id}:`, dbError);
+      return null;
+    }
+
+    return record;
+  } catch (error) {
+    console.error(`Failed to triage case ${case_.id}:`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  analyzeWithRules,
+  getTriageProvider,
+  triageCase
+};
@@ -0,0 +1,113 @@
+// Upload limits: per-file size (larger for resumable uploads, which are sent in
+// parts), files per case, total bytes per case and total bytes per uploader. Defaults come from the environment and each department can
+// override any of them with UPLOAD_LIMITS_BY_DEPARTMENT, e.g.
+//   {"Family": {"maxFileSize": 20971520, "maxCaseBytes": 209715200}}
+
+const MB = 1024 * 1024;
+
+const departmentByCaseType = {
+  consumer: 'Consumer Affairs',
+  employment: 'Employment',
+  contract: 'Legal',
+  property: 'Property',
+  family: 'Family',
+  other: 'General'
+};
+
+const getDefaultLimits = () => ({
+  maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * MB,
+  maxResumableFileSize: parseInt(process.env.MAX_RESUMABLE_FILE_SIZE) || 100 * MB,
+  maxFilesPerCase: parseInt(process.env.MAX_FILES_PER_CASE) || 20,
+  maxCaseBytes: parseInt(process.env.MAX_CASE_STORAGE_BYTES) || 100 * MB,
+  maxUserBytes: parseInt(process.env.MAX_USER_STORAGE_BYTES) || 250 * MB
+});
+
+const getDepartmentOverrides = () => {
+  if (!process.env.UPLOAD_LIMITS_BY_DEPARTMENT) return {};
+
+  try {
+    return JSON.parse(process.env.UPLOAD_LIMITS_BY_DEPARTMENT);
+  } catch (error) {
+    console.error('Ignoring invalid UPLOAD_LIMITS_BY_DEPARTMENT:', error.message);
+    return {};
+  }
+};
+
+// The limits that apply to a case, from its department
+const getUploadLimits = (case_) => {
+  const department = case_.assigned_department || departmentByCaseType[case_.case_type] || 'General';
+  return { ...getDefaultLimits(), ...(getDepartmentOverrides()[department] || {}) };
+};
+
+// The largest single file any department accepts; used to cap the request body
+// before we know which case it is for
+const getLargestFileSize = () => Math.max(
+  getDefaultLimits().maxFileSize,
+  ...Object.values(getDepartmentOverrides()).map(limits => limits.maxFileSize || 0)
+);
+
+const formatBytes = (bytes) => `${Math.round((bytes / MB) * 10) / 10}MB`;
+
+const policyError = (code, message, details) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = code === 'FILE_TOO_LARGE' ? 400 : 413;
+  error.details = details;
+  return error;
+};
+
+// Check a new file of fileSize bytes fits the case's limits; resumable is set for
+// a file sent in parts. Returns null when it does, otherwise an error with code
+// FILE_TOO_LARGE or QUOTA_EXCEEDED for middleware/errorHandler.js.
+const checkUploadQuota = async (supabase, case_, userId, fileSize, { resumable = false } = {}) => {
+  const limits = getUploadLimits(case_);
+  const maxFileSize = resumable ? limits.maxResumableFileSize : limits.maxFileSize;
+
+  if (fileSize > maxFileSize) {
+    return policyError('FILE_TOO_LARGE', `File too large. Maximum size is ${formatBytes(maxFileSize)}.`, {
+      limit: maxFileSize
+    });
+  }
+
+  const [{ data: caseFiles, error: caseError }, { data: userFiles, error: userError }] = await Promise.all([
+    supabase.from('case_files').select('file_size').eq('case_id', case_.id),
+    supabase.from('case_files').select('file_size').eq('uploaded_by', userId)
+  ]);
+
+  if (caseError || userError) {
+    throw new Error(`Failed to check upload quota: ${(caseError || userError).message}`);
+  }
+
+  const total = (files) => (files || []).reduce((sum, file) => sum + (file.file_size || 0), 0);
+
+  if ((caseFiles || []).length >= limits.maxFilesPerCase) {
+    return policyError('QUOTA_EXCEEDED', `This case already has the maximum of ${limits.maxFilesPerCase} files.`, {
+      quota: 'files_per_case',
+      limit: limits.maxFilesPerCase
+    });
+  }
+
+  if (total(caseFiles) + fileSize > limits.maxCaseBytes) {
+    return policyError('QUOTA_EXCEEDED', `This file would take the case over its ${formatBytes(limits.maxCaseBytes)} storage limit.`, {
+      quota: 'case_storage',
+      limit: limits.maxCaseBytes,
+      used: total(caseFiles)
+    });
+  }
+
+  if (total(userFiles) + fileSize > limits.maxUserBytes) {
+    return policyError('QUOTA_EXCEEDED', `This file would take you over your ${formatBytes(limits.maxUserBytes)} upload limit.`, {
+      quota: 'user_storage',
+      limit: limits.maxUserBytes,
+      used: total(userFiles)
+    });
+  }
+
+  return null;
+};
+
+module.exports = {
+  getUploadLimits,
+  getLargestFileSize,
+  checkUploadQuota
+};